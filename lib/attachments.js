@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const formidable = require('formidable');
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024; // 10 MB
+const MAX_FILES_PER_UPLOAD = 10;
+const MAX_ATTACHMENTS = 20; // per todo
+const MAX_FILENAME_LENGTH = 255;
+const DEFAULT_TYPES = [
+  'text/plain', 'text/markdown', 'text/csv', 'application/json', 'application/pdf',
+  'image/png', 'image/jpeg', 'image/gif', 'image/webp',
+  'application/zip', 'application/gzip'
+];
+
+// `image/*` allows every image type
+const isAllowedType = (allowedTypes, type) => allowedTypes.some(allowed => allowed === type ||
+  (allowed.endsWith('/*') && type.startsWith(allowed.slice(0, -1))));
+
+// The name to offer on download: no directories or control characters
+const cleanFilename = (name) => {
+  const base = path.basename(String(name || '').replace(/\\/g, '/')).replace(/\p{Cc}/gu, '').trim();
+  return base.slice(0, MAX_FILENAME_LENGTH) || 'attachment';
+};
+
+const attachmentsOf = (todo) => todo.attachments || [];
+
+/**
+ * Files attached to todos, kept on local disk in `dir`.
+ *
+ * The todo lists its files as attachments: [{ id, filename, contentType,
+ * size, createdAt }]. A file is stored under its random `id`, so nothing a
+ * client sends ends up in a path; `filename` is only offered on download.
+ */
+const createAttachmentStore = ({ dir, maxBytes = DEFAULT_MAX_BYTES, allowedTypes = DEFAULT_TYPES }) => {
+  const filePath = (attachment) => path.join(dir, attachment.id);
+
+  const remove = (attachments) => Promise.all(attachments.map(attachment =>
+    fs.promises.rm(filePath(attachment), { force: true })));
+
+  /**
+   * Save the files of a multipart/form-data request, at most `maxFiles` of
+   * them. Resolves to { attachments }, or { status, error, details } when
+   * the upload is refused, in which case nothing is kept.
+   */
+  const receive = async (req, { maxFiles = MAX_FILES_PER_UPLOAD } = {}) => {
+    if (!req.is('multipart/form-data')) {
+      return { status: 415, error: 'Upload files as multipart/form-data' };
+    }
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const refusals = []; // { status, field, message }
+    const saved = [];
+    let accepted = 0;
+    const form = formidable({
+      uploadDir: dir,
+      enabledPlugins: ['multipart'],
+      // Caps the upload as a whole while it streams; each file is checked once it is in
+      maxFileSize: maxBytes * maxFiles,
+      filename: () => crypto.randomUUID(),
+      filter: (part) => {
+        const type = part.mimetype || 'application/octet-stream';
+        if (!isAllowedType(allowedTypes, type)) {
+          refusals.push({ status: 415, field: part.originalFilename, message: `${type} files are not allowed` });
+          return false;
+        }
+        if (accepted >= maxFiles) {
+          refusals.push({ status: 413, field: part.originalFilename, message: `At most ${maxFiles} files can be attached` });
+          return false;
+        }
+        accepted++;
+        return true;
+      }
+    });
+    const started = [];
+    form.on('fileBegin', (name, file) => started.push(file.filepath));
+    form.on('file', (name, file) => saved.push(file));
+
+    try {
+      await new Promise((resolve, reject) => form.parse(req, error => error ? reject(error) : resolve()));
+    } catch (error) {
+      // formidable stops writing but leaves the files it started behind
+      await Promise.all(started.map(file => fs.promises.rm(file, { force: true })));
+      if (error.httpCode === 413) {
+        return { status: 413, error: `Files must be at most ${maxBytes} bytes each` };
+      }
+      if (error.httpCode === 400) return { status: 400, error: 'Malformed multipart upload' };
+      throw error;
+    }
+
+    saved.forEach(file => {
+      if (file.size > maxBytes) {
+        refusals.push({ status: 413, field: file.originalFilename, message: `Files must be at most ${maxBytes} bytes` });
+      } else if (file.size === 0) {
+        refusals.push({ status: 400, field: file.originalFilename, message: 'File is empty' });
+      }
+    });
+
+    const attachments = saved.map(file => ({
+      id: file.newFilename,
+      filename: cleanFilename(file.originalFilename),
+      contentType: file.mimetype,
+      size: file.size,
+      createdAt: new Date()
+    }));
+
+    if (refusals.length > 0 || attachments.length === 0) {
+      await remove(attachments);
+      return refusals.length > 0
+        ? {
+            status: refusals[0].status,
+            error: 'Upload refused',
+            details: refusals.map(({ field, message }) => ({ field, message }))
+          }
+        : { status: 400, error: 'No files uploaded' };
+    }
+    return { attachments };
+  };
+
+  return {
+    maxBytes,
+    allowedTypes,
+    receive,
+    remove,
+    filePath
+  };
+};
+
+module.exports = {
+  DEFAULT_MAX_BYTES,
+  DEFAULT_TYPES,
+  MAX_FILES_PER_UPLOAD,
+  MAX_ATTACHMENTS,
+  isAllowedType,
+  cleanFilename,
+  attachmentsOf,
+  createAttachmentStore
+};
@@ -0,0 +1,189 @@
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+const MAX_AUDIT_LIMIT = 100;
+
+// Bookkeeping fields that change on every write and say nothing about the edit
+const IGNORED_FIELDS = ['id', 'version', 'ownerId', 'updatedAt'];
+
+const sameValue = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+/**
+ * Compare two versions of a record. Returns { field: { from, to } } for
+ * every field whose value changed; `before` is null for a new record.
+ */
+const diffRecords = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = {};
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.includes(field)) return;
+    const from = before && before[field] !== undefined ? before[field] : null;
+    const to = after && after[field] !== undefined ? after[field] : null;
+    if (!sameValue(from, to)) changes[field] = { from, to };
+  });
+  return changes;
+};
+
+// Soft deletes and restores reach the repository as updates of deletedAt
+const updateAction = (before, after) => {
+  if (!before.deletedAt && after.deletedAt) return 'delete';
+  if (before.deletedAt && !after.deletedAt) return 'restore';
+  return 'update';
+};
+
+/**
+ * Wrap a repository so every create, update and delete appends an entry to
+ * `log`: { recordId, ownerId, recordVersion, action, actor, at, changes }.
+ * Inside a transaction entries are held back and only written once the
+ * transaction commits, so a rolled-back change leaves no history behind.
+ *
+ * `onChange(entry, record)` is called for each entry after it is written,
+ * with the record as it is after the change (as it was, for a purge).
+ */
+const auditRepository = (repo, options, pending = null) => {
+  const { log, actor, onChange = () => {} } = options;
+
+  const write = async (changes) => {
+    if (changes.length === 0) return;
+    const written = [];
+    await log.transaction(async (inner) => {
+      for (const change of changes) {
+        written.push({ entry: await inner.create(change.entry), record: change.record });
+      }
+    });
+    written.forEach(({ entry, record }) => onChange(entry, record));
+  };
+
+  const record = async (action, before, after) => {
+    const current = after || before;
+    const entry = {
+      recordId: current.id,
+      ownerId: current.ownerId,
+      recordVersion: after ? after.version : before.version,
+      action,
+      actor,
+      at: new Date(),
+      changes: diffRecords(before, after)
+    };
+
+    const change = { entry, record: current };
+    if (pending) {
+      pending.push(change);
+    } else {
+      await write([change]);
+    }
+  };
+
+  return {
+    name: repo.name,
+
+    list: () => repo.list(),
+
+    get: (id) => repo.get(id),
+
+    create: async (fields) => {
+      const created = await repo.create(fields);
+      await record('create', null, created);
+      return created;
+    },
+
+    update: async (id, changes) => {
+      const before = await repo.get(id);
+      const updated = await repo.update(id, changes);
+      if (updated) await record(updateAction(before, updated), before, updated);
+      return updated;
+    },
+
+    delete: async (id) => {
+      const deleted = await repo.delete(id);
+      if (deleted) await record('purge', deleted, null);
+      return deleted;
+    },
+
+    transaction: async (work) => {
+      const changes = [];
+      const result = await repo.transaction(inner => work(auditRepository(inner, options, changes)));
+      await write(changes);
+      return result;
+    }
+  };
+};
+
+/**
+ * Rebuild a record as it was at `version` by replaying its history in order.
+ * Returns null when the history has no entry for that version.
+ */
+const stateAt = (entries, version) => {
+  const ordered = [...entries].sort((a, b) => a.recordVersion - b.recordVersion || a.id - b.id);
+  if (!ordered.some(entry => entry.recordVersion === version)) return null;
+
+  const state = {};
+  ordered
+    .filter(entry => entry.recordVersion <= version)
+    .forEach(entry => {
+      Object.keys(entry.changes).forEach(field => {
+        state[field] = entry.changes[field].to;
+      });
+    });
+  return state;
+};
+
+/**
+ * Parse and validate GET /api/audit query parameters.
+ * Returns { options } on success or { error } describing the first bad parameter.
+ */
+const parseAuditQuery = (query = {}) => {
+  const options = { limit: MAX_AUDIT_LIMIT };
+
+  if (query.todoId !== undefined) {
+    const todoId = Number(query.todoId);
+    if (!Number.isInteger(todoId) || todoId < 1) return { error: 'todoId must be a todo id' };
+    options.recordId = todoId;
+  }
+
+  if (query.action !== undefined) {
+    if (!AUDIT_ACTIONS.includes(query.action)) {
+      return { error: `action must be one of ${AUDIT_ACTIONS.join(', ')}` };
+    }
+    options.action = query.action;
+  }
+
+  for (const field of ['since', 'until']) {
+    if (query[field] !== undefined) {
+      const date = new Date(query[field]);
+      if (typeof query[field] !== 'string' || isNaN(date.getTime())) {
+        return { error: `${field} must be an ISO 8601 date` };
+      }
+      options[field] = date;
+    }
+  }
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_AUDIT_LIMIT) {
+      return { error: `limit must be an integer between 1 and ${MAX_AUDIT_LIMIT}` };
+    }
+    options.limit = limit;
+  }
+
+  return { options };
+};
+
+// Newest first
+const filterAuditEntries = (entries, { recordId, action, since, until, limit } = {}) =>
+  entries
+    .filter(entry =>
+      (recordId === undefined || entry.recordId === recordId) &&
+      (!action || entry.action === action) &&
+      (!since || entry.at >= since) &&
+      (!until || entry.at <= until)
+    )
+    .sort((a, b) => b.at - a.at || b.id - a.id)
+    .slice(0, limit);
+
+module.exports = {
+  AUDIT_ACTIONS,
+  diffRecords,
+  auditRepository,
+  stateAt,
+  parseAuditQuery,
+  filterAuditEntries
+};
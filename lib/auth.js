@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const KEY_LENGTH = 64;
+
+// Stored as scrypt$<salt>$<hash>, both hex encoded
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// Only a hash of each token is stored, so a leaked session file grants nothing
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const validateCredentials = ({ username, password } = {}) => {
+  const errors = [];
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    errors.push({ field: 'username', message: 'username must be 3-32 letters, digits, dots, dashes or underscores' });
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    errors.push({ field: 'password', message: `password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  return errors;
+};
+
+const publicUser = (user) => ({ id: user.id, username: user.username, createdAt: user.createdAt });
+
+/**
+ * Accounts and bearer-token sessions on top of two repositories.
+ * register/login resolve to { user, token } or { status, error, details }.
+ */
+const createAuth = ({ users, sessions, tokenTtl = TOKEN_TTL_MS }) => {
+  const findUser = async (username) =>
+    (await users.list()).find(user => user.username.toLowerCase() === username.toLowerCase());
+
+  // Registrations check and take usernames one at a time, so "bob" and "BOB" can't both get in
+  let claiming = Promise.resolve();
+  const claimUsername = (work) => {
+    const result = claiming.then(work);
+    claiming = result.catch(() => {});
+    return result;
+  };
+
+  // Logins with an unknown username or a password that isn't a string are checked against this,
+  // so they take as long to refuse as a wrong password
+  let dummyHash;
+
+  const startSession = async (user) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    await sessions.create({
+      tokenHash: hashToken(token),
+      userId: user.id,
+      createdAt: new Date(),
+      expiresAt: new Date(Date.now() + tokenTtl)
+    });
+    return { user: publicUser(user), token };
+  };
+
+  const register = async (credentials) => {
+    const details = validateCredentials(credentials);
+    if (details.length > 0) {
+      return { status: 400, error: 'Validation failed', details };
+    }
+    if (await findUser(credentials.username)) {
+      return { status: 409, error: 'Username is already taken' };
+    }
+
+    const passwordHash = await hashPassword(credentials.password);
+    // Checked again: another registration may have taken the name while the password was hashed
+    const user = await claimUsername(async () => (await findUser(credentials.username))
+      ? null
+      : users.create({ username: credentials.username, passwordHash, createdAt: new Date() }));
+    if (!user) {
+      return { status: 409, error: 'Username is already taken' };
+    }
+    return startSession(user);
+  };
+
+  const login = async ({ username, password } = {}) => {
+    const user = typeof username === 'string' ? await findUser(username) : null;
+    if (!user || typeof password !== 'string') {
+      dummyHash = dummyHash || hashPassword(crypto.randomBytes(16).toString('hex'));
+      await verifyPassword(String(password), await dummyHash);
+      return { status: 401, error: 'Invalid username or password' };
+    }
+    if (!(await verifyPassword(password, user.passwordHash))) {
+      return { status: 401, error: 'Invalid username or password' };
+    }
+    return startSession(user);
+  };
+
+  const findSession = async (token) => {
+    const tokenHash = hashToken(token);
+    const session = (await sessions.list()).find(candidate => candidate.tokenHash === tokenHash);
+    if (session && new Date(session.expiresAt) <= new Date()) {
+      await sessions.delete(session.id);
+      return null;
+    }
+    return session || null;
+  };
+
+  const logout = async (token) => {
+    const session = await findSession(token);
+    if (session) await sessions.delete(session.id);
+  };
+
+  // Express middleware: sets req.user and req.token, or answers 401
+  const requireAuth = async (req, res, next) => {
+    try {
+      const [scheme, token] = (req.get('Authorization') || '').split(' ');
+      const session = scheme === 'Bearer' && token ? await findSession(token) : null;
+      const user = session ? await users.get(session.userId) : null;
+
+      if (!user) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({
+          success: false,
+          error: 'Authentication required'
+        });
+      }
+
+      req.user = publicUser(user);
+      req.token = token;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  return { register, login, logout, requireAuth };
+};
+
+module.exports = {
+  createAuth,
+  hashPassword,
+  verifyPassword,
+  validateCredentials
+};
@@ -0,0 +1,63 @@
+/**
+ * Clocks for code that waits: { now(), setTimeout(fn, ms), clearTimeout(timer) }.
+ * The scheduler takes one so tests can move time forward themselves instead
+ * of waiting for it.
+ */
+
+// Real time; timers do not keep the process alive
+const systemClock = {
+  now: () => new Date(),
+  setTimeout: (fn, ms) => {
+    const timer = setTimeout(fn, ms);
+    if (timer.unref) timer.unref();
+    return timer;
+  },
+  clearTimeout: (timer) => clearTimeout(timer)
+};
+
+/**
+ * A clock that only moves when told to. `advance(ms)` moves it forward and
+ * runs, in order, every timer that came due on the way, awaiting each one.
+ */
+const createManualClock = (start = new Date()) => {
+  let current = new Date(start).getTime();
+  let timers = [];
+  let nextTimerId = 1;
+
+  const clock = {
+    now: () => new Date(current),
+
+    setTimeout: (fn, ms) => {
+      const timer = { id: nextTimerId++, at: current + Math.max(0, ms || 0), fn };
+      timers.push(timer);
+      return timer.id;
+    },
+
+    clearTimeout: (id) => {
+      timers = timers.filter(timer => timer.id !== id);
+    },
+
+    advance: async (ms = 0) => {
+      const target = current + ms;
+      for (;;) {
+        const due = timers
+          .filter(timer => timer.at <= target)
+          .sort((a, b) => a.at - b.at || a.id - b.id)[0];
+        if (!due) break;
+        timers = timers.filter(timer => timer !== due);
+        current = Math.max(current, due.at);
+        await due.fn();
+      }
+      current = target;
+    },
+
+    // Timers still waiting, for assertions
+    pending: () => timers.length
+  };
+  return clock;
+};
+
+module.exports = {
+  systemClock,
+  createManualClock
+};
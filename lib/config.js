@@ -0,0 +1,301 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_TYPES, DEFAULT_MAX_BYTES } = require('./attachments');
+const { DEFAULT_MAX_DEPTH, DEFAULT_MAX_COMPLEXITY } = require('./graphql');
+const { DEFAULT_TIMEOUT_MS: DEFAULT_HEALTH_TIMEOUT_MS, DEFAULT_EVENT_LOOP_MS, DEFAULT_MEMORY_RATIO } = require('./health');
+const { LEVELS, FORMATS, REDACTED } = require('./logger');
+const { SAMPLERS } = require('./tracing');
+const { DEFAULT_MAX_ATTEMPTS, DEFAULT_RETRY_BASE_MS } = require('./webhooks');
+
+/**
+ * Application settings, merged in layers where each overrides the one
+ * before: the defaults in SCHEMA, config/<environment>.json, environment
+ * variables, then command-line flags (`node server.js --server.port=4000`).
+ * The environment is `--env`, NODE_ENV or development.
+ *
+ * Every setting is checked against SCHEMA once merged. loadConfig throws
+ * one error listing every problem (`error.problems`), so a misconfigured
+ * server refuses to start rather than failing later.
+ */
+
+const ENVIRONMENTS = ['development', 'test', 'staging', 'production'];
+const CONFIG_DIR = path.join(__dirname, '..', 'config');
+
+/**
+ * Each type turns the text of an environment variable or flag into a value
+ * (`parse`), and says what is wrong with a value (`check`) or returns null.
+ * Values from config files must already have the right JSON type.
+ */
+const TYPES = {
+  string: {
+    parse: (text) => text,
+    check: (value) => typeof value === 'string' ? null : 'must be a string'
+  },
+  integer: {
+    parse: (text) => /^-?\d+$/.test(text.trim()) ? Number(text) : text,
+    check: (value) => Number.isInteger(value) ? null : 'must be an integer'
+  },
+  number: {
+    parse: (text) => text.trim() !== '' && !Number.isNaN(Number(text)) ? Number(text) : text,
+    check: (value) => typeof value === 'number' && Number.isFinite(value) ? null : 'must be a number'
+  },
+  boolean: {
+    parse: (text) => ({ true: true, false: false, 1: true, 0: false })[text.trim().toLowerCase()] ?? text,
+    check: (value) => typeof value === 'boolean' ? null : 'must be true or false'
+  },
+  // Comma-separated in variables and flags
+  list: {
+    parse: (text) => text.split(',').map(item => item.trim()).filter(Boolean),
+    check: (value) => Array.isArray(value) && value.every(item => typeof item === 'string') ? null : 'must be a list of strings'
+  },
+  // "key1=value1,key2=value2" in variables and flags, values URL-encoded
+  map: {
+    parse: (text) => Object.fromEntries(text.split(',').filter(Boolean)
+      .map(pair => pair.split('=').map(part => decodeURIComponent(part.trim())))),
+    check: (value) => value && typeof value === 'object' && !Array.isArray(value) &&
+      Object.values(value).every(item => typeof item === 'string')
+      ? null
+      : 'must be an object of strings'
+  },
+  url: {
+    parse: (text) => text,
+    check: (value) => {
+      try {
+        return ['http:', 'https:'].includes(new URL(value).protocol) ? null : 'must be an http(s) URL';
+      } catch (error) {
+        return 'must be an http(s) URL';
+      }
+    }
+  },
+  date: {
+    parse: (text) => text,
+    check: (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? null : 'must be a date, such as 2027-04-30T00:00:00Z'
+  },
+  // As body-parser takes it: 100kb, 1mb
+  size: {
+    parse: (text) => text,
+    check: (value) => typeof value === 'string' && /^\d+(b|kb|mb)$/i.test(value) ? null : 'must be a size such as 100kb or 1mb'
+  }
+};
+
+/**
+ * Every setting: { type, default, env (the variable that sets it), min,
+ * max, values (allowed values, or list items), optional (may be null),
+ * secret (never shown) }. Paths are relative to the project root.
+ */
+const SCHEMA = {
+  server: {
+    port: { type: 'integer', min: 0, max: 65535, default: 3000, env: 'PORT' },
+    bodyLimit: { type: 'size', default: '100kb', env: 'BODY_LIMIT' },
+    staticDir: { type: 'string', default: 'public', env: 'STATIC_DIR' }
+  },
+  cors: {
+    origins: { type: 'list', default: [], env: 'CORS_ORIGINS' }
+  },
+  rateLimit: {
+    windowMs: { type: 'integer', min: 1000, default: 15 * 60 * 1000, env: 'RATE_LIMIT_WINDOW_MS' },
+    max: { type: 'integer', min: 1, default: 100, env: 'RATE_LIMIT_MAX' }
+  },
+  storage: {
+    driver: { type: 'string', values: ['memory', 'file'], default: 'memory', env: 'STORAGE_DRIVER' },
+    dir: { type: 'string', default: 'data', env: 'STORAGE_DIR' },
+    // The todo file, when it is not <dir>/todos.jsonl
+    file: { type: 'string', optional: true, default: null, env: 'STORAGE_FILE' }
+  },
+  trash: {
+    retentionDays: { type: 'number', min: 0, default: 30, env: 'TRASH_RETENTION_DAYS' }
+  },
+  attachments: {
+    dir: { type: 'string', default: 'uploads', env: 'UPLOADS_DIR' },
+    maxMb: { type: 'number', min: 0.001, default: DEFAULT_MAX_BYTES / 1024 / 1024, env: 'ATTACHMENT_MAX_MB' },
+    types: { type: 'list', default: DEFAULT_TYPES, env: 'ATTACHMENT_TYPES' }
+  },
+  webhooks: {
+    maxAttempts: { type: 'integer', min: 1, default: DEFAULT_MAX_ATTEMPTS, env: 'WEBHOOK_MAX_ATTEMPTS' },
+    retryBaseMs: { type: 'integer', min: 1, default: DEFAULT_RETRY_BASE_MS, env: 'WEBHOOK_RETRY_BASE_MS' }
+  },
+  reminders: {
+    leadMinutes: { type: 'number', min: 0, default: 60, env: 'REMINDER_LEAD_MINUTES' },
+    channels: { type: 'list', values: ['push', 'webhook', 'log'], default: ['push', 'webhook'], env: 'REMINDER_CHANNELS' }
+  },
+  graphql: {
+    maxDepth: { type: 'integer', min: 1, default: DEFAULT_MAX_DEPTH, env: 'GRAPHQL_MAX_DEPTH' },
+    maxComplexity: { type: 'integer', min: 1, default: DEFAULT_MAX_COMPLEXITY, env: 'GRAPHQL_MAX_COMPLEXITY' },
+    introspection: { type: 'boolean', default: true, env: 'GRAPHQL_INTROSPECTION' }
+  },
+  api: {
+    v1DeprecatedAt: { type: 'date', default: '2026-10-19T00:00:00Z', env: 'API_V1_DEPRECATED_AT' },
+    v1Sunset: { type: 'date', default: '2027-04-30T00:00:00Z', env: 'API_V1_SUNSET' }
+  },
+  health: {
+    token: { type: 'string', optional: true, secret: true, default: null, env: 'HEALTH_TOKEN' },
+    checkTimeoutMs: { type: 'integer', min: 1, default: DEFAULT_HEALTH_TIMEOUT_MS, env: 'HEALTH_CHECK_TIMEOUT_MS' },
+    eventLoopDegradedMs: { type: 'integer', min: 1, default: DEFAULT_EVENT_LOOP_MS.degraded, env: 'HEALTH_EVENT_LOOP_DEGRADED_MS' },
+    eventLoopUnhealthyMs: { type: 'integer', min: 1, default: DEFAULT_EVENT_LOOP_MS.unhealthy, env: 'HEALTH_EVENT_LOOP_UNHEALTHY_MS' },
+    memoryDegradedRatio: { type: 'number', min: 0, max: 1, default: DEFAULT_MEMORY_RATIO.degraded, env: 'HEALTH_MEMORY_DEGRADED_RATIO' },
+    memoryUnhealthyRatio: { type: 'number', min: 0, max: 1, default: DEFAULT_MEMORY_RATIO.unhealthy, env: 'HEALTH_MEMORY_UNHEALTHY_RATIO' }
+  },
+  admin: {
+    token: { type: 'string', optional: true, secret: true, default: null, env: 'ADMIN_TOKEN' }
+  },
+  logging: {
+    level: { type: 'string', values: Object.keys(LEVELS), default: 'info', env: 'LOG_LEVEL' },
+    format: { type: 'string', values: FORMATS, default: 'json', env: 'LOG_FORMAT' },
+    redact: { type: 'list', default: [], env: 'LOG_REDACT' }
+  },
+  tracing: {
+    exporter: { type: 'string', values: ['none', 'console', 'otlp', 'memory'], default: 'none', env: 'OTEL_TRACES_EXPORTER' },
+    endpoint: { type: 'url', default: 'http://localhost:4318', env: 'OTEL_EXPORTER_OTLP_ENDPOINT' },
+    tracesEndpoint: { type: 'url', optional: true, default: null, env: 'OTEL_EXPORTER_OTLP_TRACES_ENDPOINT' },
+    headers: { type: 'map', secret: true, default: {}, env: 'OTEL_EXPORTER_OTLP_HEADERS' },
+    serviceName: { type: 'string', default: 'todo-api', env: 'OTEL_SERVICE_NAME' },
+    sampler: { type: 'string', values: SAMPLERS, default: 'parentbased_always_on', env: 'OTEL_TRACES_SAMPLER' },
+    samplerArg: { type: 'number', min: 0, max: 1, default: 1, env: 'OTEL_TRACES_SAMPLER_ARG' },
+    scheduleDelayMs: { type: 'integer', min: 0, default: 5000, env: 'OTEL_BSP_SCHEDULE_DELAY' }
+  }
+};
+
+// { 'server.port': spec, ... }
+const flatten = (tree, prefix = '') => Object.entries(tree).reduce((settings, [key, node]) => {
+  const name = `${prefix}${key}`;
+  return node.type ? { ...settings, [name]: node } : { ...settings, ...flatten(node, `${name}.`) };
+}, {});
+
+const SETTINGS = flatten(SCHEMA);
+
+// Plain objects in a config file are sections; anything else is a value
+const flattenValues = (tree, prefix = '') => Object.entries(tree).reduce((values, [key, value]) => {
+  const name = `${prefix}${key}`;
+  return value && typeof value === 'object' && !Array.isArray(value) && !(SETTINGS[name] && SETTINGS[name].type === 'map')
+    ? { ...values, ...flattenValues(value, `${name}.`) }
+    : { ...values, [name]: value };
+}, {});
+
+const checkValue = (spec, value) => {
+  if (value === null && spec.optional) return null;
+  const problem = TYPES[spec.type].check(value);
+  if (problem) return problem;
+  if (spec.min !== undefined && value < spec.min) return `must be at least ${spec.min}`;
+  if (spec.max !== undefined && value > spec.max) return `must be at most ${spec.max}`;
+  if (spec.values) {
+    const wrong = (Array.isArray(value) ? value : [value]).find(item => !spec.values.includes(item));
+    if (wrong !== undefined) return `must be one of ${spec.values.join(', ')}`;
+  }
+  return null;
+};
+
+// --server.port=4000, --server.port 4000 and --graphql.introspection (true) -> [[name, text], ...]
+const parseFlags = (argv) => {
+  const flags = [];
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--([^=]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!match) {
+      flags.push([null, argv[i]]);
+    } else if (match[2] !== undefined) {
+      flags.push([match[1], match[2]]);
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+      flags.push([match[1], argv[++i]]);
+    } else {
+      flags.push([match[1], 'true']);
+    }
+  }
+  return flags;
+};
+
+const setPath = (tree, name, value) => {
+  const keys = name.split('.');
+  const parent = keys.slice(0, -1).reduce((node, key) => (node[key] = node[key] || {}), tree);
+  parent[keys[keys.length - 1]] = value;
+  return tree;
+};
+
+const deepFreeze = (value) => {
+  if (value && typeof value === 'object') Object.values(Object.freeze(value)).forEach(deepFreeze);
+  return value;
+};
+
+/**
+ * Returns { env, settings, sources }: `settings` mirrors SCHEMA with
+ * the merged values (frozen), and `sources` says where each came from
+ * ("default", "file:config/production.json", "env:PORT", "flag:--server.port").
+ * Throws an error listing every invalid value in `problems`.
+ */
+const loadConfig = ({ env = process.env, argv = [], dir = CONFIG_DIR } = {}) => {
+  const problems = [];
+  const flags = parseFlags(argv);
+  const envFlag = flags.find(([name]) => name === 'env');
+  const environment = envFlag ? envFlag[1] : env.NODE_ENV || 'development';
+  if (!ENVIRONMENTS.includes(environment)) {
+    problems.push(`environment ${JSON.stringify(environment)} must be one of ${ENVIRONMENTS.join(', ')}`);
+  }
+
+  const values = {};
+  const sources = {};
+  const set = (name, value, source) => {
+    values[name] = value;
+    sources[name] = source;
+  };
+  // Copies, so freezing the settings leaves the modules' own defaults alone
+  Object.entries(SETTINGS).forEach(([name, spec]) => set(name, JSON.parse(JSON.stringify(spec.default)), 'default'));
+
+  const file = path.join(dir, `${environment}.json`);
+  const fileSource = `file:${path.relative(path.join(dir, '..'), file)}`;
+  if (ENVIRONMENTS.includes(environment) && fs.existsSync(file)) {
+    try {
+      Object.entries(flattenValues(JSON.parse(fs.readFileSync(file, 'utf8')))).forEach(([name, value]) => {
+        if (SETTINGS[name]) {
+          set(name, value, fileSource);
+        } else {
+          problems.push(`${fileSource.slice(5)}: unknown setting ${name}`);
+        }
+      });
+    } catch (error) {
+      problems.push(`${fileSource.slice(5)}: ${error.message}`);
+    }
+  }
+
+  Object.entries(SETTINGS).forEach(([name, spec]) => {
+    if (spec.env && env[spec.env] !== undefined && env[spec.env] !== '') {
+      set(name, TYPES[spec.type].parse(env[spec.env]), `env:${spec.env}`);
+    }
+  });
+
+  flags.filter(([name]) => name !== 'env').forEach(([name, text]) => {
+    if (!name) {
+      problems.push(`unexpected argument ${text}`);
+    } else if (!SETTINGS[name]) {
+      problems.push(`unknown flag --${name}`);
+    } else {
+      set(name, TYPES[SETTINGS[name].type].parse(text), `flag:--${name}`);
+    }
+  });
+
+  Object.entries(SETTINGS).forEach(([name, spec]) => {
+    const problem = checkValue(spec, values[name]);
+    if (problem) {
+      const shown = spec.secret ? '' : `, got ${JSON.stringify(values[name])}`;
+      problems.push(`${name} (${sources[name]}) ${problem}${shown}`);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw Object.assign(new Error(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`), { problems });
+  }
+
+  const settings = Object.entries(values).reduce((tree, [name, value]) => setPath(tree, name, value), {});
+  return { env: environment, settings: deepFreeze(settings), sources };
+};
+
+// `settings` with every secret that is set shown as "[REDACTED]"
+const redactConfig = (settings) => Object.entries(SETTINGS).reduce((tree, [name, spec]) => {
+  const value = name.split('.').reduce((node, key) => node[key], settings);
+  const empty = value === null || (spec.type === 'map' && Object.keys(value).length === 0);
+  return setPath(tree, name, spec.secret && !empty ? REDACTED : value);
+}, {});
+
+module.exports = {
+  ENVIRONMENTS,
+  SCHEMA,
+  loadConfig,
+  redactConfig
+};
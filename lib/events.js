@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const DEFAULT_HISTORY_SIZE = 1000;
+
+// Event type published for each audit action
+const TODO_EVENT_TYPES = {
+  create: 'todo.created',
+  update: 'todo.updated',
+  delete: 'todo.deleted',
+  restore: 'todo.restored',
+  purge: 'todo.purged'
+};
+
+// Sent when a todo's due date is coming up (see lib/reminders.js)
+const REMINDER_EVENT = 'todo.reminder';
+
+/**
+ * In-process publish/subscribe for change events. Every event gets an id,
+ * "<bootId>-<n>" with n increasing, and belongs to one owner; subscribers
+ * only see their own owner's events. The last `historySize` events are kept
+ * so a client that reconnects can replay what it missed (SSE Last-Event-ID).
+ * `bootId` tells this process's ids from those of an earlier one.
+ */
+const createEventBus = ({ historySize = DEFAULT_HISTORY_SIZE, bootId = crypto.randomBytes(4).toString('hex') } = {}) => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  const history = [];
+  let nextSequence = 1;
+
+  const publish = (ownerId, type, data) => {
+    const sequence = nextSequence++;
+    const event = { id: `${bootId}-${sequence}`, sequence, ownerId, type, data, at: new Date() };
+    history.push(event);
+    if (history.length > historySize) history.shift();
+    emitter.emit('event', event);
+    return event;
+  };
+
+  /**
+   * Events for `ownerId` published after the one with id `lastId`, oldest
+   * first. Returns null when some of them have already been dropped from
+   * the history, or `lastId` is unknown or comes from before a restart, in
+   * which case the client has to reload instead.
+   */
+  const since = (ownerId, lastId) => {
+    const match = /^(.+)-(\d+)$/.exec(String(lastId));
+    if (!match || match[1] !== bootId) return null;
+    const lastSequence = parseInt(match[2]);
+    if (lastSequence >= nextSequence) return null;
+    const oldest = history.length > 0 ? history[0].sequence : nextSequence;
+    if (lastSequence + 1 < oldest) return null;
+    return history.filter(event => event.sequence > lastSequence && event.ownerId === ownerId);
+  };
+
+  // Returns a function that removes the listener
+  const subscribe = (ownerId, listener) => {
+    const handler = (event) => {
+      if (event.ownerId === ownerId) listener(event);
+    };
+    emitter.on('event', handler);
+    return () => emitter.off('event', handler);
+  };
+
+  return {
+    publish,
+    since,
+    subscribe,
+    subscriberCount: () => emitter.listenerCount('event')
+  };
+};
+
+module.exports = {
+  TODO_EVENT_TYPES,
+  REMINDER_EVENT,
+  createEventBus
+};
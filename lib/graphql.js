@@ -0,0 +1,350 @@
+const {
+  GraphQLError,
+  Kind,
+  NoSchemaIntrospectionCustomRule,
+  buildSchema,
+  execute,
+  getNamedType,
+  getNullableType,
+  getOperationAST,
+  isListType,
+  isObjectType,
+  parse,
+  specifiedRules,
+  validate
+} = require('graphql');
+
+const DEFAULT_MAX_DEPTH = 8;
+const DEFAULT_MAX_COMPLEXITY = 1000;
+// A list field is assumed to return this many items unless it takes a `limit`
+const LIST_COST_FACTOR = 10;
+
+const typeDefs = `
+  "ISO 8601 date-time"
+  scalar DateTime
+
+  enum Priority { low medium high }
+  enum SortField { createdAt updatedAt text }
+  enum SortOrder { asc desc }
+
+  type List {
+    id: Int!
+    name: String!
+  }
+
+  type Recurrence {
+    freq: String!
+    interval: Int!
+    byDay: [String!]
+    byMonthDay: Int
+    "Occurrences left, including this one"
+    count: Int
+    until: DateTime
+  }
+
+  type Todo {
+    id: Int!
+    text: String!
+    completed: Boolean!
+    dueDate: DateTime
+    priority: Priority!
+    tags: [String!]!
+    notes: String!
+    parentId: Int
+    listId: Int
+    "Completing the todo creates the next occurrence"
+    recurrence: Recurrence
+    "The first todo of the series this one repeats"
+    seriesId: Int
+    version: Int!
+    createdAt: DateTime!
+    updatedAt: DateTime
+    "Set while the todo is in the trash"
+    deletedAt: DateTime
+    parent: Todo
+    children: [Todo!]!
+    list: List
+  }
+
+  type TodoPage {
+    items: [Todo!]!
+    "All matches, across pages"
+    total: Int!
+    "Pass as cursor to get the next page; null on the last page"
+    nextCursor: String
+  }
+
+  type PriorityCounts {
+    low: Int!
+    medium: Int!
+    high: Int!
+  }
+
+  type ListCounts {
+    "null for todos without a list"
+    id: Int
+    name: String!
+    total: Int!
+    completed: Int!
+    pending: Int!
+  }
+
+  type ParentProgress {
+    id: Int!
+    text: String!
+    total: Int!
+    completed: Int!
+    progress: Float!
+  }
+
+  type Stats {
+    total: Int!
+    completed: Int!
+    pending: Int!
+    overdue: Int!
+    completionRate: Float!
+    byPriority: PriorityCounts!
+    byList: [ListCounts!]!
+    parents: [ParentProgress!]!
+  }
+
+  "Fields of a todo; text is required when creating one"
+  input TodoInput {
+    text: String
+    completed: Boolean
+    "ISO 8601 date or date-time; a bare date means the end of that day (UTC)"
+    dueDate: String
+    priority: Priority
+    tags: [String!]
+    notes: String
+    parentId: Int
+    listId: Int
+    "RRULE subset such as FREQ=WEEKLY;BYDAY=MO,FR; null stops the todo recurring"
+    recurrence: String
+  }
+
+  type Query {
+    "Same filters as GET /api/todos; listId takes a list id or none"
+    todos(
+      completed: Boolean
+      search: String
+      overdue: Boolean
+      priority: Priority
+      tag: String
+      listId: ID
+      sort: SortField
+      order: SortOrder
+      limit: Int
+      cursor: String
+    ): TodoPage!
+    todo(id: Int!): Todo
+    stats: Stats!
+  }
+
+  type Mutation {
+    createTodo(input: TodoInput!): Todo!
+    "expectedVersion works like If-Match"
+    updateTodo(id: Int!, input: TodoInput!, expectedVersion: Int): Todo!
+    toggleTodo(id: Int!, expectedVersion: Int): Todo!
+    "Moves the todo to the trash; cascade also moves its subtasks"
+    deleteTodo(id: Int!, cascade: Boolean = false, expectedVersion: Int): Todo!
+  }
+`;
+
+const serializeDate = (value) => new Date(value).toISOString();
+
+/**
+ * Build the executable schema. `resolvers` is { TypeName: { field: fn } }
+ * with graphql-js resolver signatures (source, args, context, info).
+ */
+const createGraphQLSchema = (resolvers) => {
+  const schema = buildSchema(typeDefs);
+  Object.assign(schema.getType('DateTime'), {
+    serialize: serializeDate,
+    parseValue: serializeDate
+  });
+  Object.entries(resolvers).forEach(([typeName, fields]) => {
+    const type = schema.getType(typeName);
+    Object.entries(fields).forEach(([fieldName, resolve]) => {
+      type.getFields()[fieldName].resolve = resolve;
+    });
+  });
+  return schema;
+};
+
+// Errors resolvers throw on purpose; anything else is reported as an internal error
+const graphQLError = (message, code, details) =>
+  new GraphQLError(message, { extensions: details ? { code, details } : { code } });
+
+const limitArgument = (node, variables) => {
+  const argument = (node.arguments || []).find(arg => arg.name.value === 'limit');
+  if (!argument) return null;
+  let value = null;
+  if (argument.value.kind === Kind.INT) value = parseInt(argument.value.value);
+  if (argument.value.kind === Kind.VARIABLE) value = variables[argument.value.name.value];
+  // Limits below 1 are refused when the field resolves, but must not shrink the estimate first
+  return Number.isInteger(value) ? Math.max(1, value) : null;
+};
+
+/**
+ * Depth and cost of a selection set. Every field costs 1; the selection of a
+ * list field counts once per expected item: its own `limit`, the `limit` of
+ * the field it is a page of (todos(limit) { items }), or LIST_COST_FACTOR.
+ * Introspection fields are not counted.
+ */
+const measure = (context, selectionSet, parentType, variables, fragmentsSeen = new Set(), pageSize = null) => {
+  let depth = 0;
+  let cost = 0;
+
+  selectionSet.selections.forEach(selection => {
+    let result = { depth: 0, cost: 0 };
+
+    if (selection.kind === Kind.FIELD) {
+      const name = selection.name.value;
+      const field = isObjectType(parentType) && parentType.getFields()[name];
+      if (name.startsWith('__') || !field) return;
+
+      const limit = limitArgument(selection, variables);
+      const child = selection.selectionSet
+        ? measure(context, selection.selectionSet, getNamedType(field.type), variables, fragmentsSeen, limit)
+        : { depth: 0, cost: 0 };
+      const multiplier = isListType(getNullableType(field.type))
+        ? limit || pageSize || LIST_COST_FACTOR
+        : 1;
+      result = { depth: child.depth + 1, cost: 1 + child.cost * multiplier };
+    } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+      const type = selection.typeCondition ? context.getSchema().getType(selection.typeCondition.name.value) : parentType;
+      result = measure(context, selection.selectionSet, type, variables, fragmentsSeen, pageSize);
+    } else if (selection.kind === Kind.FRAGMENT_SPREAD) {
+      const name = selection.name.value;
+      const fragment = context.getFragment(name);
+      if (!fragment || fragmentsSeen.has(name)) return; // cycles are reported by the standard rules
+      const type = context.getSchema().getType(fragment.typeCondition.name.value);
+      result = measure(context, fragment.selectionSet, type, variables, new Set([...fragmentsSeen, name]), pageSize);
+    }
+
+    depth = Math.max(depth, result.depth);
+    cost += result.cost;
+  });
+
+  return { depth, cost };
+};
+
+const limitsRule = ({ maxDepth, maxComplexity, variables }) => (context) => ({
+  OperationDefinition (node) {
+    const rootType = node.operation === 'mutation' ? context.getSchema().getMutationType() : context.getSchema().getQueryType();
+    const { depth, cost } = measure(context, node.selectionSet, rootType, variables);
+    if (depth > maxDepth) {
+      context.reportError(new GraphQLError(`Query depth ${depth} exceeds the limit of ${maxDepth}`, {
+        nodes: [node],
+        extensions: { code: 'QUERY_TOO_DEEP' }
+      }));
+    }
+    if (cost > maxComplexity) {
+      context.reportError(new GraphQLError(`Query complexity ${cost} exceeds the limit of ${maxComplexity}`, {
+        nodes: [node],
+        extensions: { code: 'QUERY_TOO_COMPLEX' }
+      }));
+    }
+  }
+});
+
+/**
+ * Parse and validate a query. Returns { document } or { errors } (the
+ * standard GraphQL rules, the depth and complexity limits, and no
+ * introspection unless `introspection` is set).
+ */
+const prepareQuery = (schema, query, {
+  variables = {},
+  maxDepth = DEFAULT_MAX_DEPTH,
+  maxComplexity = DEFAULT_MAX_COMPLEXITY,
+  introspection = true
+} = {}) => {
+  let document;
+  try {
+    document = parse(query);
+  } catch (error) {
+    return { errors: [error] };
+  }
+
+  const rules = [...specifiedRules, limitsRule({ maxDepth, maxComplexity, variables })];
+  if (!introspection) rules.push(NoSchemaIntrospectionCustomRule);
+
+  const errors = validate(schema, document, rules);
+  return errors.length > 0 ? { errors } : { document };
+};
+
+// Errors a resolver threw by accident, as opposed to the GraphQLErrors it meant to return
+const isInternalError = (error) => Boolean(error.originalError) && !(error.originalError instanceof GraphQLError);
+
+const formatError = (error) => {
+  if (isInternalError(error)) {
+    return { message: 'Internal server error', locations: error.locations, path: error.path, extensions: { code: 'INTERNAL_SERVER_ERROR' } };
+  }
+  return error.toJSON();
+};
+
+/**
+ * Express handler for GraphQL over HTTP. Takes { query, variables,
+ * operationName } as a JSON body (POST) or query string (GET, queries only).
+ * Malformed or invalid requests get 400; otherwise the response is 200 with
+ * `data` and any resolver `errors`. The Express request is the context.
+ * Internal errors reach clients only as "Internal server error"; the real
+ * error goes to `onError(error, req)`.
+ */
+const createGraphQLHandler = (schema, { onError = () => {}, ...options } = {}) => async (req, res, next) => {
+  try {
+    const params = req.method === 'GET' ? req.query : req.body || {};
+    let variables = params.variables || {};
+    if (typeof variables === 'string') {
+      try {
+        variables = JSON.parse(variables);
+      } catch (error) {
+        return res.status(400).json({ errors: [{ message: 'variables must be a JSON object' }] });
+      }
+    }
+
+    if (typeof params.query !== 'string' || !params.query.trim()) {
+      return res.status(400).json({ errors: [{ message: 'query must be a non-empty string' }] });
+    }
+
+    const { document, errors } = prepareQuery(schema, params.query, { ...options, variables });
+    if (errors) {
+      return res.status(400).json({ errors: errors.map(formatError) });
+    }
+
+    const operation = getOperationAST(document, params.operationName);
+    if (!operation) {
+      return res.status(400).json({ errors: [{ message: 'operationName must name one of the operations in query' }] });
+    }
+    if (req.method === 'GET' && operation.operation !== 'query') {
+      res.set('Allow', 'POST');
+      return res.status(405).json({ errors: [{ message: 'Mutations must be sent with POST' }] });
+    }
+
+    const result = await execute({
+      schema,
+      document,
+      variableValues: variables,
+      operationName: params.operationName,
+      contextValue: req
+    });
+
+    (result.errors || []).filter(isInternalError).forEach(error => onError(error.originalError, req));
+    res.json({
+      ...(result.errors ? { errors: result.errors.map(formatError) } : {}),
+      data: result.data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  DEFAULT_MAX_DEPTH,
+  DEFAULT_MAX_COMPLEXITY,
+  createGraphQLSchema,
+  createGraphQLHandler,
+  graphQLError,
+  prepareQuery
+};
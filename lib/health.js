@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const v8 = require('v8');
+const { monitorEventLoopDelay } = require('perf_hooks');
+
+/**
+ * Health checks for /health/ready and /health.
+ *
+ * A check is an async function resolving to { status, message, details }
+ * (or nothing, meaning healthy) where status is one of HEALTH_STATES. A
+ * check that throws or takes longer than its timeout is unhealthy. The
+ * overall state is the worst one, except that a non-critical check can at
+ * most make the service degraded: it still serves, with less.
+ */
+
+const HEALTH_STATES = ['healthy', 'degraded', 'unhealthy'];
+const DEFAULT_TIMEOUT_MS = 2000;
+const DEFAULT_EVENT_LOOP_MS = { degraded: 200, unhealthy: 1000 };
+const DEFAULT_MEMORY_RATIO = { degraded: 0.85, unhealthy: 0.95 };
+
+const worst = (states) => states.reduce((current, state) =>
+  HEALTH_STATES.indexOf(state) > HEALTH_STATES.indexOf(current) ? state : current, 'healthy');
+
+// Runs `check`, turning errors and timeouts into an unhealthy result
+const runCheck = async (check, timeoutMs) => {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve({ status: 'unhealthy', message: `Timed out after ${timeoutMs} ms` }), timeoutMs);
+    timer.unref();
+  });
+  try {
+    const result = await Promise.race([Promise.resolve().then(check), timeout]);
+    return { status: 'healthy', ...result };
+  } catch (error) {
+    return { status: 'unhealthy', message: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+const createHealthChecks = ({ timeoutMs = DEFAULT_TIMEOUT_MS } = {}) => {
+  const checks = new Map();
+
+  return {
+    register: (name, check, { critical = true, timeoutMs: checkTimeoutMs = timeoutMs } = {}) => {
+      if (checks.has(name)) throw new Error(`Health check ${name} is already registered`);
+      checks.set(name, { check, critical, timeoutMs: checkTimeoutMs });
+    },
+
+    /**
+     * Runs every check at once. Resolves to { status, checks: { name:
+     * { status, critical, durationMs, message, details } } }.
+     */
+    run: async () => {
+      const entries = await Promise.all([...checks].map(async ([name, { check, critical, timeoutMs }]) => {
+        const started = process.hrtime.bigint();
+        const result = await runCheck(check, timeoutMs);
+        const durationMs = Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10;
+        return [name, { ...result, critical, durationMs }];
+      }));
+
+      const status = worst(entries.map(([, result]) =>
+        !result.critical && result.status === 'unhealthy' ? 'degraded' : result.status));
+      return { status, checks: Object.fromEntries(entries) };
+    }
+  };
+};
+
+// Only the state of each check, for callers not allowed to see the details
+const summarizeHealth = ({ status, checks }) => ({
+  status,
+  checks: Object.fromEntries(Object.entries(checks).map(([name, result]) => [name, { status: result.status }]))
+});
+
+// Compares hashes so the time taken says nothing about the token
+const tokenMatches = (expected, given) => Boolean(expected) && typeof given === 'string' && crypto.timingSafeEqual(
+  crypto.createHash('sha256').update(expected).digest(),
+  crypto.createHash('sha256').update(given).digest()
+);
+
+// The repository answers a read
+const storageCheck = (repo) => async () => {
+  const records = await repo.list();
+  return { details: { driver: repo.name, records: records.length } };
+};
+
+/**
+ * Event-loop delay (99th percentile) since the previous run: a loop this
+ * busy answers every request late. `check.reset()` forgets the delay so far,
+ * such as that of a slow start, so the next run does not count it.
+ */
+const eventLoopCheck = ({ degradedMs = DEFAULT_EVENT_LOOP_MS.degraded, unhealthyMs = DEFAULT_EVENT_LOOP_MS.unhealthy } = {}) => {
+  const resolutionMs = 20;
+  const delay = monitorEventLoopDelay({ resolution: resolutionMs });
+  delay.enable();
+
+  const check = async () => {
+    // Samples are the nanoseconds between timer ticks, so the tick interval itself is no delay.
+    // With no samples yet they read as NaN or huge.
+    const ms = (nanoseconds) => delay.count > 0
+      ? Math.max(0, Math.round((nanoseconds / 1e6 - resolutionMs) * 100) / 100)
+      : 0;
+    const details = { meanMs: ms(delay.mean), p99Ms: ms(delay.percentile(99)), maxMs: ms(delay.max) };
+    delay.reset();
+
+    if (details.p99Ms >= unhealthyMs) return { status: 'unhealthy', message: `Event loop delay is ${details.p99Ms} ms`, details };
+    if (details.p99Ms >= degradedMs) return { status: 'degraded', message: `Event loop delay is ${details.p99Ms} ms`, details };
+    return { details };
+  };
+  check.reset = () => delay.reset();
+  return check;
+};
+
+// Heap in use as a share of the most V8 will allocate before the process dies
+const memoryCheck = ({
+  degradedRatio = DEFAULT_MEMORY_RATIO.degraded,
+  unhealthyRatio = DEFAULT_MEMORY_RATIO.unhealthy,
+  heapStatistics = v8.getHeapStatistics
+} = {}) => async () => {
+  const heap = heapStatistics();
+  const ratio = heap.used_heap_size / heap.heap_size_limit;
+  const details = {
+    heapUsedBytes: heap.used_heap_size,
+    heapLimitBytes: heap.heap_size_limit,
+    heapUsedRatio: Math.round(ratio * 1000) / 1000,
+    rssBytes: process.memoryUsage.rss()
+  };
+  const message = `Heap is ${Math.round(ratio * 100)}% full`;
+
+  if (ratio >= unhealthyRatio) return { status: 'unhealthy', message, details };
+  if (ratio >= degradedRatio) return { status: 'degraded', message, details };
+  return { details };
+};
+
+module.exports = {
+  HEALTH_STATES,
+  DEFAULT_TIMEOUT_MS,
+  DEFAULT_EVENT_LOOP_MS,
+  DEFAULT_MEMORY_RATIO,
+  createHealthChecks,
+  summarizeHealth,
+  tokenMatches,
+  storageCheck,
+  eventLoopCheck,
+  memoryCheck
+};
@@ -0,0 +1,35 @@
+const MAX_NAME_LENGTH = 50;
+
+/**
+ * Validate a list payload. `name` is the only field and is required
+ * unless `partial` is set. Returns { value, errors } like validateTodoInput.
+ */
+const validateListInput = (input, { partial = false } = {}) => {
+  const errors = [];
+  const value = {};
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { value, errors: [{ field: null, message: 'Request body must be an object' }] };
+  }
+
+  Object.keys(input).forEach(field => {
+    if (field !== 'name') errors.push({ field, message: 'Unknown field' });
+  });
+
+  if (input.name !== undefined) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      errors.push({ field: 'name', message: `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters` });
+    } else {
+      value.name = name;
+    }
+  } else if (!partial) {
+    errors.push({ field: 'name', message: 'name is required' });
+  }
+
+  return { value, errors };
+};
+
+module.exports = {
+  validateListInput
+};
@@ -0,0 +1,154 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Structured logging: one JSON object per line on stdout, or readable
+ * lines for local development (`format: 'pretty'`).
+ *
+ * A line is { time, level, msg, ...fields }. Fields whose key is in
+ * `redact` (any depth, ignoring case) are replaced by "[REDACTED]", and
+ * errors are written as { type, message, stack }. While a request is being
+ * handled its id is added to every line, including lines logged by code it
+ * calls into (see withLogContext).
+ */
+
+const LEVELS = { trace: 10, debug: 20, info: 30, warn: 40, error: 50, fatal: 60, silent: Infinity };
+const FORMATS = ['json', 'pretty'];
+const DEFAULT_REDACT = ['password', 'token', 'secret', 'authorization', 'cookie', 'set-cookie', 'x-api-key'];
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 8;
+
+const context = new AsyncLocalStorage();
+
+// Run `fn` with `fields` added to every line logged until it and the work it starts are done
+const withLogContext = (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn);
+
+// The fields set by the innermost withLogContext, such as { requestId }
+const logContext = () => context.getStore() || {};
+
+const serialize = (value, redact, depth = 0, seen = new WeakSet()) => {
+  if (value instanceof Error) {
+    const error = { type: value.name, message: value.message, stack: value.stack };
+    if (value.code !== undefined) error.code = value.code;
+    return error;
+  }
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'bigint') return String(value);
+  if (!value || typeof value !== 'object') return value;
+
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= MAX_DEPTH) return '[Object]';
+  seen.add(value);
+  const result = Array.isArray(value)
+    ? value.map(item => serialize(item, redact, depth + 1, seen))
+    : Object.fromEntries(Object.entries(value).map(([key, item]) =>
+      [key, redact.has(key.toLowerCase()) ? REDACTED : serialize(item, redact, depth + 1, seen)]));
+  seen.delete(value);
+  return result;
+};
+
+// `/api/events?token=abc&x=1` -> `/api/events?token=[REDACTED]&x=1`
+const redactUrl = (url, redact = new Set(DEFAULT_REDACT)) => {
+  const queryStart = url.indexOf('?');
+  if (queryStart === -1) return url;
+  const query = new URLSearchParams(url.slice(queryStart + 1));
+  query.forEach((value, key) => {
+    if (redact.has(key.toLowerCase())) query.set(key, REDACTED);
+  });
+  return `${url.slice(0, queryStart)}?${query.toString().replace(/%5BREDACTED%5D/g, REDACTED)}`;
+};
+
+const COLORS = { trace: 90, debug: 36, info: 32, warn: 33, error: 31, fatal: 35 };
+
+// 12:00:00.000 INFO  request completed [req-id] method=GET url=/api/todos status=200
+const prettyLine = ({ time, level, msg, requestId, err, ...fields }, color) => {
+  const label = level.toUpperCase().padEnd(5);
+  const details = Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  return [
+    time.slice(11, 23),
+    color ? `\x1b[${COLORS[level]}m${label}\x1b[0m` : label,
+    msg,
+    requestId ? `[${requestId}]` : '',
+    details
+  ].filter(Boolean).join(' ') + (err && err.stack ? `\n${err.stack}` : '');
+};
+
+const createLogger = ({
+  level = 'info',
+  format = 'json',
+  redact = DEFAULT_REDACT,
+  stream = process.stdout,
+  fields = {}
+} = {}) => {
+  if (LEVELS[level] === undefined) throw new Error(`Unknown log level: ${level}`);
+  if (!FORMATS.includes(format)) throw new Error(`Unknown log format: ${format}`);
+  const redactKeys = new Set(redact.map(key => key.toLowerCase()));
+  const color = format === 'pretty' && Boolean(stream.isTTY);
+
+  const write = (lineLevel, msg, extra = {}) => {
+    if (LEVELS[lineLevel] < LEVELS[level]) return;
+    const line = {
+      time: new Date().toISOString(),
+      level: lineLevel,
+      msg,
+      ...serialize({ ...context.getStore(), ...fields, ...extra }, redactKeys)
+    };
+    stream.write(`${format === 'json' ? JSON.stringify(line) : prettyLine(line, color)}\n`);
+  };
+
+  return {
+    level,
+    trace: (msg, extra) => write('trace', msg, extra),
+    debug: (msg, extra) => write('debug', msg, extra),
+    info: (msg, extra) => write('info', msg, extra),
+    warn: (msg, extra) => write('warn', msg, extra),
+    error: (msg, extra) => write('error', msg, extra),
+    fatal: (msg, extra) => write('fatal', msg, extra),
+    isLevelEnabled: (name) => LEVELS[name] >= LEVELS[level],
+    redactUrl: (url) => redactUrl(url, redactKeys),
+    // A logger that adds `more` to every line
+    child: (more) => createLogger({ level, format, redact, stream, fields: { ...fields, ...more } })
+  };
+};
+
+/**
+ * Express middleware that gives each request `req.log` (tagged with
+ * req.id) and logs one line when its response is done: info, warn for 4xx,
+ * error for 5xx. Replaces the access log.
+ */
+const requestLogger = (logger) => (req, res, next) => {
+  const start = process.hrtime.bigint();
+  req.log = logger.child({ requestId: req.id });
+
+  res.on('close', () => {
+    const status = res.statusCode;
+    const fields = {
+      method: req.method,
+      url: logger.redactUrl(req.originalUrl),
+      status,
+      durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10,
+      contentLength: Number(res.get('Content-Length')) || undefined,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      userId: req.user ? req.user.id : undefined
+    };
+    if (!res.writableFinished) fields.aborted = true;
+    const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+    req.log[level]('request completed', fields);
+  });
+  next();
+};
+
+module.exports = {
+  LEVELS,
+  FORMATS,
+  DEFAULT_REDACT,
+  REDACTED,
+  withLogContext,
+  logContext,
+  redactUrl,
+  createLogger,
+  requestLogger
+};
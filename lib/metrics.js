@@ -0,0 +1,279 @@
+const { monitorEventLoopDelay } = require('perf_hooks');
+
+/**
+ * A small metrics registry for GET /metrics, rendered in the Prometheus text
+ * format (0.0.4) or OpenMetrics 1.0.0.
+ *
+ * Counters only go up and their names end in `_total`; gauges go up and
+ * down; histograms count observations into cumulative buckets. Every sample
+ * of a metric has a value for each of its `labelNames` (missing ones are
+ * left out of the output). Values that live elsewhere, such as todo counts,
+ * are read by `beforeCollect` hooks right before each scrape.
+ */
+
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const OPENMETRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+// Request durations in seconds, from 5 ms to 10 s
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+const formatNumber = (value) => {
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+};
+
+// Bucket bounds as floats ("1.0", not "1"), as OpenMetrics asks
+const formatBound = (bound) => Number.isInteger(bound) ? bound.toFixed(1) : formatNumber(bound);
+
+const escapeLabelValue = (value) => value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+// The Prometheus format leaves quotes in HELP text alone; OpenMetrics escapes them
+const escapeHelp = (text, openMetrics) => {
+  const escaped = text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+  return openMetrics ? escaped.replace(/"/g, '\\"') : escaped;
+};
+
+const formatLabels = (pairs) => {
+  const present = pairs.filter(([, value]) => value !== '');
+  return present.length > 0
+    ? `{${present.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`
+    : '';
+};
+
+const createRegistry = () => {
+  const metrics = new Map();
+  const hooks = [];
+
+  const register = (type, { name, help, labelNames = [], buckets }) => {
+    if (!NAME_PATTERN.test(name)) throw new Error(`Invalid metric name: ${name}`);
+    if (metrics.has(name)) throw new Error(`Metric ${name} is already registered`);
+    if (type === 'counter' && !name.endsWith('_total')) throw new Error(`Counter names end in _total: ${name}`);
+    labelNames.forEach(label => {
+      if (!LABEL_PATTERN.test(label) || label.startsWith('__') || (type === 'histogram' && label === 'le')) {
+        throw new Error(`Invalid label name for ${name}: ${label}`);
+      }
+    });
+
+    const metric = { type, name, help, labelNames, buckets, series: new Map() };
+    metrics.set(name, metric);
+    return metric;
+  };
+
+  const seriesFor = (metric, labels) => {
+    Object.keys(labels).forEach(label => {
+      if (!metric.labelNames.includes(label)) throw new Error(`Unknown label for ${metric.name}: ${label}`);
+    });
+    const values = metric.labelNames.map(label => labels[label] === undefined ? '' : String(labels[label]));
+    const key = JSON.stringify(values);
+    if (!metric.series.has(key)) {
+      metric.series.set(key, metric.type === 'histogram'
+        ? { values, buckets: metric.buckets.map(() => 0), sum: 0, count: 0 }
+        : { values, value: 0 });
+    }
+    return metric.series.get(key);
+  };
+
+  // A metric without labels is exported as 0 before anything happens
+  const initialize = (metric) => {
+    if (metric.labelNames.length === 0) seriesFor(metric, {});
+  };
+
+  const counter = (options) => {
+    const metric = register('counter', options);
+    initialize(metric);
+    return {
+      inc: (labels = {}, value = 1) => {
+        if (!(value >= 0)) throw new Error(`Counter ${metric.name} can only go up`);
+        seriesFor(metric, labels).value += value;
+      }
+    };
+  };
+
+  const gauge = (options) => {
+    const metric = register('gauge', options);
+    initialize(metric);
+    return {
+      set: (labels, value) => {
+        seriesFor(metric, labels).value = value;
+      },
+      inc: (labels = {}, value = 1) => {
+        seriesFor(metric, labels).value += value;
+      },
+      dec: (labels = {}, value = 1) => {
+        seriesFor(metric, labels).value -= value;
+      },
+      // Forget every label combination, for gauges rebuilt on each scrape
+      reset: () => {
+        metric.series.clear();
+        initialize(metric);
+      }
+    };
+  };
+
+  const histogram = (options) => {
+    const buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+    const metric = register('histogram', { ...options, buckets });
+    initialize(metric);
+
+    const observe = (labels, value) => {
+      const series = seriesFor(metric, labels);
+      buckets.forEach((bound, i) => {
+        if (value <= bound) series.buckets[i]++;
+      });
+      series.sum += value;
+      series.count++;
+    };
+
+    return {
+      observe,
+      // Returns a function that records the seconds since, with the labels known by then
+      startTimer: (labels = {}) => {
+        const start = process.hrtime.bigint();
+        return (moreLabels = {}) => {
+          const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+          observe({ ...labels, ...moreLabels }, seconds);
+          return seconds;
+        };
+      }
+    };
+  };
+
+  const render = (metric, openMetrics) => {
+    // In OpenMetrics a counter family is named without the _total its samples carry
+    const family = openMetrics && metric.type === 'counter' ? metric.name.slice(0, -'_total'.length) : metric.name;
+    const lines = [`# HELP ${family} ${escapeHelp(metric.help, openMetrics)}`, `# TYPE ${family} ${metric.type}`];
+
+    metric.series.forEach(series => {
+      const pairs = metric.labelNames.map((label, i) => [label, series.values[i]]);
+      if (metric.type !== 'histogram') {
+        lines.push(`${metric.name}${formatLabels(pairs)} ${formatNumber(series.value)}`);
+        return;
+      }
+      metric.buckets.forEach((bound, i) => {
+        lines.push(`${metric.name}_bucket${formatLabels([...pairs, ['le', formatBound(bound)]])} ${series.buckets[i]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels([...pairs, ['le', '+Inf']])} ${series.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(pairs)} ${formatNumber(series.sum)}`);
+      lines.push(`${metric.name}_count${formatLabels(pairs)} ${series.count}`);
+    });
+    return lines.join('\n');
+  };
+
+  return {
+    counter,
+    gauge,
+    histogram,
+
+    // `hook` runs (and is awaited) before every scrape
+    beforeCollect: (hook) => {
+      hooks.push(hook);
+    },
+
+    metrics: async ({ openMetrics = false } = {}) => {
+      for (const hook of hooks) {
+        await hook();
+      }
+      const body = [...metrics.values()].map(metric => render(metric, openMetrics)).join('\n');
+      return openMetrics ? `${body}\n# EOF\n` : `${body}\n`;
+    }
+  };
+};
+
+/**
+ * Process and runtime metrics under the names prom-client uses, so
+ * existing Node.js dashboards work: CPU time, memory, heap, start time,
+ * Node version and event-loop delay (measured between scrapes).
+ */
+const collectDefaultMetrics = (registry) => {
+  const cpuUser = registry.counter({ name: 'process_cpu_user_seconds_total', help: 'User CPU time spent in seconds' });
+  const cpuSystem = registry.counter({ name: 'process_cpu_system_seconds_total', help: 'System CPU time spent in seconds' });
+  const residentMemory = registry.gauge({ name: 'process_resident_memory_bytes', help: 'Resident memory size in bytes' });
+  const startTime = registry.gauge({ name: 'process_start_time_seconds', help: 'Start time of the process since unix epoch in seconds' });
+  const heapTotal = registry.gauge({ name: 'nodejs_heap_size_total_bytes', help: 'Process heap size from Node.js in bytes' });
+  const heapUsed = registry.gauge({ name: 'nodejs_heap_size_used_bytes', help: 'Process heap size used from Node.js in bytes' });
+  const external = registry.gauge({ name: 'nodejs_external_memory_bytes', help: 'Node.js external memory size in bytes' });
+  const version = registry.gauge({
+    name: 'nodejs_version_info',
+    help: 'Node.js version info',
+    labelNames: ['version', 'major', 'minor', 'patch']
+  });
+  const lag = {
+    mean: registry.gauge({ name: 'nodejs_eventloop_lag_mean_seconds', help: 'Mean of the recorded event loop delays' }),
+    p50: registry.gauge({ name: 'nodejs_eventloop_lag_p50_seconds', help: 'The 50th percentile of the recorded event loop delays' }),
+    p99: registry.gauge({ name: 'nodejs_eventloop_lag_p99_seconds', help: 'The 99th percentile of the recorded event loop delays' }),
+    max: registry.gauge({ name: 'nodejs_eventloop_lag_max_seconds', help: 'The maximum recorded event loop delay' })
+  };
+
+  startTime.set({}, Math.round(Date.now() / 1000 - process.uptime()));
+  const [major, minor, patch] = process.versions.node.split('.');
+  version.set({ version: process.version, major, minor, patch }, 1);
+
+  const eventLoop = monitorEventLoopDelay({ resolution: 10 });
+  eventLoop.enable();
+
+  let lastCpu = process.cpuUsage();
+  registry.beforeCollect(() => {
+    const cpu = process.cpuUsage(lastCpu);
+    lastCpu = process.cpuUsage();
+    cpuUser.inc({}, cpu.user / 1e6);
+    cpuSystem.inc({}, cpu.system / 1e6);
+
+    const memory = process.memoryUsage();
+    residentMemory.set({}, memory.rss);
+    heapTotal.set({}, memory.heapTotal);
+    heapUsed.set({}, memory.heapUsed);
+    external.set({}, memory.external);
+
+    // Delays are in nanoseconds; with no samples yet they read as NaN or huge
+    const seconds = (nanoseconds) => eventLoop.count > 0 ? nanoseconds / 1e9 : 0;
+    lag.mean.set({}, seconds(eventLoop.mean));
+    lag.p50.set({}, seconds(eventLoop.percentile(50)));
+    lag.p99.set({}, seconds(eventLoop.percentile(99)));
+    lag.max.set({}, seconds(eventLoop.max));
+    eventLoop.reset();
+  });
+};
+
+/**
+ * Express middleware counting requests and timing them, labelled with the
+ * method, the route template (`/api/todos/:id`, so ids do not multiply the
+ * series) and the status. Requests no route handled, such as static files,
+ * unknown paths and rate-limited ones, get route="none".
+ */
+const httpMetrics = (registry, { buckets } = {}) => {
+  const labelNames = ['method', 'route', 'status'];
+  const requests = registry.counter({ name: 'http_requests_total', help: 'HTTP requests handled', labelNames });
+  const duration = registry.histogram({
+    name: 'http_request_duration_seconds',
+    help: 'Time to handle HTTP requests in seconds',
+    labelNames,
+    buckets
+  });
+
+  return (req, res, next) => {
+    const end = duration.startTimer();
+    res.on('finish', () => {
+      const labels = {
+        method: req.method,
+        route: req.route ? `${req.baseUrl}${req.route.path}` : 'none',
+        status: res.statusCode
+      };
+      requests.inc(labels);
+      end(labels);
+    });
+    next();
+  };
+};
+
+module.exports = {
+  PROMETHEUS_CONTENT_TYPE,
+  OPENMETRICS_CONTENT_TYPE,
+  DEFAULT_BUCKETS,
+  createRegistry,
+  collectDefaultMetrics,
+  httpMetrics
+};
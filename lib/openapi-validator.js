@@ -0,0 +1,254 @@
+/**
+ * Request and response validation against an OpenAPI 3 document.
+ *
+ * Only the parts of JSON Schema the spec uses are supported: $ref, type,
+ * nullable, enum, properties, required, additionalProperties, items,
+ * min/maxItems, min/maxLength, minimum/maximum, pattern, format date-time
+ * and oneOf. Problems are reported like validateTodoInput does, as
+ * { field, message } with nested fields written as `tags[0]` or `data.id`.
+ */
+
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'an integer',
+  number: 'a number',
+  boolean: 'a boolean',
+  array: 'an array',
+  object: 'an object'
+};
+
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+const resolve = (spec, schema) => {
+  if (!schema || !schema.$ref) return schema;
+  return resolve(spec, schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], spec));
+};
+
+const fieldName = (path, key) => typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+
+const matchesType = (type, value) => {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'string': return typeof value === 'string';
+    case 'boolean': return typeof value === 'boolean';
+    default: return false;
+  }
+};
+
+/**
+ * Check `value` against `schema`. `path` names the value in messages; the
+ * root of a request body has no name, so its own problems use field null.
+ * Returns a list of { field, message }, empty when the value is valid.
+ */
+const validateSchema = (spec, schema, value, path = '') => {
+  schema = resolve(spec, schema) || {};
+  const field = path || null;
+  const label = path || 'value';
+
+  if (value === null) {
+    return schema.nullable || !schema.type ? [] : [{ field, message: `${label} must not be null` }];
+  }
+
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(option => validateSchema(spec, option, value, path).length === 0);
+    if (matches.length !== 1) return [{ field, message: `${label} does not match exactly one allowed schema` }];
+  }
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    if (!path && schema.type === 'object') return [{ field, message: 'Request body must be an object' }];
+    return [{ field, message: `${label} must be ${TYPE_NAMES[schema.type]}${schema.nullable ? ' or null' : ''}` }];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ field, message: `${label} must be one of ${schema.enum.join(', ')}` }];
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return [{
+        field,
+        message: schema.minLength === 1 ? `${label} must not be empty` : `${label} must be at least ${schema.minLength} characters`
+      }];
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return [{ field, message: `${label} must be at most ${schema.maxLength} characters` }];
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      return [{ field, message: `${label} is not in the expected format` }];
+    }
+    if (schema.format === 'date-time' && (!ISO_DATE_TIME.test(value) || isNaN(Date.parse(value)))) {
+      return [{ field, message: `${label} must be an ISO 8601 date-time` }];
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return [{ field, message: `${label} must be at least ${schema.minimum}` }];
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return [{ field, message: `${label} must be at most ${schema.maximum}` }];
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return [{ field, message: `${label} must have at least ${schema.minItems} items` }];
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return [{ field, message: `${label} must have at most ${schema.maxItems} items` }];
+    }
+    if (!schema.items) return [];
+    return value.flatMap((item, index) => validateSchema(spec, schema.items, item, fieldName(path, index)));
+  }
+
+  if (matchesType('object', value)) {
+    const properties = schema.properties || {};
+    const errors = [];
+    Object.keys(value).forEach(key => {
+      if (value[key] === undefined) return;
+      if (properties[key]) {
+        errors.push(...validateSchema(spec, properties[key], value[key], fieldName(path, key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: fieldName(path, key), message: 'Unknown field' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(spec, schema.additionalProperties, value[key], fieldName(path, key)));
+      }
+    });
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push({ field: fieldName(path, key), message: `${fieldName(path, key)} is required` });
+    });
+    return errors;
+  }
+
+  return [];
+};
+
+// Spec paths as regular expressions; literal paths win over templated ones (/api/todos/batch over /api/todos/{id})
+const compileRoutes = (spec) => Object.keys(spec.paths)
+  .map(template => ({
+    template,
+    literal: !template.includes('{'),
+    pattern: new RegExp(`^${template.replace(/\{(\w+)\}/g, '(?<$1>[^/]+)')}/?$`)
+  }))
+  .sort((a, b) => b.literal - a.literal);
+
+const findOperation = (spec, routes, method, path) => {
+  for (const route of routes) {
+    const match = route.pattern.exec(path);
+    if (!match) continue;
+    const pathItem = spec.paths[route.template];
+    const operation = pathItem[method.toLowerCase()];
+    if (!operation) return null;
+    return {
+      operation,
+      pathParams: match.groups || {},
+      parameters: [...(pathItem.parameters || []), ...(operation.parameters || [])].map(parameter => resolve(spec, parameter))
+    };
+  }
+  return null;
+};
+
+// Path, query and header values arrive as strings
+const coerceParameter = (schema, value) => {
+  if (typeof value !== 'string') return value;
+  if ((schema.type === 'integer' || schema.type === 'number') && /^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  if (schema.type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+  return value;
+};
+
+const parameterValue = (req, parameter, pathParams) => {
+  switch (parameter.in) {
+    case 'path': return pathParams[parameter.name];
+    case 'header': return req.get(parameter.name);
+    default: return req.query[parameter.name];
+  }
+};
+
+/**
+ * Express middleware that rejects requests the spec does not allow.
+ * Bad parameters get 400 with the first problem as `error` (like the list
+ * query parser); bad bodies get 400 'Validation failed' with every problem
+ * in `details`. Routes the spec does not describe are passed through.
+ */
+const createRequestValidator = (spec) => {
+  const routes = compileRoutes(spec);
+
+  return (req, res, next) => {
+    const found = findOperation(spec, routes, req.method, req.path);
+    if (!found) return next();
+
+    const parameterErrors = found.parameters.flatMap(parameter => {
+      const value = parameterValue(req, parameter, found.pathParams);
+      if (value === undefined) {
+        return parameter.required ? [{ field: parameter.name, message: `${parameter.name} is required` }] : [];
+      }
+      return validateSchema(spec, parameter.schema, coerceParameter(parameter.schema, value), parameter.name);
+    });
+    if (parameterErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: parameterErrors[0].message,
+        details: parameterErrors
+      });
+    }
+
+    const { requestBody } = found.operation;
+    if (requestBody && requestBody.content['application/json']) {
+      const bodyErrors = validateSchema(spec, requestBody.content['application/json'].schema, req.body);
+      if (bodyErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: bodyErrors
+        });
+      }
+    }
+
+    next();
+  };
+};
+
+/**
+ * Express middleware that checks every JSON response against the spec.
+ * A response that does not match is replaced by a 500 listing the problems,
+ * so tests fail as soon as the implementation drifts from the contract.
+ * Meant for tests; it serializes each response twice.
+ */
+const createResponseValidator = (spec, { onMismatch = () => {} } = {}) => {
+  const routes = compileRoutes(spec);
+
+  return (req, res, next) => {
+    const found = findOperation(spec, routes, req.method, req.path);
+    if (!found) return next();
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const responses = found.operation.responses;
+      const documented = responses[res.statusCode] || responses.default;
+      const content = documented && documented.content && documented.content['application/json'];
+      const errors = content
+        ? validateSchema(spec, content.schema, JSON.parse(JSON.stringify(body)), 'response')
+        : [{ field: null, message: `${res.statusCode} JSON responses are not documented` }];
+
+      if (errors.length === 0) return json(body);
+
+      onMismatch(req, errors);
+      res.status(500);
+      return json({
+        success: false,
+        error: 'Response does not match the API spec',
+        details: errors
+      });
+    };
+    next();
+  };
+};
+
+module.exports = {
+  validateSchema,
+  createRequestValidator,
+  createResponseValidator
+};
@@ -0,0 +1,753 @@
+const { PRIORITIES, MAX_TAGS, MAX_TAG_LENGTH, MAX_NOTES_LENGTH, DATE_PATTERN } = require('./todo-schema');
+const { SORT_FIELDS, MAX_LIMIT } = require('./todo-query');
+const { AUDIT_ACTIONS } = require('./audit');
+const { MAX_LIMIT: MAX_SEARCH_LIMIT, MAX_QUERY_LENGTH } = require('./search');
+const { FREQUENCIES, WEEKDAYS, MAX_INTERVAL, MAX_COUNT } = require('./recurrence');
+const { MAX_ATTACHMENTS } = require('./attachments');
+const { HEALTH_STATES } = require('./health');
+const { ENVIRONMENTS } = require('./config');
+const { version } = require('../package.json');
+
+/**
+ * OpenAPI 3 description of the todo, stats, health and metrics endpoints.
+ * Served at /api/openapi.json; lib/openapi-validator.js checks requests
+ * against it (and responses too, in tests). Limits come from the same
+ * constants the handlers use so the two cannot disagree.
+ */
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (schema) => ({ ...schema, nullable: true });
+const dateTime = { type: 'string', format: 'date-time' };
+const arrayOf = (items) => ({ type: 'array', items });
+
+// Stored form of a recurrence rule (see lib/recurrence.js)
+const recurrenceRule = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['freq'],
+  properties: {
+    freq: { type: 'string', enum: FREQUENCIES },
+    interval: { type: 'integer', minimum: 1, maximum: MAX_INTERVAL },
+    byDay: { type: 'array', minItems: 1, items: { type: 'string', enum: WEEKDAYS }, description: 'Weekly rules only' },
+    byMonthDay: { type: 'integer', minimum: 1, maximum: 31, description: 'Monthly rules only' },
+    count: { type: 'integer', minimum: 1, maximum: MAX_COUNT, description: 'Occurrences left, including this one' },
+    until: dateTime
+  }
+};
+
+// Everything a client may send for a todo; `text` is required on create only
+const todoInputProperties = {
+  text: { type: 'string', minLength: 1, description: 'Trimmed; must not be blank' },
+  completed: { type: 'boolean' },
+  dueDate: nullable({
+    type: 'string',
+    pattern: DATE_PATTERN.source,
+    description: 'ISO 8601 date or date-time; a bare date means the end of that day (UTC)'
+  }),
+  priority: { type: 'string', enum: PRIORITIES },
+  tags: { type: 'array', maxItems: MAX_TAGS, items: { type: 'string', minLength: 1, maxLength: MAX_TAG_LENGTH } },
+  notes: nullable({ type: 'string', maxLength: MAX_NOTES_LENGTH }),
+  parentId: nullable({ type: 'integer', minimum: 1, description: 'Makes the todo a subtask' }),
+  listId: nullable({ type: 'integer', minimum: 1, description: 'One of your lists' }),
+  recurrence: nullable({
+    oneOf: [
+      { type: 'string', description: 'RRULE subset, for example FREQ=WEEKLY;BYDAY=MO,FR' },
+      { ...recurrenceRule, properties: { ...recurrenceRule.properties, until: { type: 'string' } } }
+    ],
+    description: 'Completing the todo creates the next occurrence'
+  })
+};
+
+const todoProperties = {
+  id: { type: 'integer' },
+  text: { type: 'string' },
+  completed: { type: 'boolean' },
+  dueDate: nullable(dateTime),
+  priority: { type: 'string', enum: PRIORITIES },
+  tags: arrayOf({ type: 'string' }),
+  notes: { type: 'string' },
+  parentId: nullable({ type: 'integer' }),
+  listId: nullable({ type: 'integer' }),
+  recurrence: nullable(recurrenceRule),
+  seriesId: nullable({ type: 'integer', description: 'The first todo of the series this todo repeats' }),
+  attachments: { type: 'array', maxItems: MAX_ATTACHMENTS, items: ref('Attachment') },
+  ownerId: { type: 'integer' },
+  version: { type: 'integer', description: 'Increases on every update; sent as the ETag' },
+  createdAt: dateTime,
+  updatedAt: dateTime,
+  deletedAt: nullable(dateTime)
+};
+const todoRequired = ['id', 'text', 'completed', 'version', 'createdAt'];
+
+const envelope = (properties, required = []) => ({
+  type: 'object',
+  additionalProperties: false,
+  required: ['success', ...required],
+  properties: { success: { type: 'boolean' }, message: { type: 'string' }, ...properties }
+});
+
+const jsonContent = (schema) => ({ 'application/json': { schema } });
+const response = (description, schema) => ({ description, content: jsonContent(schema) });
+const errorResponse = (description) => response(description, ref('Error'));
+
+const todoIdParameter = { $ref: '#/components/parameters/TodoId' };
+const attachmentIdParameter = { name: 'attachmentId', in: 'path', required: true, schema: { type: 'string' } };
+const ifMatchParameter = { $ref: '#/components/parameters/IfMatch' };
+const queryParameter = (name, schema, description) => ({ name, in: 'query', schema, description });
+const healthTokenParameter = {
+  name: 'X-Health-Token',
+  in: 'header',
+  schema: { type: 'string' },
+  description: 'HEALTH_TOKEN; with it each check also reports its message, timing and figures'
+};
+
+const listQueryParameters = [
+  queryParameter('completed', { type: 'boolean' }, 'Only completed or pending todos'),
+  queryParameter('search', { type: 'string' }, 'Case-insensitive substring match on text'),
+  queryParameter('overdue', { type: 'boolean' }, 'Pending todos whose dueDate has passed'),
+  queryParameter('priority', { type: 'string', enum: PRIORITIES }),
+  queryParameter('tag', { type: 'string', minLength: 1 }),
+  queryParameter('listId', { type: 'string', pattern: '^([1-9][0-9]*|none)$' }, 'A list id, or none for todos without a list'),
+  queryParameter('sort', { type: 'string', enum: SORT_FIELDS, default: 'createdAt' }),
+  queryParameter('order', { type: 'string', enum: ['asc', 'desc'], default: 'asc' }),
+  queryParameter('limit', { type: 'integer', minimum: 1, maximum: MAX_LIMIT }, 'Page size; omit to get every match'),
+  queryParameter('cursor', { type: 'string' }, 'nextCursor from the previous page')
+];
+
+const openApiSpec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Todo API',
+    version,
+    description: 'Todos, search, stats, health and metrics. Todo, search and stats endpoints need a bearer token from /api/auth/login.'
+  },
+  servers: [{ url: '/' }],
+  security: [{ bearerAuth: [] }],
+  tags: [
+    { name: 'Todos' },
+    { name: 'Search' },
+    { name: 'Stats' },
+    { name: 'Monitoring' },
+    { name: 'Admin' }
+  ],
+  paths: {
+    '/api/todos': {
+      get: {
+        tags: ['Todos'],
+        summary: 'List todos',
+        parameters: listQueryParameters,
+        responses: {
+          200: response('Matching todos; paged responses carry a Link header', ref('TodoList')),
+          400: errorResponse('Invalid query parameter'),
+          default: errorResponse('Error')
+        }
+      },
+      post: {
+        tags: ['Todos'],
+        summary: 'Create a todo',
+        requestBody: { required: true, content: jsonContent(ref('NewTodo')) },
+        responses: {
+          201: response('The created todo', ref('TodoResult')),
+          400: errorResponse('Validation failed'),
+          default: errorResponse('Error')
+        }
+      }
+    },
+    '/api/todos/batch': {
+      post: {
+        tags: ['Todos'],
+        summary: 'Apply create, update and delete operations; all of them or none',
+        requestBody: { required: true, content: jsonContent(ref('Batch')) },
+        responses: {
+          200: response('One result per operation', ref('BatchResult')),
+          400: errorResponse('An operation is invalid; nothing was applied'),
+          404: errorResponse('An operation targets a missing todo; nothing was applied'),
+          409: errorResponse('A delete operation targets a todo with subtasks; nothing was applied'),
+          default: errorResponse('Error')
+        }
+      }
+    },
+    '/api/todos/completed': {
+      delete: {
+        tags: ['Todos'],
+        summary: 'Move completed todos to the trash',
+        description: 'Parents with open subtasks are kept.',
+        responses: {
+          200: response('The todos that were moved', ref('TodoCollection')),
+          default: errorResponse('Error')
+        }
+      }
+    },
+    '/api/todos/{id}': {
+      parameters: [todoIdParameter],
+      get: {
+        tags: ['Todos'],
+        summary: 'Get a todo',
+        parameters: [queryParameter('include', { type: 'string', enum: ['children'] }, 'Nest the subtask tree under children')],
+        responses: {
+          200: response('The todo; its version is sent as the ETag', ref('TodoResult')),
+          404: errorResponse('Todo not found'),
+          default: errorResponse('Error')
+        }
+      },
+      put: {
+        tags: ['Todos'],
+        summary: 'Update a todo',
+        parameters: [ifMatchParameter],
+        requestBody: { required: true, content: jsonContent(ref('TodoChanges')) },
+        responses: {
+          200: response('The updated todo', ref('UpdatedTodo')),
+          400: errorResponse('Validation failed'),
+          404: errorResponse('Todo not found'),
+          412: errorResponse('The todo changed since the If-Match version; data holds the current todo'),
+          default: errorResponse('Error')
+        }
+      },
+      delete: {
+        tags: ['Todos'],
+        summary: 'Move a todo to the trash',
+        parameters: [
+          ifMatchParameter,
+          queryParameter('cascade', { type: 'boolean' }, 'Also delete the subtasks')
+        ],
+        responses: {
+          200: response('The deleted todo', ref('DeletedTodo')),
+          404: errorResponse('Todo not found'),
+          409: errorResponse('The todo has subtasks and cascade is not set'),
+          412: errorResponse('The todo changed since the If-Match version'),
+          default: errorResponse('Error')
+        }
+      }
+    },
+    '/api/todos/{id}/skip': {
+      parameters: [todoIdParameter],
+      post: {
+        tags: ['Todos'],
+        summary: 'Skip an occurrence of a recurring todo: move it to the trash and create the next one',
+        responses: {
+          200: response('The skipped todo, and the next occurrence unless the series has ended', ref('SkippedTodo')),
+          404: errorResponse('Todo not found'),
+          409: errorResponse('The todo does not recur or is already completed'),
+          default: errorResponse('Error')
+        }
+      }
+    },
+    '/api/todos/{id}/series': {
+      parameters: [todoIdParameter],
+      put: {
+        tags: ['Todos'],
+        summary: 'Change every pending occurrence of the series the todo belongs to',
+        requestBody: {
+          required: true,
+          content: jsonContent({
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              text: todoInputProperties.text,
+              priority: todoInputProperties.priority,
+              tags: todoInputProperties.tags,
+              notes: todoInputProperties.notes,
+              listId: todoInputProperties.listId,
+              recurrence: todoInputProperties.recurrence
+            }
+          })
+        },
+        responses: {
+          200: response('The updated occurrences', ref('TodoCollection')),
+          400: errorResponse('Validation failed'),
+          404: errorResponse('Todo not found'),
+          409: errorResponse('The todo is not part of a series'),
+          default: errorResponse('Error')
+        }
+      },
+      delete: {
+        tags: ['Todos'],
+        summary: 'End the series: pending occurrences stay but stop recurring',
+        responses: {
+          200: response('The pending occurrences', ref('TodoCollection')),
+          404: errorResponse('Todo not found'),
+          409: errorResponse('The todo is not part of a series'),
+          default: errorResponse('Error')
+        }
+      }
+    },
+    '/api/todos/{id}/attachments': {
+      parameters: [todoIdParameter],
+      get: {
+        tags: ['Todos'],
+        summary: 'Files attached to a todo',
+        responses: {
+          200: response('Attachments, oldest first', ref('AttachmentCollection')),
+          404: errorResponse('Todo not found'),
+          default: errorResponse('Error')
+        }
+      },
+      post: {
+        tags: ['Todos'],
+        summary: 'Attach files to a todo',
+        requestBody: {
+          required: true,
+          content: {
+            'multipart/form-data': {
+              schema: {
+                type: 'object',
+                properties: { file: arrayOf({ type: 'string', format: 'binary' }) }
+              }
+            }
+          }
+        },
+        responses: {
+          201: response('The new attachments and the updated todo', ref('AttachmentUpload')),
+          400: errorResponse('No files, an empty file or a malformed upload'),
+          404: errorResponse('Todo not found'),
+          409: errorResponse(`The todo already has ${MAX_ATTACHMENTS} attachments`),
+          413: errorResponse('A file is too large, or there are too many files'),
+          415: errorResponse('The request is not multipart/form-data, or a file type is not allowed'),
+          default: errorResponse('Error')
+        }
+      }
+    },
+    '/api/todos/{id}/attachments/{attachmentId}': {
+      parameters: [todoIdParameter, attachmentIdParameter],
+      get: {
+        tags: ['Todos'],
+        summary: 'Download an attachment',
+        responses: {
+          200: {
+            description: 'The file, with Content-Disposition: attachment and its original name',
+            content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } }
+          },
+          404: errorResponse('Todo or attachment not found'),
+          default: errorResponse('Error')
+        }
+      },
+      delete: {
+        tags: ['Todos'],
+        summary: 'Delete an attachment and its file',
+        responses: {
+          200: response('The deleted attachment and the updated todo', ref('DeletedAttachment')),
+          404: errorResponse('Todo or attachment not found'),
+          default: errorResponse('Error')
+        }
+      }
+    },
+    '/api/todos/{id}/restore': {
+      parameters: [todoIdParameter],
+      post: {
+        tags: ['Todos'],
+        summary: 'Restore a todo from the trash, with the subtasks deleted along with it',
+        responses: {
+          200: response('The restored todo', ref('RestoredTodo')),
+          404: errorResponse('Todo not found in trash'),
+          409: errorResponse('The parent is still in the trash'),
+          default: errorResponse('Error')
+        }
+      }
+    },
+    '/api/todos/{id}/history': {
+      parameters: [todoIdParameter],
+      get: {
+        tags: ['Todos'],
+        summary: 'Change history of a todo, oldest first',
+        responses: {
+          200: response('Audit entries', ref('History')),
+          404: errorResponse('Todo not found'),
+          default: errorResponse('Error')
+        }
+      }
+    },
+    '/api/todos/{id}/revert': {
+      parameters: [todoIdParameter],
+      post: {
+        tags: ['Todos'],
+        summary: 'Set a todo back to how it was at an earlier version',
+        parameters: [ifMatchParameter],
+        requestBody: {
+          required: true,
+          content: jsonContent({
+            type: 'object',
+            additionalProperties: false,
+            required: ['version'],
+            properties: { version: { type: 'integer', minimum: 1 } }
+          })
+        },
+        responses: {
+          200: response('The reverted todo', ref('TodoResult')),
+          400: errorResponse('Invalid version'),
+          404: errorResponse('Todo or version not found'),
+          412: errorResponse('The todo changed since the If-Match version'),
+          default: errorResponse('Error')
+        }
+      }
+    },
+    '/api/search': {
+      get: {
+        tags: ['Search'],
+        summary: 'Full-text search over todo text, tags and notes, best matches first',
+        parameters: [
+          { ...queryParameter('q', { type: 'string', minLength: 1, maxLength: MAX_QUERY_LENGTH }, 'Words to look for; the last one also matches as a prefix'), required: true },
+          queryParameter('limit', { type: 'integer', minimum: 1, maximum: MAX_SEARCH_LIMIT }, 'At most this many results (default 20)'),
+          queryParameter('prefix', { type: 'boolean' }, 'Set to false to match the last word in full only')
+        ],
+        responses: {
+          200: response('Matching todos', ref('SearchResults')),
+          400: errorResponse('Invalid query'),
+          default: errorResponse('Error')
+        }
+      }
+    },
+    '/api/stats': {
+      get: {
+        tags: ['Stats'],
+        summary: 'Todo statistics',
+        responses: {
+          200: response('Counts for the signed-in user', envelope({ data: ref('Stats') }, ['data'])),
+          default: errorResponse('Error')
+        }
+      }
+    },
+    '/health': {
+      get: {
+        tags: ['Monitoring'],
+        summary: 'Health check',
+        description: 'Readiness plus a summary of the application',
+        security: [],
+        parameters: [healthTokenParameter],
+        responses: {
+          200: response('Healthy or degraded', ref('Health')),
+          503: response('Unhealthy', ref('Health')),
+          default: errorResponse('Error')
+        }
+      }
+    },
+    '/health/live': {
+      get: {
+        tags: ['Monitoring'],
+        summary: 'Liveness',
+        description: 'Answers while the process can serve requests; restart it when this fails',
+        security: [],
+        responses: {
+          200: response('The process is up', ref('Liveness'))
+        }
+      }
+    },
+    '/health/ready': {
+      get: {
+        tags: ['Monitoring'],
+        summary: 'Readiness',
+        description: 'Runs the health checks; send no traffic while this answers 503',
+        security: [],
+        parameters: [healthTokenParameter],
+        responses: {
+          200: response('Healthy or degraded', ref('Readiness')),
+          503: response('Unhealthy, or still starting up', ref('Readiness')),
+          default: errorResponse('Error')
+        }
+      }
+    },
+    '/metrics': {
+      get: {
+        tags: ['Monitoring'],
+        summary: 'Prometheus metrics',
+        description: 'Prometheus text format 0.0.4, or OpenMetrics 1.0.0 when the Accept header prefers application/openmetrics-text',
+        security: [],
+        responses: {
+          200: {
+            description: 'Request, process, event-loop and todo metrics',
+            content: {
+              'text/plain; version=0.0.4': { schema: { type: 'string' } },
+              'application/openmetrics-text; version=1.0.0': { schema: { type: 'string' } }
+            }
+          }
+        }
+      }
+    },
+    '/api/admin/config': {
+      get: {
+        tags: ['Admin'],
+        summary: 'Active configuration',
+        description: 'The merged settings with secrets redacted. Answers 404 unless ADMIN_TOKEN is set.',
+        security: [],
+        parameters: [{ name: 'X-Admin-Token', in: 'header', required: true, schema: { type: 'string' }, description: 'ADMIN_TOKEN' }],
+        responses: {
+          200: response('The configuration', envelope({ data: ref('Configuration') }, ['data'])),
+          403: errorResponse('Missing or wrong X-Admin-Token'),
+          404: errorResponse('No ADMIN_TOKEN is set'),
+          default: errorResponse('Error')
+        }
+      }
+    }
+  },
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer' }
+    },
+    parameters: {
+      TodoId: { name: 'id', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } },
+      IfMatch: {
+        name: 'If-Match',
+        in: 'header',
+        schema: { type: 'string' },
+        description: 'ETag of the version the change is based on, for example "3"'
+      }
+    },
+    schemas: {
+      NewTodo: { type: 'object', additionalProperties: false, required: ['text'], properties: todoInputProperties },
+      TodoChanges: { type: 'object', additionalProperties: false, properties: todoInputProperties },
+      BatchOperation: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['op'],
+        properties: {
+          op: { type: 'string', enum: ['create', 'update', 'delete'] },
+          id: { type: 'integer', description: 'Required for update and delete' },
+          cascade: { type: 'boolean', description: 'Delete subtasks too' },
+          ...todoInputProperties
+        }
+      },
+      Batch: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['operations'],
+        properties: {
+          operations: { type: 'array', minItems: 1, maxItems: 100, items: ref('BatchOperation') }
+        }
+      },
+      Todo: { type: 'object', additionalProperties: false, required: todoRequired, properties: todoProperties },
+      TodoTree: {
+        type: 'object',
+        additionalProperties: false,
+        required: [...todoRequired, 'children'],
+        properties: { ...todoProperties, children: arrayOf(ref('TodoTree')) }
+      },
+      TodoResult: envelope({ data: { oneOf: [ref('Todo'), ref('TodoTree')] } }, ['data']),
+      UpdatedTodo: envelope({
+        data: ref('Todo'),
+        parentReady: ref('Todo'), // sent when this update completed the last open subtask of the parent
+        next: ref('Todo') // sent when this update completed a recurring todo
+      }, ['data']),
+      SkippedTodo: envelope({ data: ref('Todo'), next: ref('Todo') }, ['data']),
+      DeletedTodo: envelope({ data: ref('Todo'), deletedSubtasks: arrayOf(ref('Todo')) }, ['data']),
+      RestoredTodo: envelope({ data: ref('Todo'), restoredSubtasks: arrayOf(ref('Todo')) }, ['data']),
+      Attachment: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['id', 'filename', 'contentType', 'size', 'createdAt'],
+        properties: {
+          id: { type: 'string' },
+          filename: { type: 'string', description: 'The uploaded file name, offered on download' },
+          contentType: { type: 'string' },
+          size: { type: 'integer', description: 'In bytes' },
+          createdAt: dateTime
+        }
+      },
+      AttachmentCollection: envelope({ data: arrayOf(ref('Attachment')), count: { type: 'integer' } }, ['data']),
+      AttachmentUpload: envelope({ data: arrayOf(ref('Attachment')), todo: ref('Todo') }, ['data', 'todo']),
+      DeletedAttachment: envelope({ data: ref('Attachment'), todo: ref('Todo') }, ['data', 'todo']),
+      TodoCollection: envelope({ data: arrayOf(ref('Todo')), count: { type: 'integer' } }, ['data']),
+      SearchResults: envelope({
+        data: arrayOf({
+          type: 'object',
+          additionalProperties: false,
+          required: ['todo', 'score', 'highlights'],
+          properties: {
+            todo: ref('Todo'),
+            score: { type: 'number', description: 'Relevance, boosted for recently changed todos' },
+            highlights: arrayOf({
+              type: 'object',
+              additionalProperties: false,
+              required: ['field', 'snippet'],
+              properties: {
+                field: { type: 'string', enum: ['text', 'tags', 'notes'] },
+                snippet: { type: 'string', description: 'HTML-escaped text around the matches, which are wrapped in <mark>' }
+              }
+            })
+          }
+        }),
+        count: { type: 'integer' },
+        total: { type: 'integer', description: 'All matches' }
+      }, ['data', 'total']),
+      TodoList: envelope({
+        data: arrayOf(ref('Todo')),
+        count: { type: 'integer' },
+        total: { type: 'integer', description: 'All matches, across pages' },
+        nextCursor: nullable({ type: 'string' })
+      }, ['data', 'total']),
+      BatchResult: envelope({
+        data: arrayOf({
+          type: 'object',
+          additionalProperties: false,
+          required: ['index', 'op', 'success'],
+          properties: {
+            index: { type: 'integer' },
+            op: { type: 'string' },
+            success: { type: 'boolean' },
+            data: ref('Todo')
+          }
+        })
+      }, ['data']),
+      AuditEntry: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['id', 'recordId', 'action', 'at'],
+        properties: {
+          id: { type: 'integer' },
+          recordId: { type: 'integer' },
+          ownerId: { type: 'integer' },
+          recordVersion: { type: 'integer' },
+          version: { type: 'integer' },
+          action: { type: 'string', enum: AUDIT_ACTIONS },
+          actor: {
+            type: 'object',
+            properties: {
+              userId: nullable({ type: 'integer' }),
+              username: { type: 'string' },
+              ip: nullable({ type: 'string' })
+            }
+          },
+          at: dateTime,
+          changes: {
+            type: 'object',
+            description: 'Each changed field as { from, to }',
+            additionalProperties: { type: 'object', required: ['from', 'to'], properties: { from: {}, to: {} } }
+          }
+        }
+      },
+      History: envelope({ data: arrayOf(ref('AuditEntry')), count: { type: 'integer' } }, ['data']),
+      Stats: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          total: { type: 'integer' },
+          completed: { type: 'integer' },
+          pending: { type: 'integer' },
+          overdue: { type: 'integer' },
+          parents: arrayOf({
+            type: 'object',
+            properties: {
+              id: { type: 'integer' },
+              text: { type: 'string' },
+              total: { type: 'integer' },
+              completed: { type: 'integer' },
+              progress: { type: 'number' }
+            }
+          }),
+          by_list: arrayOf({
+            type: 'object',
+            properties: {
+              id: nullable({ type: 'integer' }),
+              name: { type: 'string' },
+              total: { type: 'integer' },
+              completed: { type: 'integer' },
+              pending: { type: 'integer' }
+            }
+          }),
+          by_priority: {
+            type: 'object',
+            properties: PRIORITIES.reduce((properties, priority) => ({ ...properties, [priority]: { type: 'integer' } }), {})
+          },
+          completion_rate: {
+            oneOf: [{ type: 'string' }, { type: 'number' }],
+            description: 'Percentage with two decimals, or 0 without todos'
+          }
+        }
+      },
+      HealthCheck: {
+        type: 'object',
+        required: ['status'],
+        properties: {
+          status: { type: 'string', enum: HEALTH_STATES },
+          critical: { type: 'boolean', description: 'Whether failing makes the service unhealthy rather than degraded' },
+          durationMs: { type: 'number' },
+          message: { type: 'string' },
+          details: { type: 'object' }
+        }
+      },
+      Liveness: {
+        type: 'object',
+        required: ['status', 'timestamp', 'uptime'],
+        properties: {
+          status: { type: 'string', enum: ['healthy'] },
+          timestamp: dateTime,
+          uptime: { type: 'number' }
+        }
+      },
+      Readiness: {
+        type: 'object',
+        required: ['status', 'checks', 'timestamp'],
+        properties: {
+          status: { type: 'string', enum: HEALTH_STATES },
+          checks: { type: 'object', additionalProperties: ref('HealthCheck') },
+          timestamp: dateTime,
+          uptime: { type: 'number' }
+        }
+      },
+      Health: {
+        type: 'object',
+        required: ['status', 'timestamp'],
+        properties: {
+          status: { type: 'string', enum: HEALTH_STATES },
+          checks: { type: 'object', additionalProperties: ref('HealthCheck') },
+          timestamp: dateTime,
+          uptime: { type: 'number' },
+          environment: { type: 'string' },
+          version: { type: 'string' },
+          todos_count: { type: 'integer' },
+          storage: { type: 'string' },
+          scheduler: {
+            type: 'object',
+            properties: {
+              status: { type: 'string', enum: ['running', 'stopped'] },
+              scheduled: { type: 'integer', description: 'Jobs waiting to run' },
+              failed: { type: 'integer', description: 'Jobs that ran out of attempts' },
+              nextRunAt: nullable(dateTime),
+              lagMs: { type: 'number', description: 'How long the oldest due job has been waiting' },
+              lastRun: nullable({
+                type: 'object',
+                properties: { at: dateTime, lagMs: { type: 'number', description: 'How late the last job ran' } }
+              })
+            }
+          }
+        }
+      },
+      Configuration: {
+        type: 'object',
+        required: ['env', 'settings', 'sources'],
+        properties: {
+          env: { type: 'string', enum: ENVIRONMENTS },
+          settings: { type: 'object', description: 'Settings by section, as in config/<env>.json; secrets that are set read "[REDACTED]"' },
+          sources: {
+            type: 'object',
+            additionalProperties: { type: 'string' },
+            description: 'Where each setting came from, by dotted name: default, file:config/<env>.json, env:<VARIABLE> or flag:--<name>'
+          }
+        }
+      },
+      ValidationError: {
+        type: 'object',
+        required: ['field', 'message'],
+        properties: {
+          field: nullable({ type: 'string' }),
+          message: { type: 'string' }
+        }
+      },
+      Error: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['success', 'error'],
+        properties: {
+          success: { type: 'boolean', enum: [false] },
+          error: { type: 'string' },
+          message: { type: 'string' },
+          details: arrayOf(ref('ValidationError')),
+          data: { description: 'The current todo, for 409 and 412' },
+          results: arrayOf({ type: 'object', description: 'Batch only: one result per operation' })
+        }
+      }
+    }
+  }
+};
+
+module.exports = {
+  openApiSpec
+};
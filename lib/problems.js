@@ -0,0 +1,144 @@
+/**
+ * RFC 7807 problem details for /api/v2.
+ *
+ * A problem is { type, title, status, detail, instance, traceId, errors }.
+ * `type` names one of PROBLEM_TYPES and is what clients should branch on;
+ * `errors` lists field problems as { field, pointer, detail } where
+ * `pointer` is a JSON Pointer into the request body (or { parameter,
+ * detail } for query parameters).
+ */
+
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+const PROBLEM_BASE_PATH = '/api/v2/problems/';
+
+const PROBLEM_TYPES = {
+  'bad-request': {
+    status: 400,
+    title: 'Bad request',
+    description: 'The request could not be read, for example because the body is not valid JSON.'
+  },
+  'invalid-parameter': {
+    status: 400,
+    title: 'Invalid parameter',
+    description: 'A path or query parameter has a value the endpoint does not accept.'
+  },
+  'validation-failed': {
+    status: 400,
+    title: 'Validation failed',
+    description: 'The request body has invalid fields; `errors` lists each of them.'
+  },
+  unauthorized: {
+    status: 401,
+    title: 'Authentication required',
+    description: 'Send a valid bearer token from /api/auth/login.'
+  },
+  forbidden: {
+    status: 403,
+    title: 'Forbidden',
+    description: 'The resource belongs to another user.'
+  },
+  'not-found': {
+    status: 404,
+    title: 'Not found',
+    description: 'The resource or route does not exist.'
+  },
+  'has-subtasks': {
+    status: 409,
+    title: 'Todo has subtasks',
+    description: 'Delete the subtasks first or pass cascade=true.'
+  },
+  conflict: {
+    status: 409,
+    title: 'Conflict',
+    description: 'The request conflicts with the current state of the resource.'
+  },
+  'version-mismatch': {
+    status: 412,
+    title: 'Version mismatch',
+    description: 'The resource changed since the version in If-Match; `current` holds it now.'
+  },
+  'rate-limited': {
+    status: 429,
+    title: 'Too many requests',
+    description: 'Slow down and retry after the rate limit window.'
+  },
+  'internal-error': {
+    status: 500,
+    title: 'Internal server error',
+    description: 'Something went wrong on our side; quote the traceId when reporting it.'
+  }
+};
+
+// The type used when a problem is derived from a v1-style { success: false } body
+const TYPE_BY_STATUS = {
+  400: 'bad-request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not-found',
+  409: 'conflict',
+  412: 'version-mismatch',
+  429: 'rate-limited'
+};
+
+const escapePointerToken = (token) => token.replace(/~/g, '~0').replace(/\//g, '~1');
+
+// `tags[0]` -> /tags/0, `operations[1].op` -> /operations/1/op
+const fieldPointer = (field) => '/' + field
+  .replace(/\[(\d+)\]/g, '.$1')
+  .split('.')
+  .map(escapePointerToken)
+  .join('/');
+
+// validateTodoInput-style { field, message } -> problem errors
+const bodyErrors = (details = []) => details.map(({ field, message }) => field === null || field === undefined
+  ? { detail: message }
+  : { field, pointer: fieldPointer(field), detail: message }
+);
+
+const buildProblem = (req, typeName, detail, extensions = {}) => {
+  const { status, title } = PROBLEM_TYPES[typeName];
+  const problem = {
+    type: `${PROBLEM_BASE_PATH}${typeName}`,
+    title,
+    status,
+    detail: detail || title,
+    instance: req.originalUrl
+  };
+  if (req.id) problem.traceId = req.id;
+  return { ...problem, ...extensions };
+};
+
+// Sent as a string so the problem+json content type survives res.json wrappers
+const sendProblem = (req, res, typeName, detail, extensions) => {
+  const problem = buildProblem(req, typeName, detail, extensions);
+  res.status(problem.status).type(PROBLEM_CONTENT_TYPE).send(JSON.stringify(problem));
+};
+
+/**
+ * Express middleware: responses written by shared v1-style code (auth,
+ * ownership checks, request validation) as { success: false, error,
+ * details } are turned into problems.
+ */
+const problemResponses = (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (!body || body.success !== false || res.statusCode < 400) return json(body);
+
+    const typeName = res.statusCode === 400 && body.details
+      ? 'validation-failed'
+      : TYPE_BY_STATUS[res.statusCode] || 'internal-error';
+    const extensions = body.details ? { errors: bodyErrors(body.details) } : {};
+    return sendProblem(req, res, typeName, body.error, extensions);
+  };
+  next();
+};
+
+module.exports = {
+  PROBLEM_CONTENT_TYPE,
+  PROBLEM_TYPES,
+  fieldPointer,
+  bodyErrors,
+  buildProblem,
+  sendProblem,
+  problemResponses
+};
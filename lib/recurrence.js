@@ -0,0 +1,221 @@
+/**
+ * Recurrence rules for todos that repeat.
+ *
+ * A rule is stored as { freq, interval, byDay, byMonthDay, count, until }:
+ *   freq        - daily, weekly or monthly
+ *   interval    - every n days/weeks/months (default 1)
+ *   byDay       - weekly only: weekdays as MO, TU, ... (default: the due date's weekday)
+ *   byMonthDay  - monthly only: 1-31, clamped to short months (default: the due date's day)
+ *   count       - occurrences left, including the current one
+ *   until       - ISO 8601 date-time after which no occurrence is due
+ * Clients send the same object or an RRULE string using those parts
+ * (FREQ, INTERVAL, BYDAY, BYMONTHDAY, COUNT, UNTIL). All dates are UTC.
+ */
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MAX_INTERVAL = 365;
+const MAX_COUNT = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UNTIL_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?$/;
+const RRULE_UNTIL_PATTERN = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/;
+
+const RULE_PARTS = ['freq', 'interval', 'byDay', 'byMonthDay', 'count', 'until'];
+const RRULE_PARTS = { FREQ: 'freq', INTERVAL: 'interval', BYDAY: 'byDay', BYMONTHDAY: 'byMonthDay', COUNT: 'count', UNTIL: 'until' };
+
+const isPositiveInteger = (value, max) => Number.isInteger(value) && value >= 1 && value <= max;
+
+// A bare date means the end of that day, like a due date
+const parseUntil = (until) => {
+  if (typeof until !== 'string') return null;
+  const rrule = RRULE_UNTIL_PATTERN.exec(until);
+  if (rrule) {
+    const [, year, month, day, hours, minutes, seconds] = rrule;
+    until = hours ? `${year}-${month}-${day}T${hours}:${minutes}:${seconds}Z` : `${year}-${month}-${day}`;
+  }
+  if (!UNTIL_PATTERN.test(until) || isNaN(Date.parse(until))) return null;
+  return new Date(until.length === 10 ? `${until}T23:59:59.999Z` : until);
+};
+
+// `FREQ=WEEKLY;BYDAY=MO,FR` -> { freq: 'weekly', byDay: ['MO', 'FR'] }, or { message }
+const parseRRule = (text) => {
+  const rule = {};
+  const parts = text.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+  for (const part of parts) {
+    const [name, value] = part.split('=');
+    const key = RRULE_PARTS[name.trim().toUpperCase()];
+    if (!key || value === undefined) return { message: `recurrence does not support the RRULE part ${name.trim()}` };
+    const trimmed = value.trim();
+    switch (key) {
+      case 'freq':
+        rule.freq = trimmed.toLowerCase();
+        break;
+      case 'byDay':
+        rule.byDay = trimmed.split(',');
+        break;
+      case 'until':
+        rule.until = trimmed;
+        break;
+      default:
+        rule[key] = /^\d+$/.test(trimmed) ? parseInt(trimmed) : trimmed;
+    }
+  }
+  return { rule };
+};
+
+/**
+ * Validate a recurrence rule given as an object or RRULE string.
+ * Returns { value } with the stored form (null clears it) or { message }.
+ */
+const parseRecurrence = (input) => {
+  if (input === null) return { value: null };
+
+  let rule = input;
+  if (typeof input === 'string') {
+    const parsed = parseRRule(input);
+    if (parsed.message) return parsed;
+    rule = parsed.rule;
+  } else if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { message: 'recurrence must be an RRULE string, a rule object or null' };
+  }
+
+  const unknown = Object.keys(rule).find(key => !RULE_PARTS.includes(key));
+  if (unknown) return { message: `recurrence.${unknown} is not a supported rule part` };
+
+  if (!FREQUENCIES.includes(rule.freq)) {
+    return { message: `recurrence.freq must be one of ${FREQUENCIES.join(', ')}` };
+  }
+  const value = { freq: rule.freq, interval: 1 };
+
+  if (rule.interval !== undefined) {
+    if (!isPositiveInteger(rule.interval, MAX_INTERVAL)) {
+      return { message: `recurrence.interval must be an integer from 1 to ${MAX_INTERVAL}` };
+    }
+    value.interval = rule.interval;
+  }
+
+  if (rule.byDay !== undefined) {
+    const days = Array.isArray(rule.byDay) ? rule.byDay.map(day => String(day).trim().toUpperCase()) : [];
+    if (rule.freq !== 'weekly') return { message: 'recurrence.byDay is only allowed for weekly rules' };
+    if (days.length === 0 || days.some(day => !WEEKDAYS.includes(day))) {
+      return { message: `recurrence.byDay must be a list of ${WEEKDAYS.join(', ')}` };
+    }
+    value.byDay = WEEKDAYS.filter(day => days.includes(day));
+  }
+
+  if (rule.byMonthDay !== undefined) {
+    if (rule.freq !== 'monthly') return { message: 'recurrence.byMonthDay is only allowed for monthly rules' };
+    if (!isPositiveInteger(rule.byMonthDay, 31)) return { message: 'recurrence.byMonthDay must be an integer from 1 to 31' };
+    value.byMonthDay = rule.byMonthDay;
+  }
+
+  if (rule.count !== undefined) {
+    if (!isPositiveInteger(rule.count, MAX_COUNT)) {
+      return { message: `recurrence.count must be an integer from 1 to ${MAX_COUNT}` };
+    }
+    value.count = rule.count;
+  }
+
+  if (rule.until !== undefined) {
+    const until = parseUntil(rule.until);
+    if (!until) return { message: 'recurrence.until must be an ISO 8601 date or date-time' };
+    value.until = until.toISOString();
+  }
+
+  return { value };
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Weeks start on Monday, as RRULE's default WKST
+const startOfWeek = (date) => addDays(date, -((date.getUTCDay() + 6) % 7));
+
+const monthlyDate = (anchor, monthOffset, day) => {
+  const year = anchor.getUTCFullYear();
+  const month = anchor.getUTCMonth() + monthOffset;
+  const date = new Date(anchor.getTime());
+  date.setUTCDate(1);
+  date.setUTCFullYear(year, month, Math.min(day, daysInMonth(year, month)));
+  return date;
+};
+
+/**
+ * The first date strictly after `anchor` the rule falls on, keeping the
+ * anchor's time of day. Ignores count and until.
+ */
+const nextOccurrence = (rule, anchor) => {
+  const interval = rule.interval || 1;
+
+  if (rule.freq === 'daily') return addDays(anchor, interval);
+
+  if (rule.freq === 'weekly') {
+    if (!rule.byDay) return addDays(anchor, 7 * interval);
+    const weekStart = startOfWeek(anchor);
+    for (let offset = 1; addDays(anchor, offset) < addDays(weekStart, 7); offset++) {
+      const candidate = addDays(anchor, offset);
+      if (rule.byDay.includes(WEEKDAYS[candidate.getUTCDay()])) return candidate;
+    }
+    const nextWeek = addDays(weekStart, 7 * interval);
+    const offset = [1, 2, 3, 4, 5, 6, 0].findIndex(day => rule.byDay.includes(WEEKDAYS[day]));
+    return addDays(nextWeek, offset);
+  }
+
+  const day = rule.byMonthDay || anchor.getUTCDate();
+  const sameMonth = monthlyDate(anchor, 0, day);
+  return sameMonth > anchor ? sameMonth : monthlyDate(anchor, interval, day);
+};
+
+const endOfDay = (date) => new Date(`${date.toISOString().slice(0, 10)}T23:59:59.999Z`);
+
+/**
+ * Where a series goes after `todo` is completed or skipped: { dueDate,
+ * recurrence } for the next occurrence, or null when the series has ended.
+ * The next due date follows the todo's own due date (or today, without one)
+ * and is never in the past. Monthly rules pin their day on the first
+ * occurrence so that a 31st does not drift after February.
+ */
+const advanceRecurrence = (todo, now = new Date()) => {
+  const rule = todo.recurrence;
+  if (!rule || rule.count === 1) return null;
+
+  const anchor = todo.dueDate ? new Date(todo.dueDate) : endOfDay(now);
+  // Pinned before the catch-up below, which would otherwise carry a clamped day forward
+  const recurrence = { ...rule };
+  if (rule.freq === 'monthly' && !rule.byMonthDay) recurrence.byMonthDay = anchor.getUTCDate();
+
+  let dueDate = nextOccurrence(recurrence, anchor);
+  while (dueDate <= now) dueDate = nextOccurrence(recurrence, dueDate);
+  if (rule.until && dueDate > new Date(rule.until)) return null;
+
+  if (rule.count) recurrence.count = rule.count - 1;
+  return { dueDate, recurrence };
+};
+
+const rruleDate = (iso) => iso.replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// The stored rule as an RRULE value, for iCalendar export
+const toRRule = (rule) => {
+  const parts = [`FREQ=${rule.freq.toUpperCase()}`];
+  if (rule.interval && rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+  if (rule.byMonthDay) parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${rruleDate(rule.until)}`);
+  return parts.join(';');
+};
+
+// The first todo of a series has no seriesId; later occurrences point at it
+const seriesIdOf = (todo) => todo.seriesId || todo.id;
+
+module.exports = {
+  FREQUENCIES,
+  WEEKDAYS,
+  MAX_INTERVAL,
+  MAX_COUNT,
+  parseRecurrence,
+  nextOccurrence,
+  advanceRecurrence,
+  toRRule,
+  seriesIdOf
+};
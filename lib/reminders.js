@@ -0,0 +1,104 @@
+const { REMINDER_EVENT } = require('./events');
+const { systemClock } = require('./clock');
+
+const REMINDER_JOB = 'todo.reminder';
+const DEFAULT_LEAD_MS = 60 * 60 * 1000;
+
+const reminderKey = (todoId) => `reminder:${todoId}`;
+const sameTime = (a, b) => new Date(a).getTime() === new Date(b).getTime();
+
+// When to remind about `todo`, or null when it needs no reminder (done, deleted, undated or already due)
+const reminderTime = (todo, leadMs, now = new Date()) => {
+  if (!todo.dueDate || todo.completed || todo.deletedAt) return null;
+  const dueDate = new Date(todo.dueDate);
+  return dueDate > now ? new Date(dueDate.getTime() - leadMs) : null;
+};
+
+/**
+ * Reminders `leadMs` before each todo's due date, run as scheduler jobs
+ * (lib/scheduler.js) and sent through every channel in `channels`.
+ *
+ * A channel is { name, send(reminder) } where reminder is { todo, dueDate,
+ * remindAt }. A channel that fails is reported to `onError` without holding
+ * up the others. Call sync(todo) after every change to a todo: it moves,
+ * adds or cancels the todo's reminder job. Syncs of the same todo run one
+ * after another, in call order. `todos` must see every user's todos;
+ * reminders go to the todo's owner.
+ */
+const createReminders = ({
+  scheduler,
+  todos,
+  channels = [],
+  leadMs = DEFAULT_LEAD_MS,
+  clock = systemClock,
+  onError = () => {}
+}) => {
+  scheduler.register(REMINDER_JOB, async (job) => {
+    const todo = await todos.get(job.payload.todoId);
+    // Missed while the server was down: still worth sending if the todo is open and unchanged
+    if (!todo || todo.completed || todo.deletedAt || !todo.dueDate || !sameTime(todo.dueDate, job.payload.dueDate)) return;
+
+    const reminder = { todo, dueDate: todo.dueDate, remindAt: job.runAt };
+    await Promise.all(channels.map(channel => Promise.resolve()
+      .then(() => channel.send(reminder))
+      .catch(error => onError(error, channel))
+    ));
+  });
+
+  // Pending syncs by todo id. Scheduling looks up the todo's job before replacing it, so two
+  // syncs of one todo running side by side (a batch updating it twice) would both add a job.
+  const syncing = new Map();
+
+  const syncNow = (todo) => {
+    const remindAt = reminderTime(todo, leadMs, clock.now());
+    if (!remindAt) return scheduler.cancel(reminderKey(todo.id));
+    return scheduler.schedule(REMINDER_JOB, remindAt, { todoId: todo.id, dueDate: todo.dueDate }, { key: reminderKey(todo.id) });
+  };
+
+  return {
+    sync: (todo) => {
+      const result = (syncing.get(todo.id) || Promise.resolve()).then(() => syncNow(todo));
+      const settled = result.catch(() => {});
+      syncing.set(todo.id, settled);
+      settled.then(() => {
+        if (syncing.get(todo.id) === settled) syncing.delete(todo.id);
+      });
+      return result;
+    }
+  };
+};
+
+// Live event to the owner's open browser tabs (GET /api/events), which show a notification
+const createPushChannel = (events) => ({
+  name: 'push',
+  send: (reminder) => events.publish(reminder.todo.ownerId, REMINDER_EVENT, reminder)
+});
+
+// `todo.reminder` to the owner's webhooks that subscribe to it
+const createWebhookChannel = (dispatcher) => ({
+  name: 'webhook',
+  send: (reminder) => dispatcher.dispatch(reminder.todo.ownerId, REMINDER_EVENT, reminder)
+});
+
+// Writes each reminder to `log` (stdout by default) and keeps it in `sent`; meant for development and tests
+const createLogChannel = ({ log = line => process.stdout.write(`${line}\n`) } = {}) => {
+  const sent = [];
+  return {
+    name: 'log',
+    sent,
+    send: (reminder) => {
+      sent.push(reminder);
+      log(`Reminder: todo ${reminder.todo.id} "${reminder.todo.text}" is due ${new Date(reminder.dueDate).toISOString()}`);
+    }
+  };
+};
+
+module.exports = {
+  REMINDER_JOB,
+  DEFAULT_LEAD_MS,
+  reminderTime,
+  createReminders,
+  createPushChannel,
+  createWebhookChannel,
+  createLogChannel
+};
@@ -0,0 +1,176 @@
+const { systemClock } = require('./clock');
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_RETRY_DELAY_MS = 60 * 1000;
+// Timers cannot wait longer than ~24.8 days; waking up hourly also bounds clock drift
+const MAX_SLEEP_MS = 60 * 60 * 1000;
+
+const byRunAt = (a, b) => new Date(a.runAt) - new Date(b.runAt) || a.id - b.id;
+
+/**
+ * Run jobs at given times, in the background.
+ *
+ * Jobs are records in `jobs`: { type, key, runAt, payload, status, attempts,
+ * lastError, lastRunAt }. A job is `scheduled` until the handler registered
+ * for its type resolves, after which it is removed. A handler that throws is
+ * retried after retryDelayMs, then 2x, 4x, ... and after `maxAttempts` the
+ * job is kept as `failed`. Scheduling a `key` that is already pending moves
+ * that job instead of adding a second one.
+ *
+ * Jobs live in storage, so after a restart start() runs every job whose time
+ * passed while the process was down (catch-up) and waits for the rest.
+ * Time comes from `clock` (lib/clock.js) so tests can control it.
+ */
+const createScheduler = ({
+  jobs,
+  clock = systemClock,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+  onError = () => {}
+}) => {
+  const handlers = {};
+  let started = false;
+  let timer = null;
+  let ticking = null;
+  let tickAgain = false;
+  let lastRun = null;
+
+  const pendingJobs = async () => (await jobs.list()).filter(job => job.status === 'scheduled').sort(byRunAt);
+
+  const runJob = async (job) => {
+    const now = clock.now();
+    lastRun = { at: now, lagMs: Math.max(0, now - new Date(job.runAt)) };
+    await jobs.update(job.id, { status: 'running', updatedAt: now });
+
+    try {
+      if (!handlers[job.type]) throw new Error(`No handler for job type ${job.type}`);
+      await handlers[job.type](job);
+      await jobs.delete(job.id);
+    } catch (error) {
+      const attempts = job.attempts + 1;
+      const failed = attempts >= maxAttempts;
+      await jobs.update(job.id, {
+        status: failed ? 'failed' : 'scheduled',
+        attempts,
+        lastError: error.message,
+        lastRunAt: now,
+        runAt: failed ? job.runAt : new Date(now.getTime() + retryDelayMs * 2 ** (attempts - 1)),
+        updatedAt: clock.now()
+      });
+      onError(error, job);
+    }
+  };
+
+  // Sleep until the earliest pending job is due
+  const arm = async () => {
+    if (timer) clock.clearTimeout(timer);
+    timer = null;
+    if (!started) return;
+
+    const [next] = await pendingJobs();
+    if (!next) return;
+    const delay = Math.min(Math.max(0, new Date(next.runAt) - clock.now()), MAX_SLEEP_MS);
+    timer = clock.setTimeout(() => {
+      timer = null;
+      return tick().catch(error => onError(error));
+    }, delay);
+  };
+
+  // Run every due job, oldest first; a tick requested meanwhile runs right after this one
+  const tick = async () => {
+    if (ticking) {
+      tickAgain = true;
+      return ticking;
+    }
+
+    ticking = (async () => {
+      do {
+        tickAgain = false;
+        const due = (await pendingJobs()).filter(job => new Date(job.runAt) <= clock.now());
+        for (const job of due) {
+          // Another job's handler may have moved or cancelled this one
+          const current = await jobs.get(job.id);
+          if (current && current.status === 'scheduled' && new Date(current.runAt) <= clock.now()) {
+            await runJob(current);
+          }
+        }
+      } while (tickAgain);
+    })();
+
+    try {
+      await ticking;
+    } finally {
+      ticking = null;
+    }
+    await arm();
+  };
+
+  return {
+    register: (type, handler) => {
+      handlers[type] = handler;
+    },
+
+    schedule: async (type, runAt, payload = {}, { key = null } = {}) => {
+      const existing = key !== null && (await pendingJobs()).find(job => job.key === key);
+      const fields = { type, key, runAt: new Date(runAt), payload, updatedAt: clock.now() };
+      const job = existing
+        ? await jobs.update(existing.id, { ...fields, attempts: 0, lastError: null })
+        : await jobs.create({ ...fields, status: 'scheduled', attempts: 0, lastError: null, lastRunAt: null, createdAt: clock.now() });
+      await arm();
+      return job;
+    },
+
+    // Drop the pending job with `key`, if any; resolves to whether there was one
+    cancel: async (key) => {
+      const job = (await pendingJobs()).find(candidate => candidate.key === key);
+      if (!job) return false;
+      await jobs.delete(job.id);
+      await arm();
+      return true;
+    },
+
+    // A job still marked running was interrupted by a crash or restart, so it runs again
+    start: async () => {
+      const interrupted = (await jobs.list()).filter(job => job.status === 'running');
+      for (const job of interrupted) {
+        await jobs.update(job.id, { status: 'scheduled', updatedAt: clock.now() });
+      }
+      started = true;
+      await tick();
+    },
+
+    stop: () => {
+      started = false;
+      if (timer) clock.clearTimeout(timer);
+      timer = null;
+    },
+
+    tick,
+
+    /**
+     * { status, scheduled, failed, nextRunAt, lagMs, lastRun }. `lagMs` is
+     * how long the oldest due job has been waiting (0 when nothing is due);
+     * `lastRun.lagMs` is how late the last job ran.
+     */
+    status: async () => {
+      const all = await jobs.list();
+      const pending = all.filter(job => job.status === 'scheduled').sort(byRunAt);
+      const now = clock.now();
+      const oldestDue = pending.find(job => new Date(job.runAt) <= now);
+      return {
+        status: started ? 'running' : 'stopped',
+        scheduled: pending.length,
+        failed: all.filter(job => job.status === 'failed').length,
+        nextRunAt: pending.length > 0 ? new Date(pending[0].runAt) : null,
+        lagMs: oldestDue ? now - new Date(oldestDue.runAt) : 0,
+        lastRun
+      };
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_MAX_ATTEMPTS,
+  DEFAULT_RETRY_DELAY_MS,
+  createScheduler
+};
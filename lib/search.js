@@ -0,0 +1,252 @@
+const { stem } = require('./stemmer');
+const { systemClock } = require('./clock');
+
+/**
+ * In-memory inverted index over todo text, tags and notes for
+ * GET /api/search. Words are lowercased, stop words dropped and the rest
+ * stemmed (lib/stemmer.js). Results are ranked with BM25, a field being
+ * worth more the more prominent it is, times a boost for recently changed
+ * todos. Every query word must match; the last one also matches words it
+ * is the start of, for type-ahead.
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const MAX_QUERY_LENGTH = 200;
+const FIELD_WEIGHTS = { text: 3, tags: 2, notes: 1 };
+const PREFIX_MATCH_WEIGHT = 0.8; // a completed word counts a little less than one typed in full
+const MIN_PREFIX_LENGTH = 2;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// Todos changed just now score up to 50% higher; the boost halves every 30 days
+const RECENCY_BOOST = 0.5;
+const RECENCY_HALF_LIFE_DAYS = 30;
+const SNIPPET_LENGTH = 160;
+const SNIPPET_CONTEXT = 40;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if', 'in', 'into', 'is', 'it',
+  'no', 'not', 'of', 'on', 'or', 'such', 'that', 'the', 'their', 'then', 'there', 'these',
+  'they', 'this', 'to', 'was', 'will', 'with'
+]);
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Words of `text` with their position: [{ word, start, end }]
+const words = (text) => [...String(text || '').matchAll(WORD_PATTERN)].map(match => ({
+  word: match[0].toLowerCase(),
+  start: match.index,
+  end: match.index + match[0].length
+}));
+
+const tokenize = (text) => words(text)
+  .filter(({ word }) => !STOP_WORDS.has(word))
+  .map(({ word }) => ({ word, term: stem(word) }));
+
+const fieldText = (todo, field) => field === 'tags' ? (todo.tags || []).join(' ') : todo[field];
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Validate GET /api/search query parameters. Returns { options } or
+ * { error } like parseListQuery.
+ */
+const parseSearchQuery = (query) => {
+  const q = typeof query.q === 'string' ? query.q : '';
+  if (!q.trim()) return { error: 'q is required' };
+  if (q.length > MAX_QUERY_LENGTH) return { error: `q must be at most ${MAX_QUERY_LENGTH} characters` };
+
+  const options = { q, limit: DEFAULT_LIMIT, prefix: true };
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return { error: `limit must be an integer from 1 to ${MAX_LIMIT}` };
+    }
+    options.limit = limit;
+  }
+  if (query.prefix !== undefined) {
+    if (query.prefix !== 'true' && query.prefix !== 'false') return { error: 'prefix must be true or false' };
+    options.prefix = query.prefix === 'true';
+  }
+  return { options };
+};
+
+/**
+ * What a query looks for: one group of acceptable terms per query word,
+ * each term with the weight a match on it gets. The last word, unless the
+ * query ends in a space, also accepts the terms of every indexed word that
+ * starts with it.
+ */
+const parseQuery = (q, vocabulary, prefix) => {
+  const tokens = tokenize(q);
+  const typing = prefix && /[\p{L}\p{N}]$/u.test(q) && tokens.length > 0;
+  const last = typing ? tokens[tokens.length - 1] : null;
+
+  return tokens.map(token => {
+    const group = new Map([[token.term, 1]]);
+    if (token === last && token.word.length >= MIN_PREFIX_LENGTH) {
+      vocabulary.forEach(({ term }, word) => {
+        if (word.startsWith(token.word) && !group.has(term)) group.set(term, PREFIX_MATCH_WEIGHT);
+      });
+    }
+    return { word: token.word, prefix: token === last, group };
+  });
+};
+
+// `text` cut to a window around its first match, HTML-escaped, with matches in <mark>
+const snippet = (text, matches) => {
+  const found = words(text).filter(({ word }) => matches(word));
+  if (found.length === 0) return null;
+
+  let start = Math.max(0, found[0].start - SNIPPET_CONTEXT);
+  if (start > 0) start = text.lastIndexOf(' ', start) + 1;
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  if (end < text.length && text.indexOf(' ', end) !== -1) end = text.indexOf(' ', end);
+
+  let html = start > 0 ? '…' : '';
+  let position = start;
+  found.filter(match => match.start >= start && match.end <= end).forEach(match => {
+    html += escapeHtml(text.slice(position, match.start)) + `<mark>${escapeHtml(text.slice(match.start, match.end))}</mark>`;
+    position = match.end;
+  });
+  html += escapeHtml(text.slice(position, end)) + (end < text.length ? '…' : '');
+  return html;
+};
+
+const createSearchIndex = ({ clock = systemClock } = {}) => {
+  const documents = new Map(); // id -> { ownerId, length, changedAt, terms, words, todo }
+  const postings = new Map(); // term -> Map(id -> weighted term frequency)
+  const vocabulary = new Map(); // word -> { term, documents }
+  let totalLength = 0;
+
+  const remove = (id) => {
+    const document = documents.get(id);
+    if (!document) return false;
+
+    document.terms.forEach((frequency, term) => {
+      const posting = postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) postings.delete(term);
+    });
+    document.words.forEach(word => {
+      const entry = vocabulary.get(word);
+      if (--entry.documents === 0) vocabulary.delete(word);
+    });
+    totalLength -= document.length;
+    documents.delete(id);
+    return true;
+  };
+
+  // Index `todo`, replacing what was indexed for it before
+  const add = (todo) => {
+    remove(todo.id);
+
+    const terms = new Map();
+    const seenWords = new Set();
+    let length = 0;
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+      tokenize(fieldText(todo, field)).forEach(({ word, term }) => {
+        terms.set(term, (terms.get(term) || 0) + weight);
+        seenWords.add(word);
+        length += weight;
+      });
+    });
+
+    terms.forEach((frequency, term) => {
+      if (!postings.has(term)) postings.set(term, new Map());
+      postings.get(term).set(todo.id, frequency);
+    });
+    seenWords.forEach(word => {
+      const entry = vocabulary.get(word) || { term: stem(word), documents: 0 };
+      entry.documents++;
+      vocabulary.set(word, entry);
+    });
+    totalLength += length;
+    documents.set(todo.id, {
+      ownerId: todo.ownerId,
+      length,
+      changedAt: new Date(todo.updatedAt || todo.createdAt || clock.now()),
+      terms,
+      words: seenWords,
+      todo: { text: todo.text || '', tags: todo.tags || [], notes: todo.notes || '' }
+    });
+  };
+
+  const bm25 = (term, id) => {
+    const posting = postings.get(term);
+    const frequency = posting && posting.get(id);
+    if (!frequency) return 0;
+
+    const count = documents.size;
+    const idf = Math.log(1 + (count - posting.size + 0.5) / (posting.size + 0.5));
+    const averageLength = totalLength / count || 1;
+    const length = documents.get(id).length;
+    return idf * frequency * (BM25_K1 + 1) / (frequency + BM25_K1 * (1 - BM25_B + BM25_B * length / averageLength));
+  };
+
+  const recencyBoost = (document) => {
+    const ageDays = Math.max(0, clock.now() - document.changedAt) / (24 * 60 * 60 * 1000);
+    return 1 + RECENCY_BOOST * 0.5 ** (ageDays / RECENCY_HALF_LIFE_DAYS);
+  };
+
+  const highlights = (document, query) => {
+    const exact = new Set(query.map(({ group }) => [...group.keys()][0]));
+    const prefixes = query.filter(part => part.prefix && part.word.length >= MIN_PREFIX_LENGTH).map(part => part.word);
+    const matches = (word) => !STOP_WORDS.has(word) && (exact.has(stem(word)) || prefixes.some(prefix => word.startsWith(prefix)));
+
+    return Object.keys(FIELD_WEIGHTS)
+      .map(field => ({ field, snippet: snippet(fieldText(document.todo, field), matches) }))
+      .filter(highlight => highlight.snippet !== null);
+  };
+
+  /**
+   * Todos of `ownerId` matching `q`, best first: { total, results } where
+   * each result is { id, score, highlights: [{ field, snippet }] } and a
+   * snippet is HTML-escaped text with the matches wrapped in <mark>.
+   */
+  const search = (q, { ownerId, limit = DEFAULT_LIMIT, prefix = true } = {}) => {
+    const query = parseQuery(q, vocabulary, prefix);
+    if (query.length === 0) return { total: 0, results: [] };
+
+    const candidates = [...documents.keys()].filter(id => documents.get(id).ownerId === ownerId &&
+      query.every(({ group }) => [...group.keys()].some(term => postings.has(term) && postings.get(term).has(id))));
+
+    const ranked = candidates
+      .map(id => {
+        const relevance = query.reduce((sum, { group }) =>
+          sum + Math.max(...[...group].map(([term, weight]) => bm25(term, id) * weight)), 0);
+        return { id, score: relevance * recencyBoost(documents.get(id)) };
+      })
+      .sort((a, b) => b.score - a.score || documents.get(b.id).changedAt - documents.get(a.id).changedAt);
+
+    return {
+      total: ranked.length,
+      results: ranked.slice(0, limit).map(({ id, score }) => ({
+        id,
+        score: Number(score.toFixed(4)),
+        highlights: highlights(documents.get(id), query)
+      }))
+    };
+  };
+
+  return {
+    add,
+    remove,
+    search,
+    size: () => documents.size
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  MAX_QUERY_LENGTH,
+  tokenize,
+  parseSearchQuery,
+  createSearchIndex
+};
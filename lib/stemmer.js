@@ -0,0 +1,119 @@
+/**
+ * The Porter stemming algorithm for English (M.F. Porter, 1980): reduces
+ * words to a common stem so "deploying", "deployed" and "deploys" all
+ * match "deploy". Expects a lowercase word; stems are not always words.
+ */
+
+const isConsonant = (word, i) => {
+  const char = word[i];
+  if ('aeiou'.includes(char)) return false;
+  if (char === 'y') return i === 0 || !isConsonant(word, i - 1);
+  return true;
+};
+
+// The number of vowel-consonant sequences in `stem` ("m" in the paper)
+const measure = (stem) => {
+  let count = 0;
+  let i = 0;
+  while (i < stem.length && isConsonant(stem, i)) i++;
+  while (i < stem.length) {
+    while (i < stem.length && !isConsonant(stem, i)) i++;
+    if (i >= stem.length) break;
+    while (i < stem.length && isConsonant(stem, i)) i++;
+    count++;
+  }
+  return count;
+};
+
+const hasVowel = (stem) => [...stem].some((char, i) => !isConsonant(stem, i));
+
+const endsWithDoubleConsonant = (word) => word.length >= 2 &&
+  word[word.length - 1] === word[word.length - 2] &&
+  isConsonant(word, word.length - 1);
+
+// consonant-vowel-consonant, where the last consonant is not w, x or y
+const endsWithCvc = (word) => {
+  const n = word.length;
+  return n >= 3 && isConsonant(word, n - 3) && !isConsonant(word, n - 2) && isConsonant(word, n - 1) &&
+    !'wxy'.includes(word[n - 1]);
+};
+
+// Replace the longest matching suffix when what is left passes `condition`
+const replaceSuffix = (word, rules, condition) => {
+  const rule = rules.find(([suffix]) => word.endsWith(suffix));
+  if (!rule) return word;
+  const stem = word.slice(0, -rule[0].length);
+  return condition(stem) ? stem + rule[1] : word;
+};
+
+const STEP_2 = [
+  ['ational', 'ate'], ['tional', 'tion'], ['enci', 'ence'], ['anci', 'ance'], ['izer', 'ize'],
+  ['bli', 'ble'], ['alli', 'al'], ['entli', 'ent'], ['eli', 'e'], ['ousli', 'ous'],
+  ['ization', 'ize'], ['ation', 'ate'], ['ator', 'ate'], ['alism', 'al'], ['iveness', 'ive'],
+  ['fulness', 'ful'], ['ousness', 'ous'], ['aliti', 'al'], ['iviti', 'ive'], ['biliti', 'ble'], ['logi', 'log']
+].sort((a, b) => b[0].length - a[0].length);
+
+const STEP_3 = [
+  ['icate', 'ic'], ['ative', ''], ['alize', 'al'], ['iciti', 'ic'], ['ical', 'ic'], ['ful', ''], ['ness', '']
+].sort((a, b) => b[0].length - a[0].length);
+
+const STEP_4 = [
+  'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment', 'ent',
+  'ion', 'ou', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize'
+].sort((a, b) => b.length - a.length);
+
+const step1a = (word) => {
+  if (word.endsWith('sses')) return word.slice(0, -2);
+  if (word.endsWith('ies')) return word.slice(0, -2);
+  if (word.endsWith('ss')) return word;
+  if (word.endsWith('s')) return word.slice(0, -1);
+  return word;
+};
+
+const step1b = (word) => {
+  if (word.endsWith('eed')) {
+    return measure(word.slice(0, -3)) > 0 ? word.slice(0, -1) : word;
+  }
+
+  const suffix = ['ed', 'ing'].find(candidate => word.endsWith(candidate));
+  if (!suffix || !hasVowel(word.slice(0, -suffix.length))) return word;
+
+  const stem = word.slice(0, -suffix.length);
+  if (['at', 'bl', 'iz'].some(ending => stem.endsWith(ending))) return stem + 'e';
+  if (endsWithDoubleConsonant(stem) && !'lsz'.includes(stem[stem.length - 1])) return stem.slice(0, -1);
+  if (measure(stem) === 1 && endsWithCvc(stem)) return stem + 'e';
+  return stem;
+};
+
+const step1c = (word) => word.endsWith('y') && hasVowel(word.slice(0, -1)) ? word.slice(0, -1) + 'i' : word;
+
+const step4 = (word) => {
+  const suffix = STEP_4.find(candidate => word.endsWith(candidate));
+  if (!suffix) return word;
+  const stem = word.slice(0, -suffix.length);
+  if (measure(stem) <= 1) return word;
+  if (suffix === 'ion' && !/[st]$/.test(stem)) return word;
+  return stem;
+};
+
+const step5 = (word) => {
+  if (word.endsWith('e')) {
+    const stem = word.slice(0, -1);
+    const m = measure(stem);
+    if (m > 1 || (m === 1 && !endsWithCvc(stem))) word = stem;
+  }
+  if (word.endsWith('ll') && measure(word) > 1) word = word.slice(0, -1);
+  return word;
+};
+
+const stem = (word) => {
+  if (word.length <= 2) return word;
+  let result = step1c(step1b(step1a(word)));
+  result = replaceSuffix(result, STEP_2, stemPart => measure(stemPart) > 0);
+  result = replaceSuffix(result, STEP_3, stemPart => measure(stemPart) > 0);
+  return step5(step4(result));
+};
+
+module.exports = {
+  stem
+};
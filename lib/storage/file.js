@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryRepository = require('./memory');
+
+/**
+ * Repository backed by an append-only JSON lines file.
+ * Every change is appended as one record and replayed on startup,
+ * so data and the ID sequence survive restarts.
+ *
+ * JSON has no date type, so fields listed in `dateFields` are turned back
+ * into Date objects on replay.
+ */
+class FileRepository extends MemoryRepository {
+  constructor (options = {}) {
+    super();
+    this.name = 'file';
+    this.file = options.file;
+    this.dateFields = options.dateFields || ['createdAt', 'updatedAt'];
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    if (fs.existsSync(this.file)) {
+      this.replay(fs.readFileSync(this.file, 'utf8'));
+    }
+  }
+
+  replay (contents) {
+    contents.split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Corrupt storage file ${this.file} at line ${index + 1}`);
+      }
+
+      if (entry.op === 'put') {
+        // Files written before there were other collections than todos say `todo`
+        const record = this.revive(entry.record || entry.todo);
+        this.records.set(record.id, record);
+        // IDs are never reused, even when the highest one was deleted
+        this.nextId = Math.max(this.nextId, record.id + 1);
+      } else if (entry.op === 'delete') {
+        this.records.delete(entry.id);
+      }
+    });
+  }
+
+  revive (record) {
+    this.dateFields.forEach(field => {
+      if (record[field]) record[field] = new Date(record[field]);
+    });
+    return record;
+  }
+
+  // A transaction is appended in a single write so it lands as a unit
+  write (entries) {
+    if (entries.length === 0) return;
+    fs.appendFileSync(this.file, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+  }
+}
+
+module.exports = FileRepository;
@@ -0,0 +1,64 @@
+const path = require('path');
+const MemoryRepository = require('./memory');
+const FileRepository = require('./file');
+const scopeRepository = require('./scoped');
+const trashRepository = require('./trash');
+const traceRepository = require('./traced');
+
+const DEFAULT_DIR = path.join(__dirname, '..', '..', 'data');
+const TODO_DATE_FIELDS = ['createdAt', 'updatedAt', 'dueDate', 'deletedAt'];
+
+/**
+ * Create a repository for one collection (todos, users, ...) using the
+ * storage driver selected by configuration. The file driver keeps each
+ * collection in `<STORAGE_DIR>/<collection>.jsonl`, or in `options.file`.
+ *
+ * Every backend exposes the same async interface:
+ * list(), get(id), create(fields), update(id, changes) and delete(id).
+ * get/update/delete resolve to null when the record does not exist, and
+ * transaction(work) applies every change made inside `work` or none of them.
+ */
+const createRepository = (collection, options = {}) => {
+  const driver = options.driver || process.env.STORAGE_DRIVER || 'memory';
+
+  switch (driver) {
+    case 'memory':
+      return new MemoryRepository({ seed: options.seed });
+    case 'file':
+      return new FileRepository({
+        file: options.file || path.join(options.dir || process.env.STORAGE_DIR || DEFAULT_DIR, `${collection}.jsonl`),
+        dateFields: options.dateFields
+      });
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+// The todo repository; STORAGE_FILE still names its file, as it did before accounts
+const createStorage = (options = {}) =>
+  createRepository('todos', { dateFields: TODO_DATE_FIELDS, ...options, file: options.file || process.env.STORAGE_FILE });
+
+/**
+ * Give records saved before there were accounts (no ownerId) to `ownerId`.
+ * Without an owner they are hidden from every user. Resolves to the
+ * records adopted.
+ */
+const adoptUnowned = (repo, ownerId) => repo.transaction(async (inner) => {
+  const unowned = (await inner.list()).filter(record => record.ownerId === undefined);
+  const adopted = [];
+  for (const record of unowned) {
+    adopted.push(await inner.update(record.id, { ownerId }));
+  }
+  return adopted;
+});
+
+module.exports = {
+  createRepository,
+  createStorage,
+  scopeRepository,
+  trashRepository,
+  traceRepository,
+  adoptUnowned,
+  MemoryRepository,
+  FileRepository
+};
@@ -0,0 +1,99 @@
+const toId = (id) => parseInt(id);
+const clone = (record) => {
+  const copy = { ...record };
+  Object.keys(copy).forEach(key => {
+    if (Array.isArray(copy[key])) copy[key] = [...copy[key]];
+  });
+  return copy;
+};
+
+/**
+ * Repository that keeps every record in process memory.
+ * Data is lost on restart; used for local development and tests.
+ *
+ * Every record carries a `version` that starts at 1 and is bumped on each
+ * update, so callers can detect concurrent modifications.
+ */
+class MemoryRepository {
+  constructor (options = {}) {
+    this.name = 'memory';
+    this.records = new Map();
+    this.nextId = 1;
+    this.pending = null;
+
+    (options.seed || []).forEach(fields => {
+      const record = clone({ id: this.nextId++, ...fields, version: 1 });
+      this.records.set(record.id, record);
+    });
+  }
+
+  async list () {
+    return [...this.records.values()].map(clone);
+  }
+
+  async get (id) {
+    const record = this.records.get(toId(id));
+    return record ? clone(record) : null;
+  }
+
+  async create (fields) {
+    const record = clone({ ...fields, id: this.nextId++, version: 1 });
+    this.record({ op: 'put', record });
+    this.records.set(record.id, record);
+    return clone(record);
+  }
+
+  async update (id, changes) {
+    const existing = this.records.get(toId(id));
+    if (!existing) return null;
+
+    const record = clone({ ...existing, ...changes, id: existing.id, version: (existing.version || 1) + 1 });
+    this.record({ op: 'put', record });
+    this.records.set(record.id, record);
+    return clone(record);
+  }
+
+  async delete (id) {
+    const record = this.records.get(toId(id));
+    if (!record) return null;
+
+    this.record({ op: 'delete', id: record.id });
+    this.records.delete(record.id);
+    return clone(record);
+  }
+
+  /**
+   * Run `work(repository)` so that all of its changes apply or none do.
+   * If `work` throws, in-memory state is restored and nothing is written.
+   */
+  async transaction (work) {
+    const snapshot = { records: new Map(this.records), nextId: this.nextId };
+    this.pending = [];
+
+    try {
+      const result = await work(this);
+      const entries = this.pending;
+      this.pending = null;
+      this.write(entries);
+      return result;
+    } catch (error) {
+      this.records = snapshot.records;
+      this.nextId = snapshot.nextId;
+      this.pending = null;
+      throw error;
+    }
+  }
+
+  record (entry) {
+    if (this.pending) {
+      this.pending.push(entry);
+    } else {
+      this.write([entry]);
+    }
+  }
+
+  // Hook for durable backends; receives every committed change in order
+  write () {}
+}
+
+module.exports = MemoryRepository;
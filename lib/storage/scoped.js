@@ -0,0 +1,31 @@
+/**
+ * Wrap a repository so it only sees records owned by `ownerId`.
+ * Records owned by anyone else behave as if they did not exist, and
+ * created records are stamped with the owner.
+ */
+const scopeRepository = (repo, ownerId) => {
+  const owns = (record) => Boolean(record) && record.ownerId === ownerId;
+
+  const scoped = {
+    name: repo.name,
+
+    list: async () => (await repo.list()).filter(owns),
+
+    get: async (id) => {
+      const record = await repo.get(id);
+      return owns(record) ? record : null;
+    },
+
+    create: (fields) => repo.create({ ...fields, ownerId }),
+
+    update: async (id, changes) => (await scoped.get(id)) ? repo.update(id, changes) : null,
+
+    delete: async (id) => (await scoped.get(id)) ? repo.delete(id) : null,
+
+    transaction: (work) => repo.transaction(inner => work(scopeRepository(inner, ownerId)))
+  };
+
+  return scoped;
+};
+
+module.exports = scopeRepository;
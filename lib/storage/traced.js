@@ -0,0 +1,29 @@
+const METHODS = ['list', 'get', 'create', 'update', 'delete'];
+
+/**
+ * Wrap a repository so each call made during a trace runs in a span named
+ * after the collection and operation ("todos.update"), including calls
+ * made inside a transaction. Calls outside any trace, such as background
+ * jobs polling, are not traced.
+ */
+const traceRepository = (repo, tracer, collection) => {
+  const traced = { name: repo.name };
+
+  const wrap = (operation, call) => tracer.activeSpan()
+    ? tracer.trace(`${collection}.${operation}`, {
+      'db.system': repo.name,
+      'db.collection.name': collection,
+      'db.operation.name': operation
+    }, call)
+    : call();
+
+  METHODS.forEach(method => {
+    traced[method] = (...args) => wrap(method, () => repo[method](...args));
+  });
+  traced.transaction = (work) => wrap('transaction',
+    () => repo.transaction(inner => work(traceRepository(inner, tracer, collection))));
+
+  return traced;
+};
+
+module.exports = traceRepository;
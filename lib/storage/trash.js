@@ -0,0 +1,54 @@
+/**
+ * Wrap a repository so `delete` moves records to a trash instead of
+ * removing them. Trashed records carry a `deletedAt` timestamp and behave
+ * as if they did not exist for list/get/update/delete until restored.
+ * `purge` removes a record (live or trashed) for good.
+ */
+const trashRepository = (repo) => {
+  const live = (record) => Boolean(record) && !record.deletedAt;
+  const trashed = (record) => Boolean(record) && Boolean(record.deletedAt);
+
+  const view = {
+    name: repo.name,
+
+    list: async () => (await repo.list()).filter(live),
+
+    get: async (id) => {
+      const record = await repo.get(id);
+      return live(record) ? record : null;
+    },
+
+    create: (fields) => repo.create(fields),
+
+    update: async (id, changes) => (await view.get(id)) ? repo.update(id, changes) : null,
+
+    // Records deleted together share `deletedAt`, so they can be restored together
+    delete: async (id, deletedAt = new Date()) => (await view.get(id)) ? repo.update(id, { deletedAt }) : null,
+
+    listDeleted: async () => (await repo.list()).filter(trashed),
+
+    getDeleted: async (id) => {
+      const record = await repo.get(id);
+      return trashed(record) ? record : null;
+    },
+
+    restore: async (id, changes = {}) => (await view.getDeleted(id)) ? repo.update(id, { ...changes, deletedAt: null }) : null,
+
+    purge: (id) => repo.delete(id),
+
+    // Purge everything trashed before `cutoff`; resolves to the purged records
+    purgeDeletedBefore: async (cutoff) => {
+      const expired = (await view.listDeleted()).filter(record => record.deletedAt < cutoff);
+      for (const record of expired) {
+        await repo.delete(record.id);
+      }
+      return expired;
+    },
+
+    transaction: (work) => repo.transaction(inner => work(trashRepository(inner)))
+  };
+
+  return view;
+};
+
+module.exports = trashRepository;
@@ -0,0 +1,367 @@
+const { PRIORITIES } = require('./todo-schema');
+const { toRRule } = require('./recurrence');
+
+/**
+ * Serializers and parsers for todo import/export.
+ *
+ * serialize(todos) returns the file body. parse(input) returns { rows } or
+ * { error } when the file as a whole cannot be read. Each row is
+ * { row, ref, parentRef, input }: `row` is the 1-based position used in
+ * error reports, `ref`/`parentRef` link subtasks to their parent within the
+ * same file, and `input` is a todo payload for validateTodoInput.
+ */
+
+const toDate = (value) => value ? new Date(value) : null;
+
+// End-of-day UTC is how a bare due date is stored, so write it back as one
+const formatDueDate = (dueDate) => {
+  const iso = toDate(dueDate).toISOString();
+  return iso.endsWith('T23:59:59.999Z') ? iso.slice(0, 10) : iso;
+};
+
+// Keeps a row's fields in the order todos are usually read
+const pickInput = (source) => {
+  const input = {};
+  ['text', 'completed', 'dueDate', 'priority', 'tags', 'notes', 'recurrence'].forEach(field => {
+    if (source[field] !== undefined && source[field] !== '') input[field] = source[field];
+  });
+  return input;
+};
+
+const parseBoolean = (value) => {
+  const normalized = String(value).trim().toLowerCase();
+  if (['true', 'yes', '1', 'x', 'done'].includes(normalized)) return true;
+  if (['false', 'no', '0', '', 'todo'].includes(normalized)) return false;
+  return value; // let the schema report it
+};
+
+// --- JSON -------------------------------------------------------------------
+
+const json = {
+  contentType: 'application/json',
+  extension: 'json',
+
+  serialize: (todos) => JSON.stringify(todos, null, 2),
+
+  // Accepts a bare array, an export file, or a GET /api/todos response
+  parse: (input) => {
+    let parsed = input;
+    if (typeof input === 'string') {
+      try {
+        parsed = JSON.parse(input);
+      } catch (error) {
+        return { error: 'File is not valid JSON' };
+      }
+    }
+    const items = Array.isArray(parsed) ? parsed : parsed && (parsed.todos || parsed.data);
+    if (!Array.isArray(items)) return { error: 'Expected an array of todos' };
+
+    return {
+      rows: items.map((item, index) => {
+        const source = item && typeof item === 'object' ? item : {};
+        return { row: index + 1, ref: source.id, parentRef: source.parentId, input: pickInput(source) };
+      })
+    };
+  }
+};
+
+// --- CSV --------------------------------------------------------------------
+
+const CSV_COLUMNS = ['id', 'text', 'completed', 'priority', 'dueDate', 'tags', 'notes', 'parentId', 'createdAt'];
+const TAG_SEPARATOR = ';';
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+const csvCell = (value) => {
+  let cell = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_PREFIX.test(cell)) cell = `'${cell}`;
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+// RFC 4180: quoted fields may contain commas, quotes ("") and line breaks
+const parseCsvRecords = (text) => {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || record.length > 0) {
+    record.push(cell);
+    records.push(record);
+  }
+  return records.filter(fields => fields.some(field => field.trim() !== ''));
+};
+
+const unescapeFormula = (cell) => cell.startsWith("'") && FORMULA_PREFIX.test(cell.slice(1)) ? cell.slice(1) : cell;
+
+const csv = {
+  contentType: 'text/csv; charset=utf-8',
+  extension: 'csv',
+
+  serialize: (todos) => [
+    CSV_COLUMNS.join(','),
+    ...todos.map(todo => [
+      todo.id,
+      todo.text,
+      todo.completed,
+      todo.priority,
+      todo.dueDate ? formatDueDate(todo.dueDate) : '',
+      (todo.tags || []).join(TAG_SEPARATOR),
+      todo.notes,
+      todo.parentId,
+      todo.createdAt ? toDate(todo.createdAt).toISOString() : ''
+    ].map(csvCell).join(','))
+  ].join('\r\n') + '\r\n',
+
+  parse: (input) => {
+    const [header, ...records] = parseCsvRecords(String(input).replace(/^\uFEFF/, ''));
+    const columns = (header || []).map(column => column.trim().toLowerCase());
+    if (!columns.includes('text')) return { error: 'CSV header must include a text column' };
+
+    return {
+      rows: records.map((record, index) => {
+        const source = {};
+        columns.forEach((column, position) => {
+          source[column] = unescapeFormula(record[position] === undefined ? '' : record[position]);
+        });
+
+        const input = pickInput({
+          text: source.text,
+          priority: source.priority,
+          dueDate: source.duedate,
+          notes: source.notes
+        });
+        if (source.completed !== undefined) input.completed = parseBoolean(source.completed);
+        if (source.tags) input.tags = source.tags.split(TAG_SEPARATOR).map(tag => tag.trim()).filter(Boolean);
+
+        return {
+          row: index + 2, // the header is line 1
+          ref: source.id ? Number(source.id) : undefined,
+          parentRef: source.parentid ? Number(source.parentid) : undefined,
+          input
+        };
+      })
+    };
+  }
+};
+
+// --- Markdown checklist -----------------------------------------------------
+// - [x] Text !high due:2030-01-31 #tag   (subtasks are indented two spaces per level)
+
+const CHECKLIST_LINE = /^(\s*)[-*+] \[([ xX])\] (.*)$/;
+const INDENT = '  ';
+
+const markdown = {
+  contentType: 'text/markdown; charset=utf-8',
+  extension: 'md',
+
+  serialize: (todos) => {
+    const ids = new Set(todos.map(todo => todo.id));
+    const lines = ['# Todos', ''];
+    const write = (todo, depth) => {
+      const meta = [];
+      if (todo.priority && todo.priority !== 'medium') meta.push(`!${todo.priority}`);
+      if (todo.dueDate) meta.push(`due:${formatDueDate(todo.dueDate)}`);
+      (todo.tags || []).forEach(tag => meta.push(`#${tag.replace(/\s+/g, '-')}`));
+      const text = todo.text.replace(/\s*\n\s*/g, ' ');
+      lines.push(`${INDENT.repeat(depth)}- [${todo.completed ? 'x' : ' '}] ${[text, ...meta].join(' ')}`);
+      todos.filter(child => child.parentId === todo.id).forEach(child => write(child, depth + 1));
+    };
+    todos.filter(todo => !todo.parentId || !ids.has(todo.parentId)).forEach(todo => write(todo, 0));
+    return lines.join('\n') + '\n';
+  },
+
+  // Lines that are not checklist items (headings, prose) are skipped
+  parse: (input) => {
+    const rows = [];
+    const parents = []; // row number of the latest item at each depth
+
+    String(input).split(/\r?\n/).forEach((line, index) => {
+      const match = CHECKLIST_LINE.exec(line);
+      if (!match) return;
+
+      const depth = Math.floor(match[1].replace(/\t/g, INDENT).length / INDENT.length);
+      const words = match[3].trim().split(/\s+/);
+      const input = { completed: match[2] !== ' ' };
+      const tags = [];
+
+      // Metadata tokens are only recognised at the end of the line
+      while (words.length > 1) {
+        const word = words[words.length - 1];
+        if (/^![a-z]+$/.test(word) && PRIORITIES.includes(word.slice(1))) {
+          input.priority = word.slice(1);
+        } else if (/^due:\S+$/.test(word)) {
+          input.dueDate = word.slice(4);
+        } else if (/^#\S+$/.test(word)) {
+          tags.unshift(word.slice(1));
+        } else {
+          break;
+        }
+        words.pop();
+      }
+      input.text = words.join(' ');
+      if (tags.length > 0) input.tags = tags;
+
+      const row = index + 1;
+      parents[depth] = row;
+      parents.length = depth + 1;
+      rows.push({ row, ref: row, parentRef: depth > 0 ? parents[depth - 1] : undefined, input: pickInput(input) });
+    });
+
+    return { rows };
+  }
+};
+
+// --- iCalendar VTODO (RFC 5545) ---------------------------------------------
+
+const ICS_PRIORITY = { high: 1, medium: 5, low: 9 };
+
+const icsText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const icsUnescape = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => char.toLowerCase() === 'n' ? '\n' : char);
+
+const icsDateTime = (value) => toDate(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets are folded with CRLF + space
+const foldLine = (line) => {
+  const parts = [];
+  let rest = line;
+  while (Buffer.byteLength(rest) > 75) {
+    let cut = 75;
+    while (Buffer.byteLength(rest.slice(0, cut)) > 75) cut--;
+    parts.push(rest.slice(0, cut));
+    rest = rest.slice(cut);
+  }
+  parts.push(rest);
+  return parts.join('\r\n ');
+};
+
+const uidFor = (id) => `todo-${id}@todo-devops-demo`;
+
+const icsDue = (todo) => {
+  const due = formatDueDate(todo.dueDate);
+  return due.length === 10 ? `DUE;VALUE=DATE:${due.replace(/-/g, '')}` : `DUE:${icsDateTime(due)}`;
+};
+
+// 20300131 -> 2030-01-31, 20300131T090000Z -> 2030-01-31T09:00:00Z (floating times are read as UTC)
+const parseIcsDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value.trim());
+  if (!match) return value;
+  const date = `${match[1]}-${match[2]}-${match[3]}`;
+  return match[4] ? `${date}T${match[4]}:${match[5]}:${match[6]}Z` : date;
+};
+
+const parseIcsPriority = (value) => {
+  const priority = parseInt(value);
+  if (!priority) return undefined;
+  if (priority <= 4) return 'high';
+  return priority === 5 ? 'medium' : 'low';
+};
+
+const ics = {
+  contentType: 'text/calendar; charset=utf-8',
+  extension: 'ics',
+
+  serialize: (todos, now = new Date()) => {
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//todo-devops-demo//Todo export//EN'];
+    todos.forEach(todo => {
+      lines.push('BEGIN:VTODO', `UID:${uidFor(todo.id)}`, `DTSTAMP:${icsDateTime(now)}`);
+      if (todo.createdAt) lines.push(`CREATED:${icsDateTime(todo.createdAt)}`);
+      if (todo.updatedAt) lines.push(`LAST-MODIFIED:${icsDateTime(todo.updatedAt)}`);
+      lines.push(`SUMMARY:${icsText(todo.text)}`);
+      if (todo.notes) lines.push(`DESCRIPTION:${icsText(todo.notes)}`);
+      if (todo.dueDate) lines.push(icsDue(todo));
+      if (todo.recurrence) lines.push(`RRULE:${toRRule(todo.recurrence)}`);
+      lines.push(`PRIORITY:${ICS_PRIORITY[todo.priority] || ICS_PRIORITY.medium}`);
+      if (todo.tags && todo.tags.length > 0) lines.push(`CATEGORIES:${todo.tags.map(icsText).join(',')}`);
+      lines.push(`STATUS:${todo.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+      if (todo.completed) lines.push(`COMPLETED:${icsDateTime(todo.updatedAt || now)}`);
+      if (todo.parentId) lines.push(`RELATED-TO:${uidFor(todo.parentId)}`);
+      lines.push('END:VTODO');
+    });
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+  },
+
+  parse: (input) => {
+    const lines = String(input).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    if (!lines.some(line => line.trim() === 'BEGIN:VCALENDAR')) return { error: 'File is not an iCalendar file' };
+
+    const rows = [];
+    let current = null;
+    lines.forEach(line => {
+      if (line === 'BEGIN:VTODO') {
+        current = { row: rows.length + 1, source: {}, categories: [] };
+        return;
+      }
+      if (!current) return;
+      if (line === 'END:VTODO') {
+        const { source } = current;
+        const input = pickInput({
+          text: source.SUMMARY,
+          notes: source.DESCRIPTION,
+          dueDate: source.DUE && parseIcsDate(source.DUE),
+          priority: source.PRIORITY && parseIcsPriority(source.PRIORITY),
+          recurrence: source.RRULE
+        });
+        if (source.STATUS !== undefined || source.COMPLETED !== undefined) {
+          input.completed = source.STATUS === 'COMPLETED' || Boolean(source.COMPLETED);
+        }
+        if (current.categories.length > 0) input.tags = current.categories;
+        rows.push({ row: current.row, ref: source.UID, parentRef: source['RELATED-TO'], input });
+        current = null;
+        return;
+      }
+
+      const separator = line.indexOf(':');
+      if (separator === -1) return;
+      const name = line.slice(0, separator).split(';')[0].toUpperCase();
+      const value = line.slice(separator + 1);
+      if (name === 'CATEGORIES') {
+        current.categories.push(...value.split(/(?<!\\),/).map(icsUnescape).map(tag => tag.trim()).filter(Boolean));
+      } else {
+        current.source[name] = ['SUMMARY', 'DESCRIPTION'].includes(name) ? icsUnescape(value) : value;
+      }
+    });
+
+    return { rows };
+  }
+};
+
+const FORMATS = { json, csv, md: markdown, ics };
+
+module.exports = {
+  FORMATS,
+  FORMAT_NAMES: Object.keys(FORMATS)
+};
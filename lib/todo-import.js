@@ -0,0 +1,119 @@
+const { TODO_DEFAULTS, validateTodoInput } = require('./todo-schema');
+
+const MAX_IMPORT_ROWS = 1000;
+
+const normalizeText = (text) => text.trim().toLowerCase();
+
+/**
+ * Decide what importing parsed rows (see todo-formats.js) would do, without
+ * touching storage. Each result is { row, status, text, ... } where status is:
+ *   valid      - will be created (`fields` holds the validated todo)
+ *   duplicate  - same text as an existing todo (`duplicateOf`) or an earlier
+ *                row (`duplicateOfRow`); skipped unless `allowDuplicates`
+ *   error      - `errors` lists { field, message } problems
+ * Subtasks keep their parent through `parentRow` (a row in the same file)
+ * or `parentId` (an existing todo their parent row duplicates).
+ */
+const planImport = (rows, existing, { allowDuplicates = false } = {}) => {
+  const seen = new Map(existing.map(todo => [normalizeText(todo.text), { duplicateOf: todo.id }]));
+  const byRef = new Map();
+
+  const plan = rows.map(({ row, ref, input }) => {
+    const { value, errors } = validateTodoInput(input);
+    const result = { row, text: typeof input.text === 'string' ? input.text.trim() : null };
+    if (ref !== undefined && ref !== null) byRef.set(String(ref), result);
+
+    if (errors.length > 0) {
+      return Object.assign(result, { status: 'error', errors });
+    }
+
+    const key = normalizeText(value.text);
+    if (!allowDuplicates && seen.has(key)) {
+      return Object.assign(result, { status: 'duplicate' }, seen.get(key));
+    }
+    seen.set(key, { duplicateOfRow: row });
+    return Object.assign(result, { status: 'valid', fields: value });
+  });
+
+  // Link subtasks once every row is known, since a child may come before its parent
+  rows.forEach(({ parentRef }, index) => {
+    const result = plan[index];
+    if (result.status !== 'valid' || parentRef === undefined || parentRef === null) return;
+
+    const parent = byRef.get(String(parentRef));
+    if (!parent) return; // parent not in this file: import as a top-level todo
+
+    if (parent.status === 'error') {
+      Object.assign(result, {
+        status: 'error',
+        errors: [{ field: 'parentId', message: `Parent row ${parent.row} could not be imported` }]
+      });
+    } else if (parent.duplicateOf) {
+      result.parentId = parent.duplicateOf;
+    } else {
+      result.parentRow = parent.duplicateOfRow || parent.row;
+    }
+  });
+
+  return plan;
+};
+
+/**
+ * Create every valid row of `plan` through `repo` (run it in a transaction),
+ * parents before their subtasks. `extraFields` are added to every todo.
+ * Updates the plan in place: created rows get status `created` and an `id`.
+ */
+const applyImport = async (repo, plan, extraFields = {}) => {
+  const createdByRow = new Map();
+  const remaining = plan.filter(result => result.status === 'valid');
+
+  while (remaining.length > 0) {
+    const index = remaining.findIndex(result => !result.parentRow || createdByRow.has(result.parentRow));
+    if (index === -1) {
+      const waiting = new Set(remaining.map(result => result.row));
+      remaining.forEach(result => Object.assign(result, {
+        status: 'error',
+        errors: [{
+          field: 'parentId',
+          message: waiting.has(result.parentRow)
+            ? 'Parent rows form a cycle'
+            : `Parent row ${result.parentRow} could not be imported`
+        }]
+      }));
+      break;
+    }
+
+    const [result] = remaining.splice(index, 1);
+    const parentId = result.parentRow ? createdByRow.get(result.parentRow) : result.parentId || null;
+    const todo = await repo.create({ ...TODO_DEFAULTS, ...result.fields, ...extraFields, parentId, createdAt: new Date() });
+    createdByRow.set(result.row, todo.id);
+    Object.assign(result, { status: 'created', id: todo.id });
+  }
+
+  return plan;
+};
+
+// What the API returns for each row
+const importReport = (plan) => plan.map(result => {
+  const report = { ...result };
+  delete report.fields;
+  delete report.parentRow;
+  delete report.parentId;
+  return report;
+});
+
+const summarizeImport = (plan) => ({
+  rows: plan.length,
+  valid: plan.filter(result => result.status === 'valid' || result.status === 'created').length,
+  created: plan.filter(result => result.status === 'created').length,
+  duplicates: plan.filter(result => result.status === 'duplicate').length,
+  errors: plan.filter(result => result.status === 'error').length
+});
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  planImport,
+  applyImport,
+  importReport,
+  summarizeImport
+};
@@ -0,0 +1,168 @@
+const { PRIORITIES, TODO_DEFAULTS, isOverdue } = require('./todo-schema');
+
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'text'];
+const SORT_ORDERS = ['asc', 'desc'];
+const MAX_LIMIT = 100;
+
+const sortKey = (todo, field) => {
+  const value = todo[field];
+  if (value === undefined || value === null) return null;
+  if (field === 'text') return value.toLowerCase();
+  return new Date(value).getTime();
+};
+
+// Nulls sort first; ties are broken by id so the order is total
+const compareKeys = (a, b) => {
+  if (a === b) return 0;
+  if (a === null) return -1;
+  if (b === null) return 1;
+  return typeof a === 'string' ? a.localeCompare(b) : a - b;
+};
+
+const compareEntries = (a, b, order) => {
+  const result = compareKeys(a.key, b.key) || a.id - b.id;
+  return order === 'desc' ? -result : result;
+};
+
+const encodeCursor = (todo, { sort, order }) =>
+  Buffer.from(JSON.stringify({ s: sort, o: order, k: sortKey(todo, sort), id: todo.id })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return decoded && Number.isInteger(decoded.id) ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Parse and validate GET /api/todos query parameters.
+ * Returns { options } on success or { error } describing the first bad parameter.
+ */
+const parseListQuery = (query = {}) => {
+  const options = {
+    sort: query.sort || 'createdAt',
+    order: query.order || 'asc',
+    limit: null,
+    cursor: null
+  };
+
+  if (query.completed !== undefined) {
+    if (query.completed !== 'true' && query.completed !== 'false') {
+      return { error: 'completed must be true or false' };
+    }
+    options.completed = query.completed === 'true';
+  }
+
+  if (query.overdue !== undefined) {
+    if (query.overdue !== 'true' && query.overdue !== 'false') {
+      return { error: 'overdue must be true or false' };
+    }
+    options.overdue = query.overdue === 'true';
+  }
+
+  if (query.priority !== undefined) {
+    if (!PRIORITIES.includes(query.priority)) {
+      return { error: `priority must be one of ${PRIORITIES.join(', ')}` };
+    }
+    options.priority = query.priority;
+  }
+
+  if (query.tag !== undefined) {
+    if (typeof query.tag !== 'string' || !query.tag.trim()) return { error: 'tag must be a non-empty string' };
+    options.tag = query.tag.trim();
+  }
+
+  // listId=none selects todos that are not in any list
+  if (query.listId !== undefined) {
+    const listId = Number(query.listId);
+    if (query.listId !== 'none' && (!Number.isInteger(listId) || listId < 1)) {
+      return { error: 'listId must be a list id or none' };
+    }
+    options.listId = query.listId === 'none' ? null : listId;
+  }
+
+  if (query.search !== undefined) {
+    if (typeof query.search !== 'string') return { error: 'search must be a string' };
+    options.search = query.search;
+  }
+
+  if (!SORT_FIELDS.includes(options.sort)) {
+    return { error: `sort must be one of ${SORT_FIELDS.join(', ')}` };
+  }
+
+  if (!SORT_ORDERS.includes(options.order)) {
+    return { error: 'order must be asc or desc' };
+  }
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+    }
+    options.limit = limit;
+  }
+
+  if (query.cursor !== undefined) {
+    const cursor = typeof query.cursor === 'string' ? decodeCursor(query.cursor) : null;
+    if (!cursor) return { error: 'Invalid cursor' };
+    if (cursor.s !== options.sort || cursor.o !== options.order) {
+      return { error: 'Cursor does not match the requested sort' };
+    }
+    options.cursor = cursor;
+  }
+
+  return { options };
+};
+
+const filterTodos = (todos, { completed, search, overdue, priority, tag, listId, now = new Date() } = {}) => {
+  const needle = search ? search.toLowerCase() : '';
+  return todos.filter(todo =>
+    (completed === undefined || todo.completed === completed) &&
+    (!needle || todo.text.toLowerCase().includes(needle)) &&
+    (overdue === undefined || isOverdue(todo, now) === overdue) &&
+    (!priority || (todo.priority || TODO_DEFAULTS.priority) === priority) &&
+    (!tag || (todo.tags || []).includes(tag)) &&
+    (listId === undefined || (todo.listId || null) === listId)
+  );
+};
+
+const sortTodos = (todos, { sort = 'createdAt', order = 'asc' } = {}) =>
+  todos
+    .map(todo => ({ todo, key: sortKey(todo, sort), id: todo.id }))
+    .sort((a, b) => compareEntries(a, b, order))
+    .map(entry => entry.todo);
+
+/**
+ * Filter, sort and page a list of todos.
+ * Pages are keyset based: the cursor holds the sort key and id of the
+ * last item returned, so inserts and deletes never shift later pages.
+ */
+const queryTodos = (todos, options = {}) => {
+  const { sort = 'createdAt', order = 'asc', limit, cursor } = options;
+  const matching = sortTodos(filterTodos(todos, options), { sort, order });
+
+  let start = 0;
+  if (cursor) {
+    const after = matching.findIndex(todo =>
+      compareEntries({ key: sortKey(todo, sort), id: todo.id }, { key: cursor.k, id: cursor.id }, order) > 0
+    );
+    start = after === -1 ? matching.length : after;
+  }
+
+  const end = limit ? start + limit : matching.length;
+  const items = matching.slice(start, end);
+  const nextCursor = end < matching.length ? encodeCursor(items[items.length - 1], { sort, order }) : null;
+
+  return { items, total: matching.length, nextCursor };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  MAX_LIMIT,
+  parseListQuery,
+  filterTodos,
+  sortTodos,
+  queryTodos
+};
@@ -0,0 +1,133 @@
+const { parseRecurrence } = require('./recurrence');
+
+const PRIORITIES = ['low', 'medium', 'high'];
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+const MAX_NOTES_LENGTH = 5000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?$/;
+
+const TODO_DEFAULTS = {
+  completed: false,
+  parentId: null,
+  listId: null,
+  dueDate: null,
+  priority: 'medium',
+  tags: [],
+  notes: '',
+  recurrence: null,
+  seriesId: null, // set by the server on the occurrences after the first
+  attachments: [], // managed through /api/todos/:id/attachments
+  deletedAt: null
+};
+
+const validateTodo = (text) => text && typeof text === 'string' && text.trim().length > 0;
+
+// Each field parser returns { value } or { message }
+const FIELDS = {
+  text: (text) => validateTodo(text)
+    ? { value: text.trim() }
+    : { message: 'text must be a non-empty string' },
+
+  completed: (completed) => typeof completed === 'boolean'
+    ? { value: completed }
+    : { message: 'completed must be a boolean' },
+
+  // A bare date means "due by the end of that day" (UTC)
+  dueDate: (dueDate) => {
+    if (dueDate === null || dueDate === '') return { value: null };
+    if (typeof dueDate !== 'string' || !DATE_PATTERN.test(dueDate) || isNaN(Date.parse(dueDate))) {
+      return { message: 'dueDate must be an ISO 8601 date or date-time' };
+    }
+    return { value: new Date(dueDate.length === 10 ? `${dueDate}T23:59:59.999Z` : dueDate) };
+  },
+
+  priority: (priority) => PRIORITIES.includes(priority)
+    ? { value: priority }
+    : { message: `priority must be one of ${PRIORITIES.join(', ')}` },
+
+  tags: (tags) => {
+    if (!Array.isArray(tags) || tags.length > MAX_TAGS) {
+      return { message: `tags must be an array of at most ${MAX_TAGS} strings` };
+    }
+    const cleaned = [];
+    for (const tag of tags) {
+      if (typeof tag !== 'string' || !tag.trim() || tag.trim().length > MAX_TAG_LENGTH) {
+        return { message: `each tag must be a non-empty string of at most ${MAX_TAG_LENGTH} characters` };
+      }
+      if (!cleaned.includes(tag.trim())) cleaned.push(tag.trim());
+    }
+    return { value: cleaned };
+  },
+
+  parentId: (parentId) => parentId === null || (Number.isInteger(parentId) && parentId > 0)
+    ? { value: parentId }
+    : { message: 'parentId must be a todo id or null' },
+
+  listId: (listId) => listId === null || (Number.isInteger(listId) && listId > 0)
+    ? { value: listId }
+    : { message: 'listId must be a list id or null' },
+
+  notes: (notes) => {
+    if (notes === null) return { value: '' };
+    return typeof notes === 'string' && notes.length <= MAX_NOTES_LENGTH
+      ? { value: notes }
+      : { message: `notes must be a string of at most ${MAX_NOTES_LENGTH} characters` };
+  },
+
+  // See lib/recurrence.js
+  recurrence: parseRecurrence
+};
+
+// Fields a client may set on a todo
+const TODO_FIELDS = Object.keys(FIELDS);
+
+/**
+ * Validate a todo payload field by field.
+ * With `partial` (updates) every field is optional; otherwise `text` is required.
+ * Returns { value, errors } where errors is a list of { field, message }.
+ */
+const validateTodoInput = (input, { partial = false } = {}) => {
+  const errors = [];
+  const value = {};
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { value, errors: [{ field: null, message: 'Request body must be an object' }] };
+  }
+
+  Object.keys(input).forEach(field => {
+    if (!FIELDS[field]) {
+      errors.push({ field, message: 'Unknown field' });
+      return;
+    }
+    if (input[field] === undefined) return;
+
+    const result = FIELDS[field](input[field]);
+    if (result.message) {
+      errors.push({ field, message: result.message });
+    } else {
+      value[field] = result.value;
+    }
+  });
+
+  if (!partial && input.text === undefined) {
+    errors.push({ field: 'text', message: 'text is required' });
+  }
+
+  return { value, errors };
+};
+
+const isOverdue = (todo, now = new Date()) =>
+  !todo.completed && Boolean(todo.dueDate) && new Date(todo.dueDate) < now;
+
+module.exports = {
+  PRIORITIES,
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  MAX_NOTES_LENGTH,
+  DATE_PATTERN,
+  TODO_DEFAULTS,
+  TODO_FIELDS,
+  validateTodo,
+  validateTodoInput,
+  isOverdue
+};
@@ -0,0 +1,65 @@
+// Helpers for todos that reference a parent through `parentId`
+
+const childrenOf = (todos, id) => todos.filter(todo => todo.parentId === id);
+
+const descendantsOf = (todos, id) => {
+  const descendants = [];
+  const queue = [id];
+  while (queue.length > 0) {
+    const children = childrenOf(todos, queue.shift());
+    descendants.push(...children);
+    queue.push(...children.map(child => child.id));
+  }
+  return descendants;
+};
+
+// The todo with its children nested recursively under `children`
+const buildTree = (todos, todo) => ({
+  ...todo,
+  children: childrenOf(todos, todo.id).map(child => buildTree(todos, child))
+});
+
+/**
+ * Check that `parentId` is a valid parent for the todo `id` (null when creating).
+ * Returns an error message, or null when the relationship is allowed.
+ */
+const checkParent = (todos, id, parentId) => {
+  if (parentId === null || parentId === undefined) return null;
+  if (!todos.some(todo => todo.id === parentId)) return 'Parent todo not found';
+  if (id === null) return null;
+  if (parentId === id || descendantsOf(todos, id).some(todo => todo.id === parentId)) {
+    return 'A todo cannot be nested under itself or its subtasks';
+  }
+  return null;
+};
+
+// Completion of direct children for every todo that has any
+const progressByParent = (todos) => todos
+  .map(todo => {
+    const children = childrenOf(todos, todo.id);
+    const completed = children.filter(child => child.completed).length;
+    return {
+      id: todo.id,
+      text: todo.text,
+      total: children.length,
+      completed,
+      progress: children.length > 0 ? Number((completed / children.length * 100).toFixed(2)) : 0
+    };
+  })
+  .filter(entry => entry.total > 0);
+
+// A parent can be completed once every one of its children is
+const isParentReady = (todos, parentId) => {
+  const parent = todos.find(todo => todo.id === parentId);
+  const children = childrenOf(todos, parentId);
+  return Boolean(parent) && !parent.completed && children.length > 0 && children.every(child => child.completed);
+};
+
+module.exports = {
+  childrenOf,
+  descendantsOf,
+  buildTree,
+  checkParent,
+  progressByParent,
+  isParentReady
+};
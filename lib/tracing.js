@@ -0,0 +1,389 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { postJson } = require('./webhooks');
+
+/**
+ * Distributed tracing in the style of OpenTelemetry, without the SDK.
+ *
+ * A trace is a tree of spans: one per request (kind "server"), with child
+ * spans for the work done while handling it. The span of the work in
+ * progress follows async calls, so `tracer.trace(name, fn)` nests under it
+ * by itself. Requests carrying a W3C `traceparent` join the caller's trace.
+ *
+ * The sampler decides once per trace whether its spans are recorded;
+ * unsampled spans still carry the ids so the context keeps propagating.
+ * Ended spans are batched and handed to an exporter (console, OTLP/HTTP or
+ * memory).
+ */
+
+const SPAN_KINDS = ['internal', 'server', 'client', 'producer', 'consumer'];
+const SAMPLERS = ['always_on', 'always_off', 'traceidratio', 'parentbased_always_on', 'parentbased_always_off', 'parentbased_traceidratio'];
+const DEFAULT_SCHEDULE_DELAY_MS = 5000;
+const DEFAULT_MAX_QUEUE_SIZE = 2048;
+const DEFAULT_MAX_BATCH_SIZE = 512;
+const MAX_TRACESTATE_MEMBERS = 32;
+
+// version-traceId-parentId-flags, lowercase hex; later versions may append fields
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+const TRACESTATE_MEMBER_PATTERN = /^([a-z0-9][_0-9a-z\-*/]{0,255}|[a-z0-9][_0-9a-z\-*/]{0,240}@[a-z][_0-9a-z\-*/]{0,13})=[\x20-\x2b\x2d-\x3c\x3e-\x7e]{0,255}[\x21-\x2b\x2d-\x3c\x3e-\x7e]$/;
+
+const randomHex = (bytes) => crypto.randomBytes(bytes).toString('hex');
+const isZero = (hex) => /^0+$/.test(hex);
+
+/**
+ * The parent in a `traceparent` header, as { traceId, spanId, sampled }, or
+ * null when the header is missing or invalid (the request then starts a new
+ * trace).
+ */
+const parseTraceparent = (header) => {
+  const match = typeof header === 'string' && TRACEPARENT_PATTERN.exec(header.trim());
+  if (!match) return null;
+  const [, version, traceId, spanId, flags, rest] = match;
+  if (version === 'ff' || (version === '00' && rest !== undefined)) return null;
+  if (isZero(traceId) || isZero(spanId)) return null;
+  return { traceId, spanId, sampled: (parseInt(flags, 16) & 1) === 1 };
+};
+
+const formatTraceparent = ({ traceId, spanId, sampled }) => `00-${traceId}-${spanId}-${sampled ? '01' : '00'}`;
+
+// Vendor data passed along untouched; dropped as a whole when any member is malformed
+const parseTracestate = (header) => {
+  if (typeof header !== 'string') return '';
+  const members = header.split(',').map(member => member.trim()).filter(Boolean);
+  const keys = members.map(member => member.slice(0, member.indexOf('=')));
+  const valid = members.length <= MAX_TRACESTATE_MEMBERS &&
+    members.every(member => TRACESTATE_MEMBER_PATTERN.test(member)) &&
+    new Set(keys).size === keys.length;
+  return valid ? members.join(',') : '';
+};
+
+// Wall-clock nanoseconds, precise to the nanosecond within the process
+const clockOffset = BigInt(Date.now()) * 1000000n - process.hrtime.bigint();
+const nowNanos = () => clockOffset + process.hrtime.bigint();
+
+/**
+ * `name` -> sampler(params) returning whether to record a trace. The
+ * parentbased_* samplers follow the caller's decision and use the rest of
+ * the name for new traces. `ratio` is for the traceidratio ones.
+ */
+const createSampler = (name = 'parentbased_always_on', ratio = 1) => {
+  if (!SAMPLERS.includes(name)) throw new Error(`Unknown sampler: ${name}`);
+  if (!(ratio >= 0 && ratio <= 1)) throw new Error(`Sampler ratio must be between 0 and 1: ${ratio}`);
+
+  const root = name.replace(/^parentbased_/, '');
+  const sampleRoot = {
+    always_on: () => true,
+    always_off: () => false,
+    // The same trace id gets the same answer in every service
+    traceidratio: ({ traceId }) => parseInt(traceId.slice(-13), 16) / 2 ** 52 < ratio
+  }[root];
+
+  return name.startsWith('parentbased_')
+    ? (params) => params.parent ? params.parent.sampled : sampleRoot(params)
+    : sampleRoot;
+};
+
+const createSpan = ({ name, kind, context, parentSpanId, attributes, onEnd }) => {
+  const data = {
+    traceId: context.traceId,
+    spanId: context.spanId,
+    parentSpanId,
+    traceState: context.traceState,
+    name,
+    kind,
+    startTime: nowNanos(),
+    endTime: null,
+    attributes: {},
+    events: [],
+    status: { code: 'unset' }
+  };
+  const recording = () => context.sampled && data.endTime === null;
+
+  const span = {
+    spanContext: () => context,
+    isRecording: recording,
+
+    updateName: (newName) => {
+      if (recording()) data.name = newName;
+    },
+    // Values that are undefined are left out
+    setAttributes: (values) => {
+      if (!recording()) return;
+      Object.entries(values).forEach(([key, value]) => {
+        if (value !== undefined) data.attributes[key] = value;
+      });
+    },
+    addEvent: (eventName, eventAttributes = {}) => {
+      if (recording()) data.events.push({ name: eventName, time: nowNanos(), attributes: eventAttributes });
+    },
+    recordException: (error) => {
+      span.addEvent('exception', {
+        'exception.type': error.name,
+        'exception.message': error.message,
+        'exception.stacktrace': error.stack
+      });
+    },
+    // code is "unset", "ok" or "error"; an "ok" status is final
+    setStatus: (code, message) => {
+      if (!recording() || data.status.code === 'ok') return;
+      data.status = code === 'error' && message ? { code, message } : { code };
+    },
+    end: () => {
+      if (!recording()) return;
+      data.endTime = nowNanos();
+      onEnd(data);
+    }
+  };
+  span.setAttributes(attributes);
+  return span;
+};
+
+const createTracer = ({
+  exporter,
+  sampler = createSampler(),
+  scheduledDelayMs = DEFAULT_SCHEDULE_DELAY_MS,
+  maxQueueSize = DEFAULT_MAX_QUEUE_SIZE,
+  maxBatchSize = DEFAULT_MAX_BATCH_SIZE,
+  onError = () => {}
+}) => {
+  const active = new AsyncLocalStorage();
+  const queue = [];
+  let timer = null;
+
+  const exportBatch = (batch) => {
+    try {
+      return Promise.resolve(exporter.export(batch)).catch(onError);
+    } catch (error) {
+      onError(error);
+      return Promise.resolve();
+    }
+  };
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    const batches = [];
+    while (queue.length > 0) batches.push(exportBatch(queue.splice(0, maxBatchSize)));
+    return Promise.all(batches);
+  };
+
+  // With no delay, each span is exported as it ends (for tests and debugging).
+  // Spans ending while the queue is full are dropped.
+  const onEnd = (data) => {
+    if (queue.length >= maxQueueSize) return;
+    queue.push(data);
+    if (scheduledDelayMs === 0 || queue.length >= maxBatchSize) {
+      flush();
+    } else if (!timer) {
+      timer = setTimeout(flush, scheduledDelayMs);
+      timer.unref();
+    }
+  };
+
+  const activeSpan = () => active.getStore() || null;
+
+  /**
+   * A span that is not yet active. Its parent is the active span, unless
+   * `parent` gives another span context (or null for a new trace).
+   */
+  const startSpan = (name, { kind = 'internal', attributes = {}, parent } = {}) => {
+    if (!SPAN_KINDS.includes(kind)) throw new Error(`Unknown span kind: ${kind}`);
+    const parentContext = parent !== undefined ? parent : activeSpan() && activeSpan().spanContext();
+    const traceId = parentContext ? parentContext.traceId : randomHex(16);
+    const context = {
+      traceId,
+      spanId: randomHex(8),
+      sampled: sampler({ traceId, parent: parentContext, name, kind }),
+      traceState: parentContext ? parentContext.traceState : ''
+    };
+    return createSpan({ name, kind, context, parentSpanId: parentContext ? parentContext.spanId : undefined, attributes, onEnd });
+  };
+
+  // Runs `fn` (and the async work it starts) with `span` active
+  const withSpan = (span, fn) => active.run(span, fn);
+
+  /**
+   * Runs `fn(span)` in a new child span that ends when `fn` returns or its
+   * promise settles. Errors are recorded on the span and rethrown.
+   */
+  const trace = (name, attributes, fn) => {
+    if (typeof attributes === 'function') return trace(name, {}, attributes);
+    const span = startSpan(name, { attributes });
+    const fail = (error) => {
+      span.recordException(error);
+      span.setStatus('error', error.message);
+      span.end();
+      throw error;
+    };
+
+    return withSpan(span, () => {
+      let result;
+      try {
+        result = fn(span);
+      } catch (error) {
+        fail(error);
+      }
+      if (result && typeof result.then === 'function') {
+        return result.then(value => {
+          span.end();
+          return value;
+        }, fail);
+      }
+      span.end();
+      return result;
+    });
+  };
+
+  return {
+    startSpan,
+    withSpan,
+    activeSpan,
+    trace,
+    // Exports every ended span now
+    forceFlush: flush,
+    shutdown: async () => {
+      await flush();
+      if (exporter.shutdown) await exporter.shutdown();
+    }
+  };
+};
+
+const toMillis = (nanos) => Number(nanos / 1000n) / 1000;
+
+// One span as plain JSON, for logs
+const describeSpan = (data) => ({
+  traceId: data.traceId,
+  spanId: data.spanId,
+  parentSpanId: data.parentSpanId,
+  name: data.name,
+  kind: data.kind,
+  start: new Date(toMillis(data.startTime)).toISOString(),
+  durationMs: toMillis(data.endTime - data.startTime),
+  attributes: data.attributes,
+  events: data.events.map(event => ({ name: event.name, attributes: event.attributes })),
+  status: data.status
+});
+
+// Writes each span through `log` (a JSON line on stdout by default), one call per span
+const createConsoleExporter = ({ log = span => process.stdout.write(`${JSON.stringify(span)}\n`) } = {}) => ({
+  export: (spans) => spans.forEach(data => log(describeSpan(data)))
+});
+
+// Keeps spans in `spans`, for tests
+const createMemoryExporter = () => {
+  const spans = [];
+  return {
+    spans,
+    export: (batch) => {
+      spans.push(...batch);
+    },
+    reset: () => {
+      spans.length = 0;
+    }
+  };
+};
+
+const OTLP_SPAN_KINDS = { internal: 1, server: 2, client: 3, producer: 4, consumer: 5 };
+const OTLP_STATUS_CODES = { unset: 0, ok: 1, error: 2 };
+
+const otlpValue = (value) => {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (Number.isInteger(value)) return { intValue: String(value) };
+  if (typeof value === 'number') return { doubleValue: value };
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(otlpValue) } };
+  return { stringValue: String(value) };
+};
+
+const otlpAttributes = (attributes) => Object.entries(attributes).map(([key, value]) => ({ key, value: otlpValue(value) }));
+
+// The OTLP/HTTP JSON body for `spans` (ExportTraceServiceRequest)
+const toOtlp = (spans, resource = {}) => ({
+  resourceSpans: [{
+    resource: { attributes: otlpAttributes(resource) },
+    scopeSpans: [{
+      scope: { name: 'todo-api' },
+      spans: spans.map(data => ({
+        traceId: data.traceId,
+        spanId: data.spanId,
+        ...(data.parentSpanId ? { parentSpanId: data.parentSpanId } : {}),
+        ...(data.traceState ? { traceState: data.traceState } : {}),
+        name: data.name,
+        kind: OTLP_SPAN_KINDS[data.kind],
+        startTimeUnixNano: String(data.startTime),
+        endTimeUnixNano: String(data.endTime),
+        attributes: otlpAttributes(data.attributes),
+        events: data.events.map(event => ({
+          timeUnixNano: String(event.time),
+          name: event.name,
+          attributes: otlpAttributes(event.attributes)
+        })),
+        status: { code: OTLP_STATUS_CODES[data.status.code], ...(data.status.message ? { message: data.status.message } : {}) }
+      }))
+    }]
+  }]
+});
+
+/**
+ * Posts spans as OTLP/HTTP JSON to a collector, such as the OpenTelemetry
+ * Collector or Jaeger (`url` is the full traces endpoint). `resource` names
+ * the service: { 'service.name': ... }.
+ */
+const createOtlpExporter = ({ url = 'http://localhost:4318/v1/traces', headers = {}, resource = {}, timeoutMs = 10000 } = {}) => ({
+  export: async (spans) => {
+    const statusCode = await postJson(url, headers, JSON.stringify(toOtlp(spans, resource)), timeoutMs);
+    if (statusCode < 200 || statusCode >= 300) throw new Error(`OTLP export to ${url} failed with status ${statusCode}`);
+  }
+});
+
+/**
+ * Express middleware that starts a server span for each request, joining
+ * the caller's trace when it sends `traceparent`, and makes it `req.span`.
+ * The span is named after the route template once routing is done
+ * ("PUT /api/todos/:id"), serializing the JSON response gets its own
+ * child span, and 5xx responses mark it as failed.
+ */
+const traceRequests = (tracer) => (req, res, next) => {
+  const parent = parseTraceparent(req.get('traceparent'));
+  const span = tracer.startSpan(req.method, {
+    kind: 'server',
+    parent: parent && { ...parent, traceState: parseTracestate(req.get('tracestate')) },
+    attributes: {
+      'http.request.method': req.method,
+      'url.path': req.path,
+      'url.scheme': req.protocol,
+      'client.address': req.ip,
+      'user_agent.original': req.get('User-Agent'),
+      'request.id': req.id
+    }
+  });
+  req.span = span;
+
+  const json = res.json.bind(res);
+  res.json = (body) => tracer.trace('serialize response', () => json(body));
+
+  res.on('close', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : undefined;
+    if (route) span.updateName(`${req.method} ${route}`);
+    span.setAttributes({ 'http.route': route, 'http.response.status_code': res.statusCode });
+    if (res.statusCode >= 500) span.setStatus('error');
+    if (!res.writableFinished) span.addEvent('aborted');
+    span.end();
+  });
+  tracer.withSpan(span, next);
+};
+
+module.exports = {
+  SPAN_KINDS,
+  SAMPLERS,
+  parseTraceparent,
+  formatTraceparent,
+  parseTracestate,
+  createSampler,
+  createTracer,
+  describeSpan,
+  createConsoleExporter,
+  createMemoryExporter,
+  createOtlpExporter,
+  toOtlp,
+  traceRequests
+};
@@ -0,0 +1,72 @@
+const { TODO_EVENT_TYPES, REMINDER_EVENT } = require('./events');
+
+// Events a webhook can subscribe to
+const WEBHOOK_EVENTS = [...Object.values(TODO_EVENT_TYPES), REMINDER_EVENT];
+const MAX_DESCRIPTION_LENGTH = 200;
+
+// Each field parser returns { value } or { message }, like the todo schema
+const FIELDS = {
+  url: (url) => {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return { message: 'url must be an absolute http or https URL' };
+    }
+    return ['http:', 'https:'].includes(parsed.protocol)
+      ? { value: parsed.toString() }
+      : { message: 'url must be an absolute http or https URL' };
+  },
+
+  events: (events) => Array.isArray(events) && events.length > 0 && events.every(event => WEBHOOK_EVENTS.includes(event))
+    ? { value: [...new Set(events)] }
+    : { message: `events must be a non-empty array of ${WEBHOOK_EVENTS.join(', ')}` },
+
+  active: (active) => typeof active === 'boolean'
+    ? { value: active }
+    : { message: 'active must be a boolean' },
+
+  description: (description) => typeof description === 'string' && description.length <= MAX_DESCRIPTION_LENGTH
+    ? { value: description.trim() }
+    : { message: `description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters` }
+};
+
+/**
+ * Validate a webhook payload. `url` is required unless `partial` is set;
+ * `events` defaults to every event on create. Returns { value, errors }
+ * like validateTodoInput.
+ */
+const validateWebhookInput = (input, { partial = false } = {}) => {
+  const errors = [];
+  const value = {};
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { value, errors: [{ field: null, message: 'Request body must be an object' }] };
+  }
+
+  Object.keys(input).forEach(field => {
+    if (!FIELDS[field]) {
+      errors.push({ field, message: 'Unknown field' });
+      return;
+    }
+    if (input[field] === undefined) return;
+
+    const result = FIELDS[field](input[field]);
+    if (result.message) {
+      errors.push({ field, message: result.message });
+    } else {
+      value[field] = result.value;
+    }
+  });
+
+  if (!partial && input.url === undefined) {
+    errors.push({ field: 'url', message: 'url is required' });
+  }
+
+  return { value, errors };
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  validateWebhookInput
+};
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_BASE_MS = 1000;
+const DEFAULT_TIMEOUT_MS = 5000;
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Receivers recompute this over `${timestamp}.${body}` with their copy of the secret
+const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// Resolves to the response status code; rejects on network errors and timeouts
+const postJson = (url, headers, body, timeoutMs) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+  const req = client.request(target, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+    timeout: timeoutMs
+  }, (res) => {
+    res.resume();
+    res.on('end', () => resolve(res.statusCode));
+  });
+  req.on('timeout', () => req.destroy(new Error(`Timed out after ${timeoutMs}ms`)));
+  req.on('error', reject);
+  req.end(body);
+});
+
+/**
+ * Deliver events to registered webhooks in the background.
+ *
+ * Each event becomes a delivery record: { webhookId, ownerId, event, data,
+ * status, attempts, nextAttemptAt }. A delivery is `pending` until the
+ * receiver answers 2xx (`delivered`). Failed attempts are retried after
+ * retryBaseMs, 2x, 4x, ... and after `maxAttempts` the delivery is `dead`
+ * (the dead-letter list) until someone redelivers it. Every attempt is kept
+ * in `attempts` as { at, statusCode or error, durationMs }.
+ *
+ * `requestId()` names the request that caused an event; it is kept on the
+ * delivery and sent as X-Request-Id, so receivers can trace it back.
+ */
+const createWebhookDispatcher = ({
+  webhooks,
+  deliveries,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  retryBaseMs = DEFAULT_RETRY_BASE_MS,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  requestId = () => undefined,
+  onError = () => {}
+}) => {
+  const schedule = (id, delay) => {
+    setTimeout(() => {
+      attempt(id).catch(error => onError(error, id));
+    }, delay).unref();
+  };
+
+  const attempt = async (id) => {
+    const delivery = await deliveries.get(id);
+    if (!delivery || delivery.status !== 'pending') return;
+
+    const webhook = await webhooks.get(delivery.webhookId);
+    if (!webhook) {
+      await deliveries.update(id, { status: 'dead', nextAttemptAt: null, updatedAt: new Date() });
+      return;
+    }
+
+    const body = JSON.stringify({ id: delivery.id, event: delivery.event, createdAt: delivery.createdAt, data: delivery.data });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    const result = { at: new Date() };
+    try {
+      result.statusCode = await postJson(webhook.url, {
+        'User-Agent': 'todo-devops-demo-webhooks',
+        'X-Webhook-Id': String(webhook.id),
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body),
+        ...(delivery.requestId ? { 'X-Request-Id': delivery.requestId } : {})
+      }, body, timeoutMs);
+    } catch (error) {
+      result.error = error.message;
+    }
+    result.durationMs = Date.now() - started;
+
+    const attempts = [...delivery.attempts, result];
+    const attemptsThisRound = attempts.length - (delivery.roundStart || 0);
+    if (result.statusCode >= 200 && result.statusCode < 300) {
+      await deliveries.update(id, { status: 'delivered', attempts, nextAttemptAt: null, deliveredAt: new Date(), updatedAt: new Date() });
+    } else if (attemptsThisRound >= maxAttempts) {
+      await deliveries.update(id, { status: 'dead', attempts, nextAttemptAt: null, updatedAt: new Date() });
+    } else {
+      const delay = retryBaseMs * 2 ** (attemptsThisRound - 1);
+      await deliveries.update(id, { attempts, nextAttemptAt: new Date(Date.now() + delay), updatedAt: new Date() });
+      schedule(id, delay);
+    }
+  };
+
+  const enqueue = async (webhook, event, data) => {
+    const delivery = await deliveries.create({
+      webhookId: webhook.id,
+      ownerId: webhook.ownerId,
+      event,
+      data,
+      status: 'pending',
+      attempts: [],
+      roundStart: 0,
+      requestId: requestId(),
+      nextAttemptAt: new Date(),
+      createdAt: new Date()
+    });
+    schedule(delivery.id, 0);
+    return delivery;
+  };
+
+  return {
+    enqueue,
+
+    // Queue `event` for every active webhook of `ownerId` that subscribes to it
+    dispatch: async (ownerId, event, data) => {
+      const targets = (await webhooks.list())
+        .filter(webhook => webhook.ownerId === ownerId && webhook.active && webhook.events.includes(event));
+      return Promise.all(targets.map(webhook => enqueue(webhook, event, data)));
+    },
+
+    // Give a dead or delivered delivery another full round of attempts; earlier attempts
+    // stay in the log. A pending one already has a round scheduled, so it is refused (409).
+    redeliver: async (id) => {
+      const existing = await deliveries.get(id);
+      if (!existing) return null;
+      if (existing.status === 'pending') {
+        throw Object.assign(new Error('Delivery is still being attempted'), { status: 409 });
+      }
+
+      const delivery = await deliveries.update(id, {
+        status: 'pending',
+        roundStart: existing.attempts.length,
+        nextAttemptAt: new Date(),
+        updatedAt: new Date()
+      });
+      schedule(delivery.id, 0);
+      return delivery;
+    },
+
+    // Pick up pending deliveries again after a restart
+    resume: async () => {
+      const pending = (await deliveries.list()).filter(delivery => delivery.status === 'pending');
+      pending.forEach(delivery => {
+        schedule(delivery.id, Math.max(0, new Date(delivery.nextAttemptAt) - Date.now()));
+      });
+      return pending;
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_MAX_ATTEMPTS,
+  DEFAULT_RETRY_BASE_MS,
+  postJson,
+  generateSecret,
+  signPayload,
+  createWebhookDispatcher
+};
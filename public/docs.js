@@ -0,0 +1,126 @@
+// Renders /api/openapi.json as a list of operations with their parameters, bodies and responses
+class ApiDocs {
+    constructor() {
+        this.info = document.getElementById('apiInfo');
+        this.operations = document.getElementById('apiOperations');
+        this.load();
+    }
+
+    async load() {
+        try {
+            const response = await fetch('/api/openapi.json');
+            this.spec = await response.json();
+            this.render();
+        } catch (error) {
+            this.info.textContent = `Failed to load the API description: ${error.message}`;
+        }
+    }
+
+    render() {
+        const { info, paths } = this.spec;
+        this.info.textContent = `${info.description} Version ${info.version}.`;
+
+        this.operations.innerHTML = Object.entries(paths).map(([path, pathItem]) =>
+            ['get', 'post', 'put', 'delete']
+                .filter(method => pathItem[method])
+                .map(method => this.renderOperation(method, path, pathItem, pathItem[method]))
+                .join('')
+        ).join('');
+    }
+
+    renderOperation(method, path, pathItem, operation) {
+        const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])].map(p => this.resolve(p));
+        const body = operation.requestBody && operation.requestBody.content['application/json'];
+        const isPublic = operation.security && operation.security.length === 0;
+
+        return `
+            <details class="api-operation">
+                <summary>
+                    <span class="api-method api-method-${method}">${method.toUpperCase()}</span>
+                    <code>${this.escapeHtml(path)}</code>
+                    <span class="api-summary">${this.escapeHtml(operation.summary || '')}</span>
+                    ${isPublic ? '<span class="api-public">public</span>' : ''}
+                </summary>
+                ${operation.description ? `<p>${this.escapeHtml(operation.description)}</p>` : ''}
+                ${parameters.length > 0 ? this.renderParameters(parameters) : ''}
+                ${body ? `<h4>Request body</h4>${this.renderSchema(body.schema)}` : ''}
+                <h4>Responses</h4>
+                <table class="api-table">
+                    ${Object.entries(operation.responses).map(([status, response]) => `
+                        <tr>
+                            <td><code>${status}</code></td>
+                            <td>${this.escapeHtml(response.description)}</td>
+                            <td>${response.content ? this.escapeHtml(Object.values(response.content).map(c => this.describe(c.schema)).join(', ')) : ''}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+            </details>
+        `;
+    }
+
+    // One row per property of an object schema
+    renderParameters(parameters) {
+        return `
+            <h4>Parameters</h4>
+            <table class="api-table">
+                ${parameters.map(p => `
+                    <tr>
+                        <td><code>${this.escapeHtml(p.name)}</code>${p.required ? ' *' : ''}</td>
+                        <td>${p.in}</td>
+                        <td>${this.escapeHtml(this.describe(p.schema))}</td>
+                        <td>${this.escapeHtml(p.description || '')}</td>
+                    </tr>
+                `).join('')}
+            </table>
+        `;
+    }
+
+    renderSchema(schema) {
+        const resolved = this.resolve(schema);
+        const required = resolved.required || [];
+        return `
+            <p class="api-schema-name">${this.escapeHtml(this.describe(schema))}</p>
+            <table class="api-table">
+                ${Object.entries(resolved.properties || {}).map(([name, property]) => `
+                    <tr>
+                        <td><code>${this.escapeHtml(name)}</code>${required.includes(name) ? ' *' : ''}</td>
+                        <td>${this.escapeHtml(this.describe(property))}</td>
+                        <td>${this.escapeHtml(property.description || '')}</td>
+                    </tr>
+                `).join('')}
+            </table>
+        `;
+    }
+
+    // Short type description, for example "string, one of low, medium, high" or "array of Todo"
+    describe(schema = {}) {
+        if (schema.$ref) return schema.$ref.split('/').pop();
+        if (schema.oneOf) return schema.oneOf.map(option => this.describe(option)).join(' or ');
+
+        let text = schema.type === 'array' ? `array of ${this.describe(schema.items)}` : (schema.type || 'any');
+        if (schema.enum) text += `, one of ${schema.enum.join(', ')}`;
+        if (schema.minimum !== undefined || schema.maximum !== undefined) {
+            text += `, ${schema.minimum !== undefined ? schema.minimum : ''}-${schema.maximum !== undefined ? schema.maximum : ''}`;
+        }
+        if (schema.maxLength !== undefined) text += `, up to ${schema.maxLength} characters`;
+        if (schema.maxItems !== undefined) text += `, up to ${schema.maxItems} items`;
+        if (schema.format) text += ` (${schema.format})`;
+        if (schema.nullable) text += ' or null';
+        return text;
+    }
+
+    resolve(schema) {
+        if (!schema || !schema.$ref) return schema;
+        return this.resolve(schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], this.spec));
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.docs = new ApiDocs();
+});
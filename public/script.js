@@ -1,40 +1,655 @@
+// How long to wait after the last keystroke before searching (ms)
+const SEARCH_DELAY = 250;
+
 class TodoApp {
     constructor() {
         this.todos = [];
+        this.lists = [];
+        this.activeListId = null;
+        this.trash = [];
+        this.showingTrash = false;
+        this.historyTodoId = null;
+        this.history = [];
+        this.eventsController = null;
+        this.lastEventId = null;
+        this.collapsed = new Set();
+        this.token = localStorage.getItem('authToken');
         this.init();
     }
 
     init() {
         this.todoInput = document.getElementById('todoInput');
+        this.dueDateInput = document.getElementById('dueDateInput');
+        this.priorityInput = document.getElementById('priorityInput');
+        this.recurrenceInput = document.getElementById('recurrenceInput');
+        this.tagsInput = document.getElementById('tagsInput');
+        this.notesInput = document.getElementById('notesInput');
         this.addBtn = document.getElementById('addBtn');
         this.todosList = document.getElementById('todosList');
+        this.searchInput = document.getElementById('searchInput');
+        this.searchResults = document.getElementById('searchResults');
+        this.markAllBtn = document.getElementById('markAllBtn');
+        this.clearCompletedBtn = document.getElementById('clearCompletedBtn');
+        this.exportFormat = document.getElementById('exportFormat');
+        this.exportBtn = document.getElementById('exportBtn');
+        this.importBtn = document.getElementById('importBtn');
+        this.importFile = document.getElementById('importFile');
         this.totalTodos = document.getElementById('totalTodos');
         this.completedTodos = document.getElementById('completedTodos');
         this.pendingTodos = document.getElementById('pendingTodos');
+        this.overdueTodos = document.getElementById('overdueTodos');
         this.healthStatus = document.getElementById('healthStatus');
+        this.authScreen = document.getElementById('authScreen');
+        this.appScreen = document.getElementById('appScreen');
+        this.usernameInput = document.getElementById('usernameInput');
+        this.passwordInput = document.getElementById('passwordInput');
+        this.loginBtn = document.getElementById('loginBtn');
+        this.registerBtn = document.getElementById('registerBtn');
+        this.userBar = document.getElementById('userBar');
+        this.currentUser = document.getElementById('currentUser');
+        this.logoutBtn = document.getElementById('logoutBtn');
+        this.listsNav = document.getElementById('listsNav');
+        this.newListInput = document.getElementById('newListInput');
+        this.addListBtn = document.getElementById('addListBtn');
 
         this.bindEvents();
-        this.loadTodos();
+        this.restoreSession();
         this.checkHealth();
-        
+
         // Auto-refresh health status every 30 seconds
         setInterval(() => this.checkHealth(), 30000);
     }
 
     bindEvents() {
         this.addBtn.addEventListener('click', () => this.addTodo());
+        this.markAllBtn.addEventListener('click', () => this.markAllDone());
+        this.clearCompletedBtn.addEventListener('click', () => this.clearCompleted());
+        this.exportBtn.addEventListener('click', () => this.exportTodos());
+        this.importBtn.addEventListener('click', () => this.importFile.click());
+        this.importFile.addEventListener('change', () => this.importTodos(this.importFile.files[0]));
+        this.searchInput.addEventListener('input', () => this.scheduleSearch());
+        this.searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.clearSearch();
+        });
         this.todoInput.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') {
                 this.addTodo();
             }
         });
+        this.loginBtn.addEventListener('click', () => this.authenticate('login'));
+        this.registerBtn.addEventListener('click', () => this.authenticate('register'));
+        this.logoutBtn.addEventListener('click', () => this.logout());
+        this.addListBtn.addEventListener('click', () => this.addList());
+        this.newListInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.addList();
+            }
+        });
+        this.passwordInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.authenticate('login');
+            }
+        });
+    }
+
+    // fetch() for the API: sends the bearer token and returns to the login screen on 401
+    async apiFetch(url, options = {}) {
+        const headers = { ...(options.headers || {}) };
+        if (this.token) {
+            headers.Authorization = `Bearer ${this.token}`;
+        }
+
+        const response = await fetch(url, { ...options, headers });
+        if (response.status === 401) {
+            this.showLogin();
+        }
+        return response;
+    }
+
+    async restoreSession() {
+        if (!this.token) {
+            this.showLogin();
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch('/api/auth/me');
+            const result = await response.json();
+            if (result.success) {
+                this.showApp(result.data);
+            }
+        } catch (error) {
+            this.showError('Network error while restoring session');
+            console.error('Error restoring session:', error);
+        }
+    }
+
+    async authenticate(action) {
+        const username = this.usernameInput.value.trim();
+        const password = this.passwordInput.value;
+
+        try {
+            const response = await fetch(`/api/auth/${action}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ username, password })
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                this.token = result.data.token;
+                localStorage.setItem('authToken', this.token);
+                this.passwordInput.value = '';
+                this.showApp(result.data.user);
+            } else {
+                this.showError(this.errorMessage(result, 'Authentication failed'));
+            }
+        } catch (error) {
+            this.showError('Network error while signing in');
+            console.error('Error signing in:', error);
+        }
+    }
+
+    async logout() {
+        try {
+            await this.apiFetch('/api/auth/logout', { method: 'POST' });
+        } catch (error) {
+            console.error('Error logging out:', error);
+        }
+        this.showLogin();
+    }
+
+    showLogin() {
+        this.stopEvents();
+        this.lastEventId = null;
+        this.token = null;
+        localStorage.removeItem('authToken');
+        this.todos = [];
+        this.lists = [];
+        this.activeListId = null;
+        this.trash = [];
+        this.showingTrash = false;
+        this.authScreen.hidden = false;
+        this.appScreen.hidden = true;
+        this.userBar.hidden = true;
+        this.usernameInput.focus();
+    }
+
+    showApp(user) {
+        this.currentUser.textContent = `Signed in as ${user.username}`;
+        this.authScreen.hidden = true;
+        this.appScreen.hidden = false;
+        this.userBar.hidden = false;
+        this.loadLists();
+        this.loadTodos();
+        this.subscribeEvents();
+    }
+
+    // Live updates over Server-Sent Events. EventSource cannot send the bearer
+    // token, so the stream is read with fetch and parsed here.
+    async subscribeEvents() {
+        this.stopEvents();
+        const controller = new AbortController();
+        this.eventsController = controller;
+
+        try {
+            const headers = this.lastEventId ? { 'Last-Event-ID': this.lastEventId } : {};
+            const response = await this.apiFetch('/api/events', { headers, signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`Event stream failed with status ${response.status}`);
+            }
+
+            const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+            let buffer = '';
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+
+                buffer += value;
+                const messages = buffer.split('\n\n');
+                buffer = messages.pop();
+                messages.forEach(message => this.handleEventMessage(message));
+            }
+        } catch (error) {
+            if (!controller.signal.aborted) {
+                console.error('Event stream error:', error);
+            }
+        }
+
+        // Reconnect unless we stopped on purpose or were signed out
+        if (!controller.signal.aborted && this.token) {
+            setTimeout(() => {
+                if (this.eventsController === controller) this.subscribeEvents();
+            }, 3000);
+        }
+    }
+
+    stopEvents() {
+        if (this.eventsController) {
+            this.eventsController.abort();
+            this.eventsController = null;
+        }
+    }
+
+    handleEventMessage(message) {
+        let type = 'message';
+        let data = '';
+        message.split('\n').forEach(line => {
+            if (line.startsWith(':')) return;
+            const separator = line.indexOf(':');
+            const field = separator === -1 ? line : line.slice(0, separator);
+            const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+            if (field === 'id') this.lastEventId = value;
+            if (field === 'event') type = value;
+            if (field === 'data') data += value;
+        });
+
+        if (data) {
+            this.applyEvent(type, JSON.parse(data));
+        }
+    }
+
+    applyEvent(type, data) {
+        switch (type) {
+            case 'todo.created':
+            case 'todo.restored':
+            case 'todo.updated':
+                if (this.inActiveView(data)) {
+                    this.upsertTodo(data);
+                } else {
+                    this.todos = this.todos.filter(t => t.id !== data.id);
+                }
+                break;
+            case 'todo.deleted':
+            case 'todo.purged':
+                this.todos = this.todos.filter(t => t.id !== data.id);
+                break;
+            case 'stats.changed':
+                this.applyListStats(data.by_list);
+                return;
+            case 'todo.reminder':
+                this.showReminder(data);
+                return;
+            case 'resync':
+                this.loadLists();
+                this.loadTodos();
+                return;
+            default:
+                return;
+        }
+
+        if (this.showingTrash && ['todo.deleted', 'todo.restored', 'todo.purged'].includes(type)) {
+            this.loadTrash();
+        }
+        this.renderTodos();
+        this.updateStats();
+    }
+
+    inActiveView(todo) {
+        return this.activeListId === null || todo.listId === this.activeListId;
+    }
+
+    // Adds a todo or refreshes our copy, ignoring stale versions that arrive late
+    upsertTodo(todo) {
+        const existing = this.todos.find(t => t.id === todo.id);
+        if (!existing) {
+            this.todos.push(todo);
+        } else if (todo.version >= existing.version) {
+            Object.assign(existing, todo);
+        }
+    }
+
+    applyListStats(byList) {
+        byList.forEach(stats => {
+            const list = this.lists.find(l => l.id === stats.id);
+            if (list) list.counts = { total: stats.total, completed: stats.completed, pending: stats.pending };
+        });
+        this.renderLists();
+    }
+
+    async loadLists() {
+        try {
+            const response = await this.apiFetch('/api/lists');
+            const result = await response.json();
+
+            if (result.success) {
+                this.lists = result.data;
+                this.renderLists();
+            } else {
+                this.showError('Failed to load lists');
+            }
+        } catch (error) {
+            this.showError('Network error while loading lists');
+            console.error('Error loading lists:', error);
+        }
+    }
+
+    renderLists() {
+        const link = (id, name, count) => `
+            <button class="list-link ${!this.showingTrash && this.activeListId === id ? 'active' : ''}" onclick="app.selectList(${id})">
+                <span>${this.escapeHtml(name)}</span>
+                ${count === undefined ? '' : `<span class="list-count">${count}</span>`}
+            </button>
+        `;
+
+        this.listsNav.innerHTML = [
+            `<li>${link(null, 'All todos')}</li>`,
+            ...this.lists.map(list => `
+                <li>
+                    ${link(list.id, list.name, list.counts.pending)}
+                    <button class="list-delete-btn" onclick="app.deleteList(${list.id})" title="Delete list">×</button>
+                </li>
+            `),
+            `<li class="trash-link">
+                <button class="list-link ${this.showingTrash ? 'active' : ''}" onclick="app.showTrash()">
+                    <span>🗑 Trash</span>
+                </button>
+            </li>`
+        ].join('');
+    }
+
+    // Live results while typing, once the user pauses for SEARCH_DELAY ms
+    scheduleSearch() {
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => this.searchTodos(this.searchInput.value), SEARCH_DELAY);
+    }
+
+    async searchTodos(query) {
+        if (!query.trim()) {
+            this.clearSearch();
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/search?${new URLSearchParams({ q: query, limit: 10 })}`);
+            const result = await response.json();
+            // A slower response for an older query must not replace newer results
+            if (query !== this.searchInput.value) return;
+
+            if (result.success) {
+                this.searchMatches = result.data;
+                this.renderSearchResults(result.total);
+            } else {
+                this.showError(result.error || 'Search failed');
+            }
+        } catch (error) {
+            console.error('Error searching todos:', error);
+        }
+    }
+
+    // Snippets come HTML-escaped from the server with matches in <mark>
+    renderSearchResults(total) {
+        this.searchResults.hidden = false;
+        if (this.searchMatches.length === 0) {
+            this.searchResults.innerHTML = '<li class="search-empty">No matching todos</li>';
+            return;
+        }
+
+        this.searchResults.innerHTML = this.searchMatches.map(({ todo, highlights }) => {
+            const title = highlights.find(highlight => highlight.field === 'text');
+            const others = highlights.filter(highlight => highlight.field !== 'text');
+            return `
+                <li class="search-result ${todo.completed ? 'completed' : ''}" onclick="app.revealTodo(${todo.id})">
+                    <span class="search-title">${title ? title.snippet : this.escapeHtml(todo.text)}</span>
+                    ${others.map(highlight => `<span class="search-snippet">${highlight.field === 'tags' ? '#' : ''}${highlight.snippet}</span>`).join('')}
+                </li>
+            `;
+        }).join('') + (total > this.searchMatches.length
+            ? `<li class="search-empty">${total - this.searchMatches.length} more, keep typing to narrow down</li>`
+            : '');
+    }
+
+    clearSearch() {
+        clearTimeout(this.searchTimer);
+        this.searchInput.value = '';
+        this.searchMatches = [];
+        this.searchResults.hidden = true;
+        this.searchResults.innerHTML = '';
+    }
+
+    // Scroll to a search result, switching to all todos if it is not in the current view
+    async revealTodo(id) {
+        const match = (this.searchMatches || []).find(({ todo }) => todo.id === id);
+        this.clearSearch();
+        if (match && (this.showingTrash || !this.inActiveView(match.todo))) {
+            this.activeListId = null;
+            this.showingTrash = false;
+            this.renderLists();
+            await this.loadTodos();
+        }
+
+        const item = this.todosList.querySelector(`[data-id="${id}"]`);
+        if (!item) return;
+        item.scrollIntoView({ block: 'nearest' });
+        item.classList.add('found');
+        setTimeout(() => item.classList.remove('found'), 2000);
+    }
+
+    selectList(id) {
+        this.activeListId = id;
+        this.showingTrash = false;
+        this.renderLists();
+        this.loadTodos();
+    }
+
+    showTrash() {
+        this.showingTrash = true;
+        this.renderLists();
+        this.loadTrash();
+    }
+
+    async loadTrash() {
+        try {
+            const response = await this.apiFetch('/api/trash');
+            const result = await response.json();
+
+            if (result.success) {
+                this.trash = result.data;
+                this.renderTodos();
+            } else {
+                this.showError('Failed to load trash');
+            }
+        } catch (error) {
+            this.showError('Network error while loading trash');
+            console.error('Error loading trash:', error);
+        }
+    }
+
+    renderTrash() {
+        if (this.trash.length === 0) {
+            this.todosList.innerHTML = `
+                <div class="empty-state">
+                    <h3>Trash is empty</h3>
+                    <p>Deleted todos stay here until they are purged.</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.todosList.innerHTML = `
+            <li class="trash-header">
+                <button class="delete-btn" onclick="app.emptyTrash()">Empty trash</button>
+            </li>
+            ${this.trash.map(todo => `
+                <li class="todo-item trashed" data-id="${todo.id}">
+                    <div class="todo-body">
+                        <span class="todo-text">${this.escapeHtml(todo.text)}</span>
+                        <div class="todo-meta">
+                            <span class="due-date">Deleted ${new Date(todo.deletedAt).toLocaleString()}</span>
+                            <span class="due-date">Purged ${new Date(todo.purgeAt).toLocaleDateString()}</span>
+                        </div>
+                    </div>
+                    <div class="todo-actions">
+                        <button class="edit-btn" onclick="app.restoreTodo(${todo.id})">Restore</button>
+                        <button class="delete-btn" onclick="app.purgeTodo(${todo.id})">Delete forever</button>
+                    </div>
+                </li>
+            `).join('')}
+        `;
+    }
+
+    async restoreTodo(id) {
+        try {
+            const response = await this.apiFetch(`/api/todos/${id}/restore`, {
+                method: 'POST'
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                if (this.showingTrash) {
+                    this.loadTrash();
+                } else {
+                    this.loadTodos();
+                }
+                this.showSuccess('Todo restored');
+            } else {
+                this.showError(result.error || 'Failed to restore todo');
+            }
+        } catch (error) {
+            this.showError('Network error while restoring todo');
+            console.error('Error restoring todo:', error);
+        }
+    }
+
+    async purgeTodo(id) {
+        try {
+            const response = await this.apiFetch(`/api/trash/${id}`, {
+                method: 'DELETE'
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                this.trash = this.trash.filter(t => t.id !== id);
+                this.renderTodos();
+                this.showSuccess(result.message);
+            } else {
+                this.showError(result.error || 'Failed to purge todo');
+            }
+        } catch (error) {
+            this.showError('Network error while purging todo');
+            console.error('Error purging todo:', error);
+        }
+    }
+
+    async emptyTrash() {
+        if (!confirm(`Permanently delete ${this.trash.length} todo(s)? This cannot be undone.`)) {
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch('/api/trash', {
+                method: 'DELETE'
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                this.trash = [];
+                this.renderTodos();
+                this.showSuccess(result.message);
+            } else {
+                this.showError(result.error || 'Failed to empty trash');
+            }
+        } catch (error) {
+            this.showError('Network error while emptying trash');
+            console.error('Error emptying trash:', error);
+        }
+    }
+
+    async addList() {
+        const name = this.newListInput.value.trim();
+        if (!name) return;
+
+        try {
+            const response = await this.apiFetch('/api/lists', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ name })
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                this.lists.push({ ...result.data, counts: { total: 0, completed: 0, pending: 0 } });
+                this.newListInput.value = '';
+                this.selectList(result.data.id);
+                this.showSuccess('List created successfully');
+            } else {
+                this.showError(this.errorMessage(result, 'Failed to create list'));
+            }
+        } catch (error) {
+            this.showError('Network error while creating list');
+            console.error('Error creating list:', error);
+        }
+    }
+
+    async deleteList(id) {
+        const list = this.lists.find(l => l.id === id);
+        if (!list) return;
+
+        // Todos in the list are kept (moved out of it) unless the user asks to delete them too
+        let mode = '';
+        if (list.counts.total > 0) {
+            mode = confirm(`Also delete the ${list.counts.total} todo(s) in "${list.name}"? Cancel keeps them without a list.`)
+                ? 'delete'
+                : 'unlist';
+        } else if (!confirm(`Delete the list "${list.name}"?`)) {
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/lists/${id}${mode ? `?todos=${mode}` : ''}`, {
+                method: 'DELETE'
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                this.lists = this.lists.filter(l => l.id !== id);
+                if (this.activeListId === id) {
+                    this.activeListId = null;
+                }
+                this.renderLists();
+                this.loadTodos();
+                this.showSuccess('List deleted successfully');
+            } else {
+                this.showError(result.error || 'Failed to delete list');
+            }
+        } catch (error) {
+            this.showError('Network error while deleting list');
+            console.error('Error deleting list:', error);
+        }
+    }
+
+    // Keeps the sidebar's pending counts in step with local changes
+    refreshListCounts() {
+        if (this.activeListId === null) {
+            this.lists.forEach(list => {
+                const inList = this.todos.filter(t => t.listId === list.id);
+                const completed = inList.filter(t => t.completed).length;
+                list.counts = { total: inList.length, completed, pending: inList.length - completed };
+            });
+        } else {
+            const list = this.lists.find(l => l.id === this.activeListId);
+            const completed = this.todos.filter(t => t.completed).length;
+            if (list) list.counts = { total: this.todos.length, completed, pending: this.todos.length - completed };
+        }
+        this.renderLists();
     }
 
     async loadTodos() {
+        const url = this.activeListId === null ? '/api/todos' : `/api/lists/${this.activeListId}/todos`;
         try {
-            const response = await fetch('/api/todos');
+            const response = await this.apiFetch(url);
             const result = await response.json();
-            
+
             if (result.success) {
                 this.todos = result.data;
                 this.renderTodos();
@@ -50,31 +665,47 @@ class TodoApp {
 
     async addTodo() {
         const text = this.todoInput.value.trim();
-        
+
         if (!text) {
             this.showError('Please enter a todo text');
             return;
         }
 
+        const payload = { text, priority: this.priorityInput.value };
+        if (this.activeListId !== null) payload.listId = this.activeListId;
+        const tags = this.tagsInput.value.split(',').map(tag => tag.trim()).filter(Boolean);
+        if (this.dueDateInput.value) {
+            payload.dueDate = this.dueDateInput.value;
+            if ('Notification' in window && Notification.permission === 'default') Notification.requestPermission();
+        }
+        if (this.recurrenceInput.value) payload.recurrence = { freq: this.recurrenceInput.value };
+        if (tags.length > 0) payload.tags = tags;
+        if (this.notesInput.value.trim()) payload.notes = this.notesInput.value.trim();
+
         try {
-            const response = await fetch('/api/todos', {
+            const response = await this.apiFetch('/api/todos', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({ text })
+                body: JSON.stringify(payload)
             });
 
             const result = await response.json();
 
             if (result.success) {
-                this.todos.push(result.data);
+                this.upsertTodo(result.data);
                 this.todoInput.value = '';
+                this.dueDateInput.value = '';
+                this.priorityInput.value = 'medium';
+                this.recurrenceInput.value = '';
+                this.tagsInput.value = '';
+                this.notesInput.value = '';
                 this.renderTodos();
                 this.updateStats();
                 this.showSuccess('Todo added successfully');
             } else {
-                this.showError(result.error || 'Failed to add todo');
+                this.showError(this.errorMessage(result, 'Failed to add todo'));
             }
         } catch (error) {
             this.showError('Network error while adding todo');
@@ -87,10 +718,11 @@ class TodoApp {
         if (!todo) return;
 
         try {
-            const response = await fetch(`/api/todos/${id}`, {
+            const response = await this.apiFetch(`/api/todos/${id}`, {
                 method: 'PUT',
                 headers: {
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    'If-Match': `"${todo.version}"`
                 },
                 body: JSON.stringify({ completed: !todo.completed })
             });
@@ -98,9 +730,21 @@ class TodoApp {
             const result = await response.json();
 
             if (result.success) {
-                todo.completed = result.data.completed;
+                Object.assign(todo, result.data);
                 this.renderTodos();
                 this.updateStats();
+                if (result.parentReady) {
+                    this.offerParentCompletion(result.parentReady);
+                }
+                // Completing a recurring todo creates its next occurrence
+                if (result.next) {
+                    this.upsertTodo(result.next);
+                    this.renderTodos();
+                    this.updateStats();
+                    this.showSuccess(`Next "${result.next.text}" is due ${new Date(result.next.dueDate).toLocaleDateString(undefined, { timeZone: 'UTC' })}`);
+                }
+            } else if (response.status === 412) {
+                this.showConflict(result.data);
             } else {
                 this.showError(result.error || 'Failed to update todo');
             }
@@ -110,23 +754,29 @@ class TodoApp {
         }
     }
 
+    // Deletes go to the trash, so instead of asking first we offer to undo
     async deleteTodo(id) {
-        if (!confirm('Are you sure you want to delete this todo?')) {
-            return;
-        }
+        const subtaskCount = this.descendantsOf(id).length;
 
         try {
-            const response = await fetch(`/api/todos/${id}`, {
+            const response = await this.apiFetch(`/api/todos/${id}${subtaskCount > 0 ? '?cascade=true' : ''}`, {
                 method: 'DELETE'
             });
 
             const result = await response.json();
 
             if (result.success) {
-                this.todos = this.todos.filter(t => t.id !== id);
+                const deletedIds = [id, ...(result.deletedSubtasks || []).map(t => t.id)];
+                this.todos = this.todos.filter(t => !deletedIds.includes(t.id));
                 this.renderTodos();
                 this.updateStats();
-                this.showSuccess('Todo deleted successfully');
+                const message = subtaskCount > 0
+                    ? `Todo and ${subtaskCount} subtask(s) moved to trash`
+                    : 'Todo moved to trash';
+                this.showNotification(message, 'success', {
+                    label: 'Undo',
+                    handler: () => this.restoreTodo(id)
+                });
             } else {
                 this.showError(result.error || 'Failed to delete todo');
             }
@@ -136,12 +786,147 @@ class TodoApp {
         }
     }
 
+    async addSubtask(parentId) {
+        const parent = this.todos.find(t => t.id === parentId);
+        const text = (prompt(`New subtask for "${parent ? parent.text : ''}"`) || '').trim();
+        if (!text) return;
+
+        try {
+            const response = await this.apiFetch('/api/todos', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ text, parentId, listId: parent ? parent.listId : null })
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                this.upsertTodo(result.data);
+                this.collapsed.delete(parentId);
+                this.renderTodos();
+                this.updateStats();
+                this.showSuccess('Subtask added successfully');
+            } else {
+                this.showError(this.errorMessage(result, 'Failed to add subtask'));
+            }
+        } catch (error) {
+            this.showError('Network error while adding subtask');
+            console.error('Error adding subtask:', error);
+        }
+    }
+
+    // Attachments: files dropped on a todo are uploaded to it; chips download or remove them
+    dragFiles(event, id) {
+        if (!event.dataTransfer.types.includes('Files')) return;
+        event.preventDefault();
+        event.currentTarget.classList.toggle('drop-target', event.type === 'dragover');
+        if (event.type === 'drop') {
+            this.uploadAttachments(id, event.dataTransfer.files);
+        }
+    }
+
+    async uploadAttachments(id, files) {
+        if (files.length === 0) return;
+        const form = new FormData();
+        [...files].forEach(file => form.append('file', file));
+
+        try {
+            const response = await this.apiFetch(`/api/todos/${id}/attachments`, { method: 'POST', body: form });
+            const result = await response.json();
+
+            if (result.success) {
+                this.upsertTodo(result.todo);
+                this.renderTodos();
+                this.showSuccess(`Attached ${result.data.map(attachment => attachment.filename).join(', ')}`);
+            } else {
+                this.showError(this.errorMessage(result, 'Failed to upload files'));
+            }
+        } catch (error) {
+            this.showError('Network error while uploading files');
+            console.error('Error uploading attachments:', error);
+        }
+    }
+
+    // Downloads need the bearer token, so they go through fetch rather than a plain link
+    async downloadAttachment(id, attachmentId) {
+        const todo = this.todos.find(t => t.id === id);
+        const attachment = todo && (todo.attachments || []).find(a => a.id === attachmentId);
+        if (!attachment) return;
+
+        try {
+            const response = await this.apiFetch(`/api/todos/${id}/attachments/${encodeURIComponent(attachmentId)}`);
+            if (!response.ok) {
+                this.showError('Failed to download attachment');
+                return;
+            }
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = attachment.filename;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        } catch (error) {
+            this.showError('Network error while downloading attachment');
+            console.error('Error downloading attachment:', error);
+        }
+    }
+
+    async deleteAttachment(id, attachmentId) {
+        try {
+            const response = await this.apiFetch(`/api/todos/${id}/attachments/${encodeURIComponent(attachmentId)}`, { method: 'DELETE' });
+            const result = await response.json();
+
+            if (result.success) {
+                this.upsertTodo(result.todo);
+                this.renderTodos();
+            } else {
+                this.showError(this.errorMessage(result, 'Failed to delete attachment'));
+            }
+        } catch (error) {
+            this.showError('Network error while deleting attachment');
+            console.error('Error deleting attachment:', error);
+        }
+    }
+
+    formatSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+
+    // A browser notification when allowed (asked for when a todo gets a due date), otherwise an in-page one
+    showReminder({ todo, dueDate }) {
+        const message = `"${todo.text}" is due ${new Date(dueDate).toLocaleString()}`;
+        if ('Notification' in window && Notification.permission === 'granted') {
+            const notification = new Notification('Todo reminder', { body: message, tag: `todo-${todo.id}` });
+            notification.onclick = () => window.focus();
+        } else {
+            this.showNotification(message, 'success', {
+                label: 'Mark done',
+                handler: () => this.toggleTodo(todo.id)
+            });
+        }
+    }
+
+    offerParentCompletion(parent) {
+        this.showNotification(`All subtasks of "${parent.text}" are done`, 'success', {
+            label: 'Complete it',
+            handler: () => this.toggleTodo(parent.id)
+        });
+    }
+
     async editTodo(id, newText) {
+        const todo = this.todos.find(t => t.id === id);
+        if (!todo) return;
+
         try {
-            const response = await fetch(`/api/todos/${id}`, {
+            const response = await this.apiFetch(`/api/todos/${id}`, {
                 method: 'PUT',
                 headers: {
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    'If-Match': `"${todo.version}"`
                 },
                 body: JSON.stringify({ text: newText })
             });
@@ -149,14 +934,13 @@ class TodoApp {
             const result = await response.json();
 
             if (result.success) {
-                const todo = this.todos.find(t => t.id === id);
-                if (todo) {
-                    todo.text = result.data.text;
-                    this.renderTodos();
-                    this.showSuccess('Todo updated successfully');
-                }
+                Object.assign(todo, result.data);
+                this.renderTodos();
+                this.showSuccess('Todo updated successfully');
+            } else if (response.status === 412) {
+                this.showConflict(result.data);
             } else {
-                this.showError(result.error || 'Failed to update todo');
+                this.showError(this.errorMessage(result, 'Failed to update todo'));
             }
         } catch (error) {
             this.showError('Network error while updating todo');
@@ -164,7 +948,152 @@ class TodoApp {
         }
     }
 
+    async markAllDone() {
+        const pending = this.todos.filter(t => !t.completed);
+        if (pending.length === 0) return;
+
+        try {
+            const response = await this.apiFetch('/api/todos/batch', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    operations: pending.map(t => ({ op: 'update', id: t.id, completed: true }))
+                })
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                result.data.forEach(({ data }) => {
+                    const todo = this.todos.find(t => t.id === data.id);
+                    if (todo) Object.assign(todo, data);
+                });
+                this.renderTodos();
+                this.updateStats();
+                this.showSuccess(`${result.data.length} todos marked as done`);
+            } else {
+                this.showError(result.error || 'Failed to update todos');
+            }
+        } catch (error) {
+            this.showError('Network error while updating todos');
+            console.error('Error updating todos:', error);
+        }
+    }
+
+    async clearCompleted() {
+        if (!this.todos.some(t => t.completed)) return;
+
+        try {
+            const response = await this.apiFetch('/api/todos/completed', {
+                method: 'DELETE'
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                const deletedIds = result.data.map(t => t.id);
+                this.todos = this.todos.filter(t => !deletedIds.includes(t.id));
+                this.renderTodos();
+                this.updateStats();
+                this.showSuccess(result.message);
+            } else {
+                this.showError(result.error || 'Failed to clear completed todos');
+            }
+        } catch (error) {
+            this.showError('Network error while clearing completed todos');
+            console.error('Error clearing completed todos:', error);
+        }
+    }
+
+    // Downloads the todos in the current list (or all of them) in the chosen format
+    async exportTodos() {
+        const params = new URLSearchParams({ format: this.exportFormat.value });
+        if (this.activeListId !== null) params.set('listId', this.activeListId);
+
+        try {
+            const response = await this.apiFetch(`/api/export?${params}`);
+            if (!response.ok) {
+                const result = await response.json();
+                this.showError(result.error || 'Failed to export todos');
+                return;
+            }
+
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = /filename="([^"]+)"/.exec(disposition);
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = match ? match[1] : 'todos';
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            this.showError('Network error while exporting todos');
+            console.error('Error exporting todos:', error);
+        }
+    }
+
+    // Previews the file first (dry run) and only imports once the summary is confirmed
+    async importTodos(file) {
+        if (!file) return;
+        this.importFile.value = '';
+
+        const extension = file.name.split('.').pop().toLowerCase();
+        const format = { markdown: 'md' }[extension] || extension;
+        const params = new URLSearchParams({ format });
+        if (this.activeListId !== null) params.set('listId', this.activeListId);
+        const send = (dryRun) => this.apiFetch(`/api/import?${params}&dryRun=${dryRun}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: file
+        });
+
+        try {
+            const preview = await (await send(true)).json();
+            if (!preview.success) {
+                this.showError(preview.error || 'Failed to read import file');
+                return;
+            }
+
+            const { summary, results } = preview.data;
+            const problems = results
+                .filter(r => r.status === 'error')
+                .slice(0, 5)
+                .map(r => `Row ${r.row}: ${r.errors.map(e => e.message).join(', ')}`);
+            const message = [
+                `Import ${summary.valid} of ${summary.rows} todos from ${file.name}?`,
+                summary.duplicates ? `${summary.duplicates} duplicates will be skipped.` : '',
+                summary.errors ? `${summary.errors} rows have errors:` : '',
+                ...problems
+            ].filter(Boolean).join('\n');
+
+            if (summary.valid === 0) {
+                this.showError(`Nothing to import from ${file.name}`);
+                return;
+            }
+            if (!confirm(message)) return;
+
+            const result = await (await send(false)).json();
+            if (result.success) {
+                this.loadTodos();
+                this.loadLists();
+                this.showSuccess(result.message);
+            } else {
+                this.showError(result.error || 'Failed to import todos');
+            }
+        } catch (error) {
+            this.showError('Network error while importing todos');
+            console.error('Error importing todos:', error);
+        }
+    }
+
     renderTodos() {
+        if (this.showingTrash) {
+            this.renderTrash();
+            return;
+        }
+
         if (this.todos.length === 0) {
             this.todosList.innerHTML = `
                 <div class="empty-state">
@@ -175,20 +1104,203 @@ class TodoApp {
             return;
         }
 
-        this.todosList.innerHTML = this.todos.map(todo => `
-            <li class="todo-item ${todo.completed ? 'completed' : ''}" data-id="${todo.id}">
+        // Subtasks whose parent is not loaded are shown at the top level
+        const ids = new Set(this.todos.map(t => t.id));
+        const roots = this.todos.filter(t => !t.parentId || !ids.has(t.parentId));
+        this.todosList.innerHTML = roots.map(todo => this.renderTodo(todo, 0)).join('');
+    }
+
+    renderTodo(todo, depth) {
+        const children = this.childrenOf(todo.id);
+        const collapsed = this.collapsed.has(todo.id);
+        const done = children.filter(t => t.completed).length;
+
+        const toggle = children.length > 0
+            ? `<button class="collapse-btn" onclick="app.toggleCollapse(${todo.id})" title="${collapsed ? 'Expand' : 'Collapse'}">${collapsed ? '▸' : '▾'}</button>`
+            : '<span class="collapse-spacer"></span>';
+        const progress = children.length > 0
+            ? `
+                <span class="subtask-progress" title="${done} of ${children.length} subtasks done">
+                    <span class="progress-track"><span class="progress-fill" style="width: ${Math.round(done / children.length * 100)}%"></span></span>
+                    ${done}/${children.length}
+                </span>`
+            : '';
+
+        return `
+            <li class="todo-item ${todo.completed ? 'completed' : ''}" data-id="${todo.id}" style="padding-left: ${20 + depth * 28}px"
+                ondragover="app.dragFiles(event, ${todo.id})" ondragleave="app.dragFiles(event, ${todo.id})" ondrop="app.dragFiles(event, ${todo.id})">
+                ${toggle}
                 <input type="checkbox" class="todo-checkbox" 
                        ${todo.completed ? 'checked' : ''} 
                        onchange="app.toggleTodo(${todo.id})">
                 
-                <span class="todo-text" ondblclick="app.startEdit(${todo.id})">${this.escapeHtml(todo.text)}</span>
+                <div class="todo-body">
+                    <span class="todo-text" ondblclick="app.startEdit(${todo.id})">${this.escapeHtml(todo.text)}</span>
+                    ${this.renderDetails(todo)}
+                </div>
+                ${progress}
                 
                 <div class="todo-actions">
+                    <button class="subtask-btn" onclick="app.addSubtask(${todo.id})">+ Subtask</button>
+                    <button class="history-btn" onclick="app.toggleHistory(${todo.id})">History</button>
                     <button class="edit-btn" onclick="app.startEdit(${todo.id})">Edit</button>
                     <button class="delete-btn" onclick="app.deleteTodo(${todo.id})">Delete</button>
                 </div>
             </li>
+            ${this.historyTodoId === todo.id ? this.renderHistory(todo, depth) : ''}
+            ${collapsed ? '' : children.map(child => this.renderTodo(child, depth + 1)).join('')}
+        `;
+    }
+
+    async toggleHistory(id) {
+        if (this.historyTodoId === id) {
+            this.historyTodoId = null;
+            this.renderTodos();
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/todos/${id}/history`);
+            const result = await response.json();
+
+            if (result.success) {
+                this.historyTodoId = id;
+                this.history = result.data;
+                this.renderTodos();
+            } else {
+                this.showError(result.error || 'Failed to load history');
+            }
+        } catch (error) {
+            this.showError('Network error while loading history');
+            console.error('Error loading history:', error);
+        }
+    }
+
+    // Timeline of past versions, newest first; each older version can be reverted to
+    renderHistory(todo, depth) {
+        const describe = (field, { from, to }) =>
+            `<span class="history-change"><b>${this.escapeHtml(field)}</b>: ${this.escapeHtml(JSON.stringify(from))} → ${this.escapeHtml(JSON.stringify(to))}</span>`;
+
+        const entries = [...this.history].reverse().map(entry => {
+            const revert = entry.recordVersion < todo.version && entry.action !== 'delete'
+                ? `<button class="revert-btn" onclick="app.revertTodo(${todo.id}, ${entry.recordVersion})">Revert to this version</button>`
+                : '';
+            const changes = Object.keys(entry.changes)
+                .filter(field => !['createdAt', 'deletedAt'].includes(field))
+                .map(field => describe(field, entry.changes[field])).join('');
+            return `
+                <li class="history-entry">
+                    <div class="history-summary">
+                        <span class="history-version">v${entry.recordVersion}</span>
+                        ${this.escapeHtml(entry.action)} by ${this.escapeHtml(entry.actor.username)}
+                        · ${new Date(entry.at).toLocaleString()}
+                        ${revert}
+                    </div>
+                    <div class="history-changes">${changes}</div>
+                </li>
+            `;
+        }).join('');
+
+        return `
+            <li class="todo-history" style="padding-left: ${48 + depth * 28}px">
+                <ul>${entries}</ul>
+            </li>
+        `;
+    }
+
+    async revertTodo(id, version) {
+        const todo = this.todos.find(t => t.id === id);
+        if (!todo) return;
+
+        try {
+            const response = await this.apiFetch(`/api/todos/${id}/revert`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'If-Match': `"${todo.version}"`
+                },
+                body: JSON.stringify({ version })
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                Object.assign(todo, result.data);
+                this.historyTodoId = null;
+                this.renderTodos();
+                this.updateStats();
+                this.showSuccess(result.message);
+            } else if (response.status === 412) {
+                this.showConflict(result.data);
+            } else {
+                this.showError(this.errorMessage(result, 'Failed to revert todo'));
+            }
+        } catch (error) {
+            this.showError('Network error while reverting todo');
+            console.error('Error reverting todo:', error);
+        }
+    }
+
+    childrenOf(id) {
+        return this.todos.filter(t => t.parentId === id);
+    }
+
+    descendantsOf(id) {
+        return this.childrenOf(id).reduce((all, child) => all.concat(child, this.descendantsOf(child.id)), []);
+    }
+
+    toggleCollapse(id) {
+        if (this.collapsed.has(id)) {
+            this.collapsed.delete(id);
+        } else {
+            this.collapsed.add(id);
+        }
+        this.renderTodos();
+    }
+
+    renderDetails(todo) {
+        const badges = [];
+
+        if (todo.priority) {
+            badges.push(`<span class="priority-badge priority-${this.escapeHtml(todo.priority)}">${this.escapeHtml(todo.priority)}</span>`);
+        }
+        if (todo.dueDate) {
+            const overdue = this.isOverdue(todo);
+            const due = new Date(todo.dueDate).toLocaleDateString(undefined, { timeZone: 'UTC' });
+            badges.push(`<span class="due-date ${overdue ? 'overdue' : ''}">${overdue ? 'Overdue' : 'Due'} ${due}</span>`);
+        }
+        if (todo.recurrence) {
+            badges.push(`<span class="recurrence-badge" title="Repeats">↻ ${this.escapeHtml(this.describeRecurrence(todo.recurrence))}</span>`);
+        }
+        (todo.tags || []).forEach(tag => {
+            badges.push(`<span class="tag">#${this.escapeHtml(tag)}</span>`);
+        });
+
+        const notes = todo.notes ? `<p class="todo-notes">${this.escapeHtml(todo.notes)}</p>` : '';
+        const attachments = (todo.attachments || []).map(attachment => `
+            <span class="attachment-chip" title="${this.escapeHtml(attachment.contentType)}">
+                <a href="#" onclick="app.downloadAttachment(${todo.id}, '${this.escapeHtml(attachment.id)}'); return false;">📎 ${this.escapeHtml(attachment.filename)}</a>
+                <small>${this.formatSize(attachment.size)}</small>
+                <button class="attachment-remove" title="Remove" onclick="app.deleteAttachment(${todo.id}, '${this.escapeHtml(attachment.id)}')">×</button>
+            </span>
         `).join('');
+        return `<div class="todo-meta">${badges.join('')}</div>${notes}${attachments ? `<div class="attachments">${attachments}</div>` : ''}`;
+    }
+
+    // { freq: 'weekly', interval: 2, byDay: ['MO'] } -> "Every 2 weeks on MO"
+    describeRecurrence(rule) {
+        const units = { daily: 'day', weekly: 'week', monthly: 'month' };
+        const names = { daily: 'Daily', weekly: 'Weekly', monthly: 'Monthly' };
+        let text = rule.interval > 1 ? `Every ${rule.interval} ${units[rule.freq]}s` : names[rule.freq];
+        if (rule.byDay) text += ` on ${rule.byDay.join(', ')}`;
+        if (rule.byMonthDay) text += ` on day ${rule.byMonthDay}`;
+        if (rule.count) text += `, ${rule.count} left`;
+        if (rule.until) text += ` until ${new Date(rule.until).toLocaleDateString(undefined, { timeZone: 'UTC' })}`;
+        return text;
+    }
+
+    isOverdue(todo) {
+        return !todo.completed && Boolean(todo.dueDate) && new Date(todo.dueDate) < new Date();
     }
 
     startEdit(id) {
@@ -231,6 +1343,17 @@ class TodoApp {
         this.renderTodos();
     }
 
+    // Another tab or client changed the todo first; show what it looks like now
+    showConflict(latest) {
+        const index = this.todos.findIndex(t => t.id === latest.id);
+        if (index !== -1) {
+            this.todos[index] = latest;
+        }
+        this.renderTodos();
+        this.updateStats();
+        this.showError(`This todo was changed elsewhere and now reads "${latest.text}". Your change was not saved.`);
+    }
+
     updateStats() {
         const total = this.todos.length;
         const completed = this.todos.filter(t => t.completed).length;
@@ -239,22 +1362,31 @@ class TodoApp {
         this.totalTodos.textContent = total;
         this.completedTodos.textContent = completed;
         this.pendingTodos.textContent = pending;
+        this.overdueTodos.textContent = this.todos.filter(t => this.isOverdue(t)).length;
+        this.refreshListCounts();
     }
 
+    // Readiness answers 503 with the same report when the application is unhealthy
     async checkHealth() {
+        const indicators = { healthy: '✅', degraded: '⚠️', unhealthy: '❌' };
         try {
-            const response = await fetch('/health');
+            const response = await fetch('/health/ready');
             const health = await response.json();
-
-            if (response.ok && health.status === 'healthy') {
-                this.healthStatus.innerHTML = `
-                    <span class="status-indicator">✅</span>
-                    <span>Application is healthy (Uptime: ${Math.floor(health.uptime)}s)</span>
-                `;
-                this.healthStatus.className = 'health-status status-healthy';
-            } else {
+            if (!indicators[health.status]) {
                 throw new Error('Health check failed');
             }
+
+            const checks = Object.entries(health.checks).map(([name, check]) => `
+                <li class="health-check check-${check.status}" title="${check.status}">
+                    ${indicators[check.status] || '❔'} ${this.escapeHtml(name)}
+                </li>
+            `).join('');
+            this.healthStatus.innerHTML = `
+                <span class="status-indicator">${indicators[health.status]}</span>
+                <span>Application is ${health.status} (Uptime: ${Math.floor(health.uptime)}s)</span>
+                <ul class="health-checks">${checks}</ul>
+            `;
+            this.healthStatus.className = `health-status status-${health.status}`;
         } catch (error) {
             this.healthStatus.innerHTML = `
                 <span class="status-indicator">❌</span>
@@ -265,6 +1397,14 @@ class TodoApp {
         }
     }
 
+    // Prefer the server's field-level validation messages when there are any
+    errorMessage(result, fallback) {
+        if (result.details && result.details.length > 0) {
+            return result.details.map(detail => detail.message).join('; ');
+        }
+        return result.error || fallback;
+    }
+
     showError(message) {
         this.showNotification(message, 'error');
     }
@@ -273,7 +1413,7 @@ class TodoApp {
         this.showNotification(message, 'success');
     }
 
-    showNotification(message, type) {
+    showNotification(message, type, action) {
         // Create notification element
         const notification = document.createElement('div');
         notification.className = `notification ${type}`;
@@ -291,9 +1431,23 @@ class TodoApp {
             background: ${type === 'error' ? '#dc3545' : '#28a745'};
         `;
 
+        // Optional action button, e.g. { label: 'Complete it', handler: () => ... }
+        if (action) {
+            const button = document.createElement('button');
+            button.className = 'notification-action';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                action.handler();
+                if (notification.parentNode) {
+                    notification.parentNode.removeChild(notification);
+                }
+            });
+            notification.appendChild(button);
+        }
+
         document.body.appendChild(notification);
 
-        // Auto remove after 3 seconds
+        // Auto remove after 3 seconds, or 6 when there is an action to take
         setTimeout(() => {
             notification.style.animation = 'slideOut 0.3s ease';
             setTimeout(() => {
@@ -301,7 +1455,7 @@ class TodoApp {
                     notification.parentNode.removeChild(notification);
                 }
             }, 300);
-        }, 3000);
+        }, action ? 6000 : 3000);
     }
 
     escapeHtml(text) {
@@ -329,4 +1483,4 @@ document.head.appendChild(style);
 // Initialize app when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     window.app = new TodoApp();
-});
\ No newline at end of file
+});
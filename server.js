@@ -1,214 +1,2171 @@
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
+const {
+  createRepository, createStorage, scopeRepository, trashRepository, traceRepository, adoptUnowned
+} = require('./lib/storage');
+const { createAuth } = require('./lib/auth');
+const { parseListQuery, queryTodos } = require('./lib/todo-query');
+const { PRIORITIES, TODO_DEFAULTS, TODO_FIELDS, validateTodoInput, isOverdue } = require('./lib/todo-schema');
+const { validateListInput } = require('./lib/list-schema');
+const { auditRepository, stateAt, parseAuditQuery, filterAuditEntries } = require('./lib/audit');
+const { TODO_EVENT_TYPES, createEventBus } = require('./lib/events');
+const { WEBHOOK_EVENTS, validateWebhookInput } = require('./lib/webhook-schema');
+const { generateSecret, createWebhookDispatcher } = require('./lib/webhooks');
+const { PROBLEM_TYPES, bodyErrors, sendProblem, problemResponses } = require('./lib/problems');
+const { openApiSpec } = require('./lib/openapi');
+const { createRequestValidator, createResponseValidator } = require('./lib/openapi-validator');
+const { FORMATS, FORMAT_NAMES } = require('./lib/todo-formats');
+const { createGraphQLSchema, createGraphQLHandler, graphQLError } = require('./lib/graphql');
+const { MAX_IMPORT_ROWS, planImport, applyImport, importReport, summarizeImport } = require('./lib/todo-import');
+const { descendantsOf, buildTree, checkParent, progressByParent, isParentReady } = require('./lib/todo-tree');
+const { advanceRecurrence, seriesIdOf } = require('./lib/recurrence');
+const { createScheduler } = require('./lib/scheduler');
+const { createReminders, createPushChannel, createWebhookChannel, createLogChannel } = require('./lib/reminders');
+const { parseSearchQuery, createSearchIndex } = require('./lib/search');
+const { MAX_ATTACHMENTS, MAX_FILES_PER_UPLOAD, attachmentsOf, createAttachmentStore } = require('./lib/attachments');
+const { DEFAULT_REDACT, createLogger, requestLogger, withLogContext, logContext } = require('./lib/logger');
+const { createHealthChecks, summarizeHealth, tokenMatches, storageCheck, eventLoopCheck, memoryCheck } = require('./lib/health');
+const {
+  createSampler, createTracer, createConsoleExporter, createOtlpExporter, createMemoryExporter, traceRequests
+} = require('./lib/tracing');
+const { loadConfig, redactConfig } = require('./lib/config');
+const { PROMETHEUS_CONTENT_TYPE, OPENMETRICS_CONTENT_TYPE, createRegistry, collectDefaultMetrics, httpMetrics } = require('./lib/metrics');
+
+// Settings from config/<environment>.json, environment variables and, when run directly,
+// command-line flags (lib/config.js). Anything invalid stops the server before it starts.
+let config;
+try {
+  config = loadConfig({ argv: require.main === module ? process.argv.slice(2) : [] });
+} catch (error) {
+  if (!error.problems || require.main !== module) throw error;
+  createLogger().fatal('Invalid configuration', { problems: error.problems });
+  process.exit(1);
+}
+const { settings } = config;
 
 const app = express();
-const PORT = process.env.PORT || 3000;
-const ENV = process.env.NODE_ENV || 'development';
+const PORT = settings.server.port;
+const ENV = config.env;
+// JSON lines on stdout; logging.format "pretty" for readable output while developing
+const logger = createLogger({
+  level: settings.logging.level,
+  format: settings.logging.format,
+  redact: [...DEFAULT_REDACT, ...settings.logging.redact]
+});
+
+// Tracing (lib/tracing.js), configured with the standard OpenTelemetry variables.
+// OTEL_TRACES_EXPORTER: none, console (spans go to the log), otlp (OTLP/HTTP JSON) or memory (tests).
+const OTLP_ENDPOINT = settings.tracing.endpoint.replace(/\/$/, '');
+const TRACE_EXPORTERS = {
+  none: () => ({ export: () => {} }),
+  console: () => createConsoleExporter({ log: span => logger.info('span', { span }) }),
+  otlp: () => createOtlpExporter({
+    url: settings.tracing.tracesEndpoint || `${OTLP_ENDPOINT}/v1/traces`,
+    headers: settings.tracing.headers,
+    resource: { 'service.name': settings.tracing.serviceName, 'deployment.environment': ENV }
+  }),
+  memory: () => createMemoryExporter()
+};
+const TRACES_EXPORTER = settings.tracing.exporter;
+const traceExporter = TRACE_EXPORTERS[TRACES_EXPORTER]();
+const tracer = createTracer({
+  exporter: traceExporter,
+  // With nowhere to send spans, none are recorded, but trace ids still propagate
+  sampler: TRACES_EXPORTER === 'none'
+    ? createSampler('always_off')
+    : createSampler(settings.tracing.sampler, settings.tracing.samplerArg),
+  // Tests read spans as soon as they end
+  scheduledDelayMs: TRACES_EXPORTER === 'memory' ? 0 : settings.tracing.scheduleDelayMs,
+  onError: error => logger.warn('Failed to export spans', { err: error })
+});
+// For tests, which read the memory exporter's spans
+app.locals.traceExporter = traceExporter;
+
+const TRASH_RETENTION_DAYS = settings.trash.retentionDays;
+const TRASH_SWEEP_INTERVAL = 60 * 60 * 1000; // 1 hour
+const EVENTS_HEARTBEAT_INTERVAL = 15 * 1000; // 15 seconds
+const EVENTS_RETRY_DELAY = 3000; // how long browsers wait before reconnecting
+const REMINDER_LEAD_MINUTES = settings.reminders.leadMinutes;
+const REMINDER_CHANNELS = settings.reminders.channels;
+// Directories in the settings are relative to the project root
+const UPLOADS_DIR = path.resolve(__dirname, settings.attachments.dir);
+const ATTACHMENT_MAX_MB = settings.attachments.maxMb;
+const ATTACHMENT_TYPES = settings.attachments.types;
+const API_V1_DEPRECATED_AT = new Date(settings.api.v1DeprecatedAt);
+const API_V1_SUNSET = new Date(settings.api.v1Sunset);
+const HEALTH_TOKEN = settings.health.token;
+const HEALTH_CHECK_TIMEOUT_MS = settings.health.checkTimeoutMs;
+const ADMIN_TOKEN = settings.admin.token;
+const SCHEDULER_LAG_DEGRADED_MS = 60 * 1000; // 1 minute
+const GRAPHQL_MAX_DEPTH = settings.graphql.maxDepth;
+const GRAPHQL_MAX_COMPLEXITY = settings.graphql.maxComplexity;
+// Schema introspection is on except in production (config/production.json)
+const GRAPHQL_INTROSPECTION = settings.graphql.introspection;
+
+// Security middleware
+app.use(helmet());
+// Cross-origin access is off unless cors.origins lists the allowed origins
+app.use(cors({
+  origin: settings.cors.origins.length > 0 ? [...settings.cors.origins] : false
+}));
+
+// Every response carries an X-Request-Id (the caller's own, if it sent a sane one) that
+// v2 errors repeat as `traceId`
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  withLogContext({ requestId: req.id }, next);
+});
+
+// A span per request (`req.span`), joining the caller's trace when it sends a traceparent
+app.use(traceRequests(tracer));
+
+// `req.log` for handlers, and one log line per request once its response is done
+app.use(requestLogger(logger));
+
+// Metrics for /metrics: every request, process and event-loop stats, and the todo counters below
+const metricsRegistry = createRegistry();
+collectDefaultMetrics(metricsRegistry);
+app.use(httpMetrics(metricsRegistry));
+
+const isV2Request = (req) => /^\/api\/v2(\/|\?|$)/.test(req.originalUrl);
+
+// Rate limiting
+const limiter = rateLimit({
+  windowMs: settings.rateLimit.windowMs,
+  max: settings.rateLimit.max, // requests per IP per window
+  handler: (req, res, next, options) => isV2Request(req)
+    ? sendProblem(req, res, 'rate-limited', options.message)
+    : res.status(options.statusCode).send(options.message)
+});
+app.use(limiter);
+
+// Body parsing
+app.use(express.json({ limit: settings.server.bodyLimit }));
+app.use(express.urlencoded({ extended: true, limit: settings.server.bodyLimit }));
+// The parsers call next from stream events, outside the contexts set above
+app.use((req, res, next) => withLogContext({ requestId: req.id }, () => tracer.withSpan(req.span, next)));
+
+// In tests every JSON response of a documented route is checked against the OpenAPI spec
+if (ENV === 'test') {
+  app.use(createResponseValidator(openApiSpec, {
+    onMismatch: (req, errors) => req.log.error('Response does not match the API spec', { method: req.method, path: req.path, errors })
+  }));
+}
+
+// Serve static files
+const STATIC_DIR = path.resolve(__dirname, settings.server.staticDir);
+app.use(express.static(STATIC_DIR));
+
+// Storage (memory by default, see storage.driver); calls made while handling a request are traced
+const STORAGE_OPTIONS = { driver: settings.storage.driver, dir: path.resolve(__dirname, settings.storage.dir) };
+const repository = (collection, options) =>
+  traceRepository(createRepository(collection, { ...STORAGE_OPTIONS, ...options }), tracer, collection);
+const storage = traceRepository(createStorage({
+  ...STORAGE_OPTIONS,
+  file: settings.storage.file && path.resolve(__dirname, settings.storage.file)
+}), tracer, 'todos');
+const auditLog = repository('audit', { dateFields: ['at'] });
+const events = createEventBus();
+const webhooks = repository('webhooks');
+const webhookDeliveries = repository('webhook-deliveries', {
+  dateFields: ['createdAt', 'updatedAt', 'nextAttemptAt', 'deliveredAt']
+});
+const webhookDispatcher = createWebhookDispatcher({
+  webhooks,
+  deliveries: webhookDeliveries,
+  maxAttempts: settings.webhooks.maxAttempts,
+  retryBaseMs: settings.webhooks.retryBaseMs,
+  requestId: () => logContext().requestId,
+  onError: (error, deliveryId) => logger.error('Webhook delivery failed', { err: error, deliveryId })
+});
+
+const todosCreated = metricsRegistry.counter({ name: 'todos_created_total', help: 'Todos created' });
+const todosCompletions = metricsRegistry.counter({ name: 'todos_completions_total', help: 'Times a todo was marked completed' });
+
+// Every recorded todo change is also published to the owner's live event stream and
+// webhooks, followed by one stats.changed per owner once the current burst of changes is done
+const pendingStats = new Set();
+const publishStats = (ownerId) => {
+  if (pendingStats.has(ownerId)) return;
+  pendingStats.add(ownerId);
+  setImmediate(async () => {
+    pendingStats.delete(ownerId);
+    try {
+      const todos = await trashRepository(scopeRepository(storage, ownerId)).list();
+      const userLists = await scopeRepository(lists, ownerId).list();
+      events.publish(ownerId, 'stats.changed', computeStats(todos, userLists));
+    } catch (error) {
+      logger.error('Failed to publish stats', { err: error, ownerId });
+    }
+  });
+};
+
+const publishTodoChange = (entry, todo) => {
+  const type = TODO_EVENT_TYPES[entry.action];
+  events.publish(entry.ownerId, type, todo);
+  if (entry.action === 'create') todosCreated.inc();
+  if (entry.action === 'update' && entry.changes.completed && entry.changes.completed.to === true) todosCompletions.inc();
+  publishStats(entry.ownerId);
+  webhookDispatcher.dispatch(entry.ownerId, type, todo)
+    .catch(error => logger.error('Failed to queue webhooks', { err: error, todoId: todo.id }));
+  reminders.sync(todo)
+    .catch(error => logger.error('Failed to schedule reminder', { err: error, todoId: todo.id }));
+  if (entry.action === 'purge') {
+    attachmentStore.remove(attachmentsOf(todo))
+      .catch(error => logger.error('Failed to remove attachments', { err: error, todoId: todo.id }));
+  }
+  if (todo.deletedAt) {
+    searchIndex.remove(todo.id);
+  } else {
+    searchIndex.add(todo);
+  }
+};
+
+// Changes made by the server itself, such as purging expired trash
+const SYSTEM_ACTOR = { userId: null, username: 'system', ip: null };
+const liveTodos = trashRepository(auditRepository(storage, {
+  log: auditLog,
+  actor: SYSTEM_ACTOR,
+  onChange: publishTodoChange
+}));
+const searchIndex = createSearchIndex();
+const attachmentStore = createAttachmentStore({
+  dir: UPLOADS_DIR,
+  maxBytes: ATTACHMENT_MAX_MB * 1024 * 1024,
+  allowedTypes: ATTACHMENT_TYPES
+});
+
+// Background jobs (lib/scheduler.js); they are stored, so a restart catches up on missed runs.
+// Reminders go out REMINDER_LEAD_MINUTES before a todo is due, through REMINDER_CHANNELS.
+const scheduler = createScheduler({
+  jobs: repository('jobs', { dateFields: ['runAt', 'lastRunAt', 'createdAt', 'updatedAt'] }),
+  onError: (error, job) => job
+    ? logger.error('Job failed', { err: error, jobId: job.id, jobType: job.type })
+    : logger.error('Scheduler failed', { err: error })
+});
+const REMINDER_CHANNEL_FACTORIES = {
+  push: () => createPushChannel(events),
+  webhook: () => createWebhookChannel(webhookDispatcher),
+  log: () => createLogChannel({ log: message => logger.info(message, { channel: 'reminders' }) })
+};
+const reminders = createReminders({
+  scheduler,
+  todos: liveTodos,
+  channels: REMINDER_CHANNELS.filter(name => REMINDER_CHANNEL_FACTORIES[name]).map(name => REMINDER_CHANNEL_FACTORIES[name]()),
+  leadMs: REMINDER_LEAD_MINUTES * 60 * 1000,
+  onError: (error, channel) => logger.error('Failed to send reminder', { err: error, channel: channel.name })
+});
+
+const lists = repository('lists');
+const auth = createAuth({
+  users: repository('users'),
+  sessions: repository('sessions', { dateFields: ['createdAt', 'expiresAt'] })
+});
+
+// Utility functions
+
+// Shared by the single-todo routes and the batch endpoint; return { error, details } on bad input
+const buildNewTodo = (body) => {
+  const { value, errors } = validateTodoInput(body);
+  if (errors.length > 0) {
+    return { error: 'Validation failed', details: errors };
+  }
+  return { fields: { ...TODO_DEFAULTS, ...value, createdAt: new Date() } };
+};
+
+const buildTodoChanges = (body) => {
+  const { value, errors } = validateTodoInput(body, { partial: true });
+  if (errors.length > 0) {
+    return { error: 'Validation failed', details: errors };
+  }
+  return { changes: { ...value, updatedAt: new Date() } };
+};
+
+// Cross-record checks the schema cannot do; returns a list of { field, message }
+const checkReferences = async (userLists, todos, id, fields) => {
+  const details = [];
+  const parentError = checkParent(todos, id, fields.parentId);
+  if (parentError) {
+    details.push({ field: 'parentId', message: parentError });
+  }
+  if (fields.listId && !(await userLists.get(fields.listId))) {
+    details.push({ field: 'listId', message: 'List not found' });
+  }
+  return details;
+};
+
+// Schema and reference checks shared by the REST and GraphQL handlers.
+// Return { fields } / { changes }, or { error, details } for a 400.
+const prepareNewTodo = (req, body) => tracer.trace('validate todo', async () => {
+  const built = buildNewTodo(body);
+  if (built.error) return built;
+  const details = await checkReferences(req.lists, await req.todos.list(), null, built.fields);
+  return details.length > 0 ? { error: 'Validation failed', details } : built;
+});
+
+const prepareTodoChanges = (req, existing, body) => tracer.trace('validate todo', async () => {
+  const built = buildTodoChanges(body);
+  if (built.error) return built;
+  const details = await checkReferences(req.lists, await req.todos.list(), existing.id, built.changes);
+  return details.length > 0 ? { error: 'Validation failed', details } : built;
+});
+
+// Errors caught by route handlers go to the log and onto the request's span
+const reportError = (req, message, error) => {
+  req.log.error(message, { err: error });
+  req.span.recordException(error);
+  req.span.setStatus('error', message);
+};
+
+const SUBTASKS_ERROR = 'Todo has subtasks; delete them first or pass cascade=true';
+
+// Callers run this inside a transaction so a parent never outlives its subtasks.
+// Everything goes to the trash with one timestamp so a restore brings it all back.
+const deleteWithSubtasks = async (repo, todo, subtasks) => {
+  const deletedAt = new Date();
+  for (const subtask of subtasks) {
+    await repo.delete(subtask.id, deletedAt);
+  }
+  return repo.delete(todo.id, deletedAt);
+};
+
+// The next occurrence of a recurring todo, created through `repo` (run it in the same
+// transaction as the change that triggers it). Returns null when the rule has run out or
+// a later occurrence already exists, as it does when a todo is reopened and completed again.
+const createNextOccurrence = async (repo, todo) => {
+  const seriesId = seriesIdOf(todo);
+  if ((await repo.list()).some(other => seriesIdOf(other) === seriesId && other.id > todo.id)) return null;
+
+  const next = advanceRecurrence(todo);
+  if (!next) return null;
+  return repo.create({
+    ...TODO_DEFAULTS,
+    text: todo.text,
+    priority: todo.priority,
+    tags: todo.tags,
+    notes: todo.notes,
+    parentId: todo.parentId,
+    listId: todo.listId,
+    ...next,
+    seriesId,
+    createdAt: new Date()
+  });
+};
+
+// Called after every update: completing a recurring todo schedules the next one
+const continueSeries = (repo, before, todo) => todo.recurrence && todo.completed && !before.completed
+  ? createNextOccurrence(repo, todo)
+  : null;
+
+const TRASH_RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+const purgeAtFor = (todo) => new Date(todo.deletedAt.getTime() + TRASH_RETENTION_MS);
+
+// Optimistic concurrency: a todo's ETag is its version number
+const etagFor = (todo) => `"${todo.version}"`;
+
+const matchesIfMatch = (req, todo) => {
+  const header = req.get('If-Match');
+  if (!header) return true;
+
+  // If-Match uses strong comparison, so weak (W/) tags never match
+  return header.split(',')
+    .map(tag => tag.trim())
+    .some(tag => tag === '*' || tag === etagFor(todo));
+};
+
+const sendVersionConflict = (res, todo) => {
+  res.set('ETag', etagFor(todo));
+  res.status(412).json({
+    success: false,
+    error: 'Todo has been modified by another request',
+    data: todo
+  });
+};
+
+// RFC 8288 Link header value pointing at the same route with other query params
+const buildLink = (req, params, rel) => {
+  const query = new URLSearchParams({ ...req.query, ...params });
+  Object.keys(params).forEach(key => {
+    if (params[key] === undefined) query.delete(key);
+  });
+  return `<${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}?${query}>; rel="${rel}"`;
+};
+
+// Health checks (lib/health.js). /health/live only says the process answers; /health/ready
+// runs the checks, and answers 503 when the service should get no traffic. Messages, timings
+// and figures of each check are only shown to callers that send X-Health-Token: HEALTH_TOKEN.
+const healthChecks = createHealthChecks({ timeoutMs: HEALTH_CHECK_TIMEOUT_MS });
+let startupComplete = false;
+healthChecks.register('startup', () => startupComplete
+  ? undefined
+  : { status: 'unhealthy', message: 'Still resuming jobs, webhooks and the search index' });
+healthChecks.register('storage', storageCheck(storage));
+const eventLoop = eventLoopCheck({
+  degradedMs: settings.health.eventLoopDegradedMs,
+  unhealthyMs: settings.health.eventLoopUnhealthyMs
+});
+healthChecks.register('eventLoop', eventLoop);
+healthChecks.register('memory', memoryCheck({
+  degradedRatio: settings.health.memoryDegradedRatio,
+  unhealthyRatio: settings.health.memoryUnhealthyRatio
+}));
+// Reminders (its only jobs) wait while the scheduler is down, but the API still works
+healthChecks.register('scheduler', async () => {
+  const details = await scheduler.status();
+  if (details.status !== 'running') return { status: 'unhealthy', message: 'The scheduler is not running', details };
+  if (details.lagMs >= SCHEDULER_LAG_DEGRADED_MS) return { status: 'degraded', message: `Jobs are ${details.lagMs} ms late`, details };
+  return { details };
+}, { critical: false });
+
+const healthReport = async (req) => {
+  const result = await healthChecks.run();
+  return tokenMatches(HEALTH_TOKEN, req.get('X-Health-Token')) ? result : summarizeHealth(result);
+};
+const healthStatusCode = (report) => report.status === 'unhealthy' ? 503 : 200;
+
+app.get('/health/live', (req, res) => {
+  res.json({ status: 'healthy', timestamp: new Date().toISOString(), uptime: process.uptime() });
+});
+
+app.get('/health/ready', async (req, res, next) => {
+  try {
+    const report = await healthReport(req);
+    res.status(healthStatusCode(report)).json({
+      ...report,
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Readiness plus a summary of the application, for dashboards and the frontend
+app.get('/health', async (req, res, next) => {
+  try {
+    const todos = await liveTodos.list();
+    const report = await healthReport(req);
+    const healthInfo = {
+      ...report,
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime(),
+      environment: ENV,
+      version: process.env.npm_package_version || '1.0.0',
+      todos_count: todos.length,
+      storage: storage.name,
+      scheduler: await scheduler.status()
+    };
+
+    res.status(healthStatusCode(report)).json(healthInfo);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The active configuration with secrets redacted, and where each setting came from. Only
+// exists when admin.token is set, and only answers callers that send it as X-Admin-Token.
+app.get('/api/admin/config', (req, res) => {
+  if (!ADMIN_TOKEN) {
+    return res.status(404).json({
+      success: false,
+      error: 'Route not found'
+    });
+  }
+  if (!tokenMatches(ADMIN_TOKEN, req.get('X-Admin-Token'))) {
+    return res.status(403).json({
+      success: false,
+      error: 'A valid X-Admin-Token header is required'
+    });
+  }
+  res.json({
+    success: true,
+    data: {
+      env: ENV,
+      settings: redactConfig(settings),
+      sources: config.sources
+    }
+  });
+});
+
+// API description (OpenAPI 3) and a page that renders it
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openApiSpec);
+});
+
+app.get('/api/docs', (req, res) => {
+  res.sendFile(path.join(STATIC_DIR, 'docs.html'));
+});
+
+// Authentication endpoints
+const sendAuthResult = (res, result, status) => {
+  if (result.error) {
+    return res.status(result.status).json({
+      success: false,
+      error: result.error,
+      details: result.details
+    });
+  }
+  res.status(status).json({
+    success: true,
+    data: result
+  });
+};
+
+// Todos saved before there were accounts go to the first account registered
+const adoptUnownedTodos = async (user) => {
+  if (user.id !== 1) return;
+  const adopted = await adoptUnowned(storage, user.id);
+  for (const todo of adopted) {
+    if (!todo.deletedAt) searchIndex.add(todo);
+    await reminders.sync(todo);
+  }
+  if (adopted.length > 0) logger.info('Assigned todos saved before accounts existed', { userId: user.id, count: adopted.length });
+};
+
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    const result = await auth.register(req.body);
+    if (result.user) await adoptUnownedTodos(result.user);
+    sendAuthResult(res, result, 201);
+  } catch (error) {
+    reportError(req, 'Failed to register', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to register'
+    });
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    sendAuthResult(res, await auth.login(req.body), 200);
+  } catch (error) {
+    reportError(req, 'Failed to log in', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log in'
+    });
+  }
+});
+
+app.post('/api/auth/logout', auth.requireAuth, async (req, res) => {
+  try {
+    await auth.logout(req.token);
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    reportError(req, 'Failed to log out', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log out'
+    });
+  }
+});
+
+app.get('/api/auth/me', auth.requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    data: req.user
+  });
+});
+
+// Todo, trash, list, audit, webhook, stats, import/export, search and GraphQL routes only ever see the signed-in user's records
+// (req.todos, req.lists, req.audit, req.webhooks, req.deliveries). Every todo change is recorded
+// in the audit log.
+const scopeToUser = (req, res, next) => {
+  const actor = { userId: req.user.id, username: req.user.username, ip: req.ip };
+  req.todos = trashRepository(auditRepository(scopeRepository(storage, req.user.id), {
+    log: auditLog,
+    actor,
+    onChange: publishTodoChange
+  }));
+  req.lists = scopeRepository(lists, req.user.id);
+  req.audit = scopeRepository(auditLog, req.user.id);
+  req.webhooks = scopeRepository(webhooks, req.user.id);
+  req.deliveries = scopeRepository(webhookDeliveries, req.user.id);
+  next();
+};
+
+app.use(['/api/todos', '/api/trash', '/api/lists', '/api/audit', '/api/webhooks', '/api/stats', '/api/export', '/api/import', '/api/search', '/graphql'], auth.requireAuth, scopeToUser);
+
+// v1 routes that have a v2 successor announce their retirement (RFC 9745 Deprecation, RFC 8594 Sunset)
+const deprecatedV1 = (req, res, next) => {
+  res.set({
+    Deprecation: `@${Math.floor(API_V1_DEPRECATED_AT.getTime() / 1000)}`,
+    Sunset: API_V1_SUNSET.toUTCString()
+  });
+  next();
+};
+
+// Requests to documented routes must match the OpenAPI spec (after auth, so a missing token is still a 401)
+const validateRequest = createRequestValidator(openApiSpec);
+app.use((req, res, next) => {
+  // The span ends before the route runs, so the route's spans are not nested in it
+  let valid = false;
+  tracer.trace('validate request', () => validateRequest(req, res, () => {
+    valid = true;
+  }));
+  if (valid) next();
+});
+
+// Someone else's record is forbidden rather than missing
+const authorizeOwner = (repo, noun) => async (req, res, next) => {
+  try {
+    const record = await repo.get(req.params.id);
+    if (record && record.ownerId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: `You do not have access to this ${noun}`
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const authorizeTodo = authorizeOwner(storage, 'todo');
+const authorizeList = authorizeOwner(lists, 'list');
+const authorizeWebhook = authorizeOwner(webhooks, 'webhook');
+
+// Live updates (Server-Sent Events): todo.created, todo.updated, todo.deleted (to the trash),
+// todo.restored, todo.purged and stats.changed for the signed-in user. A client that reconnects
+// with Last-Event-ID gets what it missed, or a `resync` event if that is no longer known.
+app.get('/api/events', auth.requireAuth, (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${EVENTS_RETRY_DELAY}\n\n`);
+
+  const send = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  };
+
+  const lastEventId = req.get('Last-Event-ID');
+  if (lastEventId) {
+    const missed = events.since(req.user.id, lastEventId);
+    if (missed) {
+      missed.forEach(send);
+    } else {
+      res.write('event: resync\ndata: {}\n\n');
+    }
+  }
+
+  const unsubscribe = events.subscribe(req.user.id, send);
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), EVENTS_HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// API endpoints
+
+// Shared by GET /api/todos and GET /api/lists/:id/todos; `filters` override the query string
+const listTodos = async (req, res, filters = {}) => {
+  try {
+    const { options, error } = parseListQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+    Object.assign(options, filters);
+
+    const { items, total, nextCursor } = queryTodos(await req.todos.list(), options);
+
+    if (options.limit) {
+      const links = [buildLink(req, { cursor: undefined }, 'first')];
+      if (nextCursor) {
+        links.push(buildLink(req, { cursor: nextCursor }, 'next'));
+      }
+      res.set('Link', links.join(', '));
+    }
+
+    res.json({
+      success: true,
+      data: items,
+      count: items.length,
+      total,
+      nextCursor
+    });
+  } catch (error) {
+    reportError(req, 'Failed to fetch todos', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch todos'
+    });
+  }
+};
+
+app.get('/api/todos', deprecatedV1, (req, res) => listTodos(req, res));
+
+app.get('/api/todos/:id', deprecatedV1, authorizeTodo, async (req, res) => {
+  try {
+    const todo = await req.todos.get(req.params.id);
+    if (!todo) {
+      return res.status(404).json({
+        success: false,
+        error: 'Todo not found'
+      });
+    }
+    if (req.query.include !== undefined && req.query.include !== 'children') {
+      return res.status(400).json({
+        success: false,
+        error: 'include must be children'
+      });
+    }
+    res.set('ETag', etagFor(todo));
+    res.json({
+      success: true,
+      data: req.query.include === 'children' ? buildTree(await req.todos.list(), todo) : todo
+    });
+  } catch (error) {
+    reportError(req, 'Failed to fetch todo', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch todo'
+    });
+  }
+});
+
+// Shared by POST /api/todos and POST /api/lists/:id/todos
+const createTodo = async (req, res, body) => {
+  try {
+    const { fields, error, details } = await prepareNewTodo(req, body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+        details
+      });
+    }
+
+    const newTodo = await req.todos.create(fields);
+
+    res.set('ETag', etagFor(newTodo));
+    res.status(201).json({
+      success: true,
+      data: newTodo,
+      message: 'Todo created successfully'
+    });
+  } catch (error) {
+    reportError(req, 'Failed to create todo', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create todo'
+    });
+  }
+};
+
+app.post('/api/todos', deprecatedV1, (req, res) => createTodo(req, res, req.body));
+
+app.put('/api/todos/:id', deprecatedV1, authorizeTodo, async (req, res) => {
+  try {
+    const existing = await req.todos.get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Todo not found'
+      });
+    }
+
+    if (!matchesIfMatch(req, existing)) {
+      return sendVersionConflict(res, existing);
+    }
+
+    const { changes, error, details } = await prepareTodoChanges(req, existing, req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+        details
+      });
+    }
+
+    const { todo, next } = await req.todos.transaction(async repo => {
+      const todo = await repo.update(existing.id, changes);
+      return { todo, next: await continueSeries(repo, existing, todo) };
+    });
+    const result = {
+      success: true,
+      data: todo,
+      message: 'Todo updated successfully'
+    };
+    if (next) result.next = next;
+
+    // Completing the last open subtask lets the client offer to complete the parent
+    if (todo.completed && todo.parentId) {
+      const todos = await req.todos.list();
+      if (isParentReady(todos, todo.parentId)) {
+        result.parentReady = todos.find(candidate => candidate.id === todo.parentId);
+      }
+    }
+
+    res.set('ETag', etagFor(todo));
+    res.json(result);
+  } catch (error) {
+    reportError(req, 'Failed to update todo', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update todo'
+    });
+  }
+});
+
+// Batch operations: every operation is applied or none are
+const MAX_BATCH_OPERATIONS = 100;
+
+// Everything except `op`, `id` and `cascade` is validated as todo fields
+const operationFields = (operation) => {
+  const fields = { ...operation };
+  delete fields.op;
+  delete fields.id;
+  delete fields.cascade;
+  return fields;
+};
+
+const prepareBatchOperation = (operation) => {
+  if (!operation || typeof operation !== 'object') {
+    return { error: 'Operation must be an object' };
+  }
+
+  switch (operation.op) {
+    case 'create':
+      return buildNewTodo(operationFields(operation));
+    case 'update':
+      if (operation.id === undefined) return { error: 'Operation id is required' };
+      return buildTodoChanges(operationFields(operation));
+    case 'delete':
+      if (operation.id === undefined) return { error: 'Operation id is required' };
+      return {};
+    default:
+      return { error: 'op must be create, update or delete' };
+  }
+};
+
+// Throwing inside the batch transaction rolls back every operation applied so far
+const rejectOperation = (index, status, message, details) => Object.assign(new Error(message), { index, status, details });
+
+const applyBatchOperation = async (repo, userLists, operation, prepared, index) => {
+  const todos = await repo.list();
+
+  if (operation.op === 'create') {
+    const referenceErrors = await checkReferences(userLists, todos, null, prepared.fields);
+    if (referenceErrors.length > 0) throw rejectOperation(index, 400, 'Validation failed', referenceErrors);
+    return repo.create(prepared.fields);
+  }
+
+  const existing = await repo.get(operation.id);
+  if (!existing) throw rejectOperation(index, 404, 'Todo not found');
+
+  if (operation.op === 'update') {
+    const referenceErrors = await checkReferences(userLists, todos, existing.id, prepared.changes);
+    if (referenceErrors.length > 0) throw rejectOperation(index, 400, 'Validation failed', referenceErrors);
+    const todo = await repo.update(existing.id, prepared.changes);
+    await continueSeries(repo, existing, todo);
+    return todo;
+  }
+
+  const subtasks = descendantsOf(todos, existing.id);
+  if (subtasks.length > 0 && operation.cascade !== true) {
+    throw rejectOperation(index, 409, SUBTASKS_ERROR);
+  }
+  return deleteWithSubtasks(repo, existing, subtasks);
+};
+
+const rejectedBatchResults = (operations, failures) => operations.map((operation, index) => ({
+  index,
+  op: operation && operation.op,
+  success: false,
+  error: failures[index] ? failures[index].error : 'Not applied',
+  details: failures[index] && failures[index].details
+}));
+
+app.post('/api/todos/batch', async (req, res) => {
+  try {
+    const { operations } = req.body;
+
+    if (!Array.isArray(operations) || operations.length === 0 || operations.length > MAX_BATCH_OPERATIONS) {
+      return res.status(400).json({
+        success: false,
+        error: `operations must be an array of 1 to ${MAX_BATCH_OPERATIONS} operations`
+      });
+    }
+
+    const prepared = operations.map(prepareBatchOperation);
+    const invalid = {};
+    prepared.forEach((result, index) => {
+      if (result.error) invalid[index] = result;
+    });
+
+    if (Object.keys(invalid).length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Batch rejected, no changes were applied',
+        results: rejectedBatchResults(operations, invalid)
+      });
+    }
+
+    const results = await req.todos.transaction(async (repo) => {
+      const applied = [];
+      for (const [index, operation] of operations.entries()) {
+        const data = await applyBatchOperation(repo, req.lists, operation, prepared[index], index);
+        applied.push({ index, op: operation.op, success: true, data });
+      }
+      return applied;
+    });
+
+    res.json({
+      success: true,
+      data: results,
+      message: `${results.length} operations applied successfully`
+    });
+  } catch (error) {
+    if (error.index !== undefined) {
+      return res.status(error.status).json({
+        success: false,
+        error: 'Batch rejected, no changes were applied',
+        results: rejectedBatchResults(req.body.operations, {
+          [error.index]: { error: error.message, details: error.details }
+        })
+      });
+    }
+    reportError(req, 'Failed to apply batch', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to apply batch'
+    });
+  }
+});
+
+app.delete('/api/todos/completed', async (req, res) => {
+  try {
+    const deleted = await req.todos.transaction(async (repo) => {
+      // Parents with open subtasks are kept so no subtask is orphaned
+      const todos = await repo.list();
+      const completed = todos.filter(todo =>
+        todo.completed && descendantsOf(todos, todo.id).every(subtask => subtask.completed)
+      );
+      for (const todo of completed) {
+        await repo.delete(todo.id);
+      }
+      return completed;
+    });
+
+    res.json({
+      success: true,
+      data: deleted,
+      count: deleted.length,
+      message: `${deleted.length} completed todos moved to trash`
+    });
+  } catch (error) {
+    reportError(req, 'Failed to delete completed todos', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete completed todos'
+    });
+  }
+});
+
+app.delete('/api/todos/:id', deprecatedV1, authorizeTodo, async (req, res) => {
+  try {
+    const existing = await req.todos.get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Todo not found'
+      });
+    }
+
+    if (!matchesIfMatch(req, existing)) {
+      return sendVersionConflict(res, existing);
+    }
+
+    const subtasks = descendantsOf(await req.todos.list(), existing.id);
+    if (subtasks.length > 0 && req.query.cascade !== 'true') {
+      return res.status(409).json({
+        success: false,
+        error: SUBTASKS_ERROR,
+        data: existing
+      });
+    }
+
+    const deletedTodo = await req.todos.transaction(repo => deleteWithSubtasks(repo, existing, subtasks));
+
+    res.json({
+      success: true,
+      data: deletedTodo,
+      deletedSubtasks: subtasks,
+      message: 'Todo moved to trash'
+    });
+  } catch (error) {
+    reportError(req, 'Failed to delete todo', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete todo'
+    });
+  }
+});
+
+// Recurring todos: skip one occurrence, or change or end every pending occurrence of a series
+const SERIES_FIELDS = ['text', 'priority', 'tags', 'notes', 'listId', 'recurrence'];
+
+const pendingInSeries = (todos, todo) =>
+  todos.filter(other => !other.completed && seriesIdOf(other) === seriesIdOf(todo));
+
+const loadSeriesTodo = async (req, res, next) => {
+  try {
+    req.todo = await req.todos.get(req.params.id);
+    if (!req.todo) {
+      return res.status(404).json({
+        success: false,
+        error: 'Todo not found'
+      });
+    }
+    if (!req.todo.recurrence && !req.todo.seriesId) {
+      return res.status(409).json({
+        success: false,
+        error: 'Todo is not part of a series'
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+app.post('/api/todos/:id/skip', authorizeTodo, loadSeriesTodo, async (req, res) => {
+  try {
+    if (!req.todo.recurrence || req.todo.completed) {
+      return res.status(409).json({
+        success: false,
+        error: 'Only pending todos that recur can be skipped'
+      });
+    }
+
+    const { skipped, next } = await req.todos.transaction(async repo => ({
+      next: await createNextOccurrence(repo, req.todo),
+      skipped: await repo.delete(req.todo.id)
+    }));
+
+    const result = {
+      success: true,
+      data: skipped,
+      message: next ? 'Occurrence skipped' : 'Occurrence skipped; the series has ended'
+    };
+    if (next) result.next = next;
+    res.json(result);
+  } catch (error) {
+    reportError(req, 'Failed to skip occurrence', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to skip occurrence'
+    });
+  }
+});
+
+app.put('/api/todos/:id/series', authorizeTodo, loadSeriesTodo, async (req, res) => {
+  try {
+    const fixed = Object.keys(req.body || {}).filter(field => TODO_FIELDS.includes(field) && !SERIES_FIELDS.includes(field));
+    if (fixed.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: fixed.map(field => ({ field, message: `${field} cannot be changed for a whole series` }))
+      });
+    }
+
+    const pending = pendingInSeries(await req.todos.list(), req.todo);
+    const { changes, error, details } = await prepareTodoChanges(req, req.todo, req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+        details
+      });
+    }
+
+    const updated = await req.todos.transaction(async repo => {
+      const todos = [];
+      for (const todo of pending) {
+        todos.push(await repo.update(todo.id, changes));
+      }
+      return todos;
+    });
+
+    res.json({
+      success: true,
+      data: updated,
+      count: updated.length,
+      message: 'Series updated'
+    });
+  } catch (error) {
+    reportError(req, 'Failed to update series', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update series'
+    });
+  }
+});
+
+// Ending a series keeps its pending todos; they just no longer come back once completed
+app.delete('/api/todos/:id/series', authorizeTodo, loadSeriesTodo, async (req, res) => {
+  try {
+    const pending = pendingInSeries(await req.todos.list(), req.todo);
+    const ended = await req.todos.transaction(async repo => {
+      const todos = [];
+      for (const todo of pending) {
+        todos.push(todo.recurrence ? await repo.update(todo.id, { recurrence: null, updatedAt: new Date() }) : todo);
+      }
+      return todos;
+    });
+
+    res.json({
+      success: true,
+      data: ended,
+      count: ended.length,
+      message: 'Series ended'
+    });
+  } catch (error) {
+    reportError(req, 'Failed to end series', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to end series'
+    });
+  }
+});
+
+// History: every change to a todo, oldest first
+const historyOf = async (req, id) => (await req.audit.list())
+  .filter(entry => entry.recordId === parseInt(id))
+  .sort((a, b) => a.recordVersion - b.recordVersion || a.id - b.id);
+
+app.get('/api/todos/:id/history', authorizeTodo, async (req, res) => {
+  try {
+    const history = await historyOf(req, req.params.id);
+    if (history.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Todo not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: history,
+      count: history.length
+    });
+  } catch (error) {
+    reportError(req, 'Failed to fetch todo history', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch todo history'
+    });
+  }
+});
+
+// Puts the client-settable fields back the way they were at `version`; recorded as a new update
+app.post('/api/todos/:id/revert', authorizeTodo, async (req, res) => {
+  try {
+    const existing = await req.todos.get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Todo not found'
+      });
+    }
+
+    if (!matchesIfMatch(req, existing)) {
+      return sendVersionConflict(res, existing);
+    }
+
+    const version = req.body && req.body.version;
+    if (!Number.isInteger(version) || version < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'version must be a positive integer'
+      });
+    }
+
+    const state = stateAt(await historyOf(req, existing.id), version);
+    if (!state) {
+      return res.status(404).json({
+        success: false,
+        error: `Version ${version} not found in this todo's history`
+      });
+    }
+
+    // A field the history never mentions still had its default (creation leaves out nulls).
+    // Round-trip through JSON so stored dates validate like request input.
+    const fields = JSON.parse(JSON.stringify(TODO_FIELDS.reduce((picked, field) => {
+      if (state[field] !== undefined) {
+        picked[field] = state[field];
+      } else if (TODO_DEFAULTS[field] !== undefined) {
+        picked[field] = TODO_DEFAULTS[field];
+      }
+      return picked;
+    }, {})));
+    const { changes, error, details } = buildTodoChanges(fields);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+        details
+      });
+    }
+
+    const referenceErrors = await checkReferences(req.lists, await req.todos.list(), existing.id, changes);
+    if (referenceErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: referenceErrors
+      });
+    }
+
+    const todo = await req.todos.update(existing.id, changes);
+    res.set('ETag', etagFor(todo));
+    res.json({
+      success: true,
+      data: todo,
+      message: `Todo reverted to version ${version}`
+    });
+  } catch (error) {
+    reportError(req, 'Failed to revert todo', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revert todo'
+    });
+  }
+});
+
+app.get('/api/audit', async (req, res) => {
+  try {
+    const { options, error } = parseAuditQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const entries = filterAuditEntries(await req.audit.list(), options);
+    res.json({
+      success: true,
+      data: entries,
+      count: entries.length
+    });
+  } catch (error) {
+    reportError(req, 'Failed to fetch audit log', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch audit log'
+    });
+  }
+});
+
+// Attachments: files on local disk (lib/attachments.js), listed on the todo and removed
+// with it when it is purged; a todo in the trash keeps its files until then
+const loadTodo = async (req, res, next) => {
+  try {
+    req.todo = await req.todos.get(req.params.id);
+    if (!req.todo) {
+      return res.status(404).json({
+        success: false,
+        error: 'Todo not found'
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const findAttachment = (req, res) => {
+  const attachment = attachmentsOf(req.todo).find(candidate => candidate.id === req.params.attachmentId);
+  if (!attachment) {
+    res.status(404).json({
+      success: false,
+      error: 'Attachment not found'
+    });
+  }
+  return attachment;
+};
+
+app.get('/api/todos/:id/attachments', authorizeTodo, loadTodo, (req, res) => {
+  const attachments = attachmentsOf(req.todo);
+  res.json({
+    success: true,
+    data: attachments,
+    count: attachments.length
+  });
+});
+
+app.post('/api/todos/:id/attachments', authorizeTodo, loadTodo, async (req, res) => {
+  try {
+    const room = MAX_ATTACHMENTS - attachmentsOf(req.todo).length;
+    if (room <= 0) {
+      return res.status(409).json({
+        success: false,
+        error: `A todo can have at most ${MAX_ATTACHMENTS} attachments`
+      });
+    }
+
+    const upload = await attachmentStore.receive(req, { maxFiles: Math.min(room, MAX_FILES_PER_UPLOAD) });
+    if (upload.error) {
+      return res.status(upload.status).json({
+        success: false,
+        error: upload.error,
+        details: upload.details
+      });
+    }
+
+    // Re-read inside the transaction so concurrent uploads all end up on the todo
+    const todo = await req.todos.transaction(async (repo) => {
+      const current = await repo.get(req.todo.id);
+      if (!current || attachmentsOf(current).length + upload.attachments.length > MAX_ATTACHMENTS) return null;
+      return repo.update(current.id, {
+        attachments: [...attachmentsOf(current), ...upload.attachments],
+        updatedAt: new Date()
+      });
+    });
+    if (!todo) {
+      await attachmentStore.remove(upload.attachments);
+      return res.status(409).json({
+        success: false,
+        error: `A todo can have at most ${MAX_ATTACHMENTS} attachments`
+      });
+    }
+
+    res.set('ETag', etagFor(todo));
+    res.status(201).json({
+      success: true,
+      data: upload.attachments,
+      todo,
+      message: `${upload.attachments.length} file(s) attached`
+    });
+  } catch (error) {
+    reportError(req, 'Failed to upload attachments', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to upload attachments'
+    });
+  }
+});
+
+app.get('/api/todos/:id/attachments/:attachmentId', authorizeTodo, loadTodo, (req, res) => {
+  const attachment = findAttachment(req, res);
+  if (!attachment) return;
+
+  // Always a download, so an uploaded page or script never runs on this origin
+  res.set('Content-Type', attachment.contentType);
+  res.download(attachmentStore.filePath(attachment), attachment.filename, { dotfiles: 'allow' }, (error) => {
+    if (!error || res.headersSent) return;
+    res.status(error.code === 'ENOENT' ? 404 : 500).json({
+      success: false,
+      error: error.code === 'ENOENT' ? 'Attachment file is missing' : 'Failed to download attachment'
+    });
+  });
+});
+
+app.delete('/api/todos/:id/attachments/:attachmentId', authorizeTodo, loadTodo, async (req, res) => {
+  try {
+    const attachment = findAttachment(req, res);
+    if (!attachment) return;
+
+    const todo = await req.todos.update(req.todo.id, {
+      attachments: attachmentsOf(req.todo).filter(other => other.id !== attachment.id),
+      updatedAt: new Date()
+    });
+    await attachmentStore.remove([attachment]);
+
+    res.set('ETag', etagFor(todo));
+    res.json({
+      success: true,
+      data: attachment,
+      todo,
+      message: 'Attachment deleted'
+    });
+  } catch (error) {
+    reportError(req, 'Failed to delete attachment', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete attachment'
+    });
+  }
+});
+
+// Trash: deleted todos stay restorable until purged, by hand or after TRASH_RETENTION_DAYS
+app.get('/api/trash', async (req, res) => {
+  try {
+    const trashed = (await req.todos.listDeleted())
+      .sort((a, b) => b.deletedAt - a.deletedAt)
+      .map(todo => ({ ...todo, purgeAt: purgeAtFor(todo) }));
+
+    res.json({
+      success: true,
+      data: trashed,
+      count: trashed.length
+    });
+  } catch (error) {
+    reportError(req, 'Failed to fetch trash', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch trash'
+    });
+  }
+});
+
+// Restores the todo together with the subtasks that were deleted along with it
+app.post('/api/todos/:id/restore', authorizeTodo, async (req, res) => {
+  try {
+    const trashed = await req.todos.getDeleted(req.params.id);
+    if (!trashed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Todo not found in trash'
+      });
+    }
+
+    if (trashed.parentId && await req.todos.getDeleted(trashed.parentId)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Parent todo is in the trash; restore it first',
+        data: trashed
+      });
+    }
+
+    const deletedTogether = descendantsOf(await req.todos.listDeleted(), trashed.id)
+      .filter(todo => todo.deletedAt.getTime() === trashed.deletedAt.getTime());
+
+    const restored = await req.todos.transaction(async (repo) => {
+      const results = [];
+      for (const todo of [trashed, ...deletedTogether]) {
+        // References to records that were purged or deleted meanwhile are dropped
+        const changes = { updatedAt: new Date() };
+        if (todo === trashed && todo.parentId && !(await repo.get(todo.parentId))) changes.parentId = null;
+        if (todo.listId && !(await req.lists.get(todo.listId))) changes.listId = null;
+        results.push(await repo.restore(todo.id, changes));
+      }
+      return results;
+    });
+
+    res.set('ETag', etagFor(restored[0]));
+    res.json({
+      success: true,
+      data: restored[0],
+      restoredSubtasks: restored.slice(1),
+      message: 'Todo restored successfully'
+    });
+  } catch (error) {
+    reportError(req, 'Failed to restore todo', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore todo'
+    });
+  }
+});
+
+app.delete('/api/trash/:id', authorizeTodo, async (req, res) => {
+  try {
+    const trashed = await req.todos.getDeleted(req.params.id);
+    if (!trashed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Todo not found in trash'
+      });
+    }
+
+    const purged = await req.todos.purge(trashed.id);
+    res.json({
+      success: true,
+      data: purged,
+      message: 'Todo deleted permanently'
+    });
+  } catch (error) {
+    reportError(req, 'Failed to purge todo', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to purge todo'
+    });
+  }
+});
+
+app.delete('/api/trash', async (req, res) => {
+  try {
+    const purged = await req.todos.transaction(async (repo) => {
+      const trashed = await repo.listDeleted();
+      for (const todo of trashed) {
+        await repo.purge(todo.id);
+      }
+      return trashed;
+    });
+
+    res.json({
+      success: true,
+      data: purged,
+      message: `${purged.length} todos deleted permanently`
+    });
+  } catch (error) {
+    reportError(req, 'Failed to empty trash', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to empty trash'
+    });
+  }
+});
+
+// Lists: named groups of todos, owned by a user
+const findListByName = async (userLists, name, exceptId) =>
+  (await userLists.list()).find(list => list.id !== exceptId && list.name.toLowerCase() === name.toLowerCase());
+
+const listCounts = (todos, listId) => {
+  const inList = todos.filter(todo => (todo.listId || null) === listId);
+  const completed = inList.filter(todo => todo.completed).length;
+  return { total: inList.length, completed, pending: inList.length - completed };
+};
+
+const LIST_DELETE_MODES = ['unlist', 'delete'];
+
+app.get('/api/lists', async (req, res) => {
+  try {
+    const todos = await req.todos.list();
+    const userLists = await req.lists.list();
+    res.json({
+      success: true,
+      data: userLists.map(list => ({ ...list, counts: listCounts(todos, list.id) })),
+      count: userLists.length
+    });
+  } catch (error) {
+    reportError(req, 'Failed to fetch lists', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch lists'
+    });
+  }
+});
+
+app.post('/api/lists', async (req, res) => {
+  try {
+    const { value, errors } = validateListInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    if (await findListByName(req.lists, value.name)) {
+      return res.status(409).json({
+        success: false,
+        error: 'A list with this name already exists'
+      });
+    }
+
+    const list = await req.lists.create({ ...value, createdAt: new Date() });
+    publishStats(req.user.id);
+    res.status(201).json({
+      success: true,
+      data: list,
+      message: 'List created successfully'
+    });
+  } catch (error) {
+    reportError(req, 'Failed to create list', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create list'
+    });
+  }
+});
+
+app.get('/api/lists/:id', authorizeList, async (req, res) => {
+  try {
+    const list = await req.lists.get(req.params.id);
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        error: 'List not found'
+      });
+    }
+    res.json({
+      success: true,
+      data: { ...list, counts: listCounts(await req.todos.list(), list.id) }
+    });
+  } catch (error) {
+    reportError(req, 'Failed to fetch list', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch list'
+    });
+  }
+});
+
+app.put('/api/lists/:id', authorizeList, async (req, res) => {
+  try {
+    const existing = await req.lists.get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'List not found'
+      });
+    }
+
+    const { value, errors } = validateListInput(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    if (value.name && await findListByName(req.lists, value.name, existing.id)) {
+      return res.status(409).json({
+        success: false,
+        error: 'A list with this name already exists'
+      });
+    }
+
+    const list = await req.lists.update(existing.id, { ...value, updatedAt: new Date() });
+    publishStats(req.user.id);
+    res.json({
+      success: true,
+      data: list,
+      message: 'List updated successfully'
+    });
+  } catch (error) {
+    reportError(req, 'Failed to update list', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update list'
+    });
+  }
+});
+
+// A list that still has todos is only deleted with ?todos=unlist (keep them, without a list)
+// or ?todos=delete (delete them and their subtasks)
+app.delete('/api/lists/:id', authorizeList, async (req, res) => {
+  try {
+    const existing = await req.lists.get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'List not found'
+      });
+    }
+
+    const mode = req.query.todos;
+    if (mode !== undefined && !LIST_DELETE_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: `todos must be one of ${LIST_DELETE_MODES.join(', ')}`
+      });
+    }
+
+    const allTodos = await req.todos.list();
+    const inList = allTodos.filter(todo => todo.listId === existing.id);
+    if (inList.length > 0 && !mode) {
+      return res.status(409).json({
+        success: false,
+        error: 'List still has todos; pass todos=unlist or todos=delete',
+        data: { ...existing, counts: listCounts(allTodos, existing.id) }
+      });
+    }
+
+    const affected = await req.todos.transaction(async (repo) => {
+      const ids = new Set();
+      for (const todo of inList) {
+        if (mode === 'delete') {
+          for (const subtask of descendantsOf(await repo.list(), todo.id)) {
+            if (await repo.delete(subtask.id)) ids.add(subtask.id);
+          }
+          if (await repo.delete(todo.id)) ids.add(todo.id);
+        } else {
+          await repo.update(todo.id, { listId: null, updatedAt: new Date() });
+          ids.add(todo.id);
+        }
+      }
+      return [...ids];
+    });
+    const list = await req.lists.delete(existing.id);
+    publishStats(req.user.id);
+
+    res.json({
+      success: true,
+      data: list,
+      todos: { [mode === 'delete' ? 'deleted' : 'unlisted']: affected },
+      message: 'List deleted successfully'
+    });
+  } catch (error) {
+    reportError(req, 'Failed to delete list', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete list'
+    });
+  }
+});
 
-// Security middleware
-app.use(helmet());
-app.use(cors());
+// Nested todo routes scoped to one list
+const loadList = async (req, res, next) => {
+  try {
+    req.list = await req.lists.get(req.params.id);
+    if (!req.list) {
+      return res.status(404).json({
+        success: false,
+        error: 'List not found'
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+app.get('/api/lists/:id/todos', authorizeList, loadList, (req, res) =>
+  listTodos(req, res, { listId: req.list.id })
+);
+
+app.post('/api/lists/:id/todos', authorizeList, loadList, (req, res) =>
+  createTodo(req, res, { ...req.body, listId: req.list.id })
+);
+
+// Full-text search (lib/search.js). The index holds every user's live todos and follows
+// their changes; results are re-read through req.todos so only the user's own come back.
+app.get('/api/search', async (req, res) => {
+  try {
+    const { options, error } = parseSearchQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const { total, results } = searchIndex.search(options.q, {
+      ownerId: req.user.id,
+      limit: options.limit,
+      prefix: options.prefix
+    });
+    const todos = await Promise.all(results.map(result => req.todos.get(result.id)));
+    const data = results
+      .map((result, index) => ({ todo: todos[index], score: result.score, highlights: result.highlights }))
+      .filter(result => result.todo);
+
+    res.json({
+      success: true,
+      data,
+      count: data.length,
+      total
+    });
+  } catch (error) {
+    reportError(req, 'Failed to search todos', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search todos'
+    });
+  }
 });
-app.use(limiter);
 
-// Logging
-app.use(morgan('combined'));
+// Import and export (formats in lib/todo-formats.js)
+const FORMAT_CONTENT_TYPES = {
+  'application/json': 'json',
+  'text/csv': 'csv',
+  'text/markdown': 'md',
+  'text/calendar': 'ics'
+};
+const IMPORT_DUPLICATE_MODES = ['skip', 'allow'];
 
-// Body parsing
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Accepts the same filters as GET /api/todos; the file holds every matching todo
+app.get('/api/export', async (req, res) => {
+  try {
+    const format = FORMATS[req.query.format || 'json'];
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        error: `format must be one of ${FORMAT_NAMES.join(', ')}`
+      });
+    }
 
-// Serve static files
-app.use(express.static(path.join(__dirname, 'public')));
+    const query = { ...req.query };
+    delete query.format;
+    const { options, error } = parseListQuery(query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
 
-// In-memory storage (for demo purposes)
-let todos = [
-  { id: 1, text: 'Learn DevOps', completed: false, createdAt: new Date() },
-  { id: 2, text: 'Set up Jenkins Pipeline', completed: false, createdAt: new Date() },
-  { id: 3, text: 'Deploy to Production', completed: false, createdAt: new Date() }
-];
-let nextId = 4;
+    const { items } = queryTodos(await req.todos.list(), options);
+    const filename = `todos-${new Date().toISOString().slice(0, 10)}.${format.extension}`;
 
-// Utility functions
-const findTodoById = (id) => todos.find(todo => todo.id === parseInt(id));
-const validateTodo = (text) => text && typeof text === 'string' && text.trim().length > 0;
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  const healthInfo = {
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    environment: ENV,
-    version: process.env.npm_package_version || '1.0.0',
-    memory: process.memoryUsage(),
-    todos_count: todos.length
-  };
-  
-  res.status(200).json(healthInfo);
+    res.set({
+      'Content-Type': format.contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    res.send(format.serialize(items));
+  } catch (error) {
+    reportError(req, 'Failed to export todos', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export todos'
+    });
+  }
 });
 
-// API endpoints
-app.get('/api/todos', (req, res) => {
+// The file is the request body; ?format= defaults to the body's Content-Type.
+// ?dryRun=true only reports what would happen. Todos whose text matches an existing
+// todo (or an earlier row) are skipped unless ?duplicates=allow. Valid rows are
+// created together; rows with errors are reported and left out.
+app.post('/api/import', express.text({ type: ['text/*', 'application/octet-stream'], limit: '1mb' }), async (req, res) => {
   try {
-    res.json({
+    const formatName = req.query.format || FORMAT_CONTENT_TYPES[(req.get('Content-Type') || '').split(';')[0].trim()];
+    const format = FORMATS[formatName];
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        error: `format must be one of ${FORMAT_NAMES.join(', ')}`
+      });
+    }
+
+    const duplicates = req.query.duplicates || 'skip';
+    if (!IMPORT_DUPLICATE_MODES.includes(duplicates)) {
+      return res.status(400).json({
+        success: false,
+        error: `duplicates must be one of ${IMPORT_DUPLICATE_MODES.join(', ')}`
+      });
+    }
+
+    if (req.query.dryRun !== undefined && req.query.dryRun !== 'true' && req.query.dryRun !== 'false') {
+      return res.status(400).json({
+        success: false,
+        error: 'dryRun must be true or false'
+      });
+    }
+    const dryRun = req.query.dryRun === 'true';
+
+    const extraFields = {};
+    if (req.query.listId !== undefined) {
+      const { value, errors } = validateTodoInput({ listId: Number(req.query.listId) }, { partial: true });
+      const listErrors = errors.length > 0 ? errors : await checkReferences(req.lists, [], null, value);
+      if (listErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: listErrors
+        });
+      }
+      extraFields.listId = value.listId;
+    }
+
+    const { rows, error } = format.parse(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+    if (rows.length === 0 || rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        error: `The file must contain 1 to ${MAX_IMPORT_ROWS} todos`
+      });
+    }
+
+    const plan = planImport(rows, await req.todos.list(), { allowDuplicates: duplicates === 'allow' });
+    if (!dryRun) {
+      await req.todos.transaction(repo => applyImport(repo, plan, extraFields));
+    }
+
+    const summary = summarizeImport(plan);
+    res.status(dryRun || summary.created === 0 ? 200 : 201).json({
       success: true,
-      data: todos,
-      count: todos.length
+      data: {
+        dryRun,
+        summary,
+        results: importReport(plan)
+      },
+      message: dryRun
+        ? `${summary.valid} of ${summary.rows} todos would be imported`
+        : `Imported ${summary.created} of ${summary.rows} todos`
     });
   } catch (error) {
+    reportError(req, 'Failed to import todos', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch todos'
+      error: 'Failed to import todos'
     });
   }
 });
 
-app.get('/api/todos/:id', (req, res) => {
+// Webhooks: POST each subscribed todo event to a URL, signed with the webhook's secret
+// (see lib/webhooks.js). The secret is only returned when the webhook is created.
+const publicWebhook = (webhook) => {
+  const copy = { ...webhook };
+  delete copy.secret;
+  return copy;
+};
+
+const loadWebhook = async (req, res, next) => {
   try {
-    const todo = findTodoById(req.params.id);
-    if (!todo) {
+    req.webhook = await req.webhooks.get(req.params.id);
+    if (!req.webhook) {
       return res.status(404).json({
         success: false,
-        error: 'Todo not found'
+        error: 'Webhook not found'
       });
     }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+app.get('/api/webhooks', async (req, res) => {
+  try {
+    const userWebhooks = await req.webhooks.list();
     res.json({
       success: true,
-      data: todo
+      data: userWebhooks.map(publicWebhook),
+      count: userWebhooks.length
     });
   } catch (error) {
+    reportError(req, 'Failed to fetch webhooks', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch todo'
+      error: 'Failed to fetch webhooks'
     });
   }
 });
 
-app.post('/api/todos', (req, res) => {
+app.post('/api/webhooks', async (req, res) => {
   try {
-    const { text } = req.body;
-    
-    if (!validateTodo(text)) {
+    const { value, errors } = validateWebhookInput(req.body);
+    if (errors.length > 0) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid todo text'
+        error: 'Validation failed',
+        details: errors
       });
     }
-    
-    const newTodo = {
-      id: nextId++,
-      text: text.trim(),
-      completed: false,
+
+    const webhook = await req.webhooks.create({
+      events: WEBHOOK_EVENTS,
+      active: true,
+      description: '',
+      ...value,
+      secret: generateSecret(),
       createdAt: new Date()
-    };
-    
-    todos.push(newTodo);
-    
+    });
     res.status(201).json({
       success: true,
-      data: newTodo,
-      message: 'Todo created successfully'
+      data: webhook,
+      message: 'Webhook created successfully; store the secret now, it is not shown again'
     });
   } catch (error) {
+    reportError(req, 'Failed to create webhook', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to create todo'
+      error: 'Failed to create webhook'
     });
   }
 });
 
-app.put('/api/todos/:id', (req, res) => {
+// Deliveries that ran out of attempts, across all of the user's webhooks
+app.get('/api/webhooks/dead-letters', async (req, res) => {
   try {
-    const todo = findTodoById(req.params.id);
-    if (!todo) {
-      return res.status(404).json({
+    const dead = (await req.deliveries.list())
+      .filter(delivery => delivery.status === 'dead')
+      .sort((a, b) => b.createdAt - a.createdAt);
+    res.json({
+      success: true,
+      data: dead,
+      count: dead.length
+    });
+  } catch (error) {
+    reportError(req, 'Failed to fetch dead letters', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch dead letters'
+    });
+  }
+});
+
+app.get('/api/webhooks/:id', authorizeWebhook, loadWebhook, (req, res) => {
+  res.json({
+    success: true,
+    data: publicWebhook(req.webhook)
+  });
+});
+
+app.put('/api/webhooks/:id', authorizeWebhook, loadWebhook, async (req, res) => {
+  try {
+    const { value, errors } = validateWebhookInput(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({
         success: false,
-        error: 'Todo not found'
+        error: 'Validation failed',
+        details: errors
       });
     }
-    
-    const { text, completed } = req.body;
-    
-    if (text !== undefined) {
-      if (!validateTodo(text)) {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid todo text'
-        });
-      }
-      todo.text = text.trim();
-    }
-    
-    if (completed !== undefined) {
-      todo.completed = Boolean(completed);
-    }
-    
-    todo.updatedAt = new Date();
-    
+
+    const webhook = await req.webhooks.update(req.webhook.id, { ...value, updatedAt: new Date() });
     res.json({
       success: true,
-      data: todo,
-      message: 'Todo updated successfully'
+      data: publicWebhook(webhook),
+      message: 'Webhook updated successfully'
     });
   } catch (error) {
+    reportError(req, 'Failed to update webhook', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to update todo'
+      error: 'Failed to update webhook'
+    });
+  }
+});
+
+// Pending deliveries of a deleted webhook end up in the dead-letter list
+app.delete('/api/webhooks/:id', authorizeWebhook, loadWebhook, async (req, res) => {
+  try {
+    const webhook = await req.webhooks.delete(req.webhook.id);
+    res.json({
+      success: true,
+      data: publicWebhook(webhook),
+      message: 'Webhook deleted successfully'
+    });
+  } catch (error) {
+    reportError(req, 'Failed to delete webhook', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete webhook'
+    });
+  }
+});
+
+// Delivery log, newest first; ?status=pending|delivered|dead narrows it down
+app.get('/api/webhooks/:id/deliveries', authorizeWebhook, loadWebhook, async (req, res) => {
+  try {
+    const log = (await req.deliveries.list())
+      .filter(delivery => delivery.webhookId === req.webhook.id)
+      .filter(delivery => !req.query.status || delivery.status === req.query.status)
+      .sort((a, b) => b.createdAt - a.createdAt || b.id - a.id);
+    res.json({
+      success: true,
+      data: log,
+      count: log.length
+    });
+  } catch (error) {
+    reportError(req, 'Failed to fetch deliveries', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch deliveries'
+    });
+  }
+});
+
+// Sends a webhook.test event regardless of the webhook's subscriptions or active flag
+app.post('/api/webhooks/:id/test', authorizeWebhook, loadWebhook, async (req, res) => {
+  try {
+    const delivery = await webhookDispatcher.enqueue(req.webhook, 'webhook.test', {
+      message: 'This is a test event',
+      webhookId: req.webhook.id
+    });
+    res.status(202).json({
+      success: true,
+      data: delivery,
+      message: 'Test event queued'
+    });
+  } catch (error) {
+    reportError(req, 'Failed to send test event', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send test event'
     });
   }
 });
 
-app.delete('/api/todos/:id', (req, res) => {
+app.post('/api/webhooks/:id/deliveries/:deliveryId/redeliver', authorizeWebhook, loadWebhook, async (req, res) => {
   try {
-    const todoIndex = todos.findIndex(todo => todo.id === parseInt(req.params.id));
-    if (todoIndex === -1) {
+    const existing = await req.deliveries.get(req.params.deliveryId);
+    if (!existing || existing.webhookId !== req.webhook.id) {
       return res.status(404).json({
         success: false,
-        error: 'Todo not found'
+        error: 'Delivery not found'
       });
     }
-    
-    const deletedTodo = todos.splice(todoIndex, 1)[0];
-    
-    res.json({
+
+    const delivery = await webhookDispatcher.redeliver(existing.id);
+    res.status(202).json({
       success: true,
-      data: deletedTodo,
-      message: 'Todo deleted successfully'
+      data: delivery,
+      message: 'Delivery queued again'
     });
   } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+    reportError(req, 'Failed to redeliver', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to delete todo'
+      error: 'Failed to redeliver'
     });
   }
 });
 
 // Stats endpoint for monitoring
-app.get('/api/stats', (req, res) => {
+// Shared by GET /api/stats and the stats.changed event
+const computeStats = (todos, userLists, now = new Date()) => {
+  const completedTodos = todos.filter(todo => todo.completed).length;
+  const pendingTodos = todos.length - completedTodos;
+  const byPriority = {};
+  PRIORITIES.forEach(priority => {
+    byPriority[priority] = todos.filter(todo => (todo.priority || TODO_DEFAULTS.priority) === priority).length;
+  });
+
+  return {
+    total: todos.length,
+    completed: completedTodos,
+    pending: pendingTodos,
+    overdue: todos.filter(todo => isOverdue(todo, now)).length,
+    parents: progressByParent(todos),
+    by_list: [
+      { id: null, name: 'No list', ...listCounts(todos, null) },
+      ...userLists.map(list => ({ id: list.id, name: list.name, ...listCounts(todos, list.id) }))
+    ],
+    by_priority: byPriority,
+    completion_rate: todos.length > 0 ? (completedTodos / todos.length * 100).toFixed(2) : 0
+  };
+};
+
+app.get('/api/stats', deprecatedV1, async (req, res) => {
   try {
-    const completedTodos = todos.filter(todo => todo.completed).length;
-    const pendingTodos = todos.length - completedTodos;
-    
     res.json({
       success: true,
-      data: {
-        total: todos.length,
-        completed: completedTodos,
-        pending: pendingTodos,
-        completion_rate: todos.length > 0 ? (completedTodos / todos.length * 100).toFixed(2) : 0
-      }
+      data: computeStats(await req.todos.list(), await req.lists.list())
     });
   } catch (error) {
+    reportError(req, 'Failed to fetch stats', error);
     res.status(500).json({
       success: false,
       error: 'Failed to fetch stats'
@@ -216,40 +2173,270 @@ app.get('/api/stats', (req, res) => {
   }
 });
 
-// Metrics endpoint for monitoring (Prometheus-style)
-app.get('/metrics', (req, res) => {
-  const completedTodos = todos.filter(todo => todo.completed).length;
-  const pendingTodos = todos.length - completedTodos;
-  
-  const metrics = `
-# HELP todos_total Total number of todos
-# TYPE todos_total counter
-todos_total ${todos.length}
+// GraphQL: the todos and stats of the REST API in one request, with the same validation
+// (see lib/graphql.js for the schema and limits). Every resolver gets the request as context.
+const requireTodo = async (req, id, expectedVersion) => {
+  const todo = await req.todos.get(id);
+  if (!todo) throw graphQLError('Todo not found', 'NOT_FOUND');
+  if (expectedVersion !== undefined && expectedVersion !== null && expectedVersion !== todo.version) {
+    throw graphQLError('Todo has been modified by another request', 'CONFLICT');
+  }
+  return todo;
+};
+
+const throwIfInvalid = ({ error, details }) => {
+  if (error) throw graphQLError(error, 'BAD_USER_INPUT', details);
+};
+
+const updateTodo = async (req, existing, input) => {
+  const { changes, error, details } = await prepareTodoChanges(req, existing, input);
+  throwIfInvalid({ error, details });
+  return req.todos.transaction(async repo => {
+    const todo = await repo.update(existing.id, changes);
+    await continueSeries(repo, existing, todo);
+    return todo;
+  });
+};
+
+const graphQLSchema = createGraphQLSchema({
+  Query: {
+    todos: async (root, args, req) => {
+      // Arguments go through the REST query parser so both APIs accept the same values
+      const query = {};
+      Object.entries(args).forEach(([name, value]) => {
+        if (value !== undefined && value !== null) query[name] = String(value);
+      });
+      const { options, error } = parseListQuery(query);
+      if (error) throw graphQLError(error, 'BAD_USER_INPUT');
+      const { items, total, nextCursor } = queryTodos(await req.todos.list(), options);
+      return { items, total, nextCursor };
+    },
+    todo: (root, { id }, req) => req.todos.get(id),
+    stats: async (root, args, req) => {
+      const stats = computeStats(await req.todos.list(), await req.lists.list());
+      return {
+        ...stats,
+        completionRate: Number(stats.completion_rate),
+        byPriority: stats.by_priority,
+        byList: stats.by_list
+      };
+    }
+  },
+  Mutation: {
+    createTodo: async (root, { input }, req) => {
+      const { fields, error, details } = await prepareNewTodo(req, input);
+      throwIfInvalid({ error, details });
+      return req.todos.create(fields);
+    },
+    updateTodo: async (root, { id, input, expectedVersion }, req) =>
+      updateTodo(req, await requireTodo(req, id, expectedVersion), input),
+    toggleTodo: async (root, { id, expectedVersion }, req) => {
+      const existing = await requireTodo(req, id, expectedVersion);
+      return updateTodo(req, existing, { completed: !existing.completed });
+    },
+    deleteTodo: async (root, { id, cascade, expectedVersion }, req) => {
+      const existing = await requireTodo(req, id, expectedVersion);
+      const subtasks = descendantsOf(await req.todos.list(), existing.id);
+      if (subtasks.length > 0 && !cascade) throw graphQLError(SUBTASKS_ERROR, 'CONFLICT');
+      return req.todos.transaction(repo => deleteWithSubtasks(repo, existing, subtasks));
+    }
+  },
+  Todo: {
+    parent: (todo, args, req) => todo.parentId ? req.todos.get(todo.parentId) : null,
+    children: async (todo, args, req) => (await req.todos.list()).filter(child => child.parentId === todo.id),
+    list: (todo, args, req) => todo.listId ? req.lists.get(todo.listId) : null
+  }
+});
+
+const graphQLHandler = createGraphQLHandler(graphQLSchema, {
+  maxDepth: GRAPHQL_MAX_DEPTH,
+  maxComplexity: GRAPHQL_MAX_COMPLEXITY,
+  introspection: GRAPHQL_INTROSPECTION,
+  onError: (error, req) => reportError(req, 'GraphQL resolver failed', error)
+});
 
-# HELP todos_completed Number of completed todos
-# TYPE todos_completed counter
-todos_completed ${completedTodos}
+app.get('/graphql', graphQLHandler);
+app.post('/graphql', graphQLHandler);
 
-# HELP todos_pending Number of pending todos
-# TYPE todos_pending counter
-todos_pending ${pendingTodos}
+// Prometheus metrics (lib/metrics.js). Todo gauges are read from storage on every scrape.
+const todoGauges = {
+  total: metricsRegistry.gauge({ name: 'todos_total', help: 'Number of todos' }),
+  completed: metricsRegistry.gauge({ name: 'todos_completed', help: 'Number of completed todos' }),
+  pending: metricsRegistry.gauge({ name: 'todos_pending', help: 'Number of pending todos' }),
+  trashed: metricsRegistry.gauge({ name: 'todos_trashed', help: 'Number of todos in the trash' }),
+  listTotal: metricsRegistry.gauge({
+    name: 'todos_list_total',
+    help: 'Number of todos per list (list_id="none" for todos without a list)',
+    labelNames: ['list_id']
+  }),
+  listCompleted: metricsRegistry.gauge({
+    name: 'todos_list_completed',
+    help: 'Number of completed todos per list',
+    labelNames: ['list_id']
+  })
+};
+const eventSubscribers = metricsRegistry.gauge({ name: 'events_subscribers', help: 'Number of open live event streams' });
+const uptime = metricsRegistry.gauge({ name: 'app_uptime_seconds', help: 'Application uptime in seconds' });
 
-# HELP app_uptime_seconds Application uptime in seconds
-# TYPE app_uptime_seconds counter
-app_uptime_seconds ${process.uptime()}
-`;
-  
-  res.set('Content-Type', 'text/plain');
-  res.send(metrics);
+metricsRegistry.beforeCollect(async () => {
+  const todos = await liveTodos.list();
+  const completed = todos.filter(todo => todo.completed).length;
+  todoGauges.total.set({}, todos.length);
+  todoGauges.completed.set({}, completed);
+  todoGauges.pending.set({}, todos.length - completed);
+  todoGauges.trashed.set({}, (await liveTodos.listDeleted()).length);
+
+  // Lists that no longer have todos drop out
+  todoGauges.listTotal.reset();
+  todoGauges.listCompleted.reset();
+  [...new Set(todos.map(todo => todo.listId || null))].forEach(listId => {
+    const counts = listCounts(todos, listId);
+    todoGauges.listTotal.set({ list_id: listId || 'none' }, counts.total);
+    todoGauges.listCompleted.set({ list_id: listId || 'none' }, counts.completed);
+  });
+
+  eventSubscribers.set({}, events.subscriberCount());
+  uptime.set({}, process.uptime());
+});
+
+// Prometheus asks for OpenMetrics in its Accept header; everyone else gets the classic text format.
+// The versions are part of the offer because Accept entries with a version only match those.
+const METRICS_FORMATS = ['text/plain; version=0.0.4', 'application/openmetrics-text; version=1.0.0'];
+
+app.get('/metrics', async (req, res, next) => {
+  try {
+    const openMetrics = req.accepts(METRICS_FORMATS) === METRICS_FORMATS[1];
+    const body = await metricsRegistry.metrics({ openMetrics });
+    res.set('Content-Type', openMetrics ? OPENMETRICS_CONTENT_TYPE : PROMETHEUS_CONTENT_TYPE);
+    res.send(body);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// API v2: bare resources instead of the { success, data } envelope, and every error as
+// application/problem+json (lib/problems.js). Covers todos and stats; v1 routes with a
+// v2 successor carry Deprecation and Sunset headers.
+const v2 = express.Router();
+v2.use(problemResponses);
+
+v2.get('/problems/:type', (req, res) => {
+  const problemType = PROBLEM_TYPES[req.params.type];
+  if (!problemType) return sendProblem(req, res, 'not-found', 'Unknown problem type');
+  res.json({ type: `${req.baseUrl}/problems/${req.params.type}`, ...problemType });
+});
+
+v2.use(auth.requireAuth, scopeToUser);
+
+const loadTodoV2 = async (req, res, next) => {
+  try {
+    req.todo = await req.todos.get(req.params.id);
+    if (!req.todo) return sendProblem(req, res, 'not-found', `Todo ${req.params.id} not found`);
+    if (!matchesIfMatch(req, req.todo)) {
+      res.set('ETag', etagFor(req.todo));
+      return sendProblem(req, res, 'version-mismatch', 'Todo has been modified by another request', { current: req.todo });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Totals and the next page go in headers: X-Total-Count and Link
+v2.get('/todos', async (req, res, next) => {
+  try {
+    const { options, error } = parseListQuery(req.query);
+    if (error) return sendProblem(req, res, 'invalid-parameter', error);
+
+    const { items, total, nextCursor } = queryTodos(await req.todos.list(), options);
+    res.set('X-Total-Count', String(total));
+    if (options.limit) {
+      const links = [buildLink(req, { cursor: undefined }, 'first')];
+      if (nextCursor) links.push(buildLink(req, { cursor: nextCursor }, 'next'));
+      res.set('Link', links.join(', '));
+    }
+    res.json(items);
+  } catch (error) {
+    next(error);
+  }
+});
+
+v2.post('/todos', async (req, res, next) => {
+  try {
+    const { fields, error, details } = await prepareNewTodo(req, req.body);
+    if (error) return sendProblem(req, res, 'validation-failed', error, { errors: bodyErrors(details) });
+
+    const todo = await req.todos.create(fields);
+    res.set({ ETag: etagFor(todo), Location: `${req.baseUrl}/todos/${todo.id}` });
+    res.status(201).json(todo);
+  } catch (error) {
+    next(error);
+  }
+});
+
+v2.get('/todos/:id', authorizeTodo, loadTodoV2, async (req, res, next) => {
+  try {
+    if (req.query.include !== undefined && req.query.include !== 'children') {
+      return sendProblem(req, res, 'invalid-parameter', 'include must be children', {
+        errors: [{ parameter: 'include', detail: 'include must be children' }]
+      });
+    }
+    res.set('ETag', etagFor(req.todo));
+    res.json(req.query.include === 'children' ? buildTree(await req.todos.list(), req.todo) : req.todo);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Partial update: only the fields in the body change
+v2.patch('/todos/:id', authorizeTodo, loadTodoV2, async (req, res, next) => {
+  try {
+    const { changes, error, details } = await prepareTodoChanges(req, req.todo, req.body);
+    if (error) return sendProblem(req, res, 'validation-failed', error, { errors: bodyErrors(details) });
+
+    const todo = await req.todos.transaction(async repo => {
+      const todo = await repo.update(req.todo.id, changes);
+      await continueSeries(repo, req.todo, todo);
+      return todo;
+    });
+    res.set('ETag', etagFor(todo));
+    res.json(todo);
+  } catch (error) {
+    next(error);
+  }
+});
+
+v2.delete('/todos/:id', authorizeTodo, loadTodoV2, async (req, res, next) => {
+  try {
+    const subtasks = descendantsOf(await req.todos.list(), req.todo.id);
+    if (subtasks.length > 0 && req.query.cascade !== 'true') {
+      return sendProblem(req, res, 'has-subtasks', SUBTASKS_ERROR, { subtasks: subtasks.map(todo => todo.id) });
+    }
+    await req.todos.transaction(repo => deleteWithSubtasks(repo, req.todo, subtasks));
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+v2.get('/stats', async (req, res, next) => {
+  try {
+    res.json(computeStats(await req.todos.list(), await req.lists.list()));
+  } catch (error) {
+    next(error);
+  }
 });
 
+app.use('/api/v2', v2);
+
 // Serve frontend
 app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+  res.sendFile(path.join(STATIC_DIR, 'index.html'));
 });
 
 // 404 handler
 app.use('*', (req, res) => {
+  if (isV2Request(req)) return sendProblem(req, res, 'not-found', 'Route not found');
   res.status(404).json({
     success: false,
     error: 'Route not found'
@@ -258,29 +2445,61 @@ app.use('*', (req, res) => {
 
 // Error handler
 app.use((err, req, res, next) => {
-  console.error(err.stack);
+  // Client errors raised by middleware, such as a body that is not valid JSON
+  if (isV2Request(req) && err.status >= 400 && err.status < 500) {
+    return sendProblem(req, res, 'bad-request', err.expose ? err.message : undefined);
+  }
+  reportError(req, 'Unhandled error', err);
+  if (isV2Request(req)) return sendProblem(req, res, 'internal-error');
   res.status(500).json({
     success: false,
     error: 'Something went wrong!'
   });
 });
 
+// Permanently delete todos that have been in the trash longer than TRASH_RETENTION_DAYS
+setInterval(() => {
+  liveTodos.purgeDeletedBefore(new Date(Date.now() - TRASH_RETENTION_MS))
+    .catch(error => logger.error('Failed to purge trash', { err: error }));
+}, TRASH_SWEEP_INTERVAL).unref();
+
+// /health/ready answers 503 until these are done
+Promise.all([
+  webhookDispatcher.resume()
+    .catch(error => logger.error('Failed to resume webhook deliveries', { err: error })),
+
+  scheduler.start()
+    .catch(error => logger.error('Failed to start the scheduler', { err: error })),
+
+  // The search index lives in memory, so it is rebuilt from storage on every start
+  liveTodos.list()
+    .then(todos => todos.forEach(todo => searchIndex.add(todo)))
+    .catch(error => logger.error('Failed to build the search index', { err: error }))
+]).then(() => {
+  startupComplete = true;
+  // Loading modules and replaying storage is no sign of a busy loop later
+  eventLoop.reset();
+});
+
 // Start server
 const server = app.listen(PORT, () => {
-  console.log(`🚀 Todo API server running on port ${PORT}`);
-  console.log(`📱 Frontend: http://localhost:${PORT}`);
-  console.log(`🔍 Health: http://localhost:${PORT}/health`);
-  console.log(`📊 Metrics: http://localhost:${PORT}/metrics`);
-  console.log(`🌍 Environment: ${ENV}`);
+  const { port } = server.address();
+  logger.info('Todo API server started', {
+    port,
+    env: ENV,
+    frontend: `http://localhost:${port}`,
+    health: `http://localhost:${port}/health`,
+    metrics: `http://localhost:${port}/metrics`
+  });
 });
 
 // Graceful shutdown
 process.on('SIGINT', () => {
-  console.log('\n🛑 Shutting down gracefully...');
+  logger.info('Shutting down gracefully');
   server.close(() => {
-    console.log('✅ Server closed');
-    process.exit(0);
+    logger.info('Server closed');
+    tracer.shutdown().finally(() => process.exit(0));
   });
 });
 
-module.exports = app;
\ No newline at end of file
+module.exports = app;
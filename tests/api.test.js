@@ -1,52 +1,238 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
 const request = require('supertest');
+
+// The suite makes more requests than the default 100 per window allows
+process.env.RATE_LIMIT_MAX = '10000';
+// Retry failed webhook deliveries quickly so the tests don't wait
+process.env.WEBHOOK_RETRY_BASE_MS = '10';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+// Attachments go to a scratch directory, at most 1 MB each
+process.env.UPLOADS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-uploads-'));
+process.env.ATTACHMENT_MAX_MB = '1';
+process.env.HEALTH_TOKEN = 'health-secret';
+process.env.ADMIN_TOKEN = 'admin-secret';
+// Keep spans in memory so the tests can look at them
+process.env.OTEL_TRACES_EXPORTER = 'memory';
 const app = require('../server');
+const { MemoryRepository } = require('../lib/storage');
 
 describe('Todo API Endpoints', () => {
   let server;
-  
-  beforeAll(() => {
+  let api;
+  let token;
+
+  beforeAll(async () => {
     server = app.listen(0); // Use random port for testing
+
+    // Every todo request below runs as this user
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'pipeline', password: 'jenkins-secret' });
+    token = response.body.data.token;
+    api = request.agent(app).set('Authorization', `Bearer ${token}`);
   });
-  
+
   afterAll((done) => {
+    fs.rmSync(process.env.UPLOADS_DIR, { recursive: true, force: true });
     server.close(done);
   });
 
+  describe('Authentication', () => {
+    it('should reject todo and stats requests without a token', async () => {
+      const response = await request(app)
+        .get('/api/todos')
+        .expect(401);
+
+      expect(response.body).toHaveProperty('success', false);
+      expect(response.headers['www-authenticate']).toBe('Bearer');
+      await request(app).get('/api/stats').expect(401);
+      await request(app).get('/api/todos').set('Authorization', 'Bearer not-a-token').expect(401);
+    });
+
+    it('should keep health and metrics public', async () => {
+      await request(app).get('/health').expect(200);
+      await request(app).get('/metrics').expect(200);
+    });
+
+    it('should validate registrations and refuse duplicate usernames', async () => {
+      const invalid = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'x', password: 'short' })
+        .expect(400);
+      expect(invalid.body.details.map(detail => detail.field)).toEqual(['username', 'password']);
+
+      await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'PIPELINE', password: 'another-secret' })
+        .expect(409);
+    });
+
+    it('should let only one of two concurrent registrations take a username', async () => {
+      const responses = await Promise.all(['racer', 'RACER'].map(username =>
+        request(app).post('/api/auth/register').send({ username, password: 'race-password' })));
+      expect(responses.map(response => response.status).sort()).toEqual([201, 409]);
+    });
+
+    it('should log in, identify and log out users', async () => {
+      await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'pipeline', password: 'wrong-password' })
+        .expect(401);
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'pipeline', password: 'jenkins-secret' })
+        .expect(200);
+      const token = login.body.data.token;
+      expect(login.body.data.user).not.toHaveProperty('passwordHash');
+
+      const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`).expect(200);
+      expect(me.body.data).toHaveProperty('username', 'pipeline');
+
+      await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${token}`).expect(200);
+      await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`).expect(401);
+    });
+
+    it("should scope todos to their owner and forbid other users' todos", async () => {
+      const mine = await api.post('/api/todos').send({ text: 'Private pipeline todo' });
+
+      const other = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'intruder', password: 'intruder-secret' });
+      const intruder = request.agent(app).set('Authorization', `Bearer ${other.body.data.token}`);
+
+      const list = await intruder.get('/api/todos').expect(200);
+      expect(list.body.data).toEqual([]);
+
+      await intruder.get(`/api/todos/${mine.body.data.id}`).expect(403);
+      await intruder.put(`/api/todos/${mine.body.data.id}`).send({ completed: true }).expect(403);
+      await intruder.delete(`/api/todos/${mine.body.data.id}`).expect(403);
+      await intruder
+        .post('/api/todos/batch')
+        .send({ operations: [{ op: 'delete', id: mine.body.data.id }] })
+        .expect(404);
+
+      const stats = await intruder.get('/api/stats').expect(200);
+      expect(stats.body.data.total).toBe(0);
+    });
+  });
+
   describe('GET /health', () => {
     it('should return healthy status', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/health')
         .expect(200);
-      
+
       expect(response.body).toHaveProperty('status', 'healthy');
       expect(response.body).toHaveProperty('timestamp');
       expect(response.body).toHaveProperty('uptime');
       expect(response.body).toHaveProperty('todos_count');
+      expect(response.body).toHaveProperty('storage', 'memory');
+    });
+
+    it('should report the scheduler and its lag', async () => {
+      const response = await api.get('/health').expect(200);
+      expect(response.body.scheduler).toMatchObject({ status: 'running', failed: 0 });
+      expect(response.body.scheduler.lagMs).toEqual(expect.any(Number));
+    });
+
+    it('should answer liveness without running checks', async () => {
+      const response = await request(app).get('/health/live').expect(200);
+      expect(response.body).toEqual({ status: 'healthy', timestamp: expect.any(String), uptime: expect.any(Number) });
+    });
+
+    it('should report each readiness check, with details only for the health token', async () => {
+      const response = await request(app).get('/health/ready').expect(200);
+      expect(response.body.status).toBe('healthy');
+      expect(Object.keys(response.body.checks)).toEqual(['startup', 'storage', 'eventLoop', 'memory', 'scheduler']);
+      expect(response.body.checks.memory).toEqual({ status: 'healthy' });
+      expect(response.body).not.toHaveProperty('memory');
+
+      const detailed = await request(app).get('/health/ready').set('X-Health-Token', 'health-secret').expect(200);
+      expect(detailed.body.checks.storage).toMatchObject({ status: 'healthy', critical: true, details: { driver: 'memory' } });
+      expect(detailed.body.checks.scheduler).toMatchObject({ critical: false, details: { status: 'running' } });
+      expect(detailed.body.checks.memory.details.heapUsedBytes).toEqual(expect.any(Number));
+
+      const wrongToken = await request(app).get('/health').set('X-Health-Token', 'guess').expect(200);
+      expect(wrongToken.body.checks.storage).toEqual({ status: 'healthy' });
     });
   });
 
   describe('GET /api/todos', () => {
     it('should return list of todos', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/todos')
         .expect(200);
-      
+
       expect(response.body).toHaveProperty('success', true);
       expect(response.body).toHaveProperty('data');
       expect(response.body).toHaveProperty('count');
       expect(Array.isArray(response.body.data)).toBe(true);
     });
+
+    it('should filter by completion status and search text', async () => {
+      const created = await api
+        .post('/api/todos')
+        .send({ text: 'Searchable pipeline todo' });
+      await api
+        .put(`/api/todos/${created.body.data.id}`)
+        .send({ completed: true });
+
+      const response = await api
+        .get('/api/todos?completed=true&search=SEARCHABLE')
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0]).toHaveProperty('id', created.body.data.id);
+      expect(response.body).toHaveProperty('total', 1);
+    });
+
+    it('should paginate with cursors and Link headers', async () => {
+      for (const text of ['Page one', 'Page two', 'Page three']) {
+        await api.post('/api/todos').send({ text });
+      }
+
+      const first = await api
+        .get('/api/todos?limit=2&sort=createdAt&order=desc')
+        .expect(200);
+
+      expect(first.body.data).toHaveLength(2);
+      expect(first.body.total).toBeGreaterThan(2);
+      expect(first.body.nextCursor).toEqual(expect.any(String));
+      expect(first.headers.link).toContain('rel="first"');
+      expect(first.headers.link).toContain(`cursor=${first.body.nextCursor}>; rel="next"`);
+
+      const second = await api
+        .get(`/api/todos?limit=2&sort=createdAt&order=desc&cursor=${first.body.nextCursor}`)
+        .expect(200);
+
+      const firstIds = first.body.data.map(todo => todo.id);
+      second.body.data.forEach(todo => expect(firstIds).not.toContain(todo.id));
+    });
+
+    it('should reject invalid query parameters', async () => {
+      const response = await api
+        .get('/api/todos?sort=priority')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('success', false);
+      expect(response.body.error).toContain('sort must be one of');
+    });
   });
 
   describe('POST /api/todos', () => {
     it('should create a new todo', async () => {
       const newTodo = { text: 'Test todo for Jenkins pipeline' };
-      
-      const response = await request(app)
+
+      const response = await api
         .post('/api/todos')
         .send(newTodo)
         .expect(201);
-      
+
       expect(response.body).toHaveProperty('success', true);
       expect(response.body.data).toHaveProperty('text', newTodo.text);
       expect(response.body.data).toHaveProperty('id');
@@ -55,49 +241,245 @@ describe('Todo API Endpoints', () => {
     });
 
     it('should return error for empty todo text', async () => {
-      const response = await request(app)
+      const response = await api
         .post('/api/todos')
         .send({ text: '' })
         .expect(400);
-      
+
       expect(response.body).toHaveProperty('success', false);
       expect(response.body).toHaveProperty('error');
     });
 
     it('should return error for missing todo text', async () => {
-      const response = await request(app)
+      const response = await api
         .post('/api/todos')
         .send({})
         .expect(400);
-      
+
       expect(response.body).toHaveProperty('success', false);
       expect(response.body).toHaveProperty('error');
     });
   });
 
+  describe('Todo fields', () => {
+    it('should create a todo with due date, priority, tags and notes', async () => {
+      const response = await api
+        .post('/api/todos')
+        .send({
+          text: 'Rotate credentials',
+          dueDate: '2030-01-15',
+          priority: 'high',
+          tags: ['ops', ' security ', 'ops'],
+          notes: 'See the runbook'
+        })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({
+        priority: 'high',
+        tags: ['ops', 'security'],
+        notes: 'See the runbook',
+        dueDate: '2030-01-15T23:59:59.999Z'
+      });
+    });
+
+    it('should default optional fields', async () => {
+      const response = await api
+        .post('/api/todos')
+        .send({ text: 'Plain todo' })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({ priority: 'medium', tags: [], notes: '', dueDate: null });
+    });
+
+    it('should report field-level validation errors', async () => {
+      const response = await api
+        .post('/api/todos')
+        .send({ text: 'Bad fields', priority: 'urgent', dueDate: 'tomorrow', owner: 'sam' })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Validation failed');
+      expect(response.body.details.map(detail => detail.field).sort()).toEqual(['dueDate', 'owner', 'priority']);
+      expect(response.body.details.find(detail => detail.field === 'owner')).toHaveProperty('message', 'Unknown field');
+    });
+
+    it('should validate fields on update', async () => {
+      const created = await api.post('/api/todos').send({ text: 'Update fields' });
+
+      await api
+        .put(`/api/todos/${created.body.data.id}`)
+        .send({ tags: 'not-an-array' })
+        .expect(400);
+
+      const response = await api
+        .put(`/api/todos/${created.body.data.id}`)
+        .send({ priority: 'low', dueDate: null })
+        .expect(200);
+      expect(response.body.data).toMatchObject({ priority: 'low', dueDate: null });
+    });
+
+    it('should filter by overdue, priority and tag', async () => {
+      const overdue = await api
+        .post('/api/todos')
+        .send({ text: 'Overdue ops item', dueDate: '2001-01-01', priority: 'low', tags: ['overdue-filter'] });
+
+      const byTag = await api.get('/api/todos?tag=overdue-filter&overdue=true&priority=low').expect(200);
+      expect(byTag.body.data.map(todo => todo.id)).toEqual([overdue.body.data.id]);
+
+      const notOverdue = await api.get('/api/todos?tag=overdue-filter&overdue=false').expect(200);
+      expect(notOverdue.body.data).toHaveLength(0);
+
+      await api.get('/api/todos?priority=urgent').expect(400);
+    });
+  });
+
+  describe('Subtasks', () => {
+    const createTodo = async (fields) => (await api.post('/api/todos').send(fields)).body.data;
+
+    it('should return the child tree on request', async () => {
+      const parent = await createTodo({ text: 'Release 1.0' });
+      const child = await createTodo({ text: 'Write changelog', parentId: parent.id });
+      await createTodo({ text: 'Proofread changelog', parentId: child.id });
+
+      const flat = await api.get(`/api/todos/${parent.id}`).expect(200);
+      expect(flat.body.data).not.toHaveProperty('children');
+
+      const tree = await api.get(`/api/todos/${parent.id}?include=children`).expect(200);
+      expect(tree.body.data.children).toHaveLength(1);
+      expect(tree.body.data.children[0].children[0]).toHaveProperty('text', 'Proofread changelog');
+    });
+
+    it('should reject missing parents and cycles', async () => {
+      const missing = await api
+        .post('/api/todos')
+        .send({ text: 'Orphan', parentId: 99999 })
+        .expect(400);
+      expect(missing.body.details[0]).toEqual({ field: 'parentId', message: 'Parent todo not found' });
+
+      const parent = await createTodo({ text: 'Cycle parent' });
+      const child = await createTodo({ text: 'Cycle child', parentId: parent.id });
+
+      await api
+        .put(`/api/todos/${parent.id}`)
+        .send({ parentId: child.id })
+        .expect(400);
+    });
+
+    it('should refuse to delete a parent unless cascading', async () => {
+      const parent = await createTodo({ text: 'Parent to delete' });
+      const child = await createTodo({ text: 'Child to delete', parentId: parent.id });
+
+      const refused = await api.delete(`/api/todos/${parent.id}`).expect(409);
+      expect(refused.body).toHaveProperty('success', false);
+
+      const response = await api.delete(`/api/todos/${parent.id}?cascade=true`).expect(200);
+      expect(response.body.deletedSubtasks.map(todo => todo.id)).toEqual([child.id]);
+      await api.get(`/api/todos/${child.id}`).expect(404);
+    });
+
+    it('should offer to complete the parent when the last child is completed', async () => {
+      const parent = await createTodo({ text: 'Parent rollup' });
+      const first = await createTodo({ text: 'First step', parentId: parent.id });
+      const second = await createTodo({ text: 'Second step', parentId: parent.id });
+
+      const partial = await api.put(`/api/todos/${first.id}`).send({ completed: true });
+      expect(partial.body).not.toHaveProperty('parentReady');
+
+      const done = await api.put(`/api/todos/${second.id}`).send({ completed: true });
+      expect(done.body.parentReady).toHaveProperty('id', parent.id);
+
+      const stats = await api.get('/api/stats');
+      expect(stats.body.data.parents).toContainEqual({
+        id: parent.id,
+        text: 'Parent rollup',
+        total: 2,
+        completed: 2,
+        progress: 100
+      });
+    });
+  });
+
+  describe('Recurring todos', () => {
+    const createRecurring = async (fields) => (await api.post('/api/todos').send({ text: 'Rotate logs', ...fields }).expect(201)).body.data;
+
+    it('should create the next occurrence when a recurring todo is completed', async () => {
+      const todo = await createRecurring({ dueDate: '2030-01-07', recurrence: 'FREQ=WEEKLY;BYDAY=MO,TH', tags: ['ops'] });
+      expect(todo.recurrence).toEqual({ freq: 'weekly', interval: 1, byDay: ['MO', 'TH'] });
+
+      const completed = await api.put(`/api/todos/${todo.id}`).send({ completed: true }).expect(200);
+      expect(completed.body.next).toMatchObject({
+        text: 'Rotate logs',
+        completed: false,
+        tags: ['ops'],
+        dueDate: '2030-01-10T23:59:59.999Z',
+        recurrence: todo.recurrence,
+        seriesId: todo.id
+      });
+
+      // Reopening and completing again does not start a second copy
+      await api.put(`/api/todos/${todo.id}`).send({ completed: false }).expect(200);
+      const again = await api.put(`/api/todos/${todo.id}`).send({ completed: true }).expect(200);
+      expect(again.body.next).toBeUndefined();
+
+      const last = await createRecurring({ recurrence: { freq: 'daily', count: 1 } });
+      const done = await api.put(`/api/todos/${last.id}`).send({ completed: true }).expect(200);
+      expect(done.body.next).toBeUndefined();
+    });
+
+    it('should reject invalid rules', async () => {
+      const response = await api.post('/api/todos').send({ text: 'Bad rule', recurrence: { freq: 'yearly' } }).expect(400);
+      expect(response.body.details[0].field).toBe('recurrence');
+
+      const rrule = await api.post('/api/todos').send({ text: 'Bad rule', recurrence: 'FREQ=DAILY;BYHOUR=9' }).expect(400);
+      expect(rrule.body.details).toEqual([{ field: 'recurrence', message: 'recurrence does not support the RRULE part BYHOUR' }]);
+    });
+
+    it('should skip an occurrence, edit the series and end it', async () => {
+      const todo = await createRecurring({ text: 'Review alerts', dueDate: '2030-03-31', recurrence: { freq: 'monthly' } });
+
+      const skipped = await api.post(`/api/todos/${todo.id}/skip`).expect(200);
+      expect(skipped.body.data.deletedAt).not.toBeNull();
+      expect(skipped.body.next).toMatchObject({ dueDate: '2030-04-30T23:59:59.999Z', seriesId: todo.id });
+      expect(skipped.body.next.recurrence.byMonthDay).toBe(31);
+      const nextId = skipped.body.next.id;
+
+      const edited = await api.put(`/api/todos/${nextId}/series`).send({ text: 'Review alerts and dashboards', priority: 'high' }).expect(200);
+      expect(edited.body.data).toEqual([expect.objectContaining({ id: nextId, text: 'Review alerts and dashboards', priority: 'high' })]);
+      await api.put(`/api/todos/${nextId}/series`).send({ dueDate: '2030-05-01' }).expect(400);
+
+      const ended = await api.delete(`/api/todos/${nextId}/series`).expect(200);
+      expect(ended.body.data[0].recurrence).toBeNull();
+      const completed = await api.put(`/api/todos/${nextId}`).send({ completed: true }).expect(200);
+      expect(completed.body.next).toBeUndefined();
+
+      const plain = (await api.post('/api/todos').send({ text: 'Once' })).body.data;
+      await api.post(`/api/todos/${plain.id}/skip`).expect(409);
+      await api.delete(`/api/todos/${plain.id}/series`).expect(409);
+    });
+  });
+
   describe('GET /api/todos/:id', () => {
     it('should return specific todo by id', async () => {
       // First create a todo
-      const createResponse = await request(app)
+      const createResponse = await api
         .post('/api/todos')
         .send({ text: 'Test todo for GET by ID' });
-      
+
       const todoId = createResponse.body.data.id;
-      
-      const response = await request(app)
+
+      const response = await api
         .get(`/api/todos/${todoId}`)
         .expect(200);
-      
+
       expect(response.body).toHaveProperty('success', true);
       expect(response.body.data).toHaveProperty('id', todoId);
       expect(response.body.data).toHaveProperty('text', 'Test todo for GET by ID');
     });
 
     it('should return 404 for non-existent todo', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/todos/99999')
         .expect(404);
-      
+
       expect(response.body).toHaveProperty('success', false);
       expect(response.body).toHaveProperty('error', 'Todo not found');
     });
@@ -106,17 +488,17 @@ describe('Todo API Endpoints', () => {
   describe('PUT /api/todos/:id', () => {
     it('should update todo text', async () => {
       // First create a todo
-      const createResponse = await request(app)
+      const createResponse = await api
         .post('/api/todos')
         .send({ text: 'Original text' });
-      
+
       const todoId = createResponse.body.data.id;
-      
-      const response = await request(app)
+
+      const response = await api
         .put(`/api/todos/${todoId}`)
         .send({ text: 'Updated text' })
         .expect(200);
-      
+
       expect(response.body).toHaveProperty('success', true);
       expect(response.body.data).toHaveProperty('text', 'Updated text');
       expect(response.body.data).toHaveProperty('updatedAt');
@@ -124,100 +506,1149 @@ describe('Todo API Endpoints', () => {
 
     it('should toggle todo completion status', async () => {
       // First create a todo
-      const createResponse = await request(app)
+      const createResponse = await api
         .post('/api/todos')
         .send({ text: 'Todo to complete' });
-      
+
       const todoId = createResponse.body.data.id;
-      
-      const response = await request(app)
+
+      const response = await api
         .put(`/api/todos/${todoId}`)
         .send({ completed: true })
         .expect(200);
-      
+
       expect(response.body).toHaveProperty('success', true);
       expect(response.body.data).toHaveProperty('completed', true);
     });
 
     it('should return 404 for non-existent todo', async () => {
-      const response = await request(app)
+      const response = await api
         .put('/api/todos/99999')
         .send({ text: 'Updated text' })
         .expect(404);
-      
+
       expect(response.body).toHaveProperty('success', false);
       expect(response.body).toHaveProperty('error', 'Todo not found');
     });
   });
 
+  describe('Optimistic concurrency', () => {
+    it('should return the version as an ETag', async () => {
+      const created = await api
+        .post('/api/todos')
+        .send({ text: 'Versioned todo' })
+        .expect(201);
+
+      expect(created.body.data).toHaveProperty('version', 1);
+      expect(created.headers.etag).toBe('"1"');
+
+      const response = await api
+        .get(`/api/todos/${created.body.data.id}`)
+        .expect(200);
+      expect(response.headers.etag).toBe('"1"');
+    });
+
+    it('should apply updates with a matching If-Match', async () => {
+      const created = await api.post('/api/todos').send({ text: 'Match me' });
+
+      const response = await api
+        .put(`/api/todos/${created.body.data.id}`)
+        .set('If-Match', '"1"')
+        .send({ completed: true })
+        .expect(200);
+
+      expect(response.body.data).toHaveProperty('version', 2);
+      expect(response.headers.etag).toBe('"2"');
+    });
+
+    it('should reject stale updates with 412 and the current state', async () => {
+      const created = await api.post('/api/todos').send({ text: 'Contended todo' });
+      const todoId = created.body.data.id;
+
+      await api
+        .put(`/api/todos/${todoId}`)
+        .set('If-Match', '"1"')
+        .send({ text: 'First writer wins' })
+        .expect(200);
+
+      const response = await api
+        .put(`/api/todos/${todoId}`)
+        .set('If-Match', '"1"')
+        .send({ text: 'Second writer loses' })
+        .expect(412);
+
+      expect(response.body).toHaveProperty('success', false);
+      expect(response.body.data).toMatchObject({ text: 'First writer wins', version: 2 });
+      expect(response.headers.etag).toBe('"2"');
+    });
+
+    it('should reject stale deletes with 412', async () => {
+      const created = await api.post('/api/todos').send({ text: 'Delete with stale version' });
+      const todoId = created.body.data.id;
+
+      await api.put(`/api/todos/${todoId}`).send({ completed: true });
+
+      await api
+        .delete(`/api/todos/${todoId}`)
+        .set('If-Match', '"1"')
+        .expect(412);
+
+      await api
+        .delete(`/api/todos/${todoId}`)
+        .set('If-Match', '"2"')
+        .expect(200);
+    });
+  });
+
   describe('DELETE /api/todos/:id', () => {
     it('should delete a todo', async () => {
       // First create a todo
-      const createResponse = await request(app)
+      const createResponse = await api
         .post('/api/todos')
         .send({ text: 'Todo to delete' });
-      
+
       const todoId = createResponse.body.data.id;
-      
-      const response = await request(app)
+
+      const response = await api
         .delete(`/api/todos/${todoId}`)
         .expect(200);
-      
+
       expect(response.body).toHaveProperty('success', true);
       expect(response.body.data).toHaveProperty('id', todoId);
-      
+
       // Verify todo is deleted
-      await request(app)
+      await api
         .get(`/api/todos/${todoId}`)
         .expect(404);
     });
 
     it('should return 404 for non-existent todo', async () => {
-      const response = await request(app)
+      const response = await api
         .delete('/api/todos/99999')
         .expect(404);
-      
+
       expect(response.body).toHaveProperty('success', false);
       expect(response.body).toHaveProperty('error', 'Todo not found');
     });
   });
 
+  describe('POST /api/todos/batch', () => {
+    it('should apply create, update and delete operations together', async () => {
+      const first = await api.post('/api/todos').send({ text: 'Batch update target' });
+      const second = await api.post('/api/todos').send({ text: 'Batch delete target' });
+
+      const response = await api
+        .post('/api/todos/batch')
+        .send({
+          operations: [
+            { op: 'create', text: '  Batch created  ' },
+            { op: 'update', id: first.body.data.id, completed: true },
+            { op: 'delete', id: second.body.data.id }
+          ]
+        })
+        .expect(200);
+
+      expect(response.body).toHaveProperty('success', true);
+      expect(response.body.data).toHaveLength(3);
+      expect(response.body.data[0].data).toHaveProperty('text', 'Batch created');
+      expect(response.body.data[1].data).toHaveProperty('completed', true);
+      expect(response.body.data[2]).toMatchObject({ index: 2, op: 'delete', success: true });
+
+      await api.get(`/api/todos/${second.body.data.id}`).expect(404);
+    });
+
+    it('should reject the whole batch when an operation is invalid', async () => {
+      const before = await api.get('/api/todos');
+
+      const response = await api
+        .post('/api/todos/batch')
+        .send({
+          operations: [
+            { op: 'create', text: 'Should not be created' },
+            { op: 'create', text: '   ' }
+          ]
+        })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('success', false);
+      expect(response.body.results[1]).toHaveProperty('error', 'Validation failed');
+      expect(response.body.results[1].details[0]).toHaveProperty('field', 'text');
+      expect(response.body.results[0]).toHaveProperty('error', 'Not applied');
+
+      const after = await api.get('/api/todos');
+      expect(after.body.total).toBe(before.body.total);
+    });
+
+    it('should roll back applied operations when a todo is missing', async () => {
+      const created = await api.post('/api/todos').send({ text: 'Rollback target' });
+      const todoId = created.body.data.id;
+
+      const response = await api
+        .post('/api/todos/batch')
+        .send({
+          operations: [
+            { op: 'update', id: todoId, text: 'Changed in batch' },
+            { op: 'delete', id: 99999 }
+          ]
+        })
+        .expect(404);
+
+      expect(response.body.results[1]).toHaveProperty('error', 'Todo not found');
+
+      const todo = await api.get(`/api/todos/${todoId}`);
+      expect(todo.body.data).toHaveProperty('text', 'Rollback target');
+    });
+
+    it('should require a non-empty operations array', async () => {
+      await api
+        .post('/api/todos/batch')
+        .send({ operations: [] })
+        .expect(400);
+    });
+  });
+
+  describe('Lists', () => {
+    it('should create, rename and fetch a list', async () => {
+      const created = await api
+        .post('/api/lists')
+        .send({ name: 'Sprint' })
+        .expect(201);
+
+      expect(created.body.data).toMatchObject({ name: 'Sprint' });
+
+      await api.post('/api/lists').send({ name: 'sprint' }).expect(409);
+      await api.post('/api/lists').send({ name: '' }).expect(400);
+
+      const renamed = await api
+        .put(`/api/lists/${created.body.data.id}`)
+        .send({ name: 'Sprint 12' })
+        .expect(200);
+      expect(renamed.body.data.name).toBe('Sprint 12');
+
+      const fetched = await api.get(`/api/lists/${created.body.data.id}`).expect(200);
+      expect(fetched.body.data.counts).toEqual({ total: 0, completed: 0, pending: 0 });
+    });
+
+    it('should scope todos to a list through the nested routes', async () => {
+      const list = (await api.post('/api/lists').send({ name: 'Ops chores' })).body.data;
+      const inList = await api
+        .post(`/api/lists/${list.id}/todos`)
+        .send({ text: 'Rotate certificates' })
+        .expect(201);
+      await api.post('/api/todos').send({ text: 'Not in a list' });
+
+      expect(inList.body.data.listId).toBe(list.id);
+
+      const response = await api.get(`/api/lists/${list.id}/todos`).expect(200);
+      expect(response.body.data.map(todo => todo.text)).toEqual(['Rotate certificates']);
+
+      const unlisted = await api.get('/api/todos?listId=none');
+      expect(unlisted.body.data.every(todo => todo.listId === null)).toBe(true);
+    });
+
+    it('should reject todos that point at a missing list', async () => {
+      const response = await api
+        .post('/api/todos')
+        .send({ text: 'Orphan', listId: 999999 })
+        .expect(400);
+
+      expect(response.body.details).toEqual([{ field: 'listId', message: 'List not found' }]);
+    });
+
+    it('should refuse to delete a list with todos unless told what to do with them', async () => {
+      const list = (await api.post('/api/lists').send({ name: 'Personal' })).body.data;
+      const parent = (await api.post(`/api/lists/${list.id}/todos`).send({ text: 'Move house' })).body.data;
+      const child = (await api.post('/api/todos').send({ text: 'Pack', parentId: parent.id })).body.data;
+      const kept = (await api.post(`/api/lists/${list.id}/todos`).send({ text: 'Call mum' })).body.data;
+
+      await api.delete(`/api/lists/${list.id}`).expect(409);
+      await api.delete(`/api/lists/${list.id}?todos=archive`).expect(400);
+
+      await api.put(`/api/todos/${kept.id}`).send({ listId: null });
+      const response = await api
+        .delete(`/api/lists/${list.id}?todos=delete`)
+        .expect(200);
+
+      expect(response.body.todos.deleted.sort()).toEqual([parent.id, child.id].sort());
+      await api.get(`/api/todos/${child.id}`).expect(404);
+      await api.get(`/api/todos/${kept.id}`).expect(200);
+      await api.get(`/api/lists/${list.id}`).expect(404);
+    });
+
+    it('should keep todos without a list when deleting with todos=unlist', async () => {
+      const list = (await api.post('/api/lists').send({ name: 'Someday' })).body.data;
+      const todo = (await api.post(`/api/lists/${list.id}/todos`).send({ text: 'Learn Go' })).body.data;
+
+      const response = await api
+        .delete(`/api/lists/${list.id}?todos=unlist`)
+        .expect(200);
+
+      expect(response.body.todos.unlisted).toEqual([todo.id]);
+      const fetched = await api.get(`/api/todos/${todo.id}`);
+      expect(fetched.body.data.listId).toBeNull();
+    });
+
+    it("should not expose another user's lists", async () => {
+      const list = (await api.post('/api/lists').send({ name: 'Private' })).body.data;
+      const other = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'list-snooper', password: 'snooping-around' });
+
+      await request(app)
+        .get(`/api/lists/${list.id}/todos`)
+        .set('Authorization', `Bearer ${other.body.data.token}`)
+        .expect(403);
+    });
+  });
+
+  describe('History and audit log', () => {
+    it('should record who changed what and revert to an earlier version', async () => {
+      const todo = (await api.post('/api/todos').send({ text: 'First draft' })).body.data;
+      await api.put(`/api/todos/${todo.id}`).send({ text: 'Second draft', priority: 'high' });
+
+      const history = await api.get(`/api/todos/${todo.id}/history`).expect(200);
+      expect(history.body.data.map(entry => entry.action)).toEqual(['create', 'update']);
+      expect(history.body.data[1].changes).toEqual({
+        text: { from: 'First draft', to: 'Second draft' },
+        priority: { from: 'medium', to: 'high' }
+      });
+      expect(history.body.data[1].actor).toMatchObject({ username: 'pipeline' });
+
+      const reverted = await api
+        .post(`/api/todos/${todo.id}/revert`)
+        .send({ version: 1 })
+        .expect(200);
+
+      expect(reverted.body.data).toMatchObject({ text: 'First draft', priority: 'medium', version: 3 });
+      await api.post(`/api/todos/${todo.id}/revert`).send({ version: 42 }).expect(404);
+      await api.post(`/api/todos/${todo.id}/revert`).set('If-Match', '"1"').send({ version: 1 }).expect(412);
+    });
+
+    it('should clear fields set after the version reverted to', async () => {
+      const todo = (await api.post('/api/todos').send({ text: 'Undated' })).body.data;
+      await api.put(`/api/todos/${todo.id}`).send({ dueDate: '2030-01-01', recurrence: 'FREQ=WEEKLY' }).expect(200);
+
+      const reverted = await api.post(`/api/todos/${todo.id}/revert`).send({ version: 1 }).expect(200);
+      expect(reverted.body.data).toMatchObject({ text: 'Undated', dueDate: null, recurrence: null });
+    });
+
+    it('should filter the audit log', async () => {
+      const todo = (await api.post('/api/todos').send({ text: 'Audited' })).body.data;
+      await api.delete(`/api/todos/${todo.id}`);
+
+      const response = await api
+        .get(`/api/audit?todoId=${todo.id}&action=delete`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].changes.deletedAt.from).toBeNull();
+
+      await api.get('/api/audit?action=rename').expect(400);
+    });
+  });
+
+  describe('Trash', () => {
+    it('should move deleted todos to the trash and restore them with their subtasks', async () => {
+      const parent = (await api.post('/api/todos').send({ text: 'Plan offsite' })).body.data;
+      const child = (await api.post('/api/todos').send({ text: 'Book venue', parentId: parent.id })).body.data;
+
+      await api.delete(`/api/todos/${parent.id}?cascade=true`).expect(200);
+      await api.get(`/api/todos/${child.id}`).expect(404);
+
+      const trash = await api.get('/api/trash').expect(200);
+      const trashed = trash.body.data.find(todo => todo.id === parent.id);
+      expect(trashed.deletedAt).toBeDefined();
+      expect(new Date(trashed.purgeAt) > new Date(trashed.deletedAt)).toBe(true);
+
+      await api.post(`/api/todos/${child.id}/restore`).expect(409);
+
+      const response = await api
+        .post(`/api/todos/${parent.id}/restore`)
+        .expect(200);
+
+      expect(response.body.data.deletedAt).toBeNull();
+      expect(response.body.restoredSubtasks.map(todo => todo.id)).toEqual([child.id]);
+      await api.get(`/api/todos/${child.id}`).expect(200);
+      await api.post(`/api/todos/${parent.id}/restore`).expect(404);
+    });
+
+    it('should purge a single todo or empty the whole trash', async () => {
+      const first = (await api.post('/api/todos').send({ text: 'Purge me' })).body.data;
+      const second = (await api.post('/api/todos').send({ text: 'Purge me too' })).body.data;
+      await api.delete(`/api/todos/${first.id}`);
+      await api.delete(`/api/todos/${second.id}`);
+
+      await api.delete(`/api/trash/${first.id}`).expect(200);
+      await api.post(`/api/todos/${first.id}/restore`).expect(404);
+
+      const response = await api.delete('/api/trash').expect(200);
+      expect(response.body.data.map(todo => todo.id)).toContain(second.id);
+
+      const trash = await api.get('/api/trash');
+      expect(trash.body.data).toHaveLength(0);
+    });
+  });
+
+  describe('GET /api/events', () => {
+    // Reads the event stream until `until` matches the text received so far
+    const readEvents = (headers, until, onOpen = () => {}) => new Promise((resolve, reject) => {
+      const req = http.get({
+        port: server.address().port,
+        path: '/api/events',
+        headers: { Authorization: `Bearer ${token}`, ...headers }
+      }, (res) => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          body += chunk;
+          if (until.test(body)) {
+            req.destroy();
+            resolve({ res, body });
+          }
+        });
+        onOpen();
+      });
+      req.on('error', reject);
+    });
+
+    it('should require authentication', async () => {
+      await request(app).get('/api/events').expect(401);
+    });
+
+    it('should push todo and stats changes to open streams', async () => {
+      const { res, body } = await readEvents({}, /event: stats\.changed/, () => {
+        api.post('/api/todos').send({ text: 'Pushed live' }).then(() => {});
+      });
+
+      expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+      expect(body).toMatch(/event: todo\.created\ndata: .*"text":"Pushed live"/);
+    });
+
+    it('should replay missed events after Last-Event-ID', async () => {
+      const { body } = await readEvents({}, /event: todo\.created/, () => {
+        api.post('/api/todos').send({ text: 'Seen' }).then(() => {});
+      });
+      const lastEventId = body.match(/id: (\S+)\nevent: todo\.created/)[1];
+
+      await api.post('/api/todos').send({ text: 'Missed while offline' });
+
+      const replay = await readEvents({ 'Last-Event-ID': lastEventId }, /Missed while offline/);
+      expect(replay.body).not.toMatch(/"text":"Seen"/);
+    });
+
+    it('should announce a purge once, as todo.purged', async () => {
+      const todo = (await api.post('/api/todos').send({ text: 'Purged live' })).body.data;
+      await api.delete(`/api/todos/${todo.id}`).expect(200);
+      const { body } = await readEvents({}, /event: todo\.purged\n/, () => {
+        api.delete(`/api/trash/${todo.id}`).then(() => {});
+      });
+
+      expect(body).toMatch(new RegExp(`event: todo\\.purged\\ndata: .*"id":${todo.id},`));
+      expect(body).not.toMatch(/event: todo\.deleted/);
+    });
+
+    it('should ask the client to resync when the last event is unknown', async () => {
+      const { body } = await readEvents({ 'Last-Event-ID': '99999999' }, /event: resync/);
+      expect(body).toContain('event: resync');
+    });
+  });
+
+  describe('Webhooks', () => {
+    let receiver;
+    let received;
+    let respondWith;
+
+    // Polls until `check` returns something truthy
+    const waitFor = async (check, timeout = 3000) => {
+      const deadline = Date.now() + timeout;
+      while (Date.now() < deadline) {
+        const result = await check();
+        if (result) return result;
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      throw new Error('Timed out waiting for condition');
+    };
+
+    const createWebhook = async (fields) => (await api
+      .post('/api/webhooks')
+      .send({ url: `http://127.0.0.1:${receiver.address().port}/hook`, ...fields })
+      .expect(201)).body.data;
+
+    beforeAll((done) => {
+      receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received.push({ headers: req.headers, body });
+          res.statusCode = respondWith();
+          res.end();
+        });
+      });
+      receiver.listen(0, '127.0.0.1', done);
+    });
+
+    beforeEach(() => {
+      received = [];
+      respondWith = () => 200;
+    });
+
+    afterAll((done) => {
+      receiver.close(done);
+    });
+
+    it('should validate webhook registrations', async () => {
+      const response = await api
+        .post('/api/webhooks')
+        .send({ url: 'ftp://example.com', events: ['todo.exploded'] })
+        .expect(400);
+
+      expect(response.body.details.map(detail => detail.field)).toEqual(['url', 'events']);
+    });
+
+    it('should deliver signed payloads for subscribed events', async () => {
+      const webhook = await createWebhook({ events: ['todo.created'] });
+      expect(webhook.secret).toMatch(/^whsec_/);
+
+      await api.post('/api/todos').set('X-Request-Id', 'bot-trace-1').send({ text: 'Tell the bot' });
+      const delivery = await waitFor(() => received.find(request => request.headers['x-webhook-id'] === String(webhook.id)));
+      expect(delivery.headers['x-request-id']).toBe('bot-trace-1');
+
+      const payload = JSON.parse(delivery.body);
+      expect(payload).toMatchObject({ event: 'todo.created', data: { text: 'Tell the bot' } });
+
+      const expected = crypto.createHmac('sha256', webhook.secret)
+        .update(`${delivery.headers['x-webhook-timestamp']}.${delivery.body}`)
+        .digest('hex');
+      expect(delivery.headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+
+      const fetched = await api.get(`/api/webhooks/${webhook.id}`).expect(200);
+      expect(fetched.body.data).not.toHaveProperty('secret');
+
+      await api.put(`/api/webhooks/${webhook.id}`).send({ active: false }).expect(200);
+    });
+
+    it('should retry failed deliveries and dead-letter them after the last attempt', async () => {
+      const webhook = await createWebhook({ events: ['todo.created'] });
+      respondWith = () => 500;
+
+      const test = await api.post(`/api/webhooks/${webhook.id}/test`).expect(202);
+
+      const dead = await waitFor(async () => {
+        const response = await api.get('/api/webhooks/dead-letters');
+        return response.body.data.find(delivery => delivery.id === test.body.data.id);
+      });
+      expect(dead.attempts.map(attempt => attempt.statusCode)).toEqual([500, 500, 500]);
+
+      respondWith = () => 204;
+      await api.post(`/api/webhooks/${webhook.id}/deliveries/${dead.id}/redeliver`).expect(202);
+
+      const log = await waitFor(async () => {
+        const response = await api.get(`/api/webhooks/${webhook.id}/deliveries?status=delivered`);
+        return response.body.data.length > 0 && response.body.data;
+      });
+      expect(log[0].attempts).toHaveLength(4);
+
+      await api.delete(`/api/webhooks/${webhook.id}`).expect(200);
+      await api.get(`/api/webhooks/${webhook.id}`).expect(404);
+    });
+
+    it('should send reminders for todos that are due soon', async () => {
+      const webhook = await createWebhook({ events: ['todo.reminder'] });
+
+      const dueDate = new Date(Date.now() + 30 * 60 * 1000).toISOString();
+      const todo = (await api.post('/api/todos').send({ text: 'Renew certificates', dueDate }).expect(201)).body.data;
+      const delivery = await waitFor(() => received.find(request => request.headers['x-webhook-id'] === String(webhook.id)));
+
+      expect(JSON.parse(delivery.body)).toMatchObject({
+        event: 'todo.reminder',
+        data: { todo: { id: todo.id, text: 'Renew certificates' }, dueDate }
+      });
+      await api.delete(`/api/webhooks/${webhook.id}`).expect(200);
+    });
+  });
+
+  describe('Search', () => {
+    it('should rank matching todos and highlight where they matched', async () => {
+      await api.post('/api/todos').send({ text: 'Rotate database keyrings', tags: ['security'] });
+      await api.post('/api/todos').send({ text: 'Audit logs', notes: 'Check who rotated the database password' });
+      const trashed = (await api.post('/api/todos').send({ text: 'Rotate old database backups' })).body.data;
+      await api.delete(`/api/todos/${trashed.id}`).expect(200);
+
+      const response = await api.get('/api/search?q=rotating database').expect(200);
+      expect(response.body.data.map(match => match.todo.text)).toEqual(['Rotate database keyrings', 'Audit logs']);
+      expect(response.body).toMatchObject({ success: true, count: 2, total: 2 });
+      expect(response.body.data[1].highlights).toEqual([
+        { field: 'notes', snippet: 'Check who <mark>rotated</mark> the <mark>database</mark> password' }
+      ]);
+
+      const typing = await api.get('/api/search?q=keyr').expect(200);
+      expect(typing.body.data.map(match => match.todo.text)).toEqual(['Rotate database keyrings']);
+    });
+
+    it("should not search other users' todos and should validate the query", async () => {
+      const other = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'searcher', password: 'searcher-secret' });
+      const searcher = request.agent(app).set('Authorization', `Bearer ${other.body.data.token}`);
+
+      const response = await searcher.get('/api/search?q=database').expect(200);
+      expect(response.body.data).toEqual([]);
+
+      await api.get('/api/search').expect(400);
+      await api.get('/api/search?q=database&limit=0').expect(400);
+    });
+  });
+
+  describe('Attachments', () => {
+    it('should upload, list, download and delete attachments', async () => {
+      const todo = (await api.post('/api/todos').send({ text: 'Investigate failed deploy' })).body.data;
+      const upload = await api
+        .post(`/api/todos/${todo.id}/attachments`)
+        .attach('file', Buffer.from('ERROR deploy failed\n'), { filename: 'deploy "prod".log', contentType: 'text/plain' })
+        .attach('file', Buffer.from('{}'), { filename: '../runbook.json', contentType: 'application/json' })
+        .expect(201);
+
+      const [log, runbook] = upload.body.data;
+      expect(log).toMatchObject({ filename: 'deploy "prod".log', contentType: 'text/plain', size: 20 });
+      expect(runbook.filename).toBe('runbook.json');
+      expect(upload.body.todo.attachments).toHaveLength(2);
+      expect(fs.readdirSync(process.env.UPLOADS_DIR)).toEqual(expect.arrayContaining([log.id, runbook.id]));
+
+      const list = await api.get(`/api/todos/${todo.id}/attachments`).expect(200);
+      expect(list.body.count).toBe(2);
+
+      const download = await api.get(`/api/todos/${todo.id}/attachments/${log.id}`).expect(200);
+      expect(download.headers['content-type']).toMatch(/^text\/plain/);
+      expect(download.headers['content-disposition']).toBe('attachment; filename="deploy \\"prod\\".log"');
+      expect(download.text).toBe('ERROR deploy failed\n');
+
+      const deleted = await api.delete(`/api/todos/${todo.id}/attachments/${log.id}`).expect(200);
+      expect(deleted.body.todo.attachments.map(attachment => attachment.id)).toEqual([runbook.id]);
+      expect(fs.existsSync(path.join(process.env.UPLOADS_DIR, log.id))).toBe(false);
+      await api.get(`/api/todos/${todo.id}/attachments/${log.id}`).expect(404);
+    });
+
+    it('should refuse uploads that break the limits and keep nothing', async () => {
+      const todo = (await api.post('/api/todos').send({ text: 'Limits' })).body.data;
+      const before = fs.readdirSync(process.env.UPLOADS_DIR).length;
+
+      const type = await api
+        .post(`/api/todos/${todo.id}/attachments`)
+        .attach('file', Buffer.from('ok'), { filename: 'ok.txt', contentType: 'text/plain' })
+        .attach('file', Buffer.from('<svg/>'), { filename: 'logo.svg', contentType: 'image/svg+xml' })
+        .expect(415);
+      expect(type.body.details).toEqual([{ field: 'logo.svg', message: 'image/svg+xml files are not allowed' }]);
+
+      await api
+        .post(`/api/todos/${todo.id}/attachments`)
+        .attach('file', Buffer.alloc(1024 * 1024 + 1), { filename: 'huge.log', contentType: 'text/plain' })
+        .expect(413);
+      await api.post(`/api/todos/${todo.id}/attachments`).send({ file: 'not multipart' }).expect(415);
+      await api.post('/api/todos/999999/attachments').attach('file', Buffer.from('x'), 'x.txt').expect(404);
+
+      expect(fs.readdirSync(process.env.UPLOADS_DIR)).toHaveLength(before);
+      expect((await api.get(`/api/todos/${todo.id}`)).body.data.attachments).toEqual([]);
+    });
+
+    it('should keep files while the todo is in the trash and remove them when it is purged', async () => {
+      const todo = (await api.post('/api/todos').send({ text: 'Trash with files' })).body.data;
+      const [attachment] = (await api
+        .post(`/api/todos/${todo.id}/attachments`)
+        .attach('file', Buffer.from('notes'), { filename: 'notes.md', contentType: 'text/markdown' })).body.data;
+      const file = path.join(process.env.UPLOADS_DIR, attachment.id);
+
+      await api.delete(`/api/todos/${todo.id}`).expect(200);
+      expect(fs.existsSync(file)).toBe(true);
+      await api.get(`/api/todos/${todo.id}/attachments/${attachment.id}`).expect(404);
+
+      await api.delete(`/api/trash/${todo.id}`).expect(200);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(fs.existsSync(file)).toBe(false);
+    });
+  });
+
+  describe('Import and export', () => {
+    it('should export todos as a download in each format', async () => {
+      await api.post('/api/todos').send({ text: 'Export me', priority: 'high', tags: ['io'] });
+
+      const csv = await api.get('/api/export?format=csv&tag=io').expect(200);
+      expect(csv.headers['content-type']).toMatch(/^text\/csv/);
+      expect(csv.headers['content-disposition']).toMatch(/^attachment; filename="todos-\d{4}-\d{2}-\d{2}\.csv"$/);
+      expect(csv.text.split('\r\n')[1]).toContain('Export me');
+
+      const ics = await api.get('/api/export?format=ics').expect(200);
+      expect(ics.headers['content-type']).toMatch(/^text\/calendar/);
+      expect(ics.text).toContain('SUMMARY:Export me');
+
+      const json = await api.get('/api/export').expect(200);
+      expect(json.body.map(todo => todo.text)).toContain('Export me');
+
+      await api.get('/api/export?format=xml').expect(400);
+    });
+
+    it('should preview an import and report duplicates and bad rows', async () => {
+      const csv = 'text,priority\nImported one,low\nExport me,high\nBad priority,urgent\n';
+      const preview = await api
+        .post('/api/import?dryRun=true')
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+        .expect(200);
+
+      expect(preview.body.data.summary).toEqual({ rows: 3, valid: 1, created: 0, duplicates: 1, errors: 1 });
+      expect(preview.body.data.results[2]).toMatchObject({ row: 4, status: 'error', errors: [{ field: 'priority' }] });
+
+      const todos = await api.get('/api/todos?search=Imported one');
+      expect(todos.body.data).toHaveLength(0);
+    });
+
+    it('should import Markdown checklists with subtasks into a list', async () => {
+      const list = (await api.post('/api/lists').send({ name: 'Imported' })).body.data;
+      const response = await api
+        .post(`/api/import?format=md&listId=${list.id}`)
+        .set('Content-Type', 'text/markdown')
+        .send('- [ ] Import parent\n  - [x] Import child\n')
+        .expect(201);
+
+      const [parent, child] = response.body.data.results;
+      expect(response.body.data.summary.created).toBe(2);
+      const created = await api.get(`/api/todos/${child.id}`).expect(200);
+      expect(created.body.data).toMatchObject({ parentId: parent.id, listId: list.id, completed: true, priority: 'medium' });
+      expect(created.body.data.createdAt).toBeDefined();
+
+      await api
+        .post('/api/import?listId=999999')
+        .send([{ text: 'Nowhere' }])
+        .expect(400);
+      await api
+        .post('/api/import')
+        .set('Content-Type', 'text/plain')
+        .send('just text')
+        .expect(400);
+    });
+  });
+
+  describe('OpenAPI', () => {
+    it('should serve the spec and the docs page without a token', async () => {
+      const response = await request(app).get('/api/openapi.json').expect(200);
+      expect(response.body.openapi).toMatch(/^3\./);
+      expect(Object.keys(response.body.paths)).toEqual(expect.arrayContaining(['/api/todos', '/api/stats', '/health', '/metrics']));
+
+      const docs = await request(app).get('/api/docs').expect(200);
+      expect(docs.headers['content-type']).toMatch(/^text\/html/);
+    });
+
+    it('should reject requests that do not match the spec', async () => {
+      const badId = await api.get('/api/todos/not-a-number').expect(400);
+      expect(badId.body.details).toEqual([{ field: 'id', message: 'id must be an integer' }]);
+
+      const badBatch = await api
+        .post('/api/todos/batch')
+        .send({ operations: [{ op: 'rename', text: 'x' }] })
+        .expect(400);
+      expect(badBatch.body.details).toEqual([{ field: 'operations[0].op', message: 'operations[0].op must be one of create, update, delete' }]);
+
+      await api.get('/api/todos?limit=1000').expect(400);
+    });
+  });
+
+  describe('GraphQL', () => {
+    const graphql = (query, variables) => api.post('/graphql').send({ query, variables });
+
+    it('should create, toggle and query todos with only the requested fields', async () => {
+      const created = await graphql(
+        'mutation ($input: TodoInput!) { createTodo(input: $input) { id text priority tags } }',
+        { input: { text: 'GraphQL todo', priority: 'high', tags: ['gql'] } }
+      ).expect(200);
+      const { id } = created.body.data.createTodo;
+      expect(created.body.data.createTodo).toEqual({ id, text: 'GraphQL todo', priority: 'high', tags: ['gql'] });
+
+      const toggled = await graphql(`mutation { toggleTodo(id: ${id}) { completed version } }`).expect(200);
+      expect(toggled.body.data.toggleTodo).toEqual({ completed: true, version: 2 });
+
+      const response = await graphql('{ todos(tag: "gql", completed: true) { total items { id } } stats { total completed } }').expect(200);
+      expect(response.body.data.todos).toEqual({ total: 1, items: [{ id }] });
+      expect(response.body.data.stats.completed).toBeGreaterThan(0);
+
+      const rest = await api.get(`/api/todos/${id}`).expect(200);
+      expect(rest.body.data).toMatchObject({ text: 'GraphQL todo', completed: true });
+    });
+
+    it('should share validation and errors with the REST API', async () => {
+      const invalid = await graphql('mutation { createTodo(input: { text: "x", dueDate: "tomorrow" }) { id } }').expect(200);
+      expect(invalid.body.errors[0]).toMatchObject({
+        message: 'Validation failed',
+        extensions: { code: 'BAD_USER_INPUT', details: [{ field: 'dueDate' }] }
+      });
+
+      const missing = await graphql('mutation { deleteTodo(id: 99999) { id } }');
+      expect(missing.body.errors[0].extensions.code).toBe('NOT_FOUND');
+
+      const parent = (await api.post('/api/todos').send({ text: 'GraphQL parent' })).body.data;
+      await api.post('/api/todos').send({ text: 'GraphQL child', parentId: parent.id });
+      const conflict = await graphql(`mutation { deleteTodo(id: ${parent.id}) { id } }`);
+      expect(conflict.body.errors[0].extensions.code).toBe('CONFLICT');
+      const deleted = await graphql(`mutation { deleteTodo(id: ${parent.id}, cascade: true) { id deletedAt } }`).expect(200);
+      expect(deleted.body.data.deleteTodo.deletedAt).not.toBeNull();
+    });
+
+    it('should reject invalid and overly deep queries', async () => {
+      await graphql('{ todos { nope } }').expect(400);
+      await request(app).post('/graphql').send({ query: '{ stats { total } }' }).expect(401);
+
+      const nested = '{ todo(id: 1) { children { children { children { children { children { children { children { children { id } } } } } } } } } }';
+      const response = await graphql(nested).expect(400);
+      expect(response.body.errors.map(error => error.extensions.code)).toContain('QUERY_TOO_DEEP');
+
+      await api.get('/graphql').query({ query: 'mutation { toggleTodo(id: 1) { id } }' }).expect(405);
+    });
+  });
+
+  describe('API v2', () => {
+    const expectProblem = (response, type, status) => {
+      expect(response.status).toBe(status);
+      expect(response.headers['content-type']).toMatch(/^application\/problem\+json/);
+      expect(response.body).toMatchObject({ type: `/api/v2/problems/${type}`, status });
+      expect(response.body.instance).toBe(response.req.path);
+      expect(response.body.traceId).toBe(response.headers['x-request-id']);
+    };
+
+    it('should create, read, update and delete todos without an envelope', async () => {
+      const created = await api.post('/api/v2/todos').send({ text: 'Version two', tags: ['v2'] }).expect(201);
+      expect(created.body).toMatchObject({ text: 'Version two', tags: ['v2'], version: 1 });
+      expect(created.body.success).toBeUndefined();
+      expect(created.headers.location).toBe(`/api/v2/todos/${created.body.id}`);
+
+      const fetched = await api.get(created.headers.location).expect(200);
+      expect(fetched.body.id).toBe(created.body.id);
+      expect(fetched.headers.etag).toBe('"1"');
+
+      const list = await api.get('/api/v2/todos?tag=v2&limit=1').expect(200);
+      expect(list.body).toEqual([expect.objectContaining({ id: created.body.id })]);
+      expect(list.headers['x-total-count']).toBe('1');
+      expect(list.headers.link).toContain('rel="first"');
+
+      const patched = await api.patch(created.headers.location).set('If-Match', '"1"').send({ completed: true }).expect(200);
+      expect(patched.body).toMatchObject({ completed: true, text: 'Version two', version: 2 });
+
+      const stale = await api.patch(created.headers.location).set('If-Match', '"1"').send({ text: 'Stale' });
+      expectProblem(stale, 'version-mismatch', 412);
+      expect(stale.body.current.version).toBe(2);
+
+      await api.delete(created.headers.location).expect(204);
+      expectProblem(await api.get(created.headers.location), 'not-found', 404);
+
+      const stats = await api.get('/api/v2/stats').expect(200);
+      expect(stats.body.total).toEqual(expect.any(Number));
+    });
+
+    it('should report errors as problem details', async () => {
+      const invalid = await api.post('/api/v2/todos').send({ text: '', dueDate: 'tomorrow' });
+      expectProblem(invalid, 'validation-failed', 400);
+      expect(invalid.body.errors).toEqual(expect.arrayContaining([
+        expect.objectContaining({ field: 'text', pointer: '/text' }),
+        expect.objectContaining({ field: 'dueDate', pointer: '/dueDate' })
+      ]));
+
+      expectProblem(await api.get('/api/v2/todos?limit=0'), 'invalid-parameter', 400);
+      expectProblem(await request(app).get('/api/v2/todos'), 'unauthorized', 401);
+      expectProblem(await api.get('/api/v2/nothing-here'), 'not-found', 404);
+
+      const malformed = await api.post('/api/v2/todos').set('Content-Type', 'application/json').send('{"text":');
+      expectProblem(malformed, 'bad-request', 400);
+
+      const parent = (await api.post('/api/v2/todos').send({ text: 'v2 parent' })).body;
+      await api.post('/api/v2/todos').send({ text: 'v2 child', parentId: parent.id });
+      const conflict = await api.delete(`/api/v2/todos/${parent.id}`);
+      expectProblem(conflict, 'has-subtasks', 409);
+      await api.delete(`/api/v2/todos/${parent.id}?cascade=true`).expect(204);
+
+      const traced = await api.get('/api/v2/todos/99999').set('X-Request-Id', 'trace-123');
+      expect(traced.body.traceId).toBe('trace-123');
+
+      const catalogue = await request(app).get('/api/v2/problems/has-subtasks').expect(200);
+      expect(catalogue.body).toMatchObject({ status: 409, title: 'Todo has subtasks' });
+    });
+
+    it('should keep v1 unchanged but mark it deprecated', async () => {
+      const response = await api.get('/api/todos').expect(200);
+      expect(response.body.success).toBe(true);
+      expect(response.headers.deprecation).toBe(`@${Date.parse('2026-10-19T00:00:00Z') / 1000}`);
+      expect(new Date(response.headers.sunset).getTime()).toBeGreaterThan(Date.now());
+
+      const missing = await api.get('/api/todos/99999').expect(404);
+      expect(missing.body).toEqual({ success: false, error: 'Todo not found' });
+      expect(missing.headers['content-type']).toMatch(/^application\/json/);
+
+      const other = await api.get('/api/nothing-here').expect(404);
+      expect(other.body).toEqual({ success: false, error: 'Route not found' });
+    });
+  });
+
+  describe('DELETE /api/todos/completed', () => {
+    it('should delete only completed todos', async () => {
+      const created = await api.post('/api/todos').send({ text: 'Completed and cleared' });
+      await api.put(`/api/todos/${created.body.data.id}`).send({ completed: true });
+
+      const response = await api
+        .delete('/api/todos/completed')
+        .expect(200);
+
+      expect(response.body).toHaveProperty('success', true);
+      expect(response.body.data.every(todo => todo.completed)).toBe(true);
+      expect(response.body.data.map(todo => todo.id)).toContain(created.body.data.id);
+
+      const remaining = await api.get('/api/todos?completed=true');
+      expect(remaining.body.data).toHaveLength(0);
+    });
+  });
+
   describe('GET /api/stats', () => {
     it('should return todo statistics', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/stats')
         .expect(200);
-      
+
       expect(response.body).toHaveProperty('success', true);
       expect(response.body.data).toHaveProperty('total');
       expect(response.body.data).toHaveProperty('completed');
       expect(response.body.data).toHaveProperty('pending');
       expect(response.body.data).toHaveProperty('completion_rate');
+      expect(response.body.data).toHaveProperty('overdue');
+      expect(Object.keys(response.body.data.by_priority)).toEqual(['low', 'medium', 'high']);
+      expect(response.body.data.by_list[0]).toMatchObject({ id: null, name: 'No list' });
+    });
+  });
+
+  describe('Tracing', () => {
+    const spans = app.locals.traceExporter.spans;
+    const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+
+    it('should join the caller\'s trace and add spans for validation, storage and serialization', async () => {
+      const todo = (await api.post('/api/todos').send({ text: 'Find the slow part' }).expect(201)).body.data;
+      await api
+        .put(`/api/todos/${todo.id}`)
+        .set('traceparent', `00-${traceId}-00f067aa0ba902b7-01`)
+        .set('tracestate', 'congo=t61rcWkgMzE')
+        .send({ text: 'Found the slow part' })
+        .expect(200);
+
+      const trace = spans.filter(span => span.traceId === traceId);
+      const server = trace.find(span => span.kind === 'server');
+      expect(server).toMatchObject({
+        name: 'PUT /api/todos/:id',
+        parentSpanId: '00f067aa0ba902b7',
+        traceState: 'congo=t61rcWkgMzE',
+        attributes: { 'http.route': '/api/todos/:id', 'http.response.status_code': 200 }
+      });
+      const children = trace.filter(span => span.parentSpanId === server.spanId).map(span => span.name);
+      expect(children).toEqual(expect.arrayContaining(['validate request', 'validate todo', 'todos.transaction', 'serialize response']));
+      const transaction = trace.find(span => span.name === 'todos.transaction');
+      expect(trace.find(span => span.name === 'todos.update').parentSpanId).toBe(transaction.spanId);
+    });
+
+    it('should start a new trace for invalid parents and record nothing the caller did not sample', async () => {
+      const invalid = await api.get('/api/todos').set('traceparent', `00-${'0'.repeat(32)}-00f067aa0ba902b7-01`).expect(200);
+      const server = spans.find(span => span.attributes['request.id'] === invalid.headers['x-request-id']);
+      expect(server.traceId).not.toBe('0'.repeat(32));
+      expect(server.parentSpanId).toBeUndefined();
+
+      const unsampled = 'a'.repeat(32);
+      const response = await api.get('/api/todos').set('traceparent', `00-${unsampled}-00f067aa0ba902b7-00`).expect(200);
+      expect(spans.filter(span => span.traceId === unsampled)).toEqual([]);
+      expect(spans.find(span => span.attributes['request.id'] === response.headers['x-request-id'])).toBeUndefined();
     });
   });
 
   describe('GET /metrics', () => {
     it('should return prometheus-style metrics', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/metrics')
         .expect(200);
-      
+
       expect(response.type).toBe('text/plain');
       expect(response.text).toContain('todos_total');
       expect(response.text).toContain('todos_completed');
       expect(response.text).toContain('todos_pending');
       expect(response.text).toContain('app_uptime_seconds');
+      expect(response.text).toContain('todos_list_total{list_id="none"}');
+    });
+
+    it('should type todo counts as gauges and count requests by route template', async () => {
+      const todo = (await api.post('/api/todos').send({ text: 'Measure me' })).body.data;
+      await api.put(`/api/todos/${todo.id}`).send({ completed: true }).expect(200);
+
+      const response = await request(app).get('/metrics').expect(200);
+      expect(response.headers['content-type']).toMatch(/version=0\.0\.4/);
+      expect(response.text).toContain('# TYPE todos_total gauge');
+      expect(response.text).toContain('# TYPE todos_pending gauge');
+      expect(response.text).toMatch(/^todos_created_total [1-9]\d*$/m);
+      expect(response.text).toMatch(/^todos_completions_total [1-9]\d*$/m);
+      expect(response.text).toMatch(/^http_requests_total\{method="PUT",route="\/api\/todos\/:id",status="200"\} [1-9]\d*$/m);
+      expect(response.text).toContain('http_request_duration_seconds_bucket{method="PUT",route="/api/todos/:id",status="200",le="+Inf"}');
+      expect(response.text).toMatch(/^process_resident_memory_bytes \d+$/m);
+      expect(response.text).toMatch(/^nodejs_eventloop_lag_p99_seconds /m);
+      expect(response.text).not.toContain(`/api/todos/${todo.id}"`);
+    });
+
+    it('should serve OpenMetrics to scrapers that ask for it', async () => {
+      const response = await request(app)
+        .get('/metrics')
+        .set('Accept', 'application/openmetrics-text;version=1.0.0,text/plain;version=0.0.4;q=0.5,*/*;q=0.1')
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/^application\/openmetrics-text/);
+      expect(response.text).toContain('# TYPE todos_created counter\ntodos_created_total ');
+      expect(response.text).toContain('le="1.0"}');
+      expect(response.text.endsWith('\n# EOF\n')).toBe(true);
+    });
+  });
+
+  describe('GET /api/admin/config', () => {
+    it('should show the active configuration, with secrets redacted, only to the admin token', async () => {
+      await request(app).get('/api/admin/config').expect(403);
+      await request(app).get('/api/admin/config').set('X-Admin-Token', 'guess').expect(403);
+
+      const response = await request(app).get('/api/admin/config').set('X-Admin-Token', 'admin-secret').expect(200);
+      const { env, settings, sources } = response.body.data;
+      expect(env).toBe('test');
+      expect(settings.rateLimit).toEqual({ windowMs: 15 * 60 * 1000, max: 10000 });
+      expect(settings.health.token).toBe('[REDACTED]');
+      expect(settings.admin.token).toBe('[REDACTED]');
+      expect(settings.tracing.tracesEndpoint).toBeNull();
+      expect(sources).toMatchObject({
+        'rateLimit.max': 'env:RATE_LIMIT_MAX',
+        'rateLimit.windowMs': 'default',
+        'logging.level': 'file:config/test.json'
+      });
+      expect(JSON.stringify(response.body)).not.toContain('secret');
+    });
+  });
+
+  describe('Request validation', () => {
+    const expectStatus = async (response, status) => {
+      expect({ status: response.status, body: response.body }).toMatchObject({ status });
+      return response.body;
+    };
+
+    it('should reject malformed todo requests with 400, 404 or 409', async () => {
+      const todo = (await api.post('/api/todos').send({ text: 'Validate me' }).expect(201)).body.data;
+      await api.post('/api/todos').send({ text: 'Validation child', parentId: todo.id }).expect(201);
+
+      await expectStatus(await api.put(`/api/todos/${todo.id}`).send({ priority: 'urgent' }), 400);
+      await expectStatus(await api.put(`/api/todos/${todo.id}`).send({ listId: 99999 }), 400);
+      await expectStatus(await api.get('/api/todos?sort=colour'), 400);
+      await expectStatus(await api.get(`/api/todos/${todo.id}?include=parents`), 400);
+      await expectStatus(await api.post(`/api/todos/${todo.id}/skip`), 409);
+      await expectStatus(await api.put(`/api/todos/${todo.id}/series`).send({ text: 'Not a series' }), 409);
+      await expectStatus(await api.post(`/api/todos/${todo.id}/revert`).send({ version: 'x' }), 400);
+      await expectStatus(await api.post('/api/todos/99999/revert').send({ version: 1 }), 404);
+      await expectStatus(await api.delete(`/api/trash/${todo.id}`), 404);
+    });
+
+    it('should reject recurring series changes to fixed or invalid fields', async () => {
+      const todo = (await api.post('/api/todos').send({ text: 'Series', dueDate: '2030-01-07', recurrence: 'FREQ=DAILY' }).expect(201)).body.data;
+
+      await expectStatus(await api.put(`/api/todos/${todo.id}/series`).send({ dueDate: '2030-02-01' }), 400);
+      await expectStatus(await api.put(`/api/todos/${todo.id}/series`).send({ priority: 'urgent' }), 400);
+    });
+
+    it('should reject batches with malformed operations', async () => {
+      const parent = (await api.post('/api/todos').send({ text: 'Batch parent' }).expect(201)).body.data;
+      await api.post('/api/todos').send({ text: 'Batch child', parentId: parent.id }).expect(201);
+      const batch = (operations) => api.post('/api/todos/batch').send({ operations });
+
+      await expectStatus(await batch([]), 400);
+      await expectStatus(await batch([null]), 400);
+      await expectStatus(await batch([{ op: 'update', completed: true }]), 400);
+      await expectStatus(await batch([{ op: 'delete' }]), 400);
+      await expectStatus(await batch([{ op: 'rename', id: parent.id }]), 400);
+      await expectStatus(await batch([{ op: 'create', text: 'Orphan', parentId: 99999 }]), 400);
+      await expectStatus(await batch([{ op: 'update', id: parent.id, listId: 99999 }]), 400);
+      await expectStatus(await batch([{ op: 'delete', id: parent.id }]), 409);
+    });
+
+    it('should reject malformed list, search, import and export requests', async () => {
+      const list = (await api.post('/api/lists').send({ name: 'Validation list' }).expect(201)).body.data;
+      await api.post('/api/lists').send({ name: 'Validation other' }).expect(201);
+
+      await expectStatus(await api.post('/api/lists').send({ name: '' }), 400);
+      await expectStatus(await api.put(`/api/lists/${list.id}`).send({ name: '' }), 400);
+      await expectStatus(await api.put(`/api/lists/${list.id}`).send({ name: 'Validation other' }), 409);
+      await expectStatus(await api.put('/api/lists/99999').send({ name: 'Gone' }), 404);
+      await expectStatus(await api.delete('/api/lists/99999'), 404);
+      await expectStatus(await api.get('/api/search'), 400);
+      await expectStatus(await api.get('/api/search?q=x&limit=0'), 400);
+      await expectStatus(await api.get('/api/export?format=csv&sort=colour'), 400);
+
+      const importCsv = (query, body) => api.post(`/api/import${query}`).set('Content-Type', 'text/csv').send(body);
+      await expectStatus(await api.post('/api/import').set('Content-Type', 'text/plain').send('text'), 400);
+      await expectStatus(await importCsv('?duplicates=merge', 'text\nA'), 400);
+      await expectStatus(await importCsv('?dryRun=maybe', 'text\nA'), 400);
+      await expectStatus(await importCsv('?listId=99999', 'text\nA'), 400);
+      await expectStatus(await importCsv('', 'text\n'), 400);
+      await expectStatus(await importCsv('', 'name\nA'), 400);
+    });
+
+    it('should reject malformed webhook, GraphQL and v2 requests', async () => {
+      const webhook = (await api.post('/api/webhooks').send({ url: 'http://127.0.0.1:9/hook', events: ['todo.created'] }).expect(201)).body.data;
+      await expectStatus(await api.put(`/api/webhooks/${webhook.id}`).send({ events: ['todo.exploded'] }), 400);
+      await expectStatus(await api.post(`/api/webhooks/${webhook.id}/deliveries/99999/redeliver`), 404);
+
+      const todo = (await api.post('/api/todos').send({ text: 'GraphQL validation' }).expect(201)).body.data;
+      const graphql = async (query) => (await api.post('/graphql').send({ query })).body.errors[0].extensions.code;
+      expect(await graphql(`mutation { updateTodo(id: ${todo.id}, input: { text: "Stale" }, expectedVersion: 99) { id } }`)).toBe('CONFLICT');
+      expect(await graphql('{ todos(cursor: "bogus") { total } }')).toBe('BAD_USER_INPUT');
+
+      expect((await api.get('/api/v2/problems/no-such-type').expect(404)).body.title).toBeDefined();
+      await api.get(`/api/v2/todos/${todo.id}?include=parents`).expect(400);
+      await api.patch(`/api/v2/todos/${todo.id}`).send({ priority: 'urgent' }).expect(400);
     });
   });
 
   describe('Error handling', () => {
     it('should return 404 for non-existent routes', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/nonexistent')
         .expect(404);
-      
+
       expect(response.body).toHaveProperty('success', false);
       expect(response.body).toHaveProperty('error', 'Route not found');
     });
+
+    it('should answer 500 without details when storage fails', async () => {
+      const todo = (await api.post('/api/todos').send({ text: 'Storage failure' }).expect(201)).body.data;
+      const list = (await api.post('/api/lists').send({ name: 'Storage failure' }).expect(201)).body.data;
+      const failure = new Error('disk on fire');
+      const spies = ['create', 'update', 'delete'].map(method =>
+        jest.spyOn(MemoryRepository.prototype, method).mockRejectedValue(failure));
+      const write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+
+      try {
+        const requests = [
+          () => api.post('/api/todos').send({ text: 'Never stored' }),
+          () => api.put(`/api/todos/${todo.id}`).send({ text: 'Never changed' }),
+          () => api.delete(`/api/todos/${todo.id}`),
+          () => api.post('/api/todos/batch').send({ operations: [{ op: 'create', text: 'Never stored' }] }),
+          () => api.post('/api/lists').send({ name: 'Never stored' }),
+          () => api.put(`/api/lists/${list.id}`).send({ name: 'Never renamed' }),
+          () => api.delete(`/api/lists/${list.id}`),
+          () => api.post('/api/import').set('Content-Type', 'text/csv').send('text\nNever imported'),
+          () => api.post('/api/webhooks').send({ url: 'http://127.0.0.1:9/hook' }),
+          () => api.post('/api/v2/todos').send({ text: 'Never stored' }),
+          () => api.patch(`/api/v2/todos/${todo.id}`).send({ text: 'Never changed' }),
+          () => api.delete(`/api/v2/todos/${todo.id}`)
+        ];
+        for (const send of requests) {
+          const response = await send();
+          expect({ path: response.req.path, status: response.status }).toEqual({ path: response.req.path, status: 500 });
+          expect(JSON.stringify(response.body)).not.toContain('disk on fire');
+        }
+      } finally {
+        write.mockRestore();
+        spies.forEach(spy => spy.mockRestore());
+      }
+
+      await api.get(`/api/todos/${todo.id}`).expect(200);
+    });
   });
-});
\ No newline at end of file
+});
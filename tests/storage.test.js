@@ -0,0 +1,278 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createRepository,
+  createStorage,
+  adoptUnowned,
+  scopeRepository,
+  trashRepository,
+  MemoryRepository,
+  FileRepository
+} = require('../lib/storage');
+const { auditRepository } = require('../lib/audit');
+
+describe('Todo Storage', () => {
+  describe('createStorage', () => {
+    it('should default to the memory backend', () => {
+      expect(createStorage()).toBeInstanceOf(MemoryRepository);
+      expect(createStorage().name).toBe('memory');
+    });
+
+    it('should reject unknown drivers', () => {
+      expect(() => createStorage({ driver: 'mongo' })).toThrow('Unknown storage driver: mongo');
+    });
+  });
+
+  describe('MemoryRepository', () => {
+    let storage;
+
+    beforeEach(() => {
+      storage = new MemoryRepository({ seed: [{ text: 'Seeded', completed: false }] });
+    });
+
+    it('should list seeded todos with generated ids', async () => {
+      const todos = await storage.list();
+      expect(todos).toEqual([{ id: 1, text: 'Seeded', completed: false, version: 1 }]);
+    });
+
+    it('should create, update and delete todos', async () => {
+      const created = await storage.create({ text: 'New', completed: false });
+      expect(created.id).toBe(2);
+
+      const updated = await storage.update(created.id, { completed: true });
+      expect(updated).toEqual({ id: 2, text: 'New', completed: true, version: 2 });
+
+      const deleted = await storage.delete('2');
+      expect(deleted).toEqual(updated);
+      expect(await storage.get(2)).toBeNull();
+    });
+
+    it('should return null for missing todos', async () => {
+      expect(await storage.get(99)).toBeNull();
+      expect(await storage.update(99, { text: 'x' })).toBeNull();
+      expect(await storage.delete(99)).toBeNull();
+    });
+
+    it('should commit transactions as a unit', async () => {
+      await storage.transaction(async (repo) => {
+        await repo.create({ text: 'In transaction' });
+        await repo.delete(1);
+      });
+
+      expect((await storage.list()).map(todo => todo.text)).toEqual(['In transaction']);
+    });
+
+    it('should roll back transactions that throw', async () => {
+      await expect(storage.transaction(async (repo) => {
+        await repo.create({ text: 'Rolled back' });
+        await repo.update(1, { text: 'Changed' });
+        throw new Error('abort');
+      })).rejects.toThrow('abort');
+
+      expect(await storage.list()).toEqual([{ id: 1, text: 'Seeded', completed: false, version: 1 }]);
+      expect((await storage.create({ text: 'Next' })).id).toBe(2);
+    });
+
+    it('should not expose internal state to callers', async () => {
+      const todo = await storage.get(1);
+      todo.text = 'Mutated';
+      expect((await storage.get(1)).text).toBe('Seeded');
+    });
+  });
+
+  describe('scopeRepository', () => {
+    let storage;
+    let alice;
+
+    beforeEach(async () => {
+      storage = new MemoryRepository();
+      await storage.create({ text: 'Bob todo', ownerId: 2 });
+      alice = scopeRepository(storage, 1);
+    });
+
+    it('should stamp and only expose records of its owner', async () => {
+      const created = await alice.create({ text: 'Alice todo' });
+      expect(created).toHaveProperty('ownerId', 1);
+
+      expect((await alice.list()).map(todo => todo.text)).toEqual(['Alice todo']);
+      expect(await alice.get(1)).toBeNull();
+      expect(await alice.update(1, { text: 'Hijacked' })).toBeNull();
+      expect(await alice.delete(1)).toBeNull();
+      expect((await storage.get(1)).text).toBe('Bob todo');
+    });
+
+    it('should stay scoped inside transactions', async () => {
+      const visible = await alice.transaction(repo => repo.list());
+      expect(visible).toEqual([]);
+    });
+  });
+
+  describe('trashRepository', () => {
+    let storage;
+    let todos;
+
+    beforeEach(async () => {
+      storage = new MemoryRepository();
+      todos = trashRepository(storage);
+      await todos.create({ text: 'Keep me' });
+      await todos.create({ text: 'Trash me' });
+    });
+
+    it('should hide trashed records until they are restored', async () => {
+      const trashed = await todos.delete(2);
+      expect(trashed.deletedAt).toBeInstanceOf(Date);
+
+      expect((await todos.list()).map(todo => todo.text)).toEqual(['Keep me']);
+      expect(await todos.get(2)).toBeNull();
+      expect(await todos.update(2, { text: 'Changed' })).toBeNull();
+      expect((await todos.listDeleted()).map(todo => todo.id)).toEqual([2]);
+
+      const restored = await todos.restore(2);
+      expect(restored.deletedAt).toBeNull();
+      expect(await todos.get(2)).toMatchObject({ text: 'Trash me' });
+      expect(await todos.restore(2)).toBeNull();
+    });
+
+    it('should only purge records trashed before the cutoff', async () => {
+      await todos.delete(1, new Date('2030-01-01'));
+      await todos.delete(2, new Date('2030-02-01'));
+
+      const purged = await todos.purgeDeletedBefore(new Date('2030-01-15'));
+      expect(purged.map(todo => todo.id)).toEqual([1]);
+      expect(await storage.get(1)).toBeNull();
+      expect(await todos.getDeleted(2)).not.toBeNull();
+    });
+  });
+
+  describe('auditRepository', () => {
+    let log;
+    let todos;
+
+    beforeEach(() => {
+      log = new MemoryRepository();
+      todos = auditRepository(new MemoryRepository(), { log, actor: { username: 'alice' } });
+    });
+
+    it('should record each change with the fields that changed', async () => {
+      const created = await todos.create({ text: 'Draft', completed: false });
+      await todos.update(created.id, { completed: true, updatedAt: new Date() });
+      await todos.delete(created.id);
+
+      const entries = await log.list();
+      expect(entries.map(entry => [entry.action, entry.recordVersion])).toEqual([['create', 1], ['update', 2], ['purge', 2]]);
+      expect(entries[1].changes).toEqual({ completed: { from: false, to: true } });
+      expect(entries[1].actor).toEqual({ username: 'alice' });
+    });
+
+    it('should not record changes from a rolled-back transaction', async () => {
+      await expect(todos.transaction(async (repo) => {
+        await repo.create({ text: 'Rolled back' });
+        throw new Error('boom');
+      })).rejects.toThrow('boom');
+
+      expect(await log.list()).toEqual([]);
+    });
+  });
+
+  describe('createRepository', () => {
+    it('should keep each collection in its own file', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-storage-'));
+      try {
+        expect(createRepository('users', { driver: 'file', dir }).file).toBe(path.join(dir, 'users.jsonl'));
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('FileRepository', () => {
+    let dir;
+    let file;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-storage-'));
+      file = path.join(dir, 'nested', 'todos.jsonl');
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should persist todos across instances', async () => {
+      const first = createStorage({ driver: 'file', dir: path.dirname(file) });
+      expect(first).toBeInstanceOf(FileRepository);
+      expect(first.name).toBe('file');
+      expect(first.file).toBe(file);
+
+      const created = await first.create({ text: 'Persist me', completed: false, createdAt: new Date() });
+      await first.update(created.id, { completed: true });
+
+      const second = createStorage({ driver: 'file', dir: path.dirname(file) });
+      const todo = await second.get(created.id);
+      expect(todo).toHaveProperty('text', 'Persist me');
+      expect(todo).toHaveProperty('completed', true);
+      expect(todo).toHaveProperty('version', 2);
+      expect(todo.createdAt).toBeInstanceOf(Date);
+    });
+
+    it('should never reuse ids after a restart', async () => {
+      const first = new FileRepository({ file });
+      await first.create({ text: 'One' });
+      const two = await first.create({ text: 'Two' });
+      await first.delete(two.id);
+
+      const second = new FileRepository({ file });
+      expect(await second.list()).toHaveLength(1);
+      const three = await second.create({ text: 'Three' });
+      expect(three.id).toBe(3);
+    });
+
+    it('should only write committed transactions', async () => {
+      const first = new FileRepository({ file });
+      await first.create({ text: 'Kept' });
+      await expect(first.transaction(async (repo) => {
+        await repo.create({ text: 'Discarded' });
+        throw new Error('abort');
+      })).rejects.toThrow('abort');
+
+      const second = new FileRepository({ file });
+      expect((await second.list()).map(todo => todo.text)).toEqual(['Kept']);
+    });
+
+    it('should load todo files written before accounts and hand them to an owner', async () => {
+      const legacyFile = path.join(dir, 'legacy.jsonl');
+      fs.writeFileSync(legacyFile, [
+        '{"op":"put","todo":{"id":1,"text":"Old","completed":false,"createdAt":"2026-01-01T00:00:00.000Z","updatedAt":"2026-01-01T00:00:00.000Z","dueDate":null}}',
+        '{"op":"put","todo":{"id":2,"text":"Gone","completed":false,"createdAt":"2026-01-02T00:00:00.000Z"}}',
+        '{"op":"delete","id":2}',
+        ''
+      ].join('\n'));
+
+      process.env.STORAGE_FILE = legacyFile;
+      let storage;
+      try {
+        storage = createStorage({ driver: 'file' });
+      } finally {
+        delete process.env.STORAGE_FILE;
+      }
+      expect(storage.file).toBe(legacyFile);
+      const [todo] = await storage.list();
+      expect(todo).toMatchObject({ id: 1, text: 'Old' });
+      expect(todo.createdAt).toBeInstanceOf(Date);
+      expect(await scopeRepository(storage, 7).list()).toEqual([]);
+
+      expect((await adoptUnowned(storage, 7)).map(record => record.id)).toEqual([1]);
+      expect(await adoptUnowned(storage, 8)).toEqual([]);
+      const reloaded = createStorage({ driver: 'file', file: legacyFile });
+      expect(await scopeRepository(reloaded, 7).get(1)).toMatchObject({ text: 'Old', ownerId: 7 });
+      expect((await reloaded.create({ text: 'New' })).id).toBe(3);
+    });
+
+    it('should fail loudly on a corrupt file', () => {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, '{"op":"put","record":{"id":1}}\nnot json\n');
+      expect(() => new FileRepository({ file })).toThrow(/line 2/);
+    });
+  });
+});
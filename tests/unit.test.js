@@ -1,15 +1,51 @@
 // Unit tests for utility functions and logic
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { parseListQuery, filterTodos, sortTodos, queryTodos } = require('../lib/todo-query');
+const { validateTodoInput, isOverdue } = require('../lib/todo-schema');
+const { validateListInput } = require('../lib/list-schema');
+const { diffRecords, stateAt, parseAuditQuery } = require('../lib/audit');
+const { createEventBus } = require('../lib/events');
+const { validateWebhookInput } = require('../lib/webhook-schema');
+const { signPayload, createWebhookDispatcher } = require('../lib/webhooks');
+const { openApiSpec } = require('../lib/openapi');
+const { validateSchema, createResponseValidator } = require('../lib/openapi-validator');
+const { FORMATS, FORMAT_NAMES } = require('../lib/todo-formats');
+const { createGraphQLSchema, prepareQuery } = require('../lib/graphql');
+const { fieldPointer, bodyErrors, buildProblem } = require('../lib/problems');
+const { parseRecurrence, nextOccurrence, advanceRecurrence, toRRule } = require('../lib/recurrence');
+const { MemoryRepository } = require('../lib/storage');
+const { createManualClock } = require('../lib/clock');
+const { createScheduler } = require('../lib/scheduler');
+const { reminderTime, createReminders, createLogChannel } = require('../lib/reminders');
+const { stem } = require('../lib/stemmer');
+const { tokenize, parseSearchQuery, createSearchIndex } = require('../lib/search');
+const { DEFAULT_TYPES, isAllowedType, cleanFilename, createAttachmentStore } = require('../lib/attachments');
+const { createRegistry } = require('../lib/metrics');
+const { REDACTED, createLogger, withLogContext, redactUrl } = require('../lib/logger');
+const { createHealthChecks, summarizeHealth, tokenMatches, eventLoopCheck, memoryCheck } = require('../lib/health');
+const {
+  parseTraceparent, formatTraceparent, parseTracestate, createSampler, createTracer, createMemoryExporter, createOtlpExporter
+} = require('../lib/tracing');
+const { loadConfig, redactConfig } = require('../lib/config');
+const { planImport, summarizeImport } = require('../lib/todo-import');
+const { descendantsOf, checkParent, isParentReady } = require('../lib/todo-tree');
+
 describe('Todo Application Unit Tests', () => {
-  
   describe('Input Validation', () => {
     const validateTodo = (text) => text && typeof text === 'string' && text.trim().length > 0;
-    
+
     it('should validate correct todo text', () => {
       expect(validateTodo('Valid todo text')).toBe(true);
       expect(validateTodo('  Valid with spaces  ')).toBe(true);
       expect(validateTodo('123')).toBe(true);
     });
-    
+
     it('should reject invalid todo text', () => {
       expect(validateTodo('')).toBe(false);
       expect(validateTodo('   ')).toBe(false);
@@ -19,28 +55,961 @@ describe('Todo Application Unit Tests', () => {
       expect(validateTodo({})).toBe(false);
     });
   });
-  
+
+  describe('Todo Schema Validation', () => {
+    it('should require text on create but not on update', () => {
+      expect(validateTodoInput({}).errors).toEqual([{ field: 'text', message: 'text is required' }]);
+      expect(validateTodoInput({}, { partial: true }).errors).toEqual([]);
+    });
+
+    it('should normalize valid fields', () => {
+      const { value, errors } = validateTodoInput({
+        text: '  Ship it  ',
+        completed: true,
+        dueDate: '2030-06-01T09:00:00Z',
+        tags: ['a', 'a', ' b ']
+      });
+
+      expect(errors).toEqual([]);
+      expect(value.text).toBe('Ship it');
+      expect(value.dueDate).toEqual(new Date('2030-06-01T09:00:00Z'));
+      expect(value.tags).toEqual(['a', 'b']);
+    });
+
+    it('should reject unknown fields and bad values', () => {
+      const { errors } = validateTodoInput({ text: 'x', completed: 'yes', notes: 42, extra: 1 });
+      expect(errors.map(error => error.field)).toEqual(['completed', 'notes', 'extra']);
+    });
+
+    it('should only consider pending todos with a past due date overdue', () => {
+      const now = new Date('2030-01-02T00:00:00Z');
+      expect(isOverdue({ completed: false, dueDate: new Date('2030-01-01') }, now)).toBe(true);
+      expect(isOverdue({ completed: true, dueDate: new Date('2030-01-01') }, now)).toBe(false);
+      expect(isOverdue({ completed: false, dueDate: null }, now)).toBe(false);
+      expect(isOverdue({ completed: false, dueDate: new Date('2030-01-03') }, now)).toBe(false);
+    });
+
+    it('should validate list names', () => {
+      expect(validateListInput({ name: '  Sprint  ' })).toEqual({ value: { name: 'Sprint' }, errors: [] });
+      expect(validateListInput({}).errors).toEqual([{ field: 'name', message: 'name is required' }]);
+      expect(validateListInput({ name: 'x'.repeat(51), color: 'red' }).errors.map(error => error.field))
+        .toEqual(['color', 'name']);
+    });
+  });
+
+  describe('Subtask Hierarchy', () => {
+    const todos = [
+      { id: 1, text: 'Root', completed: false, parentId: null },
+      { id: 2, text: 'Child', completed: true, parentId: 1 },
+      { id: 3, text: 'Grandchild', completed: false, parentId: 2 },
+      { id: 4, text: 'Other root', completed: false, parentId: null }
+    ];
+
+    it('should collect descendants at every depth', () => {
+      expect(descendantsOf(todos, 1).map(todo => todo.id)).toEqual([2, 3]);
+      expect(descendantsOf(todos, 4)).toEqual([]);
+    });
+
+    it('should reject parents that would create a cycle', () => {
+      expect(checkParent(todos, 1, 3)).toMatch(/cannot be nested/);
+      expect(checkParent(todos, 1, 1)).toMatch(/cannot be nested/);
+      expect(checkParent(todos, 3, 4)).toBeNull();
+      expect(checkParent(todos, null, 99)).toBe('Parent todo not found');
+    });
+
+    it('should only mark a parent ready when all children are completed', () => {
+      expect(isParentReady(todos, 1)).toBe(true);
+      expect(isParentReady(todos, 2)).toBe(false);
+      expect(isParentReady(todos, 4)).toBe(false);
+    });
+  });
+
+  describe('Todo History', () => {
+    const history = [
+      { id: 1, recordVersion: 1, changes: { text: { from: null, to: 'Draft' }, completed: { from: null, to: false } } },
+      { id: 2, recordVersion: 2, changes: { text: { from: 'Draft', to: 'Final' } } },
+      { id: 3, recordVersion: 3, changes: { completed: { from: false, to: true } } }
+    ];
+
+    it('should diff only the fields that changed', () => {
+      const before = { id: 1, version: 1, text: 'a', tags: ['x'], updatedAt: 1 };
+      const after = { id: 1, version: 2, text: 'a', tags: ['x', 'y'], updatedAt: 2 };
+
+      expect(diffRecords(before, after)).toEqual({ tags: { from: ['x'], to: ['x', 'y'] } });
+      expect(diffRecords(null, { id: 1, text: 'a' })).toEqual({ text: { from: null, to: 'a' } });
+    });
+
+    it('should rebuild a todo as it was at a version', () => {
+      expect(stateAt(history, 2)).toEqual({ text: 'Final', completed: false });
+      expect(stateAt(history, 3)).toEqual({ text: 'Final', completed: true });
+      expect(stateAt(history, 4)).toBeNull();
+    });
+
+    it('should validate audit filters', () => {
+      expect(parseAuditQuery({ todoId: '3', action: 'update' }).options).toMatchObject({ recordId: 3, action: 'update' });
+      expect(parseAuditQuery({ action: 'rename' }).error).toBeDefined();
+      expect(parseAuditQuery({ since: 'yesterday' }).error).toBeDefined();
+    });
+  });
+
+  describe('Event Bus', () => {
+    it('should only deliver events to subscribers of the same owner', () => {
+      const bus = createEventBus();
+      const received = [];
+      const unsubscribe = bus.subscribe(1, event => received.push(event.type));
+
+      bus.publish(1, 'todo.created', {});
+      bus.publish(2, 'todo.created', {});
+      unsubscribe();
+      bus.publish(1, 'todo.updated', {});
+
+      expect(received).toEqual(['todo.created']);
+      expect(bus.subscriberCount()).toBe(0);
+    });
+
+    it('should replay missed events or signal a gap', () => {
+      const bus = createEventBus({ historySize: 2, bootId: 'boot' });
+      bus.publish(1, 'a', {});
+      bus.publish(1, 'b', {});
+      expect(bus.publish(1, 'c', {}).id).toBe('boot-3');
+
+      expect(bus.since(1, 'boot-2').map(event => event.type)).toEqual(['c']);
+      expect(bus.since(1, 'boot-3')).toEqual([]);
+      expect(bus.since(1, 'boot-0')).toBeNull();
+      expect(bus.since(1, 'boot-10')).toBeNull();
+      expect(bus.since(1, '2')).toBeNull();
+    });
+
+    it('should ask for a resync with ids from before a restart', () => {
+      const before = createEventBus({ bootId: 'first' });
+      const stale = before.publish(1, 'a', {}).id;
+
+      const after = createEventBus({ bootId: 'second' });
+      ['a', 'b', 'c'].forEach(type => after.publish(1, type, {}));
+      expect(after.since(1, stale)).toBeNull();
+      expect(after.since(1, 'second-1').map(event => event.type)).toEqual(['b', 'c']);
+    });
+  });
+
+  describe('Authentication', () => {
+    it('should hash once for every refused login, whatever was wrong with it', async () => {
+      const scrypt = jest.spyOn(crypto, 'scrypt');
+      let auth;
+      // auth.js wraps crypto.scrypt when it loads, so it is loaded again with the spy in place
+      jest.isolateModules(() => {
+        auth = require('../lib/auth').createAuth({ users: new MemoryRepository(), sessions: new MemoryRepository() });
+      });
+
+      try {
+        await auth.register({ username: 'known', password: 'known-password' });
+        const hashesFor = async (credentials) => {
+          scrypt.mockClear();
+          expect(await auth.login(credentials)).toMatchObject({ status: 401 });
+          return scrypt.mock.calls.length;
+        };
+
+        await hashesFor({ username: 'unknown', password: 'warm-up' }); // also creates the dummy hash
+        expect(await hashesFor({ username: 'known', password: 'wrong-password' })).toBe(1);
+        expect(await hashesFor({ username: 'unknown', password: 'wrong-password' })).toBe(1);
+        expect(await hashesFor({ username: 'known', password: 12345678 })).toBe(1);
+        expect(await hashesFor({ username: 'known' })).toBe(1);
+      } finally {
+        scrypt.mockRestore();
+      }
+    });
+  });
+
+  describe('Webhooks', () => {
+    it('should require a url on create', () => {
+      expect(validateWebhookInput({ url: 'https://hooks.example.com/todos' })).toEqual({
+        value: { url: 'https://hooks.example.com/todos' },
+        errors: []
+      });
+      expect(validateWebhookInput({}).errors).toEqual([{ field: 'url', message: 'url is required' }]);
+      expect(validateWebhookInput({ events: [] }, { partial: true }).errors[0].field).toBe('events');
+    });
+
+    it('should sign the timestamp together with the body', () => {
+      const signature = signPayload('secret', 1700000000, '{"a":1}');
+      expect(signature).toMatch(/^sha256=[0-9a-f]{64}$/);
+      expect(signPayload('secret', 1700000001, '{"a":1}')).not.toBe(signature);
+    });
+
+    it('should only redeliver deliveries that are no longer being attempted', async () => {
+      const deliveries = new MemoryRepository();
+      const dispatcher = createWebhookDispatcher({ webhooks: new MemoryRepository(), deliveries });
+      // The webhook is not in the repository, so its deliveries go dead on the first attempt
+      const delivery = await dispatcher.enqueue({ id: 1, ownerId: 1 }, 'todo.created', {});
+
+      await expect(dispatcher.redeliver(delivery.id)).rejects.toMatchObject({ status: 409 });
+      await new Promise(resolve => setTimeout(resolve, 10));
+      expect((await deliveries.get(delivery.id)).status).toBe('dead');
+
+      expect(await dispatcher.redeliver(delivery.id)).toMatchObject({ status: 'pending' });
+      await expect(dispatcher.redeliver(delivery.id)).rejects.toMatchObject({ status: 409 });
+      expect(await dispatcher.redeliver(99999)).toBeNull();
+    });
+  });
+
+  describe('Import and export formats', () => {
+    const todos = [
+      { id: 1, text: 'Ship release', completed: false, priority: 'high', dueDate: new Date('2030-01-31T23:59:59.999Z'), tags: ['work'], notes: 'Say "hi", then go', parentId: null, createdAt: new Date('2030-01-01T00:00:00Z') },
+      { id: 2, text: '=SUM(A1)', completed: true, priority: 'low', dueDate: null, tags: [], notes: '', parentId: 1, createdAt: new Date('2030-01-02T00:00:00Z') }
+    ];
+
+    it('should round-trip todos through every format', () => {
+      FORMAT_NAMES.forEach(name => {
+        const { rows } = FORMATS[name].parse(FORMATS[name].serialize(todos));
+        expect(rows.map(row => row.input.text)).toEqual(['Ship release', '=SUM(A1)']);
+        expect(rows[0].input).toMatchObject({ completed: false, priority: 'high', tags: ['work'] });
+        expect(validateTodoInput(rows[0].input).value.dueDate).toEqual(todos[0].dueDate);
+        expect(rows[1].input.completed).toBe(true);
+        expect(String(rows[1].parentRef)).toBe(String(rows[0].ref));
+      });
+    });
+
+    it('should quote CSV cells and neutralise spreadsheet formulas', () => {
+      const csv = FORMATS.csv.serialize(todos);
+      expect(csv).toContain('"Say ""hi"", then go"');
+      expect(csv).toContain(',\'=SUM(A1),');
+      expect(FORMATS.csv.parse('title\nx').error).toBe('CSV header must include a text column');
+    });
+
+    it('should read Markdown subtasks from indentation', () => {
+      const { rows } = FORMATS.md.parse('# Trip\n\n- [ ] Pack !high #travel\n  - [x] Socks\n- [ ] Go due:2030-05-01\n');
+      expect(rows.map(row => [row.input.text, row.parentRef])).toEqual([['Pack', undefined], ['Socks', rows[0].ref], ['Go', undefined]]);
+      expect(rows[0].input).toMatchObject({ priority: 'high', tags: ['travel'] });
+      expect(rows[2].input.dueDate).toBe('2030-05-01');
+    });
+
+    it('should escape and fold iCalendar text', () => {
+      const long = { ...todos[0], text: `Plan; review, ship ${'x'.repeat(100)}` };
+      const ics = FORMATS.ics.serialize([long]);
+      expect(ics.split('\r\n').every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+      expect(ics).toContain('SUMMARY:Plan\\; review\\, ship');
+      expect(FORMATS.ics.parse(ics).rows[0].input.text).toBe(long.text);
+    });
+  });
+
+  describe('Import planning', () => {
+    const rows = [
+      { row: 1, ref: 'a', input: { text: 'Existing todo' } },
+      { row: 2, ref: 'b', input: { text: 'New todo' } },
+      { row: 3, ref: 'c', parentRef: 'b', input: { text: 'new TODO ' } },
+      { row: 4, ref: 'd', input: { text: '' } },
+      { row: 5, ref: 'e', parentRef: 'd', input: { text: 'Orphan' } },
+      { row: 6, ref: 'f', parentRef: 'a', input: { text: 'Child of existing' } }
+    ];
+
+    it('should report duplicates, errors and subtask links per row', () => {
+      const plan = planImport(rows, [{ id: 7, text: 'existing TODO' }]);
+      expect(plan.map(result => result.status)).toEqual(['duplicate', 'valid', 'duplicate', 'error', 'error', 'valid']);
+      expect(plan[0].duplicateOf).toBe(7);
+      expect(plan[2].duplicateOfRow).toBe(2);
+      expect(plan[4].errors[0].message).toBe('Parent row 4 could not be imported');
+      expect(plan[5].parentId).toBe(7);
+      expect(summarizeImport(plan)).toEqual({ rows: 6, valid: 2, created: 0, duplicates: 2, errors: 2 });
+    });
+
+    it('should keep duplicates when asked to', () => {
+      const plan = planImport(rows, [{ id: 7, text: 'existing TODO' }], { allowDuplicates: true });
+      expect(plan[2]).toMatchObject({ status: 'valid', parentRow: 2 });
+    });
+  });
+
+  describe('OpenAPI validation', () => {
+    it('should report problems per field', () => {
+      expect(validateSchema(openApiSpec, { $ref: '#/components/schemas/NewTodo' }, { text: 'ok', tags: ['a', 5], owner: 1 })).toEqual([
+        { field: 'tags[1]', message: 'tags[1] must be a string' },
+        { field: 'owner', message: 'Unknown field' }
+      ]);
+      expect(validateSchema(openApiSpec, { $ref: '#/components/schemas/NewTodo' }, {})).toEqual([{ field: 'text', message: 'text is required' }]);
+      expect(validateSchema(openApiSpec, { $ref: '#/components/schemas/NewTodo' }, [])[0].message).toBe('Request body must be an object');
+    });
+
+    it('should turn responses that drift from the spec into errors', () => {
+      const sent = [];
+      const res = {
+        statusCode: 200,
+        status (code) {
+          this.statusCode = code;
+          return this;
+        },
+        json: (body) => sent.push(body)
+      };
+      createResponseValidator(openApiSpec)({ method: 'GET', path: '/health' }, res, () => {});
+
+      res.json({ status: 'healthy', timestamp: new Date() });
+      expect(sent[0]).toHaveProperty('status', 'healthy');
+
+      res.json({ status: 'sick', timestamp: 'yesterday' });
+      expect(res.statusCode).toBe(500);
+      expect(sent[1].details.map(detail => detail.field)).toEqual(['response.status', 'response.timestamp']);
+    });
+  });
+
+  describe('GraphQL limits', () => {
+    const schema = createGraphQLSchema({});
+
+    it('should measure depth and complexity through fragments', () => {
+      const query = 'query { todos { items { ...deep } } } fragment deep on Todo { children { children { id } } }';
+      expect(prepareQuery(schema, query, { maxComplexity: 2000 }).document).toBeDefined();
+      expect(prepareQuery(schema, query, { maxDepth: 3, maxComplexity: 2000 }).errors[0].message).toBe('Query depth 5 exceeds the limit of 3');
+      // todos + items x 10 x (children + children x 10 x (children + id x 10))
+      expect(prepareQuery(schema, query).errors[0].message).toBe('Query complexity 1112 exceeds the limit of 1000');
+      // todos + items x 2 x id
+      expect(prepareQuery(schema, 'query { todos(limit: 2) { items { id } } }', { maxComplexity: 5 }).errors).toBeUndefined();
+    });
+
+    it('should not let negative limits cancel out the cost of other fields', () => {
+      const deep = 'b: todos { items { children { children { children { children { id } } } } } }';
+      expect(prepareQuery(schema, `{ a: todos(limit: -1000000) { items { id } } ${deep} }`).errors[0].message)
+        .toMatch(/^Query complexity \d+ exceeds the limit of 1000$/);
+      expect(prepareQuery(schema, `query ($n: Int) { a: todos(limit: $n) { items { id } } ${deep} }`, { variables: { n: -1000000 } })
+        .errors[0].message).toMatch(/^Query complexity \d+ exceeds/);
+    });
+
+    it('should turn off introspection when asked to', () => {
+      expect(prepareQuery(schema, '{ __schema { types { name } } }').errors).toBeUndefined();
+      expect(prepareQuery(schema, '{ __schema { types { name } } }', { introspection: false }).errors[0].message).toMatch(/introspection has been disabled/);
+    });
+  });
+
+  describe('Problem details', () => {
+    it('should point at body fields with JSON Pointers', () => {
+      expect(fieldPointer('text')).toBe('/text');
+      expect(fieldPointer('operations[1].op')).toBe('/operations/1/op');
+      expect(fieldPointer('a/b~c')).toBe('/a~1b~0c');
+      expect(bodyErrors([
+        { field: 'tags[0]', message: 'bad tag' },
+        { field: null, message: 'Request body must be an object' }
+      ])).toEqual([
+        { field: 'tags[0]', pointer: '/tags/0', detail: 'bad tag' },
+        { detail: 'Request body must be an object' }
+      ]);
+    });
+
+    it('should build problems from the type catalogue', () => {
+      const req = { originalUrl: '/api/v2/todos/7', id: 'abc' };
+      expect(buildProblem(req, 'not-found', 'Todo 7 not found')).toEqual({
+        type: '/api/v2/problems/not-found',
+        title: 'Not found',
+        status: 404,
+        detail: 'Todo 7 not found',
+        instance: '/api/v2/todos/7',
+        traceId: 'abc'
+      });
+      expect(buildProblem(req, 'internal-error').detail).toBe('Internal server error');
+    });
+  });
+
+  describe('Recurrence rules', () => {
+    it('should accept rule objects and RRULE strings', () => {
+      expect(parseRecurrence('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=fr,MO;UNTIL=20301231').value).toEqual({
+        freq: 'weekly',
+        interval: 2,
+        byDay: ['MO', 'FR'],
+        until: '2030-12-31T23:59:59.999Z'
+      });
+      expect(parseRecurrence({ freq: 'monthly', byMonthDay: 15, count: 3 }).value).toEqual({ freq: 'monthly', interval: 1, byMonthDay: 15, count: 3 });
+      expect(parseRecurrence(null).value).toBeNull();
+      expect(parseRecurrence({ freq: 'daily', byDay: ['MO'] }).message).toBe('recurrence.byDay is only allowed for weekly rules');
+      expect(parseRecurrence({ freq: 'monthly', byMonthDay: 32 }).message).toMatch(/byMonthDay/);
+      expect(parseRecurrence('FREQ=HOURLY').message).toMatch(/freq must be one of/);
+    });
+
+    it('should find the next date a rule falls on', () => {
+      const weekly = { freq: 'weekly', interval: 1, byDay: ['MO', 'FR'] };
+      expect(nextOccurrence(weekly, new Date('2030-01-07T09:00:00Z')).toISOString()).toBe('2030-01-11T09:00:00.000Z');
+      expect(nextOccurrence({ ...weekly, interval: 2 }, new Date('2030-01-11T09:00:00Z')).toISOString()).toBe('2030-01-21T09:00:00.000Z');
+      expect(nextOccurrence({ freq: 'daily', interval: 3 }, new Date('2030-01-30T09:00:00Z')).toISOString()).toBe('2030-02-02T09:00:00.000Z');
+      expect(nextOccurrence({ freq: 'monthly', interval: 1 }, new Date('2030-01-31T09:00:00Z')).toISOString()).toBe('2030-02-28T09:00:00.000Z');
+      expect(nextOccurrence({ freq: 'monthly', interval: 1, byMonthDay: 20 }, new Date('2030-01-05T09:00:00Z')).toISOString()).toBe('2030-01-20T09:00:00.000Z');
+    });
+
+    it('should advance a series without going into the past or past its end', () => {
+      const now = new Date('2030-01-10T12:00:00Z');
+      const late = advanceRecurrence({ dueDate: new Date('2030-01-01T23:59:59.999Z'), recurrence: { freq: 'daily', interval: 1 } }, now);
+      expect(late.dueDate.toISOString()).toBe('2030-01-10T23:59:59.999Z');
+
+      const counted = advanceRecurrence({ dueDate: new Date('2030-01-31T23:59:59.999Z'), recurrence: { freq: 'monthly', interval: 1, count: 2 } }, now);
+      expect(counted.recurrence).toEqual({ freq: 'monthly', interval: 1, count: 1, byMonthDay: 31 });
+      expect(advanceRecurrence({ dueDate: null, recurrence: counted.recurrence }, now)).toBeNull();
+
+      // Completed two months late: February must not pull the day down to the 28th
+      const monthEnd = advanceRecurrence({ dueDate: new Date('2026-01-31T23:59:59.999Z'), recurrence: { freq: 'monthly', interval: 1 } }, new Date('2026-04-05T12:00:00Z'));
+      expect(monthEnd.dueDate.toISOString()).toBe('2026-04-30T23:59:59.999Z');
+      expect(monthEnd.recurrence.byMonthDay).toBe(31);
+
+      const until = { freq: 'weekly', interval: 1, until: '2030-01-15T00:00:00.000Z' };
+      expect(advanceRecurrence({ dueDate: new Date('2030-01-12T09:00:00Z'), recurrence: until }, now)).toBeNull();
+      expect(toRRule({ ...until, byDay: ['TU'], count: 4 })).toBe('FREQ=WEEKLY;BYDAY=TU;COUNT=4;UNTIL=20300115T000000Z');
+    });
+  });
+
+  describe('Job scheduler', () => {
+    const start = new Date('2030-01-01T00:00:00Z');
+    const setup = (options = {}) => {
+      const clock = createManualClock(start);
+      const jobs = new MemoryRepository();
+      const scheduler = createScheduler({ jobs, clock, retryDelayMs: 1000, ...options });
+      return { clock, jobs, scheduler };
+    };
+
+    it('should run jobs when they are due and move jobs that share a key', async () => {
+      const { clock, scheduler } = setup();
+      const ran = [];
+      scheduler.register('note', async (job) => { ran.push([job.payload.name, clock.now().toISOString()]); });
+      await scheduler.start();
+
+      await scheduler.schedule('note', new Date('2030-01-01T00:10:00Z'), { name: 'a' });
+      await scheduler.schedule('note', new Date('2030-01-01T00:05:00Z'), { name: 'b' }, { key: 'b' });
+      await scheduler.schedule('note', new Date('2030-01-01T00:20:00Z'), { name: 'b2' }, { key: 'b' });
+      expect((await scheduler.status()).scheduled).toBe(2);
+
+      await clock.advance(15 * 60 * 1000);
+      expect(ran).toEqual([['a', '2030-01-01T00:10:00.000Z']]);
+      await clock.advance(10 * 60 * 1000);
+      expect(ran).toEqual([['a', '2030-01-01T00:10:00.000Z'], ['b2', '2030-01-01T00:20:00.000Z']]);
+      expect(await scheduler.status()).toMatchObject({ status: 'running', scheduled: 0, lagMs: 0, nextRunAt: null });
+
+      await scheduler.schedule('note', new Date('2030-01-01T01:00:00Z'), { name: 'c' }, { key: 'c' });
+      expect(await scheduler.cancel('c')).toBe(true);
+      await clock.advance(60 * 60 * 1000);
+      expect(ran).toHaveLength(2);
+    });
+
+    it('should catch up on jobs missed while stopped and report the lag', async () => {
+      const { jobs, scheduler } = setup();
+      const ran = [];
+      scheduler.register('note', async (job) => { ran.push(job.payload.name); });
+      await jobs.create({ type: 'note', key: null, runAt: new Date('2029-12-31T23:00:00Z'), payload: { name: 'missed' }, status: 'scheduled', attempts: 0 });
+      await jobs.create({ type: 'note', key: null, runAt: new Date('2029-12-31T23:30:00Z'), payload: { name: 'interrupted' }, status: 'running', attempts: 0 });
+
+      expect((await scheduler.status()).lagMs).toBe(60 * 60 * 1000);
+      await scheduler.start();
+      expect(ran).toEqual(['missed', 'interrupted']);
+      expect((await scheduler.status()).lastRun.lagMs).toBe(30 * 60 * 1000);
+    });
+
+    it('should retry failing jobs with backoff and then keep them as failed', async () => {
+      const errors = [];
+      const { clock, jobs, scheduler } = setup({ maxAttempts: 3, onError: (error) => errors.push(error.message) });
+      scheduler.register('flaky', async () => { throw new Error('boom'); });
+      await scheduler.start();
+      await scheduler.schedule('flaky', start);
+      await clock.advance(0);
+      await clock.advance(1000);
+      expect(errors).toHaveLength(2);
+      await clock.advance(2000);
+
+      const [job] = await jobs.list();
+      expect(job).toMatchObject({ status: 'failed', attempts: 3, lastError: 'boom' });
+      expect((await scheduler.status()).failed).toBe(1);
+      expect(clock.pending()).toBe(0);
+    });
+  });
+
+  describe('Reminders', () => {
+    it('should remind before the due date through every channel, unless the todo changed', async () => {
+      const clock = createManualClock(new Date('2030-01-01T00:00:00Z'));
+      const scheduler = createScheduler({ jobs: new MemoryRepository(), clock });
+      const todos = new MemoryRepository();
+      const channel = createLogChannel({ log: () => {} });
+      const reminders = createReminders({ scheduler, todos, channels: [channel], leadMs: 60 * 60 * 1000, clock });
+      await scheduler.start();
+
+      const todo = await todos.create({ text: 'Ship it', ownerId: 1, completed: false, dueDate: new Date('2030-01-01T10:00:00Z') });
+      await reminders.sync(todo);
+      const done = await todos.create({ text: 'Done already', ownerId: 1, completed: false, dueDate: new Date('2030-01-01T10:00:00Z') });
+      await reminders.sync(done);
+      await reminders.sync(await todos.update(done.id, { completed: true }));
+
+      await clock.advance(9 * 60 * 60 * 1000 - 1);
+      expect(channel.sent).toHaveLength(0);
+      await clock.advance(1);
+      expect(channel.sent.map(reminder => reminder.todo.text)).toEqual(['Ship it']);
+
+      // Moved after the job was queued: the stale reminder is dropped
+      const moved = await todos.create({ text: 'Moved', ownerId: 1, completed: false, dueDate: new Date('2030-01-01T12:00:00Z') });
+      await reminders.sync(moved);
+      await todos.update(moved.id, { dueDate: new Date('2030-01-02T12:00:00Z') });
+      await clock.advance(2 * 60 * 60 * 1000);
+      expect(channel.sent).toHaveLength(1);
+
+      expect(reminderTime({ dueDate: new Date('2029-12-31T00:00:00Z'), completed: false }, 0, clock.now())).toBeNull();
+    });
+
+    it('should keep one reminder job per todo when it is synced twice at once', async () => {
+      const clock = createManualClock(new Date('2030-01-01T00:00:00Z'));
+      const jobs = new MemoryRepository();
+      const scheduler = createScheduler({ jobs, clock });
+      const todos = new MemoryRepository();
+      const reminders = createReminders({ scheduler, todos, leadMs: 0, clock });
+
+      const todo = await todos.create({ text: 'Batch twice', ownerId: 1, completed: false, dueDate: new Date('2030-01-02T00:00:00Z') });
+      await Promise.all([
+        reminders.sync(todo),
+        reminders.sync({ ...todo, dueDate: new Date('2030-01-03T00:00:00Z') })
+      ]);
+
+      const scheduled = async () => (await jobs.list()).filter(job => job.status === 'scheduled').map(job => job.runAt);
+      expect(await scheduled()).toEqual([new Date('2030-01-03T00:00:00Z')]);
+
+      await Promise.all([
+        reminders.sync({ ...todo, completed: true }),
+        reminders.sync({ ...todo, dueDate: new Date('2030-01-04T00:00:00Z') })
+      ]);
+      expect(await scheduled()).toEqual([new Date('2030-01-04T00:00:00Z')]);
+    });
+  });
+
+  describe('Search index', () => {
+    const now = new Date('2030-06-01T00:00:00Z');
+    const daysAgo = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+
+    it('should stem words and drop stop words', () => {
+      expect(stem('deployments')).toBe('deploy');
+      expect(stem('running')).toBe('run');
+      expect(tokenize('Deploy the <b>APIs</b>').map(token => token.term)).toEqual(['deploi', 'b', 'api', 'b']);
+    });
+
+    it('should rank by field and recency, match prefixes and escape highlights', () => {
+      const index = createSearchIndex({ clock: createManualClock(now) });
+      index.add({ id: 1, ownerId: 1, text: 'Write release notes', tags: [], notes: 'deployment checklist', updatedAt: daysAgo(1) });
+      index.add({ id: 2, ownerId: 1, text: 'Deploy <api> to staging', tags: ['ops'], notes: '', updatedAt: daysAgo(90) });
+      index.add({ id: 3, ownerId: 1, text: 'Deploy web app', tags: [], notes: '', updatedAt: daysAgo(1) });
+      index.add({ id: 4, ownerId: 2, text: 'Deploy elsewhere', tags: [], notes: '', updatedAt: daysAgo(1) });
+
+      const deploy = index.search('deploying', { ownerId: 1 });
+      expect(deploy.results.map(result => result.id)).toEqual([3, 2]);
+      expect(index.search('deployed', { ownerId: 1 }).results.map(result => result.id)).toEqual([3, 2]);
+      expect(index.search('deployments', { ownerId: 1 }).results.map(result => result.id)).toEqual([1]);
+
+      const typing = index.search('stag', { ownerId: 1 });
+      expect(typing.results.map(result => result.id)).toEqual([2]);
+      expect(typing.results[0].highlights).toEqual([{ field: 'text', snippet: 'Deploy &lt;api&gt; to <mark>staging</mark>' }]);
+      expect(index.search('stag', { ownerId: 1, prefix: false }).total).toBe(0);
+      expect(index.search('deploy ops', { ownerId: 1 }).results.map(result => result.id)).toEqual([2]);
+
+      expect(index.remove(3)).toBe(true);
+      // Typed last, "deploy" also completes to "deployment" in the notes of the more recent todo
+      expect(index.search('deploy', { ownerId: 1, limit: 1 })).toMatchObject({ total: 2, results: [{ id: 1 }] });
+      expect(index.search('the', { ownerId: 1 }).total).toBe(0);
+      expect(index.size()).toBe(3);
+    });
+
+    it('should validate search query parameters', () => {
+      expect(parseSearchQuery({ q: 'deploy' })).toEqual({ options: { q: 'deploy', limit: 20, prefix: true } });
+      expect(parseSearchQuery({ q: 'deploy', limit: '5', prefix: 'false' }).options).toMatchObject({ limit: 5, prefix: false });
+      expect(parseSearchQuery({ q: '  ' }).error).toBe('q is required');
+      expect(parseSearchQuery({ q: 'x', limit: '51' }).error).toMatch(/limit/);
+      expect(parseSearchQuery({ q: 'x', prefix: 'yes' }).error).toMatch(/prefix/);
+    });
+  });
+
+  describe('Attachments', () => {
+    it('should match allowed types and clean up file names', () => {
+      expect(isAllowedType(['image/*', 'text/plain'], 'image/png')).toBe(true);
+      expect(isAllowedType(['image/*', 'text/plain'], 'text/plain')).toBe(true);
+      expect(isAllowedType(['image/*', 'text/plain'], 'text/html')).toBe(false);
+      expect(isAllowedType(DEFAULT_TYPES, 'image/svg+xml')).toBe(false);
+
+      expect(cleanFilename('../../etc/passwd')).toBe('passwd');
+      expect(cleanFilename('C:\\Users\\ops\\build.log')).toBe('build.log');
+      expect(cleanFilename('bad\nname.txt')).toBe('badname.txt');
+      expect(cleanFilename('')).toBe('attachment');
+      expect(cleanFilename('x'.repeat(300))).toHaveLength(255);
+    });
+
+    it('should refuse uploads over the file count, size or content limits and keep none of their files', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-attachments-'));
+      const store = createAttachmentStore({ dir, maxBytes: 10, allowedTypes: ['text/plain'] });
+      const app = express().post('/', async (req, res) => res.json(await store.receive(req, { maxFiles: 2 })));
+      const upload = (...files) => files
+        .reduce((pending, [content, filename]) => pending.attach('file', Buffer.from(content), { filename, contentType: 'text/plain' }),
+          request(app).post('/'))
+        .then(response => response.body);
+
+      try {
+        expect(await upload(['one', 'a.txt'], ['two', 'b.txt'], ['three', 'c.txt'])).toEqual({
+          status: 413,
+          error: 'Upload refused',
+          details: [{ field: 'c.txt', message: 'At most 2 files can be attached' }]
+        });
+        expect(await upload(['more than ten', 'big.txt'])).toMatchObject({
+          status: 413,
+          details: [{ field: 'big.txt', message: 'Files must be at most 10 bytes' }]
+        });
+        expect(await upload(['x'.repeat(25), 'huge.txt'])).toEqual({ status: 413, error: 'Files must be at most 10 bytes each' });
+        expect(await upload(['', 'empty.txt'])).toMatchObject({ status: 400, details: [{ field: 'empty.txt', message: 'File is empty' }] });
+        expect((await request(app).post('/').field('note', 'no file')).body).toEqual({ status: 400, error: 'No files uploaded' });
+        expect((await request(app).post('/').set('Content-Type', 'multipart/form-data; boundary=x').send('garbage')).body)
+          .toEqual({ status: 400, error: 'Malformed multipart upload' });
+        expect(fs.readdirSync(dir)).toEqual([]);
+
+        const { attachments } = await upload(['fine', 'ok.txt']);
+        expect(attachments).toMatchObject([{ filename: 'ok.txt', contentType: 'text/plain', size: 4 }]);
+        expect(fs.readdirSync(dir)).toEqual([attachments[0].id]);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('Metrics registry', () => {
+    it('should render counters, gauges and histograms in both exposition formats', async () => {
+      const registry = createRegistry();
+      const requests = registry.counter({ name: 'jobs_total', help: 'Jobs run', labelNames: ['queue'] });
+      const depth = registry.gauge({ name: 'queue_depth', help: 'Jobs "waiting"\nnow' });
+      const duration = registry.histogram({ name: 'job_seconds', help: 'Job duration', buckets: [1, 0.5] });
+
+      requests.inc({ queue: 'mail "urgent"\\' });
+      requests.inc({ queue: 'mail "urgent"\\' }, 2);
+      depth.set({}, 4);
+      depth.dec();
+      duration.observe({}, 0.2);
+      duration.observe({}, 0.7);
+      duration.observe({}, 3);
+
+      const text = await registry.metrics();
+      expect(text).toBe([
+        '# HELP jobs_total Jobs run',
+        '# TYPE jobs_total counter',
+        'jobs_total{queue="mail \\"urgent\\"\\\\"} 3',
+        '# HELP queue_depth Jobs "waiting"\\nnow',
+        '# TYPE queue_depth gauge',
+        'queue_depth 3',
+        '# HELP job_seconds Job duration',
+        '# TYPE job_seconds histogram',
+        'job_seconds_bucket{le="0.5"} 1',
+        'job_seconds_bucket{le="1.0"} 2',
+        'job_seconds_bucket{le="+Inf"} 3',
+        'job_seconds_sum 3.9',
+        'job_seconds_count 3',
+        ''
+      ].join('\n'));
+
+      const openMetrics = await registry.metrics({ openMetrics: true });
+      expect(openMetrics).toContain('# HELP jobs Jobs run\n# TYPE jobs counter\njobs_total{');
+      expect(openMetrics).toContain('# HELP queue_depth Jobs \\"waiting\\"\\nnow');
+      expect(openMetrics.endsWith('job_seconds_count 3\n# EOF\n')).toBe(true);
+    });
+
+    it('should refuse invalid names, unknown labels and counters going down', () => {
+      const registry = createRegistry();
+      const counter = registry.counter({ name: 'errors_total', help: 'Errors' });
+      expect(() => registry.counter({ name: 'errors', help: 'No suffix' })).toThrow(/_total/);
+      expect(() => registry.gauge({ name: 'errors_total', help: 'Again' })).toThrow(/already registered/);
+      expect(() => registry.gauge({ name: 'bad-name', help: 'Dash' })).toThrow(/Invalid metric name/);
+      expect(() => registry.histogram({ name: 'latency', help: 'Latency', labelNames: ['le'] })).toThrow(/Invalid label/);
+      expect(() => counter.inc({}, -1)).toThrow(/only go up/);
+      expect(() => counter.inc({ code: 500 })).toThrow(/Unknown label/);
+    });
+
+    it('should run collect hooks before each scrape', async () => {
+      const registry = createRegistry();
+      const open = registry.gauge({ name: 'open_items', help: 'Open items', labelNames: ['kind'] });
+      let items = { bug: 2, task: 1 };
+      registry.beforeCollect(async () => {
+        open.reset();
+        Object.entries(items).forEach(([kind, count]) => open.set({ kind }, count));
+      });
+
+      expect(await registry.metrics()).toContain('open_items{kind="task"} 1');
+      items = { bug: 5 };
+      const text = await registry.metrics();
+      expect(text).toContain('open_items{kind="bug"} 5');
+      expect(text).not.toContain('kind="task"');
+    });
+  });
+
+  describe('Logger', () => {
+    // A logger that writes into `lines`
+    const capture = (options) => {
+      const lines = [];
+      const stream = { write: (line) => lines.push(line) };
+      return { lines, logger: createLogger({ stream, ...options }) };
+    };
+
+    it('should write JSON lines at or above the level, with redacted fields', () => {
+      const { lines, logger } = capture({ level: 'info', fields: { service: 'todos' } });
+      logger.debug('hidden');
+      logger.info('Logged in', { user: { name: 'ada', Password: 'hunter2' }, headers: { authorization: 'Bearer x' } });
+      logger.error('Failed to save', { err: Object.assign(new Error('disk full'), { code: 'ENOSPC' }) });
+
+      const [info, error] = lines.map(line => JSON.parse(line));
+      expect(lines).toHaveLength(2);
+      expect(info).toMatchObject({
+        level: 'info',
+        msg: 'Logged in',
+        service: 'todos',
+        user: { name: 'ada', Password: REDACTED },
+        headers: { authorization: REDACTED }
+      });
+      expect(new Date(info.time).toISOString()).toBe(info.time);
+      expect(error.err).toMatchObject({ type: 'Error', message: 'disk full', code: 'ENOSPC' });
+      expect(error.err.stack).toContain('disk full');
+      expect(logger.isLevelEnabled('debug')).toBe(false);
+      expect(() => createLogger({ level: 'loud' })).toThrow('Unknown log level');
+    });
+
+    it('should tag lines with the log context across async work', async () => {
+      const { lines, logger } = capture();
+      await withLogContext({ requestId: 'req-1' }, async () => {
+        await new Promise(resolve => setTimeout(resolve, 1));
+        logger.child({ jobId: 7 }).warn('Slow');
+      });
+      logger.info('Outside');
+
+      expect(JSON.parse(lines[0])).toMatchObject({ requestId: 'req-1', jobId: 7, msg: 'Slow' });
+      expect(JSON.parse(lines[1])).not.toHaveProperty('requestId');
+    });
+
+    it('should write readable lines in the pretty format and redact URLs', () => {
+      const { lines, logger } = capture({ format: 'pretty' });
+      withLogContext({ requestId: 'req-2' }, () => logger.warn('request completed', { status: 404, ip: undefined }));
+
+      expect(lines[0]).toMatch(/^\d\d:\d\d:\d\d\.\d{3} WARN {2}request completed \[req-2\] status=404\n$/);
+      expect(redactUrl('/api/events?token=abc&x=1')).toBe(`/api/events?token=${REDACTED}&x=1`);
+      expect(redactUrl('/api/todos')).toBe('/api/todos');
+    });
+  });
+
+  describe('Health checks', () => {
+    it('should roll checks up into healthy, degraded or unhealthy', async () => {
+      const checks = createHealthChecks({ timeoutMs: 20 });
+      checks.register('database', async () => ({ details: { rows: 3 } }));
+      checks.register('cache', () => { throw new Error('connection refused'); }, { critical: false });
+      expect(() => checks.register('cache', () => {})).toThrow('already registered');
+
+      const degraded = await checks.run();
+      expect(degraded.status).toBe('degraded');
+      expect(degraded.checks.database).toMatchObject({ status: 'healthy', critical: true, details: { rows: 3 } });
+      expect(degraded.checks.cache).toMatchObject({ status: 'unhealthy', critical: false, message: 'connection refused' });
+      expect(summarizeHealth(degraded)).toEqual({
+        status: 'degraded',
+        checks: { database: { status: 'healthy' }, cache: { status: 'unhealthy' } }
+      });
+
+      checks.register('queue', () => new Promise(() => {}));
+      const unhealthy = await checks.run();
+      expect(unhealthy.status).toBe('unhealthy');
+      expect(unhealthy.checks.queue).toMatchObject({ status: 'unhealthy', message: 'Timed out after 20 ms' });
+    });
+
+    it('should grade event-loop delay and forget it when reset', async () => {
+      const check = eventLoopCheck({ degradedMs: 30, unhealthyMs: 60000 });
+      const block = (ms) => {
+        const until = Date.now() + ms;
+        while (Date.now() < until);
+      };
+      const tick = () => new Promise(resolve => setTimeout(resolve, 50));
+
+      await tick();
+      block(150);
+      await tick();
+      expect(await check()).toMatchObject({ status: 'degraded', message: expect.stringMatching(/^Event loop delay is/) });
+
+      block(150);
+      await tick();
+      check.reset();
+      expect((await check()).status).toBeUndefined();
+    });
+
+    it('should grade memory use against the heap limit and compare tokens', async () => {
+      const heapAt = (used) => memoryCheck({ heapStatistics: () => ({ used_heap_size: used, heap_size_limit: 100 }) });
+
+      expect((await heapAt(50)()).status).toBeUndefined();
+      expect(await heapAt(90)()).toMatchObject({ status: 'degraded', message: 'Heap is 90% full' });
+      expect(await heapAt(97)()).toMatchObject({ status: 'unhealthy', details: { heapUsedRatio: 0.97 } });
+
+      expect(tokenMatches('s3cret', 's3cret')).toBe(true);
+      expect(tokenMatches('s3cret', 's3cre')).toBe(false);
+      expect(tokenMatches(undefined, undefined)).toBe(false);
+    });
+  });
+
+  describe('Tracing', () => {
+    it('should parse W3C trace context headers', () => {
+      const header = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+      expect(parseTraceparent(header)).toEqual({ traceId: '4bf92f3577b34da6a3ce929d0e0e4736', spanId: '00f067aa0ba902b7', sampled: true });
+      expect(formatTraceparent(parseTraceparent(header))).toBe(header);
+      expect(parseTraceparent('01-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-00-future')).toMatchObject({ sampled: false });
+      expect(parseTraceparent('00-4BF92F3577B34DA6A3CE929D0E0E4736-00f067aa0ba902b7-01')).toBeNull();
+      expect(parseTraceparent('00-4bf92f3577b34da6a3ce929d0e0e4736-0000000000000000-01')).toBeNull();
+      expect(parseTraceparent('ff-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01')).toBeNull();
+      expect(parseTraceparent(undefined)).toBeNull();
+
+      expect(parseTracestate('rojo=00f067aa0ba902b7, congo=t61rcWkgMzE')).toBe('rojo=00f067aa0ba902b7,congo=t61rcWkgMzE');
+      expect(parseTracestate('rojo=1,rojo=2')).toBe('');
+      expect(parseTracestate('Rojo=1')).toBe('');
+    });
+
+    it('should nest spans, record errors and sample by trace id', async () => {
+      const exporter = createMemoryExporter();
+      const tracer = createTracer({ exporter, scheduledDelayMs: 0 });
+
+      await expect(tracer.trace('request', () => tracer.trace('load', { 'db.collection.name': 'todos' }, async () => {
+        await new Promise(resolve => setTimeout(resolve, 1));
+        throw new Error('disk gone');
+      }))).rejects.toThrow('disk gone');
+
+      const [load, request] = exporter.spans;
+      expect(load).toMatchObject({ name: 'load', traceId: request.traceId, parentSpanId: request.spanId, status: { code: 'error', message: 'disk gone' } });
+      expect(load.events[0]).toMatchObject({ name: 'exception', attributes: { 'exception.type': 'Error', 'exception.message': 'disk gone' } });
+      expect(request.parentSpanId).toBeUndefined();
+      expect(load.endTime >= load.startTime).toBe(true);
+
+      const half = createSampler('traceidratio', 0.5);
+      expect(half({ traceId: `${'f'.repeat(19)}0000000000000` })).toBe(true);
+      expect(half({ traceId: 'f'.repeat(32) })).toBe(false);
+      const parentBased = createSampler('parentbased_always_off');
+      expect(parentBased({ traceId: 'f'.repeat(32), parent: { sampled: true } })).toBe(true);
+      expect(parentBased({ traceId: 'f'.repeat(32) })).toBe(false);
+      expect(() => createSampler('sometimes')).toThrow('Unknown sampler');
+    });
+
+    it('should export spans as OTLP/HTTP JSON to a collector', async () => {
+      const received = [];
+      let status = 200;
+      const collector = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+          res.statusCode = status;
+          res.end('{}');
+        });
+      });
+      await new Promise(resolve => collector.listen(0, '127.0.0.1', resolve));
+
+      const errors = [];
+      const tracer = createTracer({
+        exporter: createOtlpExporter({
+          url: `http://127.0.0.1:${collector.address().port}/v1/traces`,
+          headers: { Authorization: 'Bearer collector' },
+          resource: { 'service.name': 'todo-api' }
+        }),
+        onError: error => errors.push(error)
+      });
+      const span = tracer.startSpan('GET /api/todos', { kind: 'server', attributes: { 'http.response.status_code': 200 } });
+      span.end();
+      await tracer.forceFlush();
+
+      expect(received[0].url).toBe('/v1/traces');
+      expect(received[0].headers.authorization).toBe('Bearer collector');
+      const { resource, scopeSpans } = received[0].body.resourceSpans[0];
+      expect(resource.attributes).toEqual([{ key: 'service.name', value: { stringValue: 'todo-api' } }]);
+      expect(scopeSpans[0].spans[0]).toMatchObject({
+        traceId: span.spanContext().traceId,
+        name: 'GET /api/todos',
+        kind: 2,
+        attributes: [{ key: 'http.response.status_code', value: { intValue: '200' } }],
+        status: { code: 0 }
+      });
+
+      status = 503;
+      tracer.startSpan('retry me').end();
+      await tracer.shutdown();
+      expect(errors[0].message).toMatch(/failed with status 503/);
+      await new Promise(resolve => collector.close(resolve));
+    });
+  });
+
+  describe('Configuration', () => {
+    let dir;
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-config-'));
+      fs.writeFileSync(path.join(dir, 'staging.json'), JSON.stringify({
+        server: { port: 8080, bodyLimit: '1mb' },
+        rateLimit: { max: 50 }
+      }));
+    });
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('should layer defaults, the environment file, variables and flags', () => {
+      const { env, settings, sources } = loadConfig({
+        dir,
+        env: { NODE_ENV: 'staging', PORT: '9090', RATE_LIMIT_MAX: '75', CORS_ORIGINS: 'https://a.example, https://b.example' },
+        argv: ['--server.port=7070', '--graphql.introspection', 'false', '--reminders.channels=log']
+      });
+
+      expect(env).toBe('staging');
+      expect(settings.server).toEqual({ port: 7070, bodyLimit: '1mb', staticDir: 'public' });
+      expect(settings.rateLimit).toEqual({ windowMs: 15 * 60 * 1000, max: 75 });
+      expect(settings.cors.origins).toEqual(['https://a.example', 'https://b.example']);
+      expect(settings.graphql.introspection).toBe(false);
+      expect(settings.reminders.channels).toEqual(['log']);
+      expect(sources).toMatchObject({
+        'server.port': 'flag:--server.port',
+        'server.bodyLimit': `file:${path.basename(dir)}/staging.json`,
+        'rateLimit.max': 'env:RATE_LIMIT_MAX',
+        'rateLimit.windowMs': 'default'
+      });
+      expect(Object.isFrozen(settings.server)).toBe(true);
+
+      expect(loadConfig({ dir, env: { NODE_ENV: 'production' }, argv: ['--env', 'staging'] }).settings.server.port).toBe(8080);
+      expect(loadConfig({ dir, env: {} }).env).toBe('development');
+    });
+
+    it('should list every problem at once without showing secrets', () => {
+      fs.writeFileSync(path.join(dir, 'production.json'), JSON.stringify({ server: { prot: 80 }, rateLimit: { max: '100' } }));
+
+      let error;
+      try {
+        loadConfig({
+          dir,
+          env: { NODE_ENV: 'production', RATE_LIMIT_WINDOW_MS: '10', LOG_LEVEL: 'loud', OTEL_EXPORTER_OTLP_HEADERS: 'api-key' },
+          argv: ['--verbose']
+        });
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error.problems).toEqual([
+        `${path.basename(dir)}/production.json: unknown setting server.prot`,
+        'unknown flag --verbose',
+        'rateLimit.windowMs (env:RATE_LIMIT_WINDOW_MS) must be at least 1000, got 10',
+        `rateLimit.max (file:${path.basename(dir)}/production.json) must be an integer, got "100"`,
+        'logging.level (env:LOG_LEVEL) must be one of trace, debug, info, warn, error, fatal, silent, got "loud"',
+        'tracing.headers (env:OTEL_EXPORTER_OTLP_HEADERS) must be an object of strings'
+      ]);
+      expect(error.message).toMatch(/^Invalid configuration:\n {2}- /);
+      expect(() => loadConfig({ dir, env: { NODE_ENV: 'qa' } })).toThrow('environment "qa" must be one of development, test, staging, production');
+    });
+
+    it('should redact secrets that are set', () => {
+      const { settings } = loadConfig({ dir, env: { ADMIN_TOKEN: 'hunter2', OTEL_EXPORTER_OTLP_HEADERS: 'api-key=abc' } });
+      const redacted = redactConfig(settings);
+      expect(redacted.admin.token).toBe(REDACTED);
+      expect(redacted.tracing.headers).toBe(REDACTED);
+      expect(redacted.health.token).toBeNull();
+      expect(redacted.server).toEqual(settings.server);
+      expect(settings.admin.token).toBe('hunter2');
+    });
+  });
+
   describe('Todo ID Generation', () => {
     it('should generate unique incremental IDs', () => {
       let nextId = 1;
       const generateId = () => nextId++;
-      
+
       expect(generateId()).toBe(1);
       expect(generateId()).toBe(2);
       expect(generateId()).toBe(3);
     });
   });
-  
+
   describe('Todo Statistics Calculation', () => {
     const calculateStats = (todos) => {
       const total = todos.length;
       const completed = todos.filter(todo => todo.completed).length;
       const pending = total - completed;
       const completionRate = total > 0 ? (completed / total * 100) : 0;
-      
+
       return { total, completed, pending, completionRate };
     };
-    
+
     it('should calculate stats for empty todo list', () => {
       const stats = calculateStats([]);
       expect(stats).toEqual({
@@ -50,7 +1019,7 @@ describe('Todo Application Unit Tests', () => {
         completionRate: 0
       });
     });
-    
+
     it('should calculate stats for mixed todo list', () => {
       const todos = [
         { id: 1, text: 'Todo 1', completed: true },
@@ -58,7 +1027,7 @@ describe('Todo Application Unit Tests', () => {
         { id: 3, text: 'Todo 3', completed: true },
         { id: 4, text: 'Todo 4', completed: false }
       ];
-      
+
       const stats = calculateStats(todos);
       expect(stats).toEqual({
         total: 4,
@@ -67,13 +1036,13 @@ describe('Todo Application Unit Tests', () => {
         completionRate: 50
       });
     });
-    
+
     it('should calculate stats for all completed todos', () => {
       const todos = [
         { id: 1, text: 'Todo 1', completed: true },
         { id: 2, text: 'Todo 2', completed: true }
       ];
-      
+
       const stats = calculateStats(todos);
       expect(stats).toEqual({
         total: 2,
@@ -82,13 +1051,13 @@ describe('Todo Application Unit Tests', () => {
         completionRate: 100
       });
     });
-    
+
     it('should calculate stats for all pending todos', () => {
       const todos = [
         { id: 1, text: 'Todo 1', completed: false },
         { id: 2, text: 'Todo 2', completed: false }
       ];
-      
+
       const stats = calculateStats(todos);
       expect(stats).toEqual({
         total: 2,
@@ -98,7 +1067,7 @@ describe('Todo Application Unit Tests', () => {
       });
     });
   });
-  
+
   describe('Todo Search and Filter', () => {
     const todos = [
       { id: 1, text: 'Learn DevOps', completed: false },
@@ -106,38 +1075,103 @@ describe('Todo Application Unit Tests', () => {
       { id: 3, text: 'Deploy Application', completed: false },
       { id: 4, text: 'Monitor Performance', completed: true }
     ];
-    
+
     const findTodoById = (todos, id) => todos.find(todo => todo.id === parseInt(id));
-    const filterByStatus = (todos, completed) => todos.filter(todo => todo.completed === completed);
-    const searchTodos = (todos, query) => todos.filter(todo => 
-      todo.text.toLowerCase().includes(query.toLowerCase())
-    );
-    
+    const filterByStatus = (todos, completed) => filterTodos(todos, { completed });
+    const searchTodos = (todos, search) => filterTodos(todos, { search });
+
     it('should find todo by ID', () => {
       expect(findTodoById(todos, 2)).toEqual({
         id: 2, text: 'Setup Jenkins', completed: true
       });
       expect(findTodoById(todos, 99)).toBeUndefined();
     });
-    
+
     it('should filter todos by completion status', () => {
       const completed = filterByStatus(todos, true);
       const pending = filterByStatus(todos, false);
-      
+
       expect(completed).toHaveLength(2);
       expect(pending).toHaveLength(2);
       expect(completed.every(todo => todo.completed)).toBe(true);
       expect(pending.every(todo => !todo.completed)).toBe(true);
     });
-    
+
     it('should search todos by text', () => {
       expect(searchTodos(todos, 'jenkins')).toHaveLength(1);
       expect(searchTodos(todos, 'DevOps')).toHaveLength(1);
       expect(searchTodos(todos, 'deploy')).toHaveLength(1);
       expect(searchTodos(todos, 'xyz')).toHaveLength(0);
     });
+
+    it('should filter todos by list', () => {
+      const listed = [{ id: 1, listId: 7 }, { id: 2, listId: null }, { id: 3 }];
+
+      expect(filterTodos(listed, { listId: 7 }).map(todo => todo.id)).toEqual([1]);
+      expect(filterTodos(listed, { listId: null }).map(todo => todo.id)).toEqual([2, 3]);
+      expect(parseListQuery({ listId: 'none' }).options.listId).toBeNull();
+      expect(parseListQuery({ listId: 'abc' }).error).toBeDefined();
+    });
+
+    it('should combine status and text filters', () => {
+      expect(filterTodos(todos, { completed: true, search: 'jenkins' })).toHaveLength(1);
+      expect(filterTodos(todos, { completed: false, search: 'jenkins' })).toHaveLength(0);
+    });
+
+    it('should sort todos by text in either direction', () => {
+      const asc = sortTodos(todos, { sort: 'text', order: 'asc' }).map(todo => todo.id);
+      const desc = sortTodos(todos, { sort: 'text', order: 'desc' }).map(todo => todo.id);
+
+      expect(asc).toEqual([3, 1, 4, 2]);
+      expect(desc).toEqual([2, 4, 1, 3]);
+    });
+  });
+
+  describe('Todo Pagination', () => {
+    const todos = [1, 2, 3, 4, 5].map(id => ({
+      id,
+      text: `Todo ${id}`,
+      completed: false,
+      createdAt: new Date(2024, 0, id)
+    }));
+
+    it('should page through results with cursors', () => {
+      const { options } = parseListQuery({ limit: '2' });
+      const first = queryTodos(todos, options);
+      expect(first.items.map(todo => todo.id)).toEqual([1, 2]);
+      expect(first.total).toBe(5);
+
+      const second = queryTodos(todos, parseListQuery({ limit: '2', cursor: first.nextCursor }).options);
+      expect(second.items.map(todo => todo.id)).toEqual([3, 4]);
+
+      const last = queryTodos(todos, parseListQuery({ limit: '2', cursor: second.nextCursor }).options);
+      expect(last.items.map(todo => todo.id)).toEqual([5]);
+      expect(last.nextCursor).toBeNull();
+    });
+
+    it('should keep later pages stable when earlier items are removed', () => {
+      const first = queryTodos(todos, parseListQuery({ limit: '2' }).options);
+      const remaining = todos.filter(todo => todo.id !== 1);
+      const second = queryTodos(remaining, parseListQuery({ limit: '2', cursor: first.nextCursor }).options);
+      expect(second.items.map(todo => todo.id)).toEqual([3, 4]);
+    });
+
+    it('should reject invalid query parameters', () => {
+      expect(parseListQuery({ completed: 'yes' }).error).toBeDefined();
+      expect(parseListQuery({ sort: 'priority' }).error).toBeDefined();
+      expect(parseListQuery({ order: 'up' }).error).toBeDefined();
+      expect(parseListQuery({ limit: '0' }).error).toBeDefined();
+      expect(parseListQuery({ limit: '1000' }).error).toBeDefined();
+      expect(parseListQuery({ cursor: 'garbage' }).error).toBe('Invalid cursor');
+    });
+
+    it('should reject cursors issued for a different sort', () => {
+      const { nextCursor } = queryTodos(todos, parseListQuery({ limit: '2' }).options);
+      expect(parseListQuery({ limit: '2', sort: 'text', cursor: nextCursor }).error)
+        .toBe('Cursor does not match the requested sort');
+    });
   });
-  
+
   describe('Date Handling', () => {
     it('should create todos with proper timestamps', () => {
       const createTodo = (text) => ({
@@ -146,32 +1180,32 @@ describe('Todo Application Unit Tests', () => {
         completed: false,
         createdAt: new Date()
       });
-      
+
       const todo = createTodo('Test todo');
       expect(todo.createdAt).toBeInstanceOf(Date);
       expect(todo.createdAt.getTime()).toBeLessThanOrEqual(new Date().getTime());
     });
   });
-  
+
   describe('Text Processing', () => {
     const processTodoText = (text) => {
       if (!text || typeof text !== 'string') return null;
       return text.trim();
     };
-    
+
     it('should trim whitespace from todo text', () => {
       expect(processTodoText('  Hello World  ')).toBe('Hello World');
       expect(processTodoText('Test')).toBe('Test');
       expect(processTodoText('')).toBe('');
     });
-    
+
     it('should handle invalid input', () => {
       expect(processTodoText(null)).toBeNull();
       expect(processTodoText(undefined)).toBeNull();
       expect(processTodoText(123)).toBeNull();
     });
   });
-  
+
   describe('Array Operations', () => {
     it('should safely remove items from array', () => {
       const removeTodoById = (todos, id) => {
@@ -179,24 +1213,24 @@ describe('Todo Application Unit Tests', () => {
         if (index === -1) return null;
         return todos.splice(index, 1)[0];
       };
-      
+
       const todos = [
         { id: 1, text: 'Todo 1' },
         { id: 2, text: 'Todo 2' },
         { id: 3, text: 'Todo 3' }
       ];
-      
+
       const removed = removeTodoById(todos, 2);
       expect(removed).toEqual({ id: 2, text: 'Todo 2' });
       expect(todos).toHaveLength(2);
       expect(todos.find(t => t.id === 2)).toBeUndefined();
-      
+
       const notFound = removeTodoById(todos, 99);
       expect(notFound).toBeNull();
       expect(todos).toHaveLength(2);
     });
   });
-  
+
   describe('Error Handling', () => {
     it('should handle async errors gracefully', async () => {
       const asyncOperation = async (shouldFail) => {
@@ -205,9 +1239,9 @@ describe('Todo Application Unit Tests', () => {
         }
         return 'Success';
       };
-      
+
       await expect(asyncOperation(false)).resolves.toBe('Success');
       await expect(asyncOperation(true)).rejects.toThrow('Simulated error');
     });
   });
-});
\ No newline at end of file
+});